@@ -8,114 +8,15 @@
 import mongoose from 'mongoose';
 import { connectMongoDB } from '../src/config/database.js';
 import Task from '../src/models/Task.js';
-
-/**
- * Sample task titles categorized by type
- */
-const TASK_TEMPLATES = {
-  development: [
-    'Implement user authentication system',
-    'Fix responsive design issues on mobile',
-    'Optimize database query performance',
-    'Add unit tests for API endpoints',
-    'Refactor legacy codebase components',
-    'Setup CI/CD pipeline configuration',
-    'Implement error handling middleware',
-    'Create API documentation',
-    'Add real-time notifications feature',
-    'Setup monitoring and logging system'
-  ],
-  design: [
-    'Create wireframes for new dashboard',
-    'Design user onboarding flow',
-    'Update brand color palette',
-    'Create icon set for navigation',
-    'Design mobile app interface',
-    'Update marketing website layout',
-    'Create user persona documentation',
-    'Design email templates',
-    'Update component library',
-    'Create accessibility guidelines'
-  ],
-  planning: [
-    'Review quarterly project goals',
-    'Plan sprint backlog for next iteration',
-    'Conduct user research interviews',
-    'Analyze competitor feature analysis',
-    'Define technical requirements document',
-    'Schedule team retrospective meeting',
-    'Review and update project timeline',
-    'Prepare stakeholder presentation',
-    'Define acceptance criteria for features',
-    'Plan database migration strategy'
-  ],
-  maintenance: [
-    'Update dependencies to latest versions',
-    'Clean up unused code and files',
-    'Backup production database',
-    'Review and update security policies',
-    'Monitor system performance metrics',
-    'Update server configurations',
-    'Review error logs and fix issues',
-    'Optimize image assets for web',
-    'Update documentation wiki',
-    'Audit third-party integrations'
-  ]
-};
-
-/**
- * Sample descriptions matching each task category
- */
-const DESCRIPTIONS = {
-  development: [
-    'Implement secure authentication with JWT tokens, password hashing, and session management. Include password reset functionality and email verification.',
-    'Address layout issues on tablets and smartphones. Ensure proper touch interactions and optimize for various screen sizes.',
-    'Analyze slow-running queries and implement indexing strategies. Consider query optimization and caching mechanisms.',
-    'Write comprehensive test coverage for all API endpoints including edge cases, error scenarios, and authentication flows.',
-    'Modernize outdated code patterns, improve code structure, and enhance maintainability while preserving functionality.',
-    'Configure automated testing, building, and deployment pipeline with proper staging environments and rollback capabilities.',
-    'Create robust error handling system with proper logging, user-friendly messages, and graceful degradation.',
-    'Generate comprehensive API documentation with examples, authentication details, and integration guides.',
-    'Build real-time notification system using WebSockets with proper error handling and offline support.',
-    'Setup application monitoring with metrics collection, alerting, and log aggregation for production systems.'
-  ],
-  design: [
-    'Create detailed wireframes showing user flow, navigation structure, and key interface elements for the new dashboard.',
-    'Design intuitive step-by-step onboarding process to help new users understand key features and get started quickly.',
-    'Refresh brand colors to align with current design trends while maintaining accessibility and brand recognition.',
-    'Design consistent icon set for navigation elements ensuring clarity, accessibility, and visual harmony across the interface.',
-    'Create mobile-first interface design with touch-optimized interactions and responsive layout patterns.',
-    'Redesign marketing pages with improved conversion focus, better content hierarchy, and modern visual appeal.',
-    'Document target user personas with demographics, goals, pain points, and behavioral patterns for better product decisions.',
-    'Design responsive email templates for notifications, newsletters, and transactional messages with dark mode support.',
-    'Update design system components with latest patterns, improved accessibility, and consistent spacing guidelines.',
-    'Establish accessibility standards including color contrast ratios, keyboard navigation, and screen reader compatibility.'
-  ],
-  planning: [
-    'Conduct comprehensive review of quarterly objectives, assess progress against goals, and identify areas for improvement.',
-    'Prioritize and estimate user stories for upcoming sprint, ensuring balanced workload and clear acceptance criteria.',
-    'Schedule and conduct user interviews to gather feedback on current features and understand future needs.',
-    'Research competitor features, pricing strategies, and market positioning to identify opportunities and threats.',
-    'Document detailed technical specifications including architecture decisions, data models, and integration requirements.',
-    'Facilitate team retrospective to discuss what went well, areas for improvement, and actionable next steps.',
-    'Update project timeline with realistic estimates, dependency mapping, and risk mitigation strategies.',
-    'Prepare executive presentation with project status, key metrics, upcoming milestones, and resource requirements.',
-    'Define clear, testable acceptance criteria for all user stories ensuring shared understanding across the team.',
-    'Plan database schema changes, migration scripts, and rollback procedures for upcoming feature releases.'
-  ],
-  maintenance: [
-    'Review and update all project dependencies, checking for security vulnerabilities and breaking changes.',
-    'Audit codebase for unused imports, dead code, and outdated patterns. Clean up and optimize for better performance.',
-    'Perform scheduled backup of production database with verification of backup integrity and restore procedures.',
-    'Review current security policies, access controls, and compliance requirements. Update based on latest best practices.',
-    'Analyze system performance metrics, identify bottlenecks, and implement optimizations for better user experience.',
-    'Update server configurations for security patches, performance improvements, and compliance requirements.',
-    'Investigate recent error patterns, implement fixes, and establish monitoring to prevent similar issues.',
-    'Compress and optimize images for faster loading times while maintaining visual quality across all devices.',
-    'Update internal documentation, API guides, and onboarding materials to reflect recent changes and improvements.',
-    'Review third-party service integrations for security, performance, and cost optimization opportunities.'
-  ]
-};
+import StatusTransition from '../src/models/StatusTransition.js';
+import TaskRevision from '../src/models/TaskRevision.js';
+import Tag from '../src/models/Tag.js';
+import Project from '../src/models/Project.js';
+import User from '../src/models/User.js';
+import Workspace from '../src/models/Workspace.js';
+import AuthService from '../src/services/authService.js';
+import TaskHistoryService from '../src/services/taskHistoryService.js';
+import { TASK_TEMPLATES, DESCRIPTIONS } from '../src/data/taskTemplates.js';
 
 /**
  * Generate a random date between two dates
@@ -137,6 +38,42 @@ function getRandomInt(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
+/**
+ * Tag registry entries, one per task category plus a few cross-cutting labels
+ */
+const SEED_TAGS = [
+  { name: 'development', color: '#2196F3' },
+  { name: 'design', color: '#9C27B0' },
+  { name: 'planning', color: '#FF9800' },
+  { name: 'maintenance', color: '#607D8B' },
+  { name: 'customer-facing', color: '#4CAF50' },
+  { name: 'tech-debt', color: '#F44336' }
+];
+
+/**
+ * Sample projects; tasks are spread across them with some left unassigned
+ */
+const SEED_PROJECTS = [
+  { name: 'Website Redesign', description: 'New marketing site and design system', color: '#9C27B0' },
+  { name: 'Mobile App', description: 'iOS and Android client', color: '#2196F3' },
+  { name: 'Platform', description: 'Infrastructure, tooling and maintenance', color: '#607D8B' }
+];
+
+/**
+ * Development admin account created if missing; existing users are never touched
+ */
+const DEMO_USER = {
+  email: 'demo@example.com',
+  name: 'Demo User',
+  password: 'demo-password',
+  role: 'admin'
+};
+
+/**
+ * Workspace the sample data is seeded into; the demo user is always a member
+ */
+const DEMO_WORKSPACE_NAME = 'Demo workspace';
+
 /**
  * Get a random element from an array
  * @param {Array} array - Source array
@@ -149,9 +86,10 @@ function getRandomElement(array) {
 /**
  * Generate sample tasks with realistic data distribution
  * @param {number} count - Number of tasks to generate
+ * @param {Array} projects - Inserted project documents to assign tasks to
  * @returns {Array} Array of task objects
  */
-function generateSampleTasks(count = 50) {
+function generateSampleTasks(count = 50, projects = []) {
   const tasks = [];
   const categories = Object.keys(TASK_TEMPLATES);
   const statuses = ['pending', 'in-progress', 'completed'];
@@ -230,6 +168,22 @@ function generateSampleTasks(count = 50) {
       actualTime = Math.round(estimatedTime * variance);
     }
     
+    // Tag with the category, sometimes plus a cross-cutting label
+    const tags = [category];
+    if (Math.random() < 0.3) {
+      tags.push(getRandomElement(['customer-facing', 'tech-debt']));
+    }
+    
+    // About 60% of tasks get a due date 1-21 days after creation
+    const dueDate = Math.random() < 0.6
+      ? new Date(createdAt.getTime() + getRandomInt(1, 21) * 24 * 60 * 60 * 1000)
+      : null;
+    
+    // About 80% of tasks belong to a project
+    const projectId = projects.length > 0 && Math.random() < 0.8
+      ? getRandomElement(projects)._id
+      : null;
+    
     const task = {
       title,
       description,
@@ -239,7 +193,10 @@ function generateSampleTasks(count = 50) {
       updatedAt,
       completedAt,
       estimatedTime,
-      actualTime
+      actualTime,
+      dueDate,
+      tags,
+      projectId
     };
     
     tasks.push(task);
@@ -248,6 +205,49 @@ function generateSampleTasks(count = 50) {
   return tasks;
 }
 
+/**
+ * Generate a plausible status history for each inserted task
+ * @param {Array} tasks - Inserted task documents
+ * @returns {Array} Array of status transition objects
+ */
+function generateStatusTransitions(tasks) {
+  const transitions = [];
+
+  for (const task of tasks) {
+    transitions.push({
+      taskId: task._id,
+      fromStatus: null,
+      toStatus: 'pending',
+      changedAt: task.createdAt
+    });
+
+    if (task.status === 'pending') continue;
+
+    // Work starts somewhere between creation and completion (or last update)
+    const startedAt = task.status === 'completed'
+      ? getRandomDate(task.createdAt, task.completedAt)
+      : task.updatedAt;
+
+    transitions.push({
+      taskId: task._id,
+      fromStatus: 'pending',
+      toStatus: 'in-progress',
+      changedAt: startedAt
+    });
+
+    if (task.status === 'completed') {
+      transitions.push({
+        taskId: task._id,
+        fromStatus: 'in-progress',
+        toStatus: 'completed',
+        changedAt: task.completedAt
+      });
+    }
+  }
+
+  return transitions;
+}
+
 /**
  * Clear existing tasks and seed new sample data
  * @async
@@ -261,22 +261,55 @@ async function seedTasks(count = 50) {
     // Connect to database
     await connectMongoDB();
     
-    // Clear existing tasks
-    console.log('🗑️  Clearing existing tasks...');
-    const deleteResult = await Task.deleteMany({});
+    // Make sure there is an account to sign in with
+    let demoUser = await User.findOne({ email: DEMO_USER.email });
+    if (!demoUser) {
+      demoUser = await User.create({
+        email: DEMO_USER.email,
+        name: DEMO_USER.name,
+        passwordHash: await AuthService.hashPassword(DEMO_USER.password),
+        role: DEMO_USER.role
+      });
+    }
+    
+    const workspace = await Workspace.findOneAndUpdate(
+      { name: DEMO_WORKSPACE_NAME },
+      { $addToSet: { members: demoUser._id }, $setOnInsert: { createdBy: demoUser._id } },
+      { upsert: true, new: true }
+    );
+    const scope = { workspaceId: workspace._id };
+    
+    // Clear the demo workspace's existing tasks; other workspaces are left alone
+    console.log(`🗑️  Clearing existing tasks in "${DEMO_WORKSPACE_NAME}"...`);
+    // Read through the driver so trashed tasks, which deleteMany also removes, are included
+    const existingIds = await Task.collection.distinct('_id', scope);
+    const deleteResult = await Task.deleteMany(scope);
     console.log(`   Deleted ${deleteResult.deletedCount} existing tasks`);
+    await StatusTransition.deleteMany({ taskId: { $in: existingIds } });
+    await TaskRevision.deleteMany({ taskId: { $in: existingIds } });
+    await Tag.deleteMany(scope);
+    await Tag.insertMany(SEED_TAGS.map(tag => ({ ...tag, ...scope })));
+    await Project.deleteMany(scope);
+    const projects = await Project.insertMany(SEED_PROJECTS.map(project => ({ ...project, ...scope })));
     
     // Generate sample tasks
     console.log(`🎲 Generating ${count} sample tasks...`);
-    const sampleTasks = generateSampleTasks(count);
+    const sampleTasks = generateSampleTasks(count, projects).map(task => ({ ...task, ...scope }));
     
     // Insert tasks into database
     console.log('💾 Inserting tasks into database...');
     const insertResult = await Task.insertMany(sampleTasks);
     console.log(`   Successfully inserted ${insertResult.length} tasks`);
+
+    // Record status history for the inserted tasks
+    const transitions = await TaskHistoryService.recordBulkTransitions(
+      generateStatusTransitions(insertResult)
+    );
+    console.log(`   Recorded ${transitions.length} status transitions`);
     
     // Display summary statistics
     const stats = await Task.aggregate([
+      { $match: scope },
       {
         $group: {
           _id: '$status',
@@ -286,6 +319,7 @@ async function seedTasks(count = 50) {
     ]);
     
     const priorityStats = await Task.aggregate([
+      { $match: scope },
       {
         $group: {
           _id: '$priority',
@@ -305,14 +339,16 @@ async function seedTasks(count = 50) {
       console.log(`   ${stat._id}: ${stat.count} tasks`);
     });
     
-    const totalTasks = await Task.countDocuments();
-    const completedTasks = await Task.countDocuments({ status: 'completed' });
+    const totalTasks = await Task.countDocuments(scope);
+    const completedTasks = await Task.countDocuments({ ...scope, status: 'completed' });
     const completionRate = ((completedTasks / totalTasks) * 100).toFixed(1);
     
     console.log(`\n✅ Seeding completed successfully!`);
     console.log(`   Total tasks: ${totalTasks}`);
     console.log(`   Completion rate: ${completionRate}%`);
     
+    console.log(`   Sign in as ${DEMO_USER.email} / ${DEMO_USER.password}`);
+    
   } catch (error) {
     console.error('❌ Error seeding tasks:', error);
     process.exit(1);
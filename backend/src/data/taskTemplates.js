@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Sample tasks by category, used by the seed script and as the starter set of task templates
+ * @module data/taskTemplates
+ */
+
+/**
+ * Sample task titles categorized by type
+ * @type {Object<string, Array<string>>}
+ */
+export const TASK_TEMPLATES = {
+  development: [
+    'Implement user authentication system',
+    'Fix responsive design issues on mobile',
+    'Optimize database query performance',
+    'Add unit tests for API endpoints',
+    'Refactor legacy codebase components',
+    'Setup CI/CD pipeline configuration',
+    'Implement error handling middleware',
+    'Create API documentation',
+    'Add real-time notifications feature',
+    'Setup monitoring and logging system'
+  ],
+  design: [
+    'Create wireframes for new dashboard',
+    'Design user onboarding flow',
+    'Update brand color palette',
+    'Create icon set for navigation',
+    'Design mobile app interface',
+    'Update marketing website layout',
+    'Create user persona documentation',
+    'Design email templates',
+    'Update component library',
+    'Create accessibility guidelines'
+  ],
+  planning: [
+    'Review quarterly project goals',
+    'Plan sprint backlog for next iteration',
+    'Conduct user research interviews',
+    'Analyze competitor feature analysis',
+    'Define technical requirements document',
+    'Schedule team retrospective meeting',
+    'Review and update project timeline',
+    'Prepare stakeholder presentation',
+    'Define acceptance criteria for features',
+    'Plan database migration strategy'
+  ],
+  maintenance: [
+    'Update dependencies to latest versions',
+    'Clean up unused code and files',
+    'Backup production database',
+    'Review and update security policies',
+    'Monitor system performance metrics',
+    'Update server configurations',
+    'Review error logs and fix issues',
+    'Optimize image assets for web',
+    'Update documentation wiki',
+    'Audit third-party integrations'
+  ]
+};
+
+/**
+ * Sample descriptions matching each task category, in the order of TASK_TEMPLATES
+ * @type {Object<string, Array<string>>}
+ */
+export const DESCRIPTIONS = {
+  development: [
+    'Implement secure authentication with JWT tokens, password hashing, and session management. Include password reset functionality and email verification.',
+    'Address layout issues on tablets and smartphones. Ensure proper touch interactions and optimize for various screen sizes.',
+    'Analyze slow-running queries and implement indexing strategies. Consider query optimization and caching mechanisms.',
+    'Write comprehensive test coverage for all API endpoints including edge cases, error scenarios, and authentication flows.',
+    'Modernize outdated code patterns, improve code structure, and enhance maintainability while preserving functionality.',
+    'Configure automated testing, building, and deployment pipeline with proper staging environments and rollback capabilities.',
+    'Create robust error handling system with proper logging, user-friendly messages, and graceful degradation.',
+    'Generate comprehensive API documentation with examples, authentication details, and integration guides.',
+    'Build real-time notification system using WebSockets with proper error handling and offline support.',
+    'Setup application monitoring with metrics collection, alerting, and log aggregation for production systems.'
+  ],
+  design: [
+    'Create detailed wireframes showing user flow, navigation structure, and key interface elements for the new dashboard.',
+    'Design intuitive step-by-step onboarding process to help new users understand key features and get started quickly.',
+    'Refresh brand colors to align with current design trends while maintaining accessibility and brand recognition.',
+    'Design consistent icon set for navigation elements ensuring clarity, accessibility, and visual harmony across the interface.',
+    'Create mobile-first interface design with touch-optimized interactions and responsive layout patterns.',
+    'Redesign marketing pages with improved conversion focus, better content hierarchy, and modern visual appeal.',
+    'Document target user personas with demographics, goals, pain points, and behavioral patterns for better product decisions.',
+    'Design responsive email templates for notifications, newsletters, and transactional messages with dark mode support.',
+    'Update design system components with latest patterns, improved accessibility, and consistent spacing guidelines.',
+    'Establish accessibility standards including color contrast ratios, keyboard navigation, and screen reader compatibility.'
+  ],
+  planning: [
+    'Conduct comprehensive review of quarterly objectives, assess progress against goals, and identify areas for improvement.',
+    'Prioritize and estimate user stories for upcoming sprint, ensuring balanced workload and clear acceptance criteria.',
+    'Schedule and conduct user interviews to gather feedback on current features and understand future needs.',
+    'Research competitor features, pricing strategies, and market positioning to identify opportunities and threats.',
+    'Document detailed technical specifications including architecture decisions, data models, and integration requirements.',
+    'Facilitate team retrospective to discuss what went well, areas for improvement, and actionable next steps.',
+    'Update project timeline with realistic estimates, dependency mapping, and risk mitigation strategies.',
+    'Prepare executive presentation with project status, key metrics, upcoming milestones, and resource requirements.',
+    'Define clear, testable acceptance criteria for all user stories ensuring shared understanding across the team.',
+    'Plan database schema changes, migration scripts, and rollback procedures for upcoming feature releases.'
+  ],
+  maintenance: [
+    'Review and update all project dependencies, checking for security vulnerabilities and breaking changes.',
+    'Audit codebase for unused imports, dead code, and outdated patterns. Clean up and optimize for better performance.',
+    'Perform scheduled backup of production database with verification of backup integrity and restore procedures.',
+    'Review current security policies, access controls, and compliance requirements. Update based on latest best practices.',
+    'Analyze system performance metrics, identify bottlenecks, and implement optimizations for better user experience.',
+    'Update server configurations for security patches, performance improvements, and compliance requirements.',
+    'Investigate recent error patterns, implement fixes, and establish monitoring to prevent similar issues.',
+    'Compress and optimize images for faster loading times while maintaining visual quality across all devices.',
+    'Update internal documentation, API guides, and onboarding materials to reflect recent changes and improvements.',
+    'Review third-party service integrations for security, performance, and cost optimization opportunities.'
+  ]
+};
@@ -12,10 +12,16 @@ import dotenv from 'dotenv';
 import { connectMongoDB } from './config/database.js';
 import { connectRedis } from './config/redis.js';
 import apiRoutes, { setSocketHandlers } from './routes/api.js';
+import authRoutes from './routes/auth.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
 import SocketHandlers from './sockets/socketHandlers.js';
 import AnalyticsService from './services/analyticsService.js';
+import WorkspaceService from './services/workspaceService.js';
 import ExportCleanupJob from './jobs/exportCleanup.js';
+import MetricsRollupJob from './jobs/metricsRollup.js';
+import TaskReminderJob from './jobs/taskReminders.js';
+import RecurringTaskJob from './jobs/recurringTasks.js';
+import TrashPurgeJob from './jobs/trashPurge.js';
 
 dotenv.config();
 
@@ -39,6 +45,7 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+app.use('/api/auth', authRoutes);
 app.use('/api', apiRoutes);
 
 app.get('/', (req, res) => {
@@ -47,6 +54,8 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     status: 'running',
     endpoints: {
+      auth: '/api/auth',
+      workspaces: '/api/workspaces',
       tasks: '/api/tasks',
       analytics: '/api/analytics',
       health: '/api/health'
@@ -96,6 +105,10 @@ const startServer = async () => {
 
     // Fix any existing data issues
     console.log('🔧 Running data consistency checks...');
+    const adopted = await WorkspaceService.adoptLegacyData();
+    if (adopted > 0) {
+      console.log(`🗂️  Moved ${adopted} documents from before workspaces into a workspace`);
+    }
     await AnalyticsService.fixCompletedTasksData();
 
     server.listen(PORT, () => {
@@ -107,7 +120,9 @@ const startServer = async () => {
     // Broadcast analytics updates every 15 seconds (for any missed real-time updates)
     setInterval(async () => {
       try {
-        await socketHandlers.broadcastAnalyticsUpdate();
+        for (const workspaceId of socketHandlers.getActiveAnalyticsWorkspaces()) {
+          await socketHandlers.broadcastAnalyticsUpdate(workspaceId);
+        }
       } catch (error) {
         console.error('Error in metrics broadcast interval:', error);
       }
@@ -119,6 +134,18 @@ const startServer = async () => {
       console.log('🧹 Export cleanup job scheduled');
     }
 
+    // Refresh today's metrics snapshot every hour for trend analytics
+    MetricsRollupJob.schedule({ intervalHours: 1 });
+
+    // Check for due task reminders every minute
+    TaskReminderJob.schedule({ socketHandlers, intervalSeconds: 60 });
+
+    // Create the next instance of recurring tasks as their dates near
+    RecurringTaskJob.schedule({ socketHandlers, intervalMinutes: 15 });
+
+    // Permanently delete tasks that have outlived the trash retention period
+    TrashPurgeJob.schedule({ intervalHours: 24 });
+
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
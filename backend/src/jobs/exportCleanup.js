@@ -6,6 +6,8 @@
 import fs from 'fs/promises';
 import path from 'path';
 import Export from '../models/Export.js';
+import WorkspaceService from '../services/workspaceService.js';
+import AuditService from '../services/auditService.js';
 
 /**
  * Cleanup job for removing old export files and database records
@@ -19,12 +21,14 @@ class ExportCleanupJob {
    * @param {Object} options - Cleanup options
    * @param {number} [options.retentionDays=7] - Days to retain exports
    * @param {boolean} [options.dryRun=false] - If true, only logs what would be deleted
+   * @param {string} [options.workspaceId] - Only clean up this workspace's exports (all workspaces when omitted)
    * @returns {Promise<Object>} Cleanup results
    */
   static async run(options = {}) {
     const {
       retentionDays = 7,
-      dryRun = false
+      dryRun = false,
+      workspaceId
     } = options;
 
     console.log(`🧹 Starting export cleanup job (retention: ${retentionDays} days, dry run: ${dryRun})`);
@@ -42,6 +46,7 @@ class ExportCleanupJob {
     try {
       // Find old exports
       const oldExports = await Export.find({
+        ...(workspaceId ? WorkspaceService.buildWorkspaceScope(workspaceId) : {}),
         createdAt: { $lt: cutoffDate },
         status: { $in: ['completed', 'failed'] }
       }).lean();
@@ -83,8 +88,10 @@ class ExportCleanupJob {
         }
       }
 
-      // Clean up empty directories
-      await this.cleanupEmptyDirectories(dryRun);
+      // The exports directory is shared, so only a full run tidies it
+      if (!workspaceId) {
+        await this.cleanupEmptyDirectories(dryRun);
+      }
 
       console.log('✅ Export cleanup completed:');
       console.log(`   - Export records processed: ${results.exportRecordsDeleted}`);
@@ -156,6 +163,40 @@ class ExportCleanupJob {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
 
+  /**
+   * Runs the cleanup one workspace at a time so each run that deleted something or hit
+   * errors lands in that workspace's audit log, then tidies the shared exports directory
+   * @static
+   * @async
+   * @param {Object} options - Cleanup options
+   * @param {number} [options.retentionDays=7] - Days to retain exports
+   * @returns {Promise<Array<Object>>} Cleanup results per workspace
+   */
+  static async runScheduled(options = {}) {
+    const { retentionDays = 7 } = options;
+    const workspaceIds = await WorkspaceService.getWorkspaceIds();
+    const runs = [];
+
+    for (const workspaceId of workspaceIds) {
+      const results = await this.run({ retentionDays, workspaceId });
+
+      // Runs that found nothing to do would only bury the entries worth reading
+      if (results.exportRecordsDeleted > 0 || results.filesDeleted > 0 || results.errors.length > 0) {
+        await AuditService.record(AuditService.systemContext(workspaceId), {
+          action: 'export.cleanup',
+          targetType: 'export',
+          details: { retentionDays, dryRun: false, ...results }
+        });
+      }
+
+      runs.push({ workspaceId, ...results });
+    }
+
+    await this.cleanupEmptyDirectories();
+
+    return runs;
+  }
+
   /**
    * Schedules periodic cleanup
    * @static
@@ -174,7 +215,7 @@ class ExportCleanupJob {
 
     return setInterval(async () => {
       try {
-        await this.run({ retentionDays });
+        await this.runScheduled({ retentionDays });
       } catch (error) {
         console.error('💥 Scheduled cleanup failed:', error);
       }
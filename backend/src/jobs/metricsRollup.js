@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Daily metrics rollup job for historical trend analytics
+ * @module jobs/metricsRollup
+ */
+
+import Task from '../models/Task.js';
+import MetricsSnapshot from '../models/MetricsSnapshot.js';
+import AnalyticsService from '../services/analyticsService.js';
+import WorkspaceService from '../services/workspaceService.js';
+
+/**
+ * Rollup job that persists one metrics snapshot per workspace and UTC day
+ * @class MetricsRollupJob
+ */
+class MetricsRollupJob {
+  /**
+   * Captures every workspace's current metrics into its snapshot for the given day.
+   * Re-running on the same day refreshes that day's snapshots instead of adding more.
+   * @static
+   * @async
+   * @param {Object} options - Rollup options
+   * @param {Date} [options.date=new Date()] - Any moment within the day to snapshot
+   * @returns {Promise<Array<Object>>} Saved snapshots; workspaces whose rollup failed are left out
+   * @throws {Error} If the workspaces cannot be listed
+   */
+  static async run(options = {}) {
+    const { date = new Date() } = options;
+
+    const dayStart = this.startOfUtcDay(date);
+    const snapshots = [];
+
+    const workspaceIds = await WorkspaceService.getWorkspaceIds();
+
+    for (const workspaceId of workspaceIds) {
+      const snapshot = await this.snapshotWorkspace(workspaceId, dayStart);
+      if (snapshot) {
+        snapshots.push(snapshot);
+      }
+    }
+
+    console.log(`📈 Metrics snapshots saved for ${dayStart.toISOString().slice(0, 10)} (${snapshots.length} workspace(s))`);
+
+    return snapshots;
+  }
+
+  /**
+   * Captures one workspace's metrics into its snapshot for a day
+   * @static
+   * @async
+   * @param {ObjectId} workspaceId - Workspace ID
+   * @param {Date} dayStart - Start of the UTC day
+   * @returns {Promise<Object|null>} Saved snapshot, or null if the rollup failed
+   */
+  static async snapshotWorkspace(workspaceId, dayStart) {
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+
+    try {
+      const [metrics, tasksCreated, tasksCompleted] = await Promise.all([
+        AnalyticsService.calculateMetrics({ workspaceId }),
+        Task.countDocuments({ ...scope, createdAt: { $gte: dayStart, $lt: dayEnd } }),
+        Task.countDocuments({
+          ...scope,
+          status: 'completed',
+          completedAt: { $gte: dayStart, $lt: dayEnd }
+        })
+      ]);
+
+      return await MetricsSnapshot.findOneAndUpdate(
+        { ...scope, date: dayStart },
+        {
+          totalTasks: metrics.totalTasks,
+          tasksByStatus: metrics.tasksByStatus,
+          tasksByPriority: metrics.tasksByPriority,
+          backlog: metrics.tasksByStatus.pending + metrics.tasksByStatus['in-progress'],
+          completionRate: metrics.completionRate,
+          averageCompletionTime: metrics.averageCompletionTime,
+          tasksCreated,
+          tasksCompleted,
+          capturedAt: new Date()
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      console.error(`💥 Metrics rollup failed for workspace ${workspaceId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Returns midnight UTC for the given date
+   * @static
+   * @param {Date} date - Any date
+   * @returns {Date} Start of the UTC day
+   */
+  static startOfUtcDay(date) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+  }
+
+  /**
+   * Schedules periodic rollups, running one immediately
+   * @static
+   * @param {Object} options - Schedule options
+   * @param {number} [options.intervalHours=1] - Hours between snapshot refreshes
+   * @returns {NodeJS.Timeout} Timer reference
+   */
+  static schedule(options = {}) {
+    const { intervalHours = 1 } = options;
+
+    console.log(`⏰ Scheduling metrics rollup every ${intervalHours} hours`);
+
+    this.run().catch(error => {
+      console.error('💥 Initial metrics rollup failed:', error);
+    });
+
+    return setInterval(async () => {
+      try {
+        await this.run();
+      } catch (error) {
+        console.error('💥 Scheduled metrics rollup failed:', error);
+      }
+    }, intervalHours * 60 * 60 * 1000);
+  }
+}
+
+export default MetricsRollupJob;
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Recurring task job that creates the next instance of each series as its date nears
+ * @module jobs/recurringTasks
+ */
+
+import RecurrenceService from '../services/recurrenceService.js';
+import AnalyticsService from '../services/analyticsService.js';
+
+/**
+ * Job creating the next instance of recurring tasks whose next due date is within the lead
+ * time (RECURRENCE_LEAD_HOURS). Completing an instance creates the next one right away; this
+ * job covers series whose current instance is still open when the next one comes due.
+ * @class RecurringTaskJob
+ */
+class RecurringTaskJob {
+  /**
+   * Creates every next instance that is due
+   * @static
+   * @async
+   * @param {Object} options - Run options
+   * @param {Object} [options.socketHandlers=null] - Socket handlers for broadcasting
+   * @param {Date} [options.now=new Date()] - Reference time
+   * @param {number} [options.batchSize=100] - Maximum series handled per run
+   * @returns {Promise<Object>} Run results with created and skipped counts
+   */
+  static async run(options = {}) {
+    const { socketHandlers = null, now = new Date(), batchSize = 100 } = options;
+
+    const results = { created: 0, skipped: 0 };
+    const dueTasks = await RecurrenceService.findDue(now, batchSize);
+
+    for (const task of dueTasks) {
+      try {
+        const instance = await RecurrenceService.materializeNext(task);
+
+        // Another instance of the backend, or a completion, got there first
+        if (!instance) {
+          results.skipped++;
+          continue;
+        }
+
+        await AnalyticsService.invalidateCache({ workspaceId: instance.workspaceId });
+
+        if (socketHandlers) {
+          socketHandlers.broadcastTaskUpdate('created', this.toBroadcast(instance));
+        }
+        results.created++;
+      } catch (error) {
+        console.error(`💥 Failed to create the next instance of task ${task._id}:`, error);
+      }
+    }
+
+    if (results.created > 0) {
+      console.log(`🔁 Created ${results.created} recurring task instance(s)`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Shapes a new instance like the task API returns it. A new instance has neither subtasks
+   * nor blockers, so there is nothing to look up.
+   * @static
+   * @param {Object} instance - Created task document
+   * @returns {Object} Task with an empty rollup and blocked state
+   */
+  static toBroadcast(instance) {
+    return { ...instance.toObject(), rollup: null, blocked: false };
+  }
+
+  /**
+   * Schedules periodic checks, running one immediately
+   * @static
+   * @param {Object} options - Schedule options
+   * @param {Object} [options.socketHandlers=null] - Socket handlers for broadcasting
+   * @param {number} [options.intervalMinutes=15] - Minutes between checks
+   * @returns {NodeJS.Timeout} Timer reference
+   */
+  static schedule(options = {}) {
+    const { socketHandlers = null, intervalMinutes = 15 } = options;
+
+    console.log(`🔁 Scheduling recurring tasks every ${intervalMinutes} minutes (lead time: ${RecurrenceService.getLeadHours()} hours)`);
+
+    this.run({ socketHandlers }).catch(error => {
+      console.error('💥 Initial recurring task check failed:', error);
+    });
+
+    return setInterval(async () => {
+      try {
+        await this.run({ socketHandlers });
+      } catch (error) {
+        console.error('💥 Scheduled recurring task check failed:', error);
+      }
+    }, intervalMinutes * 60 * 1000);
+  }
+}
+
+export default RecurringTaskJob;
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Task reminder job that notifies a task's workspace when its reminder time arrives
+ * @module jobs/taskReminders
+ */
+
+import Task from '../models/Task.js';
+import Notification from '../models/Notification.js';
+
+/**
+ * Reminder job that sends each task reminder once, even with several backend instances.
+ * Delivery is keyed on a unique notification per task and reminder time, so a reminder
+ * that another instance (or a run before a restart) already stored is never re-sent.
+ * @class TaskReminderJob
+ */
+class TaskReminderJob {
+  /**
+   * Sends notifications for all reminders that are due
+   * @static
+   * @async
+   * @param {Object} options - Run options
+   * @param {Object} [options.socketHandlers=null] - Socket handlers for broadcasting
+   * @param {Date} [options.now=new Date()] - Reference time
+   * @param {number} [options.batchSize=100] - Maximum reminders handled per run
+   * @returns {Promise<Object>} Run results with sent and skipped counts
+   */
+  static async run(options = {}) {
+    const { socketHandlers = null, now = new Date(), batchSize = 100 } = options;
+
+    const results = { sent: 0, skipped: 0 };
+
+    const dueTasks = await Task.find({
+      reminderSentAt: null,
+      reminderAt: { $ne: null, $lte: now },
+      status: { $ne: 'completed' }
+    })
+      .sort({ reminderAt: 1 })
+      .limit(batchSize)
+      .lean();
+
+    for (const task of dueTasks) {
+      try {
+        const sent = await this.sendReminder(task, { socketHandlers, now });
+        sent ? results.sent++ : results.skipped++;
+      } catch (error) {
+        console.error(`💥 Failed to send reminder for task ${task._id}:`, error);
+      }
+    }
+
+    if (results.sent > 0) {
+      console.log(`⏰ Sent ${results.sent} task reminder(s)`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Persists and broadcasts a single reminder, then marks it as sent
+   * @static
+   * @async
+   * @param {Object} task - Task whose reminder is due
+   * @param {Object} options - Send options
+   * @param {Object} [options.socketHandlers=null] - Socket handlers for broadcasting
+   * @param {Date} [options.now=new Date()] - Reference time
+   * @returns {Promise<boolean>} True if this call delivered the reminder
+   */
+  static async sendReminder(task, options = {}) {
+    const { socketHandlers = null, now = new Date() } = options;
+    const message = this.buildReminderMessage(task, now);
+    const type = this.isOverdue(task, now) ? 'warning' : 'info';
+
+    let notification = null;
+    try {
+      notification = await Notification.create({
+        message,
+        type,
+        kind: 'reminder',
+        taskId: task._id,
+        workspaceId: task.workspaceId,
+        dedupeKey: this.getDedupeKey(task)
+      });
+    } catch (error) {
+      // Already delivered by another instance or before a restart
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    if (notification && socketHandlers) {
+      socketHandlers.broadcastNotification(task.workspaceId, message, type, {
+        notificationId: notification._id,
+        kind: 'reminder',
+        taskId: task._id
+      });
+    }
+
+    // Only mark the reminder that was sent; a reminder rescheduled meanwhile stays pending
+    await Task.updateOne(
+      { _id: task._id, reminderAt: task.reminderAt, reminderSentAt: null },
+      { $set: { reminderSentAt: now } }
+    );
+
+    return notification !== null;
+  }
+
+  /**
+   * Builds the key identifying one reminder of one task
+   * @static
+   * @param {Object} task - Task with _id and reminderAt
+   * @returns {string} Dedupe key
+   */
+  static getDedupeKey(task) {
+    return `reminder:${task._id}:${new Date(task.reminderAt).toISOString()}`;
+  }
+
+  /**
+   * Checks whether the task is already past its due date
+   * @static
+   * @param {Object} task - Task with dueDate
+   * @param {Date} now - Reference time
+   * @returns {boolean} True if the task is overdue
+   */
+  static isOverdue(task, now) {
+    return Boolean(task.dueDate) && new Date(task.dueDate) < now;
+  }
+
+  /**
+   * Builds the reminder notification text
+   * @static
+   * @param {Object} task - Task with title and optional dueDate
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {string} Notification message
+   */
+  static buildReminderMessage(task, now = new Date()) {
+    if (!task.dueDate) {
+      return `⏰ Reminder: "${task.title}"`;
+    }
+
+    const due = new Date(task.dueDate).toISOString().slice(0, 16).replace('T', ' ');
+
+    return this.isOverdue(task, now)
+      ? `⏰ Reminder: "${task.title}" was due ${due} UTC and is overdue`
+      : `⏰ Reminder: "${task.title}" is due ${due} UTC`;
+  }
+
+  /**
+   * Schedules periodic reminder checks, running one immediately
+   * @static
+   * @param {Object} options - Schedule options
+   * @param {Object} [options.socketHandlers=null] - Socket handlers for broadcasting
+   * @param {number} [options.intervalSeconds=60] - Seconds between checks
+   * @returns {NodeJS.Timeout} Timer reference
+   */
+  static schedule(options = {}) {
+    const { socketHandlers = null, intervalSeconds = 60 } = options;
+
+    console.log(`⏰ Scheduling task reminders every ${intervalSeconds} seconds`);
+
+    this.run({ socketHandlers }).catch(error => {
+      console.error('💥 Initial reminder check failed:', error);
+    });
+
+    return setInterval(async () => {
+      try {
+        await this.run({ socketHandlers });
+      } catch (error) {
+        console.error('💥 Scheduled reminder check failed:', error);
+      }
+    }, intervalSeconds * 1000);
+  }
+}
+
+export default TaskReminderJob;
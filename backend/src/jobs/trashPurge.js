@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Trash purge job for permanently deleting tasks past the trash retention period
+ * @module jobs/trashPurge
+ */
+
+import TrashService from '../services/trashService.js';
+import WorkspaceService from '../services/workspaceService.js';
+import AuditService from '../services/auditService.js';
+
+/**
+ * Job that empties expired tasks from each workspace's trash
+ * @class TrashPurgeJob
+ */
+class TrashPurgeJob {
+  /**
+   * Purges expired trashed tasks one workspace at a time, recording each purge in
+   * that workspace's audit log
+   * @static
+   * @async
+   * @param {Object} options - Purge options
+   * @param {number} [options.retentionDays] - Days tasks stay in the trash (defaults to TRASH_RETENTION_DAYS)
+   * @returns {Promise<Array<Object>>} Purge results for workspaces that had expired tasks
+   */
+  static async run(options = {}) {
+    const { retentionDays = TrashService.getRetentionDays() } = options;
+    const workspaceIds = await WorkspaceService.getWorkspaceIds();
+    const runs = [];
+
+    for (const workspaceId of workspaceIds) {
+      try {
+        const results = await TrashService.purgeExpired(workspaceId, retentionDays);
+        if (results.tasksPurged === 0) continue;
+
+        await AuditService.record(AuditService.systemContext(workspaceId), {
+          action: 'task.purge',
+          targetType: 'task',
+          details: { retentionDays, ...results }
+        });
+
+        console.log(`🗑️  Purged ${results.tasksPurged} trashed tasks in workspace ${workspaceId}`);
+        runs.push({ workspaceId, ...results });
+      } catch (error) {
+        console.error(`❌ Trash purge failed for workspace ${workspaceId}:`, error);
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Schedules periodic purges
+   * @static
+   * @param {Object} options - Schedule options
+   * @param {number} [options.intervalHours=24] - Hours between purge runs
+   * @param {number} [options.retentionDays] - Days tasks stay in the trash
+   * @returns {NodeJS.Timeout} Timer reference
+   */
+  static schedule(options = {}) {
+    const {
+      intervalHours = 24,
+      retentionDays = TrashService.getRetentionDays()
+    } = options;
+
+    console.log(`⏰ Scheduling trash purge every ${intervalHours} hours (retention: ${retentionDays} days)`);
+
+    return setInterval(async () => {
+      try {
+        await this.run({ retentionDays });
+      } catch (error) {
+        console.error('💥 Scheduled trash purge failed:', error);
+      }
+    }, intervalHours * 60 * 60 * 1000);
+  }
+}
+
+export default TrashPurgeJob;
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Authentication middleware for Express routes and Socket.IO connections
+ * @module middleware/auth
+ */
+
+import AuthService from '../services/authService.js';
+import ApiTokenService from '../services/apiTokenService.js';
+
+/**
+ * Reads a bearer token from an Authorization header
+ * @param {string} [header] - Authorization header value
+ * @returns {string|null} Token, or null if the header is missing or not a bearer token
+ */
+const getBearerToken = (header) => {
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Sends the 401 response for a failed authentication, passing other errors on
+ * @param {Error} error - Error from token verification
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const rejectUnauthenticated = (error, res, next) => {
+  if (error.statusCode !== 401) return next(error);
+
+  res.status(401).json({
+    success: false,
+    message: error.message
+  });
+};
+
+/**
+ * Express middleware requiring a valid access token or API token; sets req.user.
+ * API tokens (prefixed 'tat_') also set req.apiToken with the token's scopes.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Object|Promise<void>|void} 401 JSON response when the request is not authenticated
+ */
+const authenticate = (req, res, next) => {
+  const token = getBearerToken(req.headers.authorization);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (ApiTokenService.isApiToken(token)) {
+    return ApiTokenService.authenticate(token).then(
+      ({ user, token: apiToken }) => {
+        req.user = user;
+        req.apiToken = apiToken;
+        next();
+      },
+      error => rejectUnauthenticated(error, res, next)
+    );
+  }
+
+  try {
+    req.user = AuthService.verifyAccessToken(token);
+    next();
+  } catch (error) {
+    rejectUnauthenticated(error, res, next);
+  }
+};
+
+/**
+ * Socket.IO middleware requiring a valid access token in the handshake; sets socket.user
+ * @param {Object} socket - Socket.IO socket
+ * @param {Function} next - Socket.IO next function
+ */
+const authenticateSocket = (socket, next) => {
+  const token = socket.handshake.auth?.token || getBearerToken(socket.handshake.headers?.authorization);
+
+  if (!token) {
+    return next(new Error('Authentication required'));
+  }
+
+  try {
+    socket.user = AuthService.verifyAccessToken(token);
+    next();
+  } catch (error) {
+    next(new Error(error.message));
+  }
+};
+
+export { authenticate, authenticateSocket, getBearerToken };
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Role-based permission checks for Express routes and Socket.IO events
+ * @module middleware/permissions
+ */
+
+import { ROLES } from '../models/User.js';
+
+/**
+ * Least privileged role granted each permission; every role above it has it too
+ * @type {Object<string, string>}
+ */
+export const PERMISSIONS = {
+  'tasks:read': 'viewer',
+  'analytics:read': 'viewer',
+  'tasks:write': 'member',
+  'tasks:delete': 'manager',
+  'projects:manage': 'manager',
+  'tags:manage': 'manager',
+  'templates:manage': 'manager',
+  'exports:create': 'manager',
+  'exports:read': 'manager',
+  'audit:read': 'manager',
+  'admin:cleanup': 'admin',
+  'users:manage': 'admin',
+  'workspaces:manage': 'admin'
+};
+
+/**
+ * Checks whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission name from PERMISSIONS
+ * @returns {boolean} True if the role is at least the permission's minimum role
+ */
+export const hasPermission = (role, permission) => {
+  const required = PERMISSIONS[permission];
+  const rank = ROLES.indexOf(role);
+
+  return required !== undefined && rank !== -1 && rank >= ROLES.indexOf(required);
+};
+
+/**
+ * Lists the permissions a role grants
+ * @param {string} role - User role
+ * @returns {string[]} Permission names
+ */
+export const getPermissions = (role) =>
+  Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+
+/**
+ * Creates the 403 error passed to errorHandler when access is denied
+ * @param {string} reason - What is missing, e.g. 'requires tasks:write permission'
+ * @returns {Error} Error with statusCode 403
+ */
+const createForbiddenError = (reason) => {
+  const error = new Error(`Forbidden - ${reason}`);
+  error.statusCode = 403;
+  return error;
+};
+
+/**
+ * Express middleware factory requiring a permission from the signed-in user (set by authenticate).
+ * Requests made with an API token also need the permission among the token's scopes.
+ * @param {string} permission - Permission name from PERMISSIONS
+ * @returns {Function} Middleware that forwards a 403 error when the user's role or token lacks the permission
+ * @throws {Error} If the permission is not defined, so typos fail at startup
+ */
+export const requirePermission = (permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (!hasPermission(req.user?.role, permission)) {
+      return next(createForbiddenError(`requires ${permission} permission`));
+    }
+
+    if (req.apiToken && !req.apiToken.scopes.includes(permission)) {
+      return next(createForbiddenError(`API token lacks the ${permission} scope`));
+    }
+
+    next();
+  };
+};
+
+/**
+ * Express middleware rejecting requests authenticated with an API token,
+ * for routes that only make sense in an interactive session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requireSession = (req, res, next) => {
+  if (req.apiToken) {
+    return next(createForbiddenError('not available to API tokens'));
+  }
+  next();
+};
+
+/**
+ * Checks a socket's user for a permission, emitting 'permission-denied' when it is missing
+ * @param {Object} socket - Socket.IO socket with socket.user set by authenticateSocket
+ * @param {string} permission - Permission name from PERMISSIONS
+ * @param {string} event - Event being handled, echoed back to the client on denial
+ * @returns {boolean} True if the event may proceed
+ */
+export const authorizeSocket = (socket, permission, event) => {
+  if (hasPermission(socket.user?.role, permission)) return true;
+
+  socket.emit('permission-denied', {
+    event,
+    message: createForbiddenError(`requires ${permission} permission`).message
+  });
+  return false;
+};
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Workspace membership checks for Express routes and Socket.IO connections
+ * @module middleware/workspace
+ */
+
+import WorkspaceService from '../services/workspaceService.js';
+
+/**
+ * Request header naming the workspace a request acts on
+ * @type {string}
+ */
+export const WORKSPACE_HEADER = 'X-Workspace-Id';
+
+/**
+ * Express middleware requiring the X-Workspace-Id header to name a workspace the
+ * signed-in user (set by authenticate) belongs to; sets req.workspace
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requireWorkspace = (req, res, next) => {
+  const workspaceId = req.get(WORKSPACE_HEADER);
+
+  if (!workspaceId) {
+    return res.status(400).json({
+      success: false,
+      message: `The ${WORKSPACE_HEADER} header is required`
+    });
+  }
+
+  if (!WorkspaceService.isValidWorkspaceId(workspaceId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid workspace ID format'
+    });
+  }
+
+  WorkspaceService.getWorkspaceForMember(workspaceId, req.user.id).then((workspace) => {
+    if (!workspace) {
+      const error = new Error('Forbidden - not a member of this workspace');
+      error.statusCode = 403;
+      return next(error);
+    }
+
+    req.workspace = workspace;
+    next();
+  }, next);
+};
+
+/**
+ * Socket.IO middleware requiring the handshake (auth.workspaceId) to name a workspace the
+ * socket's user (set by authenticateSocket) belongs to; sets socket.workspaceId.
+ * Clients reconnect to switch workspaces, so a socket only ever receives one workspace's events.
+ * @param {Object} socket - Socket.IO socket
+ * @param {Function} next - Socket.IO next function
+ */
+export const authorizeSocketWorkspace = (socket, next) => {
+  const workspaceId = socket.handshake.auth?.workspaceId;
+
+  if (!WorkspaceService.isValidWorkspaceId(workspaceId)) {
+    return next(new Error('Workspace required'));
+  }
+
+  WorkspaceService.getWorkspaceForMember(workspaceId, socket.user.id).then((workspace) => {
+    if (!workspace) {
+      return next(new Error('Not a member of this workspace'));
+    }
+
+    socket.workspaceId = String(workspace._id);
+    next();
+  }, next);
+};
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview ApiToken model for personal access tokens used by scripts and integrations
+ * @module models/ApiToken
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for ApiToken documents
+ * @typedef {Object} ApiTokenSchema
+ * @property {ObjectId} userId - Owner; requests made with the token act as this user
+ * @property {string} name - Label chosen by the owner (required, max 100 chars)
+ * @property {string} tokenHash - SHA-256 hash of the secret (never selected by default)
+ * @property {string} prefix - First characters of the secret, shown to tell tokens apart
+ * @property {string[]} scopes - Permissions the token may use, on top of the owner's role
+ * @property {Date} expiresAt - Time after which the token is rejected
+ * @property {Date} lastUsedAt - Time of the last authenticated request (null if never used)
+ * @property {Date} revokedAt - Time the owner revoked the token (null while active)
+ * @property {Date} createdAt - Token creation timestamp
+ */
+const apiTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    required: true,
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'A token needs at least one scope'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+/**
+ * ApiToken model for managing token documents in MongoDB
+ * @type {mongoose.Model}
+ */
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+export default ApiToken;
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Audit log model for an append-only record of task and export mutations
+ * @module models/AuditLog
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Actions recorded in the audit log
+ * @type {Array<string>}
+ */
+export const AUDIT_ACTIONS = [
+  'task.create',
+  'task.update',
+  'task.delete',
+  'task.restore',
+  'task.purge',
+  'export.create',
+  'export.download',
+  'export.cleanup'
+];
+
+/**
+ * Kinds of documents an audit entry can point at
+ * @type {Array<string>}
+ */
+export const AUDIT_TARGET_TYPES = ['task', 'export'];
+
+/**
+ * Mongoose schema for AuditLog documents
+ * @typedef {Object} AuditLogSchema
+ * @property {ObjectId} workspaceId - Workspace the change happened in
+ * @property {ObjectId|null} actorId - User who made the change (null for scheduled jobs)
+ * @property {string} actorName - Actor's name at the time, kept after the account is gone
+ * @property {string|null} actorEmail - Actor's email at the time
+ * @property {ObjectId|null} apiTokenId - API token the request was made with, if any
+ * @property {string} action - What happened, e.g. 'task.delete'
+ * @property {string} targetType - Kind of document changed ('task' or 'export')
+ * @property {ObjectId|null} targetId - Document changed (null for cleanup and purge runs)
+ * @property {Object|null} before - Changed fields before the change (null for creations)
+ * @property {Object|null} after - Changed fields after the change (null for deletions)
+ * @property {Object|null} details - Extra context, e.g. cleanup results
+ * @property {string|null} ip - Client IP address (null for scheduled jobs)
+ * @property {Date} createdAt - When the change happened
+ */
+const auditLogSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorName: {
+    type: String,
+    default: 'System'
+  },
+  actorEmail: {
+    type: String,
+    default: null
+  },
+  apiTokenId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiToken',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: AUDIT_TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Newest-first listing per workspace, optionally narrowed to an actor or a target
+auditLogSchema.index({ workspaceId: 1, createdAt: -1 });
+auditLogSchema.index({ workspaceId: 1, actorId: 1, createdAt: -1 });
+auditLogSchema.index({ workspaceId: 1, targetId: 1, createdAt: -1 });
+
+/**
+ * Rejects any write that would change or remove an existing entry
+ * @throws {Error} Always
+ */
+function rejectMutation() {
+  throw new Error('Audit log entries cannot be changed or deleted');
+}
+
+// Entries are append-only: block every update and delete path mongoose offers
+for (const operation of [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+]) {
+  auditLogSchema.pre(operation, rejectMutation);
+}
+
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) rejectMutation();
+});
+
+/**
+ * AuditLog model for managing audit entries in MongoDB
+ * @type {mongoose.Model}
+ */
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -17,6 +17,7 @@ import mongoose from 'mongoose';
  * @property {Date} createdAt - Export creation timestamp
  * @property {Date} completedAt - Export completion timestamp
  * @property {string} error - Error message if export failed
+ * @property {ObjectId} workspaceId - Workspace whose tasks were exported
  */
 const exportSchema = new mongoose.Schema({
   format: {
@@ -55,6 +56,12 @@ const exportSchema = new mongoose.Schema({
   },
   error: {
     type: String
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
   }
 }, {
   timestamps: true
@@ -63,6 +70,7 @@ const exportSchema = new mongoose.Schema({
 // Compound indexes for efficient queries
 exportSchema.index({ status: 1, createdAt: -1 });
 exportSchema.index({ createdAt: -1 });
+exportSchema.index({ workspaceId: 1, createdAt: -1 });
 
 /**
  * Pre-save middleware to set completedAt when status changes to completed/failed
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Metrics snapshot model for historical daily analytics
+ * @module models/MetricsSnapshot
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for MetricsSnapshot documents
+ * @typedef {Object} MetricsSnapshotSchema
+ * @property {ObjectId} workspaceId - Workspace the metrics were calculated for
+ * @property {Date} date - Start of the UTC day the snapshot covers (unique per workspace)
+ * @property {number} totalTasks - Total number of tasks
+ * @property {Object} tasksByStatus - Counts per status
+ * @property {Object} tasksByPriority - Counts per priority
+ * @property {number} backlog - Open tasks (pending + in-progress)
+ * @property {number} completionRate - Completion rate percentage (0-100)
+ * @property {number} averageCompletionTime - Average completion time in hours
+ * @property {number} tasksCreated - Tasks created during the day
+ * @property {number} tasksCompleted - Tasks completed during the day
+ * @property {Date} capturedAt - When the snapshot was last refreshed
+ */
+const metricsSnapshotSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  totalTasks: {
+    type: Number,
+    default: 0
+  },
+  tasksByStatus: {
+    pending: { type: Number, default: 0 },
+    'in-progress': { type: Number, default: 0 },
+    completed: { type: Number, default: 0 }
+  },
+  tasksByPriority: {
+    low: { type: Number, default: 0 },
+    medium: { type: Number, default: 0 },
+    high: { type: Number, default: 0 }
+  },
+  backlog: {
+    type: Number,
+    default: 0
+  },
+  completionRate: {
+    type: Number,
+    default: 0
+  },
+  averageCompletionTime: {
+    type: Number,
+    default: 0
+  },
+  tasksCreated: {
+    type: Number,
+    default: 0
+  },
+  tasksCompleted: {
+    type: Number,
+    default: 0
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One snapshot per workspace and day
+metricsSnapshotSchema.index({ workspaceId: 1, date: 1 }, { unique: true });
+
+/**
+ * MetricsSnapshot model for managing daily metrics documents in MongoDB
+ * @type {mongoose.Model}
+ */
+const MetricsSnapshot = mongoose.model('MetricsSnapshot', metricsSnapshotSchema);
+
+export default MetricsSnapshot;
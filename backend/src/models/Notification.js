@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Notification model for persisting notifications sent to clients
+ * @module models/Notification
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for Notification documents
+ * @typedef {Object} NotificationSchema
+ * @property {string} message - Notification text
+ * @property {string} type - Notification type: 'info', 'success', 'warning' or 'error'
+ * @property {string} kind - What produced the notification (e.g. 'reminder')
+ * @property {ObjectId} taskId - Related task (null for general notifications)
+ * @property {ObjectId} workspaceId - Workspace whose members see the notification
+ * @property {string} dedupeKey - Unique key preventing the same notification from being stored twice
+ * @property {Date} createdAt - When the notification was sent
+ */
+const notificationSchema = new mongoose.Schema({
+  message: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  type: {
+    type: String,
+    enum: ['info', 'success', 'warning', 'error'],
+    default: 'info'
+  },
+  kind: {
+    type: String,
+    default: 'general',
+    index: true
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null,
+    index: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  dedupeKey: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+// A notification with a dedupe key is stored at most once, across all backend instances
+notificationSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+/**
+ * Notification model for managing notification documents in MongoDB
+ * @type {mongoose.Model}
+ */
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Project model for grouping tasks by product or initiative
+ * @module models/Project
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for Project documents
+ * @typedef {Object} ProjectSchema
+ * @property {string} name - Project name, unique within the workspace (required, max 100 chars)
+ * @property {string} description - Project description (optional, max 500 chars)
+ * @property {string} color - Display color as a hex code
+ * @property {boolean} archived - Archived projects are hidden from pickers and accept no new tasks
+ * @property {ObjectId} workspaceId - Workspace the project belongs to
+ * @property {Date} createdAt - Project creation timestamp
+ * @property {Date} updatedAt - Project last update timestamp
+ */
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  color: {
+    type: String,
+    default: '#1976D2',
+    match: /^#[0-9a-fA-F]{6}$/
+  },
+  archived: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// Project names only need to be unique within a workspace
+projectSchema.index({ workspaceId: 1, name: 1 }, { unique: true });
+
+/**
+ * Project model for managing project documents in MongoDB
+ * @type {mongoose.Model}
+ */
+const Project = mongoose.model('Project', projectSchema);
+
+export default Project;
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Status transition model for recording task status history
+ * @module models/StatusTransition
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Task statuses a transition can move between
+ * @type {Array<string>}
+ */
+const TASK_STATUSES = ['pending', 'in-progress', 'completed'];
+
+/**
+ * Mongoose schema for StatusTransition documents
+ * @typedef {Object} StatusTransitionSchema
+ * @property {ObjectId} taskId - Task the transition belongs to
+ * @property {ObjectId} workspaceId - Workspace of the task
+ * @property {string|null} fromStatus - Previous status (null when the task was created)
+ * @property {string} toStatus - New status
+ * @property {Date} changedAt - When the status change happened
+ * @property {string} source - Origin of the change: 'create', 'update' or 'bulk'
+ */
+const statusTransitionSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  fromStatus: {
+    type: String,
+    enum: [...TASK_STATUSES, null],
+    default: null
+  },
+  toStatus: {
+    type: String,
+    enum: TASK_STATUSES,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  source: {
+    type: String,
+    enum: ['create', 'update', 'bulk'],
+    default: 'update'
+  }
+});
+
+// Compound indexes for timeline and flow queries; the first also serves lookups by task
+statusTransitionSchema.index({ taskId: 1, changedAt: 1 });
+statusTransitionSchema.index({ toStatus: 1, changedAt: 1 });
+
+/**
+ * StatusTransition model for managing status history documents in MongoDB
+ * @type {mongoose.Model}
+ */
+const StatusTransition = mongoose.model('StatusTransition', statusTransitionSchema);
+
+export default StatusTransition;
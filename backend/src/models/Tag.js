@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Tag model for the registry of task labels
+ * @module models/Tag
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Allowed tag names: lowercase letters, digits, dashes and underscores
+ * @type {RegExp}
+ */
+export const TAG_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,29}$/;
+
+/**
+ * Color assigned to tags registered without one
+ * @type {string}
+ */
+export const DEFAULT_TAG_COLOR = '#607D8B';
+
+/**
+ * Mongoose schema for Tag documents
+ * @typedef {Object} TagSchema
+ * @property {string} name - Tag name as stored on tasks, unique within the workspace (lowercase, max 30 chars)
+ * @property {string} color - Display color as a hex code
+ * @property {ObjectId} workspaceId - Workspace the tag belongs to
+ * @property {Date} createdAt - Tag creation timestamp
+ */
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: TAG_NAME_PATTERN
+  },
+  color: {
+    type: String,
+    default: DEFAULT_TAG_COLOR,
+    match: /^#[0-9a-fA-F]{6}$/
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// Tag names only need to be unique within a workspace
+tagSchema.index({ workspaceId: 1, name: 1 }, { unique: true });
+
+/**
+ * Tag model for managing tag documents in MongoDB
+ * @type {mongoose.Model}
+ */
+const Tag = mongoose.model('Tag', tagSchema);
+
+export default Tag;
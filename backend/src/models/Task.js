@@ -17,7 +17,101 @@ import mongoose from 'mongoose';
  * @property {Date} completedAt - Task completion timestamp (null if not completed)
  * @property {number} estimatedTime - Estimated completion time in minutes
  * @property {number} actualTime - Actual completion time in minutes
+ * @property {Date} dueDate - When the task is due (null if it has no due date)
+ * @property {Date} reminderAt - When to send a reminder (null if no reminder is set)
+ * @property {Date} reminderSentAt - When the current reminder was sent (null until it fires)
+ * @property {Array<string>} tags - Names of tags from the tag registry
+ * @property {ObjectId} projectId - Project the task belongs to (null if unassigned)
+ * @property {Array<ObjectId>} assignees - Users the task is assigned to
+ * @property {ObjectId} workspaceId - Workspace the task belongs to
+ * @property {Date} deletedAt - When the task was moved to the trash (null unless trashed)
+ * @property {ObjectId} deletedBy - User who moved the task to the trash
+ * @property {number} version - Revision counter bumped on every change, used to reject stale updates
+ * @property {ObjectId} parentId - Task this is a subtask of (null for top-level tasks)
+ * @property {boolean} autoComplete - Complete the task automatically once all its subtasks are completed
+ * @property {Array<ObjectId>} blockedBy - Tasks that must be completed before this one can start
+ * @property {RecurrenceRule} recurrence - Schedule the task repeats on (null for one-off tasks)
+ * @property {ObjectId} recurrenceSeriesId - First task of the series this task repeats (null for one-off tasks)
+ * @property {number} recurrenceIndex - Position of the task in its series, starting at 1
+ * @property {Date} nextOccurrenceAt - Due date of the next instance while it is still to be created
+ * @property {Array<ChecklistItem>} checklist - Ordered checklist of small steps that are not tasks of their own
  */
+
+/**
+ * Schedule rule of a recurring task, modelled on iCalendar RRULEs
+ * @typedef {Object} RecurrenceRule
+ * @property {string} frequency - 'daily', 'weekly' or 'monthly'
+ * @property {number} interval - Days, weeks or months between instances
+ * @property {Array<string>} byWeekday - Weekdays of weekly rules ('MO' to 'SU'; empty repeats the first due date's weekday)
+ * @property {number} byMonthDay - Day of the month of monthly rules
+ * @property {number} count - Number of instances after which the series ends (null for no limit)
+ * @property {Date} until - Date after which the series ends (null for no end date)
+ * @property {string} timezone - IANA timezone the weekdays and month days are counted in
+ */
+export const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 365
+  },
+  byWeekday: {
+    type: [{ type: String, enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'] }],
+    default: []
+  },
+  byMonthDay: {
+    type: Number,
+    default: null,
+    min: 1,
+    max: 31
+  },
+  count: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  until: {
+    type: Date,
+    default: null
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Item of a task's checklist
+ * @typedef {Object} ChecklistItem
+ * @property {ObjectId} _id - Item ID, used to toggle, remove and reorder the item
+ * @property {string} text - What needs doing (required, max 200 chars)
+ * @property {boolean} done - Whether the item is ticked off
+ * @property {Date} doneAt - When the item was ticked off (null while open)
+ */
+export const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  doneAt: {
+    type: Date,
+    default: null
+  }
+});
+
 const taskSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -62,6 +156,94 @@ const taskSchema = new mongoose.Schema({
   actualTime: {
     type: Number,
     min: 0
+  },
+  dueDate: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  reminderAt: {
+    type: Date,
+    default: null
+  },
+  reminderSentAt: {
+    type: Date,
+    default: null
+  },
+  tags: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null,
+    index: true
+  },
+  assignees: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    default: [],
+    index: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null,
+    index: true
+  },
+  autoComplete: {
+    type: Boolean,
+    default: false
+  },
+  blockedBy: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+    default: [],
+    index: true
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  recurrenceSeriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null,
+    index: true
+  },
+  recurrenceIndex: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  nextOccurrenceAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  checklist: {
+    type: [checklistItemSchema],
+    default: []
   }
 }, {
   timestamps: true
@@ -70,6 +252,38 @@ const taskSchema = new mongoose.Schema({
 // Compound indexes for efficient queries
 taskSchema.index({ status: 1, priority: 1 });
 taskSchema.index({ createdAt: -1 });
+taskSchema.index({ status: 1, dueDate: 1 });
+taskSchema.index({ reminderSentAt: 1, reminderAt: 1 });
+taskSchema.index({ projectId: 1, status: 1 });
+taskSchema.index({ workspaceId: 1, createdAt: -1 });
+taskSchema.index({ workspaceId: 1, deletedAt: -1 });
+taskSchema.index({ parentId: 1, status: 1 });
+
+/**
+ * Checks whether a filter already decides about trashed tasks
+ * @param {Object} filter - Query filter or $match stage
+ * @returns {boolean} True if the filter names deletedAt at the top level
+ */
+const filtersOnDeletedAt = (filter = {}) => Object.prototype.hasOwnProperty.call(filter, 'deletedAt');
+
+/**
+ * Query middleware hiding trashed tasks from reads, so lists, lookups, analytics and
+ * exports skip them without every query repeating the condition. Queries that filter
+ * on deletedAt themselves (the trash, restore, purge) are left alone. Bulk updates and
+ * deletes are not filtered: renaming a tag or deleting a project must reach trashed
+ * tasks too, or a restored task would point at something that no longer exists.
+ */
+taskSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate'], function() {
+  if (!filtersOnDeletedAt(this.getFilter())) {
+    this.where({ deletedAt: null });
+  }
+});
+
+taskSchema.pre('aggregate', function() {
+  if (!filtersOnDeletedAt(this.pipeline()[0]?.$match)) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
 
 /**
  * Pre-save middleware to automatically set completedAt when status changes to completed
@@ -101,6 +315,44 @@ taskSchema.methods.calculateCompletionTime = function() {
   return null;
 };
 
+/**
+ * Checks whether the task is past its due date without being completed
+ * @method isOverdue
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {boolean} True if the task is overdue
+ */
+taskSchema.methods.isOverdue = function(now = new Date()) {
+  return Boolean(this.dueDate) && this.status !== 'completed' && this.dueDate < now;
+};
+
+/**
+ * Builds the query condition matching overdue tasks
+ * @static
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Object} MongoDB condition for open tasks whose due date has passed
+ * @example
+ * const overdueCount = await Task.countDocuments(Task.overdueCondition());
+ */
+taskSchema.statics.overdueCondition = function(now = new Date()) {
+  return {
+    status: { $ne: 'completed' },
+    dueDate: { $lt: now }
+  };
+};
+
+/**
+ * Builds the query condition matching a task only while it is still at a version.
+ * Tasks saved before versioning have no version field and count as version 1.
+ * @static
+ * @param {number} version - Version the caller last saw
+ * @returns {Object} MongoDB condition on the version field
+ * @example
+ * await Task.findOneAndUpdate({ _id: id, ...Task.versionCondition(3) }, { ...updates, version: 4 });
+ */
+taskSchema.statics.versionCondition = function(version) {
+  return version === 1 ? { version: { $in: [1, null] } } : { version };
+};
+
 /**
  * Task model for managing task documents in MongoDB
  * @type {mongoose.Model}
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Task revision model for recording field-level task edit history
+ * @module models/TaskRevision
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for TaskRevision documents
+ * @typedef {Object} TaskRevisionSchema
+ * @property {ObjectId} workspaceId - Workspace the task belongs to
+ * @property {ObjectId} taskId - Task the revision belongs to
+ * @property {number} revision - Revision number, counting up from 1 per task
+ * @property {Object} changes - Changed fields, each as { from, to }
+ * @property {ObjectId|null} actorId - User who made the change
+ * @property {string} actorName - Actor's name at the time
+ * @property {number|null} revertedTo - Revision the task was reverted to, if this revision is a revert
+ * @property {Date} createdAt - When the change happened
+ */
+const taskRevisionSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorName: {
+    type: String,
+    default: 'System'
+  },
+  revertedTo: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// One document per revision number; also serves newest-first listing per task
+taskRevisionSchema.index({ taskId: 1, revision: -1 }, { unique: true });
+
+/**
+ * TaskRevision model for managing task revisions in MongoDB
+ * @type {mongoose.Model}
+ */
+const TaskRevision = mongoose.model('TaskRevision', taskRevisionSchema);
+
+export default TaskRevision;
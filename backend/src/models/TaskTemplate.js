@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Task template model for creating similar tasks from a reusable blueprint
+ * @module models/TaskTemplate
+ */
+
+import mongoose from 'mongoose';
+import { recurrenceSchema } from './Task.js';
+
+/**
+ * Mongoose schema for TaskTemplate documents
+ * @typedef {Object} TaskTemplateSchema
+ * @property {string} name - Template name, unique within the workspace (required, max 100 chars)
+ * @property {string} title - Title of created tasks; {{variables}} are filled in on use (required, max 200 chars)
+ * @property {string} description - Description of created tasks, with {{variables}} (optional, max 1000 chars)
+ * @property {string} priority - Priority of created tasks: 'low', 'medium', or 'high'
+ * @property {number} estimatedTime - Estimate of created tasks (null for none)
+ * @property {Array<string>} tags - Tags of created tasks
+ * @property {ObjectId} projectId - Project created tasks are added to (null for none)
+ * @property {number} dueInDays - Days after creation that created tasks are due (null for no due date)
+ * @property {Object} recurrence - Schedule created tasks repeat on (null for one-off tasks)
+ * @property {ObjectId} workspaceId - Workspace the template belongs to
+ * @property {Date} createdAt - Template creation timestamp
+ * @property {Date} updatedAt - Template last update timestamp
+ */
+const taskTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  estimatedTime: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  dueInDays: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 365
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// Template names only need to be unique within a workspace
+taskTemplateSchema.index({ workspaceId: 1, name: 1 }, { unique: true });
+
+/**
+ * TaskTemplate model for managing task template documents in MongoDB
+ * @type {mongoose.Model}
+ */
+const TaskTemplate = mongoose.model('TaskTemplate', taskTemplateSchema);
+
+export default TaskTemplate;
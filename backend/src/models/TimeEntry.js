@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Time entry model for task timer sessions
+ * @module models/TimeEntry
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for TimeEntry documents
+ * @typedef {Object} TimeEntrySchema
+ * @property {ObjectId} taskId - Task the time was spent on
+ * @property {ObjectId} workspaceId - Workspace of the task
+ * @property {Date} startedAt - When the timer was started
+ * @property {Date} stoppedAt - When the timer was stopped (null while running)
+ * @property {boolean} running - Whether the timer is still running
+ * @property {number} duration - Tracked time in minutes (set when stopped)
+ */
+const timeEntrySchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  stoppedAt: {
+    type: Date,
+    default: null
+  },
+  running: {
+    type: Boolean,
+    default: true
+  },
+  duration: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// At most one running timer per task. Lookups by task use the compound index below, so taskId has no
+// plain index that would take the default taskId_1 name and keep this one from being built.
+timeEntrySchema.index(
+  { taskId: 1 },
+  { name: 'one_running_timer_per_task', unique: true, partialFilterExpression: { running: true } }
+);
+timeEntrySchema.index({ taskId: 1, startedAt: -1 });
+
+/**
+ * Calculates the tracked time in whole minutes up to a point in time
+ * @method calculateDuration
+ * @param {Date} [until=new Date()] - End time for running timers
+ * @returns {number} Minutes between startedAt and stoppedAt (or until)
+ */
+timeEntrySchema.methods.calculateDuration = function(until = new Date()) {
+  const end = this.stoppedAt || until;
+  return Math.max(0, Math.round((end - this.startedAt) / (1000 * 60)));
+};
+
+/**
+ * TimeEntry model for managing timer sessions in MongoDB
+ * @type {mongoose.Model}
+ */
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema);
+
+export default TimeEntry;
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview User model for API accounts
+ * @module models/User
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Accepted email addresses: something@domain.tld without whitespace
+ * @type {RegExp}
+ */
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Account roles, from least to most privileged
+ * @type {string[]}
+ */
+export const ROLES = ['viewer', 'member', 'manager', 'admin'];
+
+/**
+ * Mongoose schema for User documents
+ * @typedef {Object} UserSchema
+ * @property {string} email - Unique login email (lowercase)
+ * @property {string} name - Display name (required, max 100 chars)
+ * @property {string} passwordHash - bcrypt hash of the password (never selected by default)
+ * @property {string} role - Access role (viewer, member, manager, admin)
+ * @property {boolean} firstAccount - Set only on the account that became the first admin (never selected by default)
+ * @property {Date} createdAt - Account creation timestamp
+ * @property {Date} updatedAt - Account last update timestamp
+ */
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 254,
+    match: EMAIL_PATTERN
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'member'
+  },
+  firstAccount: {
+    type: Boolean,
+    select: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.passwordHash;
+      delete ret.firstAccount;
+      return ret;
+    }
+  }
+});
+
+// Only one account can be the first, so two registrations on an empty database cannot both become admin
+userSchema.index({ firstAccount: 1 }, { unique: true, partialFilterExpression: { firstAccount: true } });
+
+/**
+ * User model for managing account documents in MongoDB
+ * @type {mongoose.Model}
+ */
+const User = mongoose.model('User', userSchema);
+
+export default User;
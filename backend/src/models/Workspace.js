@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Workspace model for isolating teams' tasks, exports and analytics
+ * @module models/Workspace
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Mongoose schema for Workspace documents
+ * @typedef {Object} WorkspaceSchema
+ * @property {string} name - Workspace name (required, max 100 chars)
+ * @property {ObjectId[]} members - Users who can see and change the workspace's data
+ * @property {ObjectId} createdBy - User who created the workspace (null for migrated data)
+ * @property {Date} createdAt - Workspace creation timestamp
+ * @property {Date} updatedAt - Workspace last update timestamp
+ */
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  members: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    default: [],
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Checks whether a user belongs to the workspace
+ * @method hasMember
+ * @param {string} userId - User ID
+ * @returns {boolean} True if the user is a member
+ */
+workspaceSchema.methods.hasMember = function(userId) {
+  return this.members.some(member => String(member) === String(userId));
+};
+
+/**
+ * Workspace model for managing workspace documents in MongoDB
+ * @type {mongoose.Model}
+ */
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+export default Workspace;
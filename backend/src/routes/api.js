@@ -6,12 +6,44 @@
 import express from 'express';
 import Task from '../models/Task.js';
 import Export from '../models/Export.js';
+import Notification from '../models/Notification.js';
+import Project from '../models/Project.js';
+import User, { ROLES } from '../models/User.js';
 import AnalyticsService from '../services/analyticsService.js';
 import ExportService from '../services/exportService.js';
+import TaskHistoryService from '../services/taskHistoryService.js';
+import TimeTrackingService from '../services/timeTrackingService.js';
+import TagService from '../services/tagService.js';
+import ProjectService from '../services/projectService.js';
+import UserService from '../services/userService.js';
+import WorkspaceService from '../services/workspaceService.js';
+import AuditService from '../services/auditService.js';
+import TrashService from '../services/trashService.js';
+import TaskRevisionService from '../services/taskRevisionService.js';
+import SubtaskService from '../services/subtaskService.js';
+import DependencyService from '../services/dependencyService.js';
+import RecurrenceService from '../services/recurrenceService.js';
+import ChecklistService from '../services/checklistService.js';
+import TemplateService from '../services/templateService.js';
+import ExportCleanupJob from '../jobs/exportCleanup.js';
 import { redisClient } from '../config/redis.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { requireWorkspace } from '../middleware/workspace.js';
 
 const router = express.Router();
 
+/**
+ * Task fields a client may change with PUT /tasks/:id. Everything else is either set by the server
+ * (timestamps, version, series fields) or has its own endpoint with its own permission and side
+ * effects (trash, time tracking, checklist items).
+ * @type {Array<string>}
+ */
+const UPDATABLE_TASK_FIELDS = [
+  'title', 'description', 'status', 'priority', 'estimatedTime', 'actualTime', 'dueDate', 'reminderAt',
+  'tags', 'projectId', 'assignees', 'parentId', 'autoComplete', 'blockedBy', 'recurrence'
+];
+
 /**
  * Socket handlers reference for real-time updates
  * @type {Object|null}
@@ -28,6 +60,439 @@ export const setSocketHandlers = (handlers) => {
   socketHandlers = handlers;
 };
 
+/**
+ * GET /health - Health check endpoint
+ * @name HealthCheck
+ * @function
+ * @returns {Object} API health status and timestamp
+ * @description Registered before authentication so load balancers can reach it
+ */
+router.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    message: 'API is healthy',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Every route below requires a signed-in user; each also requires a role permission
+router.use(authenticate);
+
+/**
+ * Builds the condition limiting a query to the request's workspace (set by requireWorkspace)
+ * @param {Object} req - Express request object
+ * @returns {Object} Query condition on workspaceId
+ */
+const workspaceScope = (req) => WorkspaceService.buildWorkspaceScope(req.workspace._id);
+
+/**
+ * Formats a task's version as an ETag
+ * @param {Object} task - Task (tasks saved before versioning count as version 1)
+ * @returns {string} Quoted ETag, e.g. "3"
+ */
+const taskETag = (task) => `"${task.version ?? 1}"`;
+
+/**
+ * Reads the task version a client based an update on, from an If-Match ETag ("3" or W/"3")
+ * or a version field in the body
+ * @param {Object} req - Express request object
+ * @returns {Object} { version } (undefined when the client sent none), or { error } when malformed
+ */
+const parseExpectedVersion = (req) => {
+  const header = req.get('If-Match')?.trim();
+  const raw = header && header !== '*'
+    ? header.replace(/^W\//, '').replace(/^"(.*)"$/, '$1')
+    : req.body?.version;
+
+  if (raw === undefined || raw === null) {
+    return {};
+  }
+
+  const version = Number(raw);
+  if (!Number.isInteger(version) || version < 1) {
+    return { error: 'Version must be a positive integer' };
+  }
+
+  return { version };
+};
+
+/**
+ * Answers a stale update with 409 and the current server copy, or 404 if the task is gone
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} id - Task ID
+ * @returns {Promise<Object>} Express response
+ */
+const sendTaskConflict = async (req, res, id) => {
+  const current = await Task.findOne({ ...workspaceScope(req), _id: id });
+
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  return res.set('ETag', taskETag(current)).status(409).json({
+    success: false,
+    message: 'Task was changed by someone else',
+    data: current
+  });
+};
+
+/**
+ * Adds the state clients derive from other tasks: the subtask rollup and whether the task
+ * is blocked by unfinished tasks
+ * @param {Array<Object>} tasks - Plain task objects
+ * @returns {Promise<Array<Object>>} Tasks with rollup and blocked
+ */
+const withTaskState = async (tasks) =>
+  await DependencyService.attachBlocked(await SubtaskService.attachRollups(tasks));
+
+/**
+ * Looks up a workspace from the route's :id for a member, sending 400/404 when it cannot be used
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Workspace, or null when a response was already sent
+ */
+const findMemberWorkspace = async (req, res) => {
+  const { id } = req.params;
+
+  if (!WorkspaceService.isValidWorkspaceId(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid workspace ID format'
+    });
+    return null;
+  }
+
+  // Non-members get a 404 so workspace IDs cannot be probed
+  const workspace = await WorkspaceService.getWorkspaceForMember(id, req.user.id);
+  if (!workspace) {
+    res.status(404).json({
+      success: false,
+      message: 'Workspace not found'
+    });
+    return null;
+  }
+
+  return workspace;
+};
+
+/**
+ * GET /workspaces - List the workspaces the user belongs to
+ * @name GetWorkspaces
+ * @function
+ * @returns {Object} Workspaces sorted by name with member counts
+ */
+router.get('/workspaces', requirePermission('tasks:read'), async (req, res, next) => {
+  try {
+    const workspaces = await WorkspaceService.listWorkspaces(req.user.id);
+
+    res.json({
+      success: true,
+      data: workspaces
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /workspaces - Create a workspace; the creator becomes its first member
+ * @name CreateWorkspace
+ * @function
+ * @param {Object} req.body - Workspace data
+ * @param {string} req.body.name - Workspace name
+ * @returns {Object} Created workspace
+ */
+router.post('/workspaces', requirePermission('workspaces:manage'), async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace name is required and must be 100 characters or less'
+      });
+    }
+
+    const workspace = await WorkspaceService.createWorkspace({ name: name.trim() }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: workspace,
+      message: 'Workspace created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /workspaces/:id - Rename a workspace
+ * @name UpdateWorkspace
+ * @function
+ * @param {string} req.params.id - Workspace ID
+ * @param {Object} req.body - Fields to update (name)
+ * @returns {Object} Updated workspace, or 404 if the user is not a member
+ */
+router.put('/workspaces/:id', requirePermission('workspaces:manage'), async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    const workspace = await findMemberWorkspace(req, res);
+    if (!workspace) return;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace name is required and must be 100 characters or less'
+      });
+    }
+
+    const updated = await WorkspaceService.updateWorkspace(workspace._id, { name: name.trim() });
+
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Workspace updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /workspaces/:id/members - List a workspace's members
+ * @name GetWorkspaceMembers
+ * @function
+ * @param {string} req.params.id - Workspace ID
+ * @returns {Object} Members sorted by name, or 404 if the user is not a member
+ */
+router.get('/workspaces/:id/members', requirePermission('tasks:read'), async (req, res, next) => {
+  try {
+    const workspace = await findMemberWorkspace(req, res);
+    if (!workspace) return;
+
+    const members = await WorkspaceService.listMembers(workspace);
+
+    res.json({
+      success: true,
+      data: members
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /workspaces/:id/members - Add a user to a workspace by email
+ * @name AddWorkspaceMember
+ * @function
+ * @param {string} req.params.id - Workspace ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - Email of the user to add
+ * @returns {Object} Added user, or 404 if the workspace or user does not exist
+ */
+router.post('/workspaces/:id/members', requirePermission('workspaces:manage'), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const workspace = await findMemberWorkspace(req, res);
+    if (!workspace) return;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await WorkspaceService.addMember(workspace._id, email);
+
+    res.status(201).json({
+      success: true,
+      data: user,
+      message: 'Member added successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /workspaces/:id/members/:userId - Remove a user from a workspace
+ * @name RemoveWorkspaceMember
+ * @function
+ * @param {string} req.params.id - Workspace ID
+ * @param {string} req.params.userId - ID of the member to remove
+ * @returns {Object} Success message, 404 if not a member, 409 for the last member
+ * @description Tasks stay assigned to a removed member; they can be reassigned as usual.
+ */
+router.delete('/workspaces/:id/members/:userId', requirePermission('workspaces:manage'), async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const workspace = await findMemberWorkspace(req, res);
+    if (!workspace) return;
+
+    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const removed = await WorkspaceService.removeMember(workspace, userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /users/:id/role - Change a user's role
+ * @name UpdateUserRole
+ * @function
+ * @param {string} req.params.id - User ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.role - New role (viewer, member, manager, admin)
+ * @returns {Object} Updated user
+ * @description Admins cannot change their own role, so there is always an admin left.
+ * The new role applies to the user's next access token.
+ */
+router.put('/users/:id/role', requirePermission('users:manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(id, { role }, { new: true, runValidators: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'User role updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Every route below acts on the workspace named by the X-Workspace-Id header
+router.use(requireWorkspace);
+
+/**
+ * Validates the task filter parameters shared by task listing and analytics routes
+ * @param {Object} filters - Query parameters
+ * @param {string} [filters.status] - Task status filter
+ * @param {string} [filters.priority] - Task priority filter
+ * @param {string} [filters.search] - Text search
+ * @param {string} [filters.dateFrom] - Created from date
+ * @param {string} [filters.dateTo] - Created to date
+ * @param {string} [filters.completedDateFrom] - Completed from date
+ * @param {string} [filters.completedDateTo] - Completed to date
+ * @param {string} [filters.dueBefore] - Due on or before date
+ * @param {string} [filters.dueAfter] - Due on or after date
+ * @param {string} [filters.overdue] - 'true' for overdue tasks only, 'false' to exclude them
+ * @param {string} [filters.tags] - Comma-separated tag names
+ * @param {string} [filters.tagMode] - 'any' or 'all'
+ * @param {string} [filters.projectId] - Project ID, or 'none' for unassigned tasks
+ * @param {string} [filters.assignee] - User ID the tasks are assigned to
+ * @param {string} [filters.unassigned] - 'true' for tasks without assignees
+ * @returns {string|null} Error message, or null when all filters are valid
+ */
+const validateTaskFilters = (filters) => {
+  const { status, priority, search } = filters;
+
+  if (status && status !== 'all' && !['pending', 'in-progress', 'completed'].includes(status)) {
+    return 'Status must be one of: pending, in-progress, completed, all';
+  }
+
+  if (priority && priority !== 'all' && !['low', 'medium', 'high'].includes(priority)) {
+    return 'Priority must be one of: low, medium, high, all';
+  }
+
+  if (search && search.length > 100) {
+    return 'Search query must be 100 characters or less';
+  }
+
+  for (const field of ['dateFrom', 'dateTo', 'completedDateFrom', 'completedDateTo', 'dueBefore', 'dueAfter']) {
+    if (filters[field] && isNaN(Date.parse(filters[field]))) {
+      return `Invalid ${field} format`;
+    }
+  }
+
+  if (filters.overdue !== undefined && !['true', 'false'].includes(filters.overdue)) {
+    return 'Overdue must be either true or false';
+  }
+
+  if (filters.tags && TagService.parseTagFilter(filters.tags).length > 20) {
+    return 'At most 20 tags can be filtered at once';
+  }
+
+  if (filters.tagMode !== undefined && !['any', 'all'].includes(filters.tagMode)) {
+    return 'TagMode must be either any or all';
+  }
+
+  if (filters.projectId && !ProjectService.isValidProjectFilter(filters.projectId)) {
+    return 'ProjectId must be a project ID or none';
+  }
+
+  if (filters.assignee && !UserService.isValidAssigneeFilter(filters.assignee)) {
+    return 'Invalid assignee ID format';
+  }
+
+  if (filters.unassigned !== undefined && !['true', 'false'].includes(filters.unassigned)) {
+    return 'Unassigned must be either true or false';
+  }
+
+  if (filters.assignee && filters.unassigned === 'true') {
+    return 'Use either assignee or unassigned=true, not both';
+  }
+
+  return null;
+};
+
 /**
  * GET /tasks - Retrieve tasks with pagination, filtering, and sorting
  * @name GetTasks
@@ -42,11 +507,22 @@ export const setSocketHandlers = (handlers) => {
  * @param {string} [req.query.dateTo] - Filter tasks created to date
  * @param {string} [req.query.completedDateFrom] - Filter tasks completed from date
  * @param {string} [req.query.completedDateTo] - Filter tasks completed to date
+ * @param {string} [req.query.dueBefore] - Filter tasks due on or before date
+ * @param {string} [req.query.dueAfter] - Filter tasks due on or after date
+ * @param {string} [req.query.overdue] - 'true' for overdue tasks only, 'false' to exclude them
+ * @param {string} [req.query.tags] - Comma-separated tag names to filter by
+ * @param {string} [req.query.tagMode=any] - Match tasks with any or all of the tags
+ * @param {string} [req.query.projectId] - Filter by project ID, or 'none' for unassigned tasks
+ * @param {string} [req.query.assignee] - Filter by assigned user ID
+ * @param {string} [req.query.unassigned] - 'true' for tasks without assignees
+ * @param {string} [req.query.parentId] - Filter by parent task ID, or 'none' for top-level tasks
+ * @param {string} [req.query.blocked] - 'true' for tasks waiting on unfinished tasks, 'false' for the others
  * @param {string} [req.query.sortBy=createdAt] - Field to sort by
  * @param {string} [req.query.sortOrder=desc] - Sort order (asc/desc)
- * @returns {Object} Paginated tasks with metadata
+ * @returns {Object} Paginated tasks, each with its subtask rollup and blocked state, with metadata
+ * and tag facets
  */
-router.get('/tasks', async (req, res, next) => {
+router.get('/tasks', requirePermission('tasks:read'), async (req, res, next) => {
   try {
     const {
       page = 1,
@@ -58,6 +534,16 @@ router.get('/tasks', async (req, res, next) => {
       dateTo,
       completedDateFrom,
       completedDateTo,
+      dueBefore,
+      dueAfter,
+      overdue,
+      tags,
+      tagMode = 'any',
+      projectId,
+      assignee,
+      unassigned,
+      parentId,
+      blocked,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
@@ -80,61 +566,30 @@ router.get('/tasks', async (req, res, next) => {
       });
     }
 
-    // Validate status filter
-    if (status && status !== 'all' && !['pending', 'in-progress', 'completed'].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Status must be one of: pending, in-progress, completed, all'
-      });
-    }
-
-    // Validate priority filter
-    if (priority && priority !== 'all' && !['low', 'medium', 'high'].includes(priority)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Priority must be one of: low, medium, high, all'
-      });
-    }
-
-    // Validate search parameter
-    if (search && search.length > 100) {
-      return res.status(400).json({
-        success: false,
-        message: 'Search query must be 100 characters or less'
-      });
-    }
-
-    // Validate date parameters
-    if (dateFrom && isNaN(Date.parse(dateFrom))) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid dateFrom format'
-      });
-    }
-
-    if (dateTo && isNaN(Date.parse(dateTo))) {
+    const filterError = validateTaskFilters(req.query);
+    if (filterError) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid dateTo format'
+        message: filterError
       });
     }
 
-    if (completedDateFrom && isNaN(Date.parse(completedDateFrom))) {
+    if (parentId && !SubtaskService.isValidParentFilter(parentId)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid completedDateFrom format'
+        message: 'ParentId must be a task ID or none'
       });
     }
 
-    if (completedDateTo && isNaN(Date.parse(completedDateTo))) {
+    if (blocked !== undefined && !['true', 'false'].includes(blocked)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid completedDateTo format'
+        message: 'Blocked must be either true or false'
       });
     }
 
     // Validate sorting parameters
-    const validSortFields = ['createdAt', 'updatedAt', 'title', 'priority', 'status'];
+    const validSortFields = ['createdAt', 'updatedAt', 'title', 'priority', 'status', 'dueDate'];
     if (!validSortFields.includes(sortBy)) {
       return res.status(400).json({
         success: false,
@@ -149,7 +604,7 @@ router.get('/tasks', async (req, res, next) => {
       });
     }
 
-    const query = {};
+    const query = workspaceScope(req);
 
     // Status filter
     if (status && status !== 'all') {
@@ -191,8 +646,46 @@ router.get('/tasks', async (req, res, next) => {
       }
     }
 
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // Due date range filters
+    if (dueBefore || dueAfter) {
+      query.dueDate = {};
+      if (dueAfter) {
+        query.dueDate.$gte = new Date(dueAfter);
+      }
+      if (dueBefore) {
+        query.dueDate.$lte = new Date(dueBefore);
+      }
+    }
+
+    // Overdue filter
+    if (overdue === 'true') {
+      query.$and = [Task.overdueCondition()];
+    } else if (overdue === 'false') {
+      query.$nor = [Task.overdueCondition()];
+    }
+
+    // Tag filter
+    const tagList = TagService.parseTagFilter(tags);
+    if (tagList.length > 0) {
+      query.tags = TagService.buildTagCondition(tagList, tagMode);
+    }
+
+    // Project filter
+    Object.assign(query, ProjectService.buildProjectScope(projectId));
+
+    // Assignee filter
+    Object.assign(query, UserService.buildAssigneeScope({ assignee, unassigned }));
+
+    // Parent filter
+    Object.assign(query, SubtaskService.buildParentScope(parentId));
+
+    // Blocked filter
+    if (blocked !== undefined) {
+      Object.assign(query, await DependencyService.buildBlockedScope(req.workspace._id, blocked === 'true'));
+    }
+
+    const sort = {};
+    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
     const tasks = await Task.find(query)
       .sort(sort)
@@ -201,12 +694,16 @@ router.get('/tasks', async (req, res, next) => {
       .lean() // Use lean queries for better performance
       .exec();
 
-    const total = await Task.countDocuments(query);
+    const [total, tagFacets, tasksWithState] = await Promise.all([
+      Task.countDocuments(query),
+      TagService.getTagCounts(query),
+      withTaskState(tasks)
+    ]);
 
     res.json({
       success: true,
       data: {
-        tasks,
+        tasks: tasksWithState,
         pagination: {
           page: pageNum,
           limit: limitNum,
@@ -220,7 +717,20 @@ router.get('/tasks', async (req, res, next) => {
           dateFrom,
           dateTo,
           completedDateFrom,
-          completedDateTo
+          completedDateTo,
+          dueBefore,
+          dueAfter,
+          overdue,
+          tags: tagList,
+          tagMode,
+          projectId,
+          assignee,
+          unassigned,
+          parentId,
+          blocked
+        },
+        facets: {
+          tags: tagFacets
         }
       }
     });
@@ -230,13 +740,59 @@ router.get('/tasks', async (req, res, next) => {
 });
 
 /**
- * GET /tasks/:id - Retrieve a specific task by ID with Redis caching
+ * GET /tasks/trash - List the workspace's trashed tasks, most recently deleted first
+ * @name GetTrash
+ * @function
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Tasks per page (max 100)
+ * @returns {Object} Trashed tasks with their purge date, pagination and retention days
+ */
+router.get('/tasks/trash', requirePermission('tasks:read'), async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    if (isNaN(pageNum) || pageNum < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page must be a positive integer'
+      });
+    }
+
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be an integer between 1 and 100'
+      });
+    }
+
+    const result = await TrashService.listTrash(req.workspace._id, {
+      page: pageNum,
+      limit: limitNum
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /tasks/:id - Retrieve a specific task by ID with Redis caching. The subtask rollup and
+ * blocked state are not cached, since changes to subtasks and blockers do not touch the task's
+ * cache entry.
  * @name GetTaskById
  * @function
  * @param {string} req.params.id - Task ID
- * @returns {Object} Task data or 404 if not found
+ * @returns {Object} Task data with its subtask rollup and blocked state, or 404 if not found
  */
-router.get('/tasks/:id', async (req, res, next) => {
+router.get('/tasks/:id', requirePermission('tasks:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -248,17 +804,18 @@ router.get('/tasks/:id', async (req, res, next) => {
       });
     }
 
-    const cacheKey = `task:${id}`;
+    const cacheKey = `task:${req.workspace._id}:${id}`;
     const cached = await redisClient.get(cacheKey);
 
     if (cached) {
-      return res.json({
+      const [data] = await withTaskState([JSON.parse(cached)]);
+      return res.set('ETag', taskETag(data)).json({
         success: true,
-        data: JSON.parse(cached)
+        data
       });
     }
 
-    const task = await Task.findById(id);
+    const task = await Task.findOne({ ...workspaceScope(req), _id: id }).lean();
 
     if (!task) {
       return res.status(404).json({
@@ -269,9 +826,12 @@ router.get('/tasks/:id', async (req, res, next) => {
 
     await redisClient.setex(cacheKey, 300, JSON.stringify(task));
 
+    const [data] = await withTaskState([task]);
+
+    res.set('ETag', taskETag(data));
     res.json({
       success: true,
-      data: task
+      data
     });
   } catch (error) {
     next(error);
@@ -279,83 +839,2700 @@ router.get('/tasks/:id', async (req, res, next) => {
 });
 
 /**
- * POST /tasks - Create a new task
- * @name CreateTask
+ * GET /tasks/:id/history - Retrieve the status transition timeline for a task
+ * @name GetTaskHistory
  * @function
- * @param {Object} req.body - Task data
- * @param {string} req.body.title - Task title (required)
- * @param {string} [req.body.description] - Task description
- * @param {string} [req.body.priority] - Task priority
- * @param {number} [req.body.estimatedTime] - Estimated completion time
- * @returns {Object} Created task with success message
+ * @param {string} req.params.id - Task ID
+ * @returns {Object} Ordered transitions and time spent in each status, or 404 if not found
  */
-router.post('/tasks', async (req, res, next) => {
+router.get('/tasks/:id/history', requirePermission('tasks:read'), async (req, res, next) => {
   try {
-    const { title, description, priority, estimatedTime } = req.body;
+    const { id } = req.params;
 
-    // Input validation
-    if (!title || typeof title !== 'string' || title.trim().length === 0) {
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        message: 'Title is required and must be a non-empty string'
+        message: 'Invalid task ID format'
       });
     }
 
-    if (title.trim().length > 200) {
+    const task = await Task.findOne({ ...workspaceScope(req), _id: id }).select('status').lean();
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const history = await TaskHistoryService.getTaskHistory(req.workspace._id, id);
+
+    res.json({
+      success: true,
+      data: {
+        taskId: id,
+        currentStatus: task.status,
+        ...history
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /tasks/:id/revisions - Retrieve a task's edit history, newest first
+ * @name GetTaskRevisions
+ * @function
+ * @param {string} req.params.id - Task ID
+ * @returns {Object} Revisions with who changed which fields from what to what, or 404 if not found
+ */
+router.get('/tasks/:id/revisions', requirePermission('tasks:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        message: 'Title must be 200 characters or less'
+        message: 'Invalid task ID format'
+      });
+    }
+
+    if (!await Task.exists({ ...workspaceScope(req), _id: id })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const revisions = await TaskRevisionService.listRevisions(req.workspace._id, id);
+
+    res.json({
+      success: true,
+      data: revisions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /tasks/:id/subtasks - List a task's subtasks in the order they were added
+ * @name GetSubtasks
+ * @function
+ * @param {string} req.params.id - Parent task ID
+ * @returns {Object} Subtasks, or 404 if the task is not found
+ */
+router.get('/tasks/:id/subtasks', requirePermission('tasks:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID format'
+      });
+    }
+
+    if (!await Task.exists({ ...workspaceScope(req), _id: id })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const subtasks = await SubtaskService.listSubtasks(req.workspace._id, id);
+
+    res.json({
+      success: true,
+      data: subtasks
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /tasks/:id/dependencies - List the tasks a task waits for and the tasks waiting for it
+ * @name GetTaskDependencies
+ * @function
+ * @param {string} req.params.id - Task ID
+ * @returns {Object} blockedBy and blocks with each task's title and status, or 404 if the task is not found
+ */
+router.get('/tasks/:id/dependencies', requirePermission('tasks:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID format'
+      });
+    }
+
+    const task = await Task.findOne({ ...workspaceScope(req), _id: id }).select('blockedBy').lean();
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const dependencies = await DependencyService.getDependencies(req.workspace._id, task);
+
+    res.json({
+      success: true,
+      data: dependencies
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /dependencies - Retrieve the workspace's dependency graph
+ * @name GetDependencyGraph
+ * @function
+ * @returns {Object} Tasks that block or wait for others (title, status, blocked) and the links between
+ * them, each from the blocking task to the waiting one
+ */
+router.get('/dependencies', requirePermission('tasks:read'), async (req, res, next) => {
+  try {
+    const graph = await DependencyService.getGraph(req.workspace._id);
+
+    res.json({
+      success: true,
+      data: graph
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /tasks/:id/timer/start - Start a time tracking session for a task
+ * @name StartTaskTimer
+ * @function
+ * @param {string} req.params.id - Task ID
+ * @returns {Object} Running time entry, 404 if task not found, 409 if already running
+ */
+router.post('/tasks/:id/timer/start', requirePermission('tasks:write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID format'
+      });
+    }
+
+    const entry = await TimeTrackingService.startTimer(req.workspace._id, id);
+
+    // Broadcast running timer state
+    if (socketHandlers) {
+      socketHandlers.broadcastTimerUpdate('started', entry);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: entry,
+      message: 'Timer started'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /tasks/:id/timer/stop - Stop the running timer and add its time to actualTime
+ * @name StopTaskTimer
+ * @function
+ * @param {string} req.params.id - Task ID
+ * @returns {Object} Stopped time entry and updated task, 409 if no timer is running
+ */
+router.post('/tasks/:id/timer/stop', requirePermission('tasks:write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID format'
+      });
+    }
+
+    const { entry, task } = await TimeTrackingService.stopTimer(req.workspace._id, id);
+
+    await redisClient.del(`task:${req.workspace._id}:${id}`);
+    await AnalyticsService.invalidateCache({ workspaceId: req.workspace._id });
+
+    // Broadcast timer state and the task's new actualTime
+    if (socketHandlers) {
+      socketHandlers.broadcastTimerUpdate('stopped', entry);
+      if (task) {
+        socketHandlers.broadcastTaskUpdate('updated', task);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { entry, task },
+      message: 'Timer stopped'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /tasks/:id/time-entries - List time tracking sessions for a task
+ * @name GetTaskTimeEntries
+ * @function
+ * @param {string} req.params.id - Task ID
+ * @returns {Object} Time entries (newest first) and total tracked minutes
+ */
+router.get('/tasks/:id/time-entries', requirePermission('tasks:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID format'
       });
     }
 
-    if (description && typeof description !== 'string') {
+    const entries = await TimeTrackingService.getTimeEntries(req.workspace._id, id);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        totalMinutes: entries.reduce((sum, entry) => sum + (entry.duration || 0), 0)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Records what follows from a checklist change, as for any other edit: a revision, the audit
+ * entry, cache invalidation and the real-time broadcast
+ * @param {Object} req - Express request (after authenticate and requireWorkspace)
+ * @param {Object} change - Checklist change from ChecklistService
+ * @param {Object} change.before - Task before the change
+ * @param {Object} change.task - Updated task document
+ * @returns {Promise<Object>} Task as returned by the API, with its subtask rollup and blocked state
+ */
+const publishChecklistChange = async (req, { before, task }) => {
+  await TaskRevisionService.recordRevision(req.workspace._id, req.user, before, task);
+
+  await AuditService.record(AuditService.requestContext(req), {
+    action: 'task.update',
+    targetType: 'task',
+    targetId: task._id,
+    before,
+    after: task
+  });
+
+  await redisClient.del(`task:${req.workspace._id}:${task._id}`);
+
+  const [updated] = await withTaskState([task.toObject()]);
+
+  if (socketHandlers) {
+    socketHandlers.broadcastTaskUpdate('updated', updated);
+  }
+
+  return updated;
+};
+
+/**
+ * POST /tasks/:id/checklist - Add an item to the end of a task's checklist
+ * @name AddChecklistItem
+ * @function
+ * @param {string} req.params.id - Task ID
+ * @param {Object} req.body - Item data
+ * @param {string} req.body.text - What needs doing
+ * @returns {Object} Updated task, 404 if not found, 409 if the checklist is full
+ */
+router.post('/tasks/:id/checklist', requirePermission('tasks:write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID format'
+      });
+    }
+
+    const normalized = ChecklistService.normalizeText(req.body.text);
+    if (normalized.error) {
+      return res.status(400).json({
+        success: false,
+        message: normalized.error
+      });
+    }
+
+    const change = await ChecklistService.addItem(req.workspace._id, id, normalized.text);
+
+    res.status(201).json({
+      success: true,
+      data: await publishChecklistChange(req, change),
+      message: 'Checklist item added'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /tasks/:id/checklist/order - Put a task's checklist items in a new order
+ * @name ReorderChecklist
+ * @function
+ * @param {string} req.params.id - Task ID
+ * @param {Object} req.body - New order
+ * @param {Array<string>} req.body.itemIds - Every checklist item ID in the new order
+ * @returns {Object} Updated task, 400 if items are left out or repeated, 409 if the checklist changed meanwhile
+ */
+router.put('/tasks/:id/checklist/order', requirePermission('tasks:write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID format'
+      });
+    }
+
+    const change = await ChecklistService.reorderItems(req.workspace._id, id, req.body.itemIds);
+
+    res.json({
+      success: true,
+      data: await publishChecklistChange(req, change),
+      message: 'Checklist reordered'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /tasks/:id/checklist/:itemId - Tick off, reopen or rename a checklist item
+ * @name UpdateChecklistItem
+ * @function
+ * @param {string} req.params.id - Task ID
+ * @param {string} req.params.itemId - Checklist item ID
+ * @param {Object} req.body - Item changes
+ * @param {boolean} [req.body.done] - Whether the item is done
+ * @param {string} [req.body.text] - New item text
+ * @returns {Object} Updated task or 404 if the task or item is not found
+ */
+router.put('/tasks/:id/checklist/:itemId', requirePermission('tasks:write'), async (req, res, next) => {
+  try {
+    const { id, itemId } = req.params;
+    const { done, text } = req.body;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/) || !itemId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task or checklist item ID format'
+      });
+    }
+
+    if (done === undefined && text === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide done or text to change'
+      });
+    }
+
+    if (done !== undefined && typeof done !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Done must be a boolean'
+      });
+    }
+
+    const changes = { done };
+
+    if (text !== undefined) {
+      const normalized = ChecklistService.normalizeText(text);
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error
+        });
+      }
+      changes.text = normalized.text;
+    }
+
+    const change = await ChecklistService.updateItem(req.workspace._id, id, itemId, changes);
+
+    res.json({
+      success: true,
+      data: await publishChecklistChange(req, change),
+      message: 'Checklist item updated'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /tasks/:id/checklist/:itemId - Remove an item from a task's checklist
+ * @name DeleteChecklistItem
+ * @function
+ * @param {string} req.params.id - Task ID
+ * @param {string} req.params.itemId - Checklist item ID
+ * @returns {Object} Updated task or 404 if the task or item is not found
+ */
+router.delete('/tasks/:id/checklist/:itemId', requirePermission('tasks:write'), async (req, res, next) => {
+  try {
+    const { id, itemId } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/) || !itemId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task or checklist item ID format'
+      });
+    }
+
+    const change = await ChecklistService.removeItem(req.workspace._id, id, itemId);
+
+    res.json({
+      success: true,
+      data: await publishChecklistChange(req, change),
+      message: 'Checklist item removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Saves a new task and records what follows from creating one: the initial status, the first
+ * revision, the audit entry, cache invalidation, the real-time broadcast and the parent task's
+ * rollup. A recurring task starts its own series.
+ * @param {Object} req - Express request (after authenticate and requireWorkspace)
+ * @param {Object} fields - Validated task fields
+ * @param {Object} [options={}] - Creation options
+ * @param {Object} [options.details=null] - Extra details for the audit entry
+ * @returns {Promise<Object>} Created task with its subtask rollup and blocked state
+ */
+const saveNewTask = async (req, fields, options = {}) => {
+  const { details = null } = options;
+  const { recurrence = null, ...taskFields } = fields;
+
+  const task = new Task({ ...taskFields, workspaceId: req.workspace._id });
+
+  if (recurrence) {
+    task.recurrence = RecurrenceService.anchorRule(recurrence, task.dueDate);
+    task.recurrenceSeriesId = task._id;
+    task.recurrenceIndex = 1;
+    task.nextOccurrenceAt = RecurrenceService.getNextOccurrenceAt(task);
+  }
+
+  await task.save();
+
+  await TaskHistoryService.recordTransition(req.workspace._id, task._id, null, task.status, {
+    changedAt: task.createdAt,
+    source: 'create'
+  });
+  await TaskRevisionService.recordRevision(req.workspace._id, req.user, null, task);
+
+  await AuditService.record(AuditService.requestContext(req), {
+    action: 'task.create',
+    targetType: 'task',
+    targetId: task._id,
+    after: task,
+    details
+  });
+
+  await AnalyticsService.invalidateCache({ workspaceId: req.workspace._id });
+
+  const [created] = await withTaskState([task.toObject()]);
+
+  // Broadcast real-time update
+  if (socketHandlers) {
+    socketHandlers.broadcastTaskUpdate('created', created);
+  }
+
+  await refreshParentTask(req, task.parentId);
+
+  return created;
+};
+
+/**
+ * POST /tasks - Create a new task
+ * @name CreateTask
+ * @function
+ * @param {Object} req.body - Task data
+ * @param {string} req.body.title - Task title (required)
+ * @param {string} [req.body.description] - Task description
+ * @param {string} [req.body.priority] - Task priority
+ * @param {number} [req.body.estimatedTime] - Estimated completion time
+ * @param {string} [req.body.dueDate] - Due date (ISO 8601)
+ * @param {string} [req.body.reminderAt] - When to send a reminder (ISO 8601)
+ * @param {Array<string>} [req.body.tags] - Tag names (unknown tags are registered)
+ * @param {string} [req.body.projectId] - Project to add the task to
+ * @param {Array<string>} [req.body.assignees] - IDs of workspace members to assign
+ * @param {string} [req.body.parentId] - Task to add the task to as a subtask
+ * @param {boolean} [req.body.autoComplete] - Complete the task once all its subtasks are completed
+ * @param {Array<string>} [req.body.blockedBy] - IDs of tasks that must be completed before this one starts
+ * @param {Object|string} [req.body.recurrence] - Schedule to repeat the task on, as a rule object or an
+ * RRULE string (needs a due date)
+ * @returns {Object} Created task with its blocked state and success message
+ */
+router.post('/tasks', requirePermission('tasks:write'), async (req, res, next) => {
+  try {
+    const {
+      title,
+      description,
+      priority,
+      estimatedTime,
+      dueDate,
+      reminderAt,
+      tags = [],
+      projectId,
+      assignees = [],
+      parentId,
+      autoComplete = false,
+      blockedBy = [],
+      recurrence = null
+    } = req.body;
+
+    // Input validation
+    if (!title || typeof title !== 'string' || title.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title is required and must be a non-empty string'
+      });
+    }
+
+    if (title.trim().length > 200) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title must be 200 characters or less'
+      });
+    }
+
+    if (description && typeof description !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Description must be a string'
+      });
+    }
+
+    if (description && description.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Description must be 1000 characters or less'
+      });
+    }
+
+    if (priority && !['low', 'medium', 'high'].includes(priority)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Priority must be one of: low, medium, high'
+      });
+    }
+
+    if (estimatedTime && (!Number.isInteger(estimatedTime) || estimatedTime < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Estimated time must be a non-negative integer'
+      });
+    }
+
+    if (dueDate && (typeof dueDate !== 'string' || isNaN(Date.parse(dueDate)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Due date must be a valid date'
+      });
+    }
+
+    if (reminderAt && (typeof reminderAt !== 'string' || isNaN(Date.parse(reminderAt)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reminder time must be a valid date'
+      });
+    }
+
+    const normalizedTags = TagService.normalizeTags(tags);
+    if (normalizedTags.error) {
+      return res.status(400).json({
+        success: false,
+        message: normalizedTags.error
+      });
+    }
+
+    if (projectId) {
+      if (typeof projectId !== 'string' || !projectId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid project ID format'
+        });
+      }
+
+      const projectError = await ProjectService.validateAssignment(req.workspace._id, projectId);
+      if (projectError) {
+        return res.status(400).json({
+          success: false,
+          message: projectError
+        });
+      }
+    }
+
+    const normalizedAssignees = UserService.normalizeAssignees(assignees);
+    const assigneeError = normalizedAssignees.error ||
+      await UserService.validateAssignees(normalizedAssignees.assignees, req.workspace.members);
+    if (assigneeError) {
+      return res.status(400).json({
+        success: false,
+        message: assigneeError
+      });
+    }
+
+    if (parentId) {
+      if (typeof parentId !== 'string' || !parentId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid parent task ID format'
+        });
+      }
+
+      const parentError = await SubtaskService.validateParent(req.workspace._id, parentId);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+    }
+
+    if (typeof autoComplete !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'AutoComplete must be a boolean'
+      });
+    }
+
+    const normalizedBlockers = DependencyService.normalizeBlockers(blockedBy);
+    const blockerError = normalizedBlockers.error ||
+      await DependencyService.validateBlockers(req.workspace._id, null, normalizedBlockers.blockedBy);
+    if (blockerError) {
+      return res.status(400).json({
+        success: false,
+        message: blockerError
+      });
+    }
+
+    const normalizedRecurrence = RecurrenceService.normalizeRule(recurrence);
+    const recurrenceError = normalizedRecurrence.error ||
+      RecurrenceService.validateTask(normalizedRecurrence.recurrence, dueDate, parentId);
+    if (recurrenceError) {
+      return res.status(400).json({
+        success: false,
+        message: recurrenceError
+      });
+    }
+
+    await TagService.ensureTags(req.workspace._id, normalizedTags.tags);
+
+    const created = await saveNewTask(req, {
+      title: title.trim(),
+      description: description ? description.trim() : description,
+      priority,
+      estimatedTime,
+      dueDate: dueDate ? new Date(dueDate) : null,
+      reminderAt: reminderAt ? new Date(reminderAt) : null,
+      tags: normalizedTags.tags,
+      projectId: projectId || null,
+      assignees: normalizedAssignees.assignees,
+      parentId: parentId || null,
+      autoComplete,
+      blockedBy: normalizedBlockers.blockedBy,
+      recurrence: normalizedRecurrence.recurrence
+    });
+
+    res.status(201).json({
+      success: true,
+      data: created,
+      message: 'Task created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /tasks/from-template/:id - Create a task from a template, filling in its variables
+ * @name CreateTaskFromTemplate
+ * @function
+ * @param {string} req.params.id - Template ID
+ * @param {Object} req.body - Creation options
+ * @param {Object} [req.body.variables={}] - Values for the template's {{variables}}
+ * @param {string} [req.body.dueDate] - Due date instead of the template's dueInDays
+ * @param {string|null} [req.body.projectId] - Project instead of the template's project
+ * @returns {Object} Created task, or 400 if variables are missing
+ */
+router.post('/tasks/from-template/:id', requirePermission('tasks:write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { variables = {}, dueDate, projectId } = req.body;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID format'
+      });
+    }
+
+    const normalizedVariables = TemplateService.normalizeVariables(variables);
+    if (normalizedVariables.error) {
+      return res.status(400).json({
+        success: false,
+        message: normalizedVariables.error
+      });
+    }
+
+    if (dueDate !== undefined && dueDate !== null && (typeof dueDate !== 'string' || isNaN(Date.parse(dueDate)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Due date must be a valid date'
+      });
+    }
+
+    if (projectId !== undefined && projectId !== null &&
+      (typeof projectId !== 'string' || !projectId.match(/^[0-9a-fA-F]{24}$/))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid project ID format'
+      });
+    }
+
+    const template = await TemplateService.getTemplate(req.workspace._id, id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    const { task: fields, error: templateError } = TemplateService.buildTask(template, normalizedVariables.variables);
+    if (templateError) {
+      return res.status(400).json({
+        success: false,
+        message: templateError
+      });
+    }
+
+    if (dueDate !== undefined) {
+      fields.dueDate = dueDate ? new Date(dueDate) : null;
+    }
+    if (projectId !== undefined) {
+      fields.projectId = projectId;
+    }
+
+    if (fields.projectId) {
+      const projectError = await ProjectService.validateAssignment(req.workspace._id, fields.projectId);
+      if (projectError) {
+        return res.status(400).json({
+          success: false,
+          message: projectError
+        });
+      }
+    }
+
+    const recurrenceError = RecurrenceService.validateTask(fields.recurrence, fields.dueDate, null);
+    if (recurrenceError) {
+      return res.status(400).json({
+        success: false,
+        message: recurrenceError
+      });
+    }
+
+    await TagService.ensureTags(req.workspace._id, fields.tags);
+
+    const created = await saveNewTask(req, fields, { details: { templateId: template._id } });
+
+    res.status(201).json({
+      success: true,
+      data: created,
+      message: 'Task created from template'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Brings a parent task up to date after one of its subtasks was added, changed or removed:
+ * completes it if it asked for that and its last open subtask is done, and otherwise
+ * re-broadcasts it with a fresh rollup so clients' progress bars follow
+ * @param {Object} req - Express request (after authenticate and requireWorkspace)
+ * @param {string|ObjectId|null} parentId - Parent task ID (nothing happens for null)
+ * @returns {Promise<void>}
+ */
+const refreshParentTask = async (req, parentId) => {
+  if (!parentId) return;
+
+  const parent = await Task.findOne({ ...workspaceScope(req), _id: parentId }).lean();
+  if (!parent) return;
+
+  if (await SubtaskService.shouldAutoComplete(parent)) {
+    // Broadcasts the completed parent; if someone edits it at the same moment it stays open
+    await applyTaskUpdate(req, parent, { status: 'completed' });
+    return;
+  }
+
+  if (socketHandlers) {
+    const [withState] = await withTaskState([parent]);
+    socketHandlers.broadcastTaskUpdate('updated', withState);
+  }
+};
+
+/**
+ * Re-broadcasts the tasks waiting for a task after it was completed, reopened, trashed or
+ * restored, so clients' blocked badges follow
+ * @param {Object} req - Express request (after authenticate and requireWorkspace)
+ * @param {Object} blocker - Blocking task
+ * @param {Object} [options={}] - Refresh options
+ * @param {boolean} [options.notify=false] - Notify the workspace of tasks the blocker was the last
+ * open blocker of (for a blocker that was just completed)
+ * @returns {Promise<void>}
+ */
+const refreshDependentTasks = async (req, blocker, options = {}) => {
+  const { notify = false } = options;
+
+  const dependents = await DependencyService.listDependents(req.workspace._id, blocker._id);
+  if (dependents.length === 0) return;
+
+  const withState = await withTaskState(dependents);
+
+  if (socketHandlers) {
+    withState.forEach(task => socketHandlers.broadcastTaskUpdate('updated', task));
+  }
+
+  if (notify) {
+    const unblocked = withState.filter(task => !task.blocked && task.status !== 'completed');
+    await DependencyService.notifyUnblocked(blocker, unblocked, { socketHandlers });
+  }
+};
+
+/**
+ * Creates and broadcasts the next instance of a recurring task, unless the recurring task
+ * job already has
+ * @param {Object} req - Express request (after authenticate and requireWorkspace)
+ * @param {Object} task - Latest instance of the series
+ * @returns {Promise<Object|null>} Created instance, or null if it already existed
+ */
+const createNextOccurrence = async (req, task) => {
+  const instance = await RecurrenceService.materializeNext(task);
+  if (!instance) return null;
+
+  await AnalyticsService.invalidateCache({ workspaceId: req.workspace._id });
+
+  if (socketHandlers) {
+    const [created] = await withTaskState([instance.toObject()]);
+    socketHandlers.broadcastTaskUpdate('created', created);
+  }
+
+  return instance;
+};
+
+/**
+ * Applies validated updates to a task and records what follows from an edit: the status
+ * transition, a revision, the audit entry, cache invalidation, the real-time broadcast, the
+ * parent task's rollup and the blocked state of the tasks waiting for it
+ * @param {Object} req - Express request (after authenticate and requireWorkspace)
+ * @param {Object} existing - Task before the update
+ * @param {Object} updates - Validated field updates
+ * @param {Object} [options={}] - Update options
+ * @param {number} [options.revertedTo] - Revision the update reverts the task to
+ * @returns {Promise<Object|null>} Updated task with its subtask rollup and blocked state, or null if it
+ * was changed or trashed since it was read
+ */
+const applyTaskUpdate = async (req, existing, updates, options = {}) => {
+  const { revertedTo = null } = options;
+  const changes = { ...updates };
+
+  // Setting a reminder re-arms it; an unchanged reminder time is still only sent once
+  if (changes.reminderAt !== undefined) {
+    changes.reminderSentAt = null;
+  }
+
+  // Set completedAt when status changes to completed
+  if (changes.status === 'completed') {
+    changes.completedAt = new Date();
+  } else if (changes.status && changes.status !== 'completed') {
+    changes.completedAt = null;
+  }
+
+  // Only write if nobody changed the task since it was read, so the diffs below stay true
+  const version = existing.version ?? 1;
+  let task = await Task.findOneAndUpdate(
+    { ...workspaceScope(req), _id: existing._id, ...Task.versionCondition(version) },
+    { ...changes, version: version + 1, updatedAt: new Date() },
+    { new: true, runValidators: true }
+  );
+
+  if (!task) {
+    return null;
+  }
+
+  if (existing.status !== task.status) {
+    await TaskHistoryService.recordTransition(req.workspace._id, task._id, existing.status, task.status);
+  }
+
+  await TaskRevisionService.recordRevision(req.workspace._id, req.user, existing, task, { revertedTo });
+
+  await AuditService.record(AuditService.requestContext(req), {
+    action: 'task.update',
+    targetType: 'task',
+    targetId: task._id,
+    before: existing,
+    after: task,
+    details: revertedTo ? { revertedTo } : null
+  });
+
+  // A completed instance makes way for the next one without waiting for its date. That claims the
+  // task's nextOccurrenceAt and bumps its version, so the task is sent as it is after the claim.
+  if (task.status === 'completed' && task.nextOccurrenceAt && await createNextOccurrence(req, task)) {
+    task = await Task.findOne({ ...workspaceScope(req), _id: task._id }) ?? task;
+  }
+
+  await redisClient.del(`task:${req.workspace._id}:${task._id}`);
+  await AnalyticsService.invalidateCache({ workspaceId: req.workspace._id });
+
+  const [updated] = await withTaskState([task.toObject()]);
+
+  // Broadcast real-time update
+  if (socketHandlers) {
+    socketHandlers.broadcastTaskUpdate('updated', updated);
+  }
+
+  // Status and estimates feed the parent's rollup; moving a subtask changes two parents
+  if (['status', 'estimatedTime', 'parentId'].some(field => changes[field] !== undefined)) {
+    await refreshParentTask(req, existing.parentId);
+    if (String(task.parentId) !== String(existing.parentId)) {
+      await refreshParentTask(req, task.parentId);
+    }
+  }
+
+  // Only completion unblocks, so only moving into or out of completed concerns the dependents
+  if ((existing.status === 'completed') !== (task.status === 'completed')) {
+    await refreshDependentTasks(req, task, { notify: task.status === 'completed' });
+  }
+
+  return updated;
+};
+
+/**
+ * PUT /tasks/:id - Update an existing task
+ * @name UpdateTask
+ * @function
+ * @param {string} req.params.id - Task ID to update
+ * @param {Object} req.body - Updated task data, optionally with the version it was based on; fields that
+ * are not in UPDATABLE_TASK_FIELDS are ignored
+ * @param {boolean} [req.body.force=false] - Start the task even though it is blocked by unfinished tasks
+ * @param {Object|string|null} [req.body.recurrence] - New schedule as a rule object or an RRULE string
+ * (null stops the task repeating)
+ * @param {string} [req.headers.if-match] - ETag of the version the update was based on
+ * @returns {Object} Updated task data (with its ETag), 404 if not found, or 409 with the current
+ * task if it changed since that version, or with its open blockers when starting a blocked task
+ */
+router.put('/tasks/:id', requirePermission('tasks:write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const updates = Object.fromEntries(
+      Object.entries(req.body || {}).filter(([field]) => UPDATABLE_TASK_FIELDS.includes(field))
+    );
+    const scope = workspaceScope(req);
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID format'
+      });
+    }
+
+    // Clients that send the version they edited get a 409 instead of overwriting newer changes
+    const { version: expectedVersion, error: versionError } = parseExpectedVersion(req);
+    if (versionError) {
+      return res.status(400).json({
+        success: false,
+        message: versionError
+      });
+    }
+
+    const { force = false } = req.body || {};
+
+    if (typeof force !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Force must be a boolean'
+      });
+    }
+
+    // Input validation for updates
+    if (updates.title !== undefined) {
+      if (!updates.title || typeof updates.title !== 'string' || updates.title.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Title must be a non-empty string'
+        });
+      }
+      if (updates.title.trim().length > 200) {
+        return res.status(400).json({
+          success: false,
+          message: 'Title must be 200 characters or less'
+        });
+      }
+      updates.title = updates.title.trim();
+    }
+
+    if (updates.description !== undefined) {
+      if (updates.description && typeof updates.description !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'Description must be a string'
+        });
+      }
+      if (updates.description && updates.description.length > 1000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Description must be 1000 characters or less'
+        });
+      }
+      if (updates.description) {
+        updates.description = updates.description.trim();
+      }
+    }
+
+    if (updates.priority !== undefined && !['low', 'medium', 'high'].includes(updates.priority)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Priority must be one of: low, medium, high'
+      });
+    }
+
+    if (updates.status !== undefined && !['pending', 'in-progress', 'completed'].includes(updates.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: pending, in-progress, completed'
+      });
+    }
+
+    if (updates.estimatedTime !== undefined && (!Number.isInteger(updates.estimatedTime) || updates.estimatedTime < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Estimated time must be a non-negative integer'
+      });
+    }
+
+    if (updates.actualTime !== undefined && updates.actualTime !== null &&
+      (typeof updates.actualTime !== 'number' || !Number.isFinite(updates.actualTime) || updates.actualTime < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Actual time must be a non-negative number or null'
+      });
+    }
+
+    if (updates.dueDate !== undefined && updates.dueDate !== null) {
+      if (typeof updates.dueDate !== 'string' || isNaN(Date.parse(updates.dueDate))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Due date must be a valid date or null'
+        });
+      }
+      updates.dueDate = new Date(updates.dueDate);
+    }
+
+    if (updates.reminderAt !== undefined) {
+      if (updates.reminderAt !== null && (typeof updates.reminderAt !== 'string' || isNaN(Date.parse(updates.reminderAt)))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reminder time must be a valid date or null'
+        });
+      }
+      updates.reminderAt = updates.reminderAt ? new Date(updates.reminderAt) : null;
+    }
+
+    if (updates.tags !== undefined) {
+      const normalizedTags = TagService.normalizeTags(updates.tags);
+      if (normalizedTags.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalizedTags.error
+        });
+      }
+      updates.tags = normalizedTags.tags;
+      await TagService.ensureTags(req.workspace._id, updates.tags);
+    }
+
+    if (updates.projectId !== undefined && updates.projectId !== null) {
+      if (typeof updates.projectId !== 'string' || !updates.projectId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid project ID format'
+        });
+      }
+
+      // Tasks already in an archived project can still be edited
+      const alreadyAssigned = await Task.exists({ ...scope, _id: id, projectId: updates.projectId });
+      const projectError = alreadyAssigned
+        ? null
+        : await ProjectService.validateAssignment(req.workspace._id, updates.projectId);
+      if (projectError) {
+        return res.status(400).json({
+          success: false,
+          message: projectError
+        });
+      }
+    }
+
+    if (updates.assignees !== undefined) {
+      const normalizedAssignees = UserService.normalizeAssignees(updates.assignees);
+      const assigneeError = normalizedAssignees.error ||
+        await UserService.validateAssignees(normalizedAssignees.assignees, req.workspace.members);
+      if (assigneeError) {
+        return res.status(400).json({
+          success: false,
+          message: assigneeError
+        });
+      }
+      updates.assignees = normalizedAssignees.assignees;
+    }
+
+    if (updates.parentId !== undefined && updates.parentId !== null) {
+      if (typeof updates.parentId !== 'string' || !updates.parentId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid parent task ID format'
+        });
+      }
+
+      const parentError = await SubtaskService.validateParent(req.workspace._id, updates.parentId, id);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+    }
+
+    if (updates.autoComplete !== undefined && typeof updates.autoComplete !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'AutoComplete must be a boolean'
+      });
+    }
+
+    if (updates.blockedBy !== undefined) {
+      const normalizedBlockers = DependencyService.normalizeBlockers(updates.blockedBy);
+      const blockerError = normalizedBlockers.error ||
+        await DependencyService.validateBlockers(req.workspace._id, id, normalizedBlockers.blockedBy);
+      if (blockerError) {
+        return res.status(400).json({
+          success: false,
+          message: blockerError
+        });
+      }
+      updates.blockedBy = normalizedBlockers.blockedBy;
+    }
+
+    if (updates.recurrence !== undefined) {
+      const normalizedRecurrence = RecurrenceService.normalizeRule(updates.recurrence);
+      if (normalizedRecurrence.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalizedRecurrence.error
+        });
+      }
+      updates.recurrence = normalizedRecurrence.recurrence;
+    }
+
+    // Capture the current task so the status transition, revision and audit diff can be recorded
+    const existing = await Task.findOne({ ...scope, _id: id }).lean();
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (expectedVersion !== undefined && expectedVersion !== (existing.version ?? 1)) {
+      return sendTaskConflict(req, res, id);
+    }
+
+    const { changes: seriesChanges, error: seriesError } = await RecurrenceService.planUpdate(existing, updates);
+    if (seriesError) {
+      return res.status(400).json({
+        success: false,
+        message: seriesError
+      });
+    }
+    Object.assign(updates, seriesChanges);
+
+    // Starting a task before the work it waits for is done has to be asked for explicitly
+    if (updates.status === 'in-progress' && existing.status !== 'in-progress' && !force) {
+      const blockers = await DependencyService.findOpenBlockers(updates.blockedBy ?? existing.blockedBy ?? []);
+      if (blockers.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Task is blocked by unfinished tasks',
+          data: { blockers }
+        });
+      }
+    }
+
+    const task = await applyTaskUpdate(req, existing, updates);
+
+    // Changed or trashed between the read and the write
+    if (!task) {
+      return sendTaskConflict(req, res, id);
+    }
+
+    res.set('ETag', taskETag(task));
+    res.json({
+      success: true,
+      data: task,
+      message: 'Task updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /tasks/:id/revisions/:rev/revert - Bring a task back to how it was right after a revision.
+ * Later changes are undone field by field; the revert is saved as a new revision.
+ * @name RevertTask
+ * @function
+ * @param {string} req.params.id - Task ID
+ * @param {string} req.params.rev - Revision number to go back to
+ * @returns {Object} Updated task, 404 if the task or revision is not found, 409 if the old values are no
+ * longer valid or the task changed meanwhile
+ */
+router.post('/tasks/:id/revisions/:rev/revert', requirePermission('tasks:write'), async (req, res, next) => {
+  try {
+    const { id, rev } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID format'
+      });
+    }
+
+    const revision = Number(rev);
+    if (!Number.isInteger(revision) || revision < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revision must be a positive integer'
+      });
+    }
+
+    const existing = await Task.findOne({ ...workspaceScope(req), _id: id }).lean();
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const updates = await TaskRevisionService.buildRevertUpdate(req.workspace._id, existing, revision);
+
+    if (!updates) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.json({
+        success: true,
+        data: existing,
+        message: `Task already matches revision ${revision}`
+      });
+    }
+
+    // The project or assignees of an old revision may have been archived or left since
+    if (updates.projectId) {
+      const projectError = await ProjectService.validateAssignment(req.workspace._id, updates.projectId);
+      if (projectError) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot revert: ${projectError}`
+        });
+      }
+    }
+
+    if (updates.assignees) {
+      const assigneeError = await UserService.validateAssignees(updates.assignees, req.workspace.members);
+      if (assigneeError) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot revert: ${assigneeError}`
+        });
+      }
+    }
+
+    if (updates.parentId) {
+      const parentError = await SubtaskService.validateParent(req.workspace._id, updates.parentId, id);
+      if (parentError) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot revert: ${parentError}`
+        });
+      }
+    }
+
+    if (updates.blockedBy) {
+      const blockerError = await DependencyService.validateBlockers(req.workspace._id, id, updates.blockedBy);
+      if (blockerError) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot revert: ${blockerError}`
+        });
+      }
+    }
+
+    const { changes: seriesChanges, error: seriesError } = await RecurrenceService.planUpdate(existing, updates);
+    if (seriesError) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot revert: ${seriesError}`
+      });
+    }
+    Object.assign(updates, seriesChanges);
+
+    if (updates.tags) {
+      await TagService.ensureTags(req.workspace._id, updates.tags);
+    }
+
+    const task = await applyTaskUpdate(req, existing, updates, { revertedTo: revision });
+
+    // Changed or trashed between the read and the write
+    if (!task) {
+      return sendTaskConflict(req, res, id);
+    }
+
+    res.json({
+      success: true,
+      data: task,
+      message: `Task reverted to revision ${revision}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /tasks/:id - Move a task and its subtasks to the trash. They can be restored until
+ * the purge job removes them after the retention period.
+ * @name DeleteTask
+ * @function
+ * @param {string} req.params.id - Task ID to delete
+ * @returns {Object} Trashed task or 404 if not found
+ */
+router.delete('/tasks/:id', requirePermission('tasks:delete'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID format'
+      });
+    }
+
+    const task = await TrashService.trashTask(req.workspace._id, id, req.user.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    await AuditService.record(AuditService.requestContext(req), {
+      action: 'task.delete',
+      targetType: 'task',
+      targetId: task._id,
+      before: task
+    });
+
+    await redisClient.del(`task:${req.workspace._id}:${id}`);
+    await AnalyticsService.invalidateCache({ workspaceId: req.workspace._id });
+
+    // Broadcast real-time update
+    if (socketHandlers) {
+      socketHandlers.broadcastTaskUpdate('deleted', task);
+    }
+
+    await refreshParentTask(req, task.parentId);
+
+    // Trashed blockers no longer hold anything up
+    await refreshDependentTasks(req, task);
+
+    res.json({
+      success: true,
+      data: task,
+      message: 'Task moved to trash'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /tasks/:id/restore - Take a task back out of the trash, with the subtasks trashed along with it
+ * @name RestoreTask
+ * @function
+ * @param {string} req.params.id - Task ID to restore
+ * @returns {Object} Restored task, 404 if the task is not in the trash, or 409 if its parent task is
+ */
+router.post('/tasks/:id/restore', requirePermission('tasks:delete'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID format'
+      });
+    }
+
+    const task = await TrashService.restoreTask(req.workspace._id, id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+
+    await AuditService.record(AuditService.requestContext(req), {
+      action: 'task.restore',
+      targetType: 'task',
+      targetId: task._id,
+      after: task
+    });
+
+    await AnalyticsService.invalidateCache({ workspaceId: req.workspace._id });
+
+    // Broadcast real-time update
+    if (socketHandlers) {
+      socketHandlers.broadcastTaskUpdate('restored', task);
+    }
+
+    await refreshParentTask(req, task.parentId);
+    await refreshDependentTasks(req, task);
+
+    res.json({
+      success: true,
+      data: task,
+      message: 'Task restored successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /tasks/trash/:id - Permanently delete a trashed task and its trashed subtasks with their
+ * history and time entries
+ * @name PurgeTask
+ * @function
+ * @param {string} req.params.id - Task ID to purge
+ * @returns {Object} Success message or 404 if the task is not in the trash
+ */
+router.delete('/tasks/trash/:id', requirePermission('tasks:delete'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID format'
+      });
+    }
+
+    const task = await TrashService.purgeTask(req.workspace._id, id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in trash'
+      });
+    }
+
+    await AuditService.record(AuditService.requestContext(req), {
+      action: 'task.purge',
+      targetType: 'task',
+      targetId: task._id,
+      before: task
+    });
+
+    res.json({
+      success: true,
+      message: 'Task permanently deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /analytics - Retrieve comprehensive task analytics
+ * @name GetAnalytics
+ * @function
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.projectId] - Limit metrics to a project ('none' for unassigned tasks)
+ * @param {string} [req.query.leafOnly] - 'true' to count only tasks without subtasks
+ * @returns {Object} Complete analytics data including metrics and charts
+ */
+router.get('/analytics', requirePermission('analytics:read'), async (req, res, next) => {
+  try {
+    const { projectId, leafOnly } = req.query;
+
+    if (projectId && !ProjectService.isValidProjectFilter(projectId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ProjectId must be a project ID or none'
+      });
+    }
+
+    if (leafOnly !== undefined && !['true', 'false'].includes(leafOnly)) {
+      return res.status(400).json({
+        success: false,
+        message: 'LeafOnly must be either true or false'
+      });
+    }
+
+    const metrics = await AnalyticsService.getTaskMetrics({
+      workspaceId: req.workspace._id,
+      projectId,
+      leafOnly: leafOnly === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: metrics
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /analytics/flow - Retrieve lead time and cycle time percentiles
+ * @name GetFlowAnalytics
+ * @function
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.from] - Window start date (defaults to 30 days before `to`)
+ * @param {string} [req.query.to] - Window end date (defaults to now)
+ * @param {string} [req.query.projectId] - Limit to a project ('none' for unassigned tasks)
+ * @returns {Object} Percentiles, histograms and priority breakdowns in hours
+ */
+router.get('/analytics/flow', requirePermission('analytics:read'), async (req, res, next) => {
+  try {
+    const { from, to, projectId } = req.query;
+
+    if (projectId && !ProjectService.isValidProjectFilter(projectId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ProjectId must be a project ID or none'
+      });
+    }
+
+    if (from && isNaN(Date.parse(from))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from format'
+      });
+    }
+
+    if (to && isNaN(Date.parse(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid to format'
+      });
+    }
+
+    if (from && to && new Date(from) > new Date(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+
+    const flow = await AnalyticsService.getFlowMetrics({
+      workspaceId: req.workspace._id,
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      projectId
+    });
+
+    res.json({
+      success: true,
+      data: flow
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /analytics/trends - Retrieve a metric's history from daily snapshots
+ * @name GetAnalyticsTrends
+ * @function
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.metric=completionRate] - Metric to chart
+ * @param {string} [req.query.from] - Range start date (defaults to 30 days before `to`)
+ * @param {string} [req.query.to] - Range end date (defaults to now)
+ * @param {string} [req.query.interval=day] - Bucket size (day/week/month)
+ * @returns {Object} Trend series with one point per interval
+ */
+router.get('/analytics/trends', requirePermission('analytics:read'), async (req, res, next) => {
+  try {
+    const { metric = 'completionRate', from, to, interval = 'day' } = req.query;
+
+    const validMetrics = AnalyticsService.getTrendMetricNames();
+    if (!validMetrics.includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        message: `Metric must be one of: ${validMetrics.join(', ')}`
+      });
+    }
+
+    if (!['day', 'week', 'month'].includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Interval must be one of: day, week, month'
+      });
+    }
+
+    if (from && isNaN(Date.parse(from))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from format'
+      });
+    }
+
+    if (to && isNaN(Date.parse(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid to format'
+      });
+    }
+
+    if (from && to && new Date(from) > new Date(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+
+    const trends = await AnalyticsService.getTrends({
+      workspaceId: req.workspace._id,
+      metric,
+      interval,
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: trends
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /analytics/burndown - Retrieve daily burndown/burnup data for a date range
+ * @name GetBurndown
+ * @function
+ * @param {Object} req.query - Query parameters; also accepts the task filters of GET /tasks
+ * @param {string} [req.query.from] - Range start date (defaults to 13 days before `to`)
+ * @param {string} [req.query.to] - Range end date (defaults to now)
+ * @param {string} [req.query.unit=tasks] - Measure remaining work in tasks or estimatedTime (hours)
+ * @returns {Object} Daily points with scope, completed, remaining and ideal values
+ */
+router.get('/analytics/burndown', requirePermission('analytics:read'), async (req, res, next) => {
+  try {
+    const { from, to, unit = 'tasks' } = req.query;
+
+    if (!['tasks', 'estimatedTime'].includes(unit)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unit must be one of: tasks, estimatedTime'
+      });
+    }
+
+    if (from && isNaN(Date.parse(from))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from format'
+      });
+    }
+
+    if (to && isNaN(Date.parse(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid to format'
+      });
+    }
+
+    const toDate = to ? new Date(to) : new Date();
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 13 * 24 * 60 * 60 * 1000);
+
+    if (fromDate > toDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+
+    if (toDate - fromDate > 366 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date range must not exceed one year'
+      });
+    }
+
+    const filterError = validateTaskFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError
+      });
+    }
+
+    const query = { ...ExportService.buildQueryFromFilters(req.query), ...workspaceScope(req) };
+    const burndown = await AnalyticsService.getBurndown(query, {
+      from: fromDate,
+      to: toDate,
+      unit
+    });
+
+    res.json({
+      success: true,
+      data: burndown
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /analytics/cumulative-flow - Retrieve daily task counts per status for a date range
+ * @name GetCumulativeFlow
+ * @function
+ * @param {Object} req.query - Query parameters; also accepts the task filters of GET /tasks
+ * @param {string} [req.query.from] - Range start date (defaults to 29 days before `to`)
+ * @param {string} [req.query.to] - Range end date (defaults to now)
+ * @returns {Object} Daily points with pending, in-progress and completed counts
+ */
+router.get('/analytics/cumulative-flow', requirePermission('analytics:read'), async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    if (from && isNaN(Date.parse(from))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from format'
+      });
+    }
+
+    if (to && isNaN(Date.parse(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid to format'
+      });
+    }
+
+    const toDate = to ? new Date(to) : new Date();
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+    if (fromDate > toDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+
+    if (toDate - fromDate > 366 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date range must not exceed one year'
+      });
+    }
+
+    const filterError = validateTaskFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError
+      });
+    }
+
+    const query = { ...ExportService.buildQueryFromFilters(req.query), ...workspaceScope(req) };
+    const flow = await AnalyticsService.getCumulativeFlow(query, {
+      from: fromDate,
+      to: toDate
+    });
+
+    res.json({
+      success: true,
+      data: flow
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /analytics/estimates - Retrieve estimation accuracy (actualTime vs estimatedTime)
+ * @name GetEstimateAccuracy
+ * @function
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.from] - Completion window start (defaults to 90 days before `to`)
+ * @param {string} [req.query.to] - Completion window end (defaults to now)
+ * @param {number} [req.query.limit=10] - Number of worst-estimated tasks to return
+ * @param {string} [req.query.projectId] - Limit to a project ('none' for unassigned tasks)
+ * @returns {Object} Ratio distribution, priority breakdown, weekly trend and worst tasks
+ */
+router.get('/analytics/estimates', requirePermission('analytics:read'), async (req, res, next) => {
+  try {
+    const { from, to, limit = 10, projectId } = req.query;
+    const limitNum = parseInt(limit);
+
+    if (projectId && !ProjectService.isValidProjectFilter(projectId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ProjectId must be a project ID or none'
+      });
+    }
+
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 50) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be an integer between 1 and 50'
+      });
+    }
+
+    if (from && isNaN(Date.parse(from))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from format'
+      });
+    }
+
+    if (to && isNaN(Date.parse(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid to format'
+      });
+    }
+
+    if (from && to && new Date(from) > new Date(to)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to'
+      });
+    }
+
+    const report = await AnalyticsService.getEstimateAccuracy({
+      workspaceId: req.workspace._id,
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      limit: limitNum,
+      projectId
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /analytics/workload - Retrieve open work and completion rate per assignee
+ * @name GetWorkload
+ * @function
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.projectId] - Limit to a project ('none' for unassigned tasks)
+ * @returns {Object} Open tasks, in-progress count, overdue count, estimated hours and completion rate per person
+ */
+router.get('/analytics/workload', requirePermission('analytics:read'), async (req, res, next) => {
+  try {
+    const { projectId } = req.query;
+
+    if (projectId && !ProjectService.isValidProjectFilter(projectId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ProjectId must be a project ID or none'
+      });
+    }
+
+    const workload = await AnalyticsService.getWorkload({ workspaceId: req.workspace._id, projectId });
+
+    res.json({
+      success: true,
+      data: workload
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /exports - Create a new export job
+ * @name CreateExport
+ * @function
+ * @param {Object} req.body - Export options
+ * @param {string} req.body.format - Export format ('csv' or 'json')
+ * @param {Object} [req.body.filters] - Filters to apply
+ * @returns {Object} Created export job
+ */
+router.post('/exports', requirePermission('exports:create'), async (req, res, next) => {
+  try {
+    const { format, filters = {} } = req.body;
+
+    if (!format || !['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid export format. Must be "csv" or "json"'
+      });
+    }
+
+    // Check for cached export
+    const cachedExport = await ExportService.getCachedExport(filters, format, req.workspace._id);
+    if (cachedExport) {
+      return res.json({
+        success: true,
+        data: cachedExport,
+        message: 'Export retrieved from cache'
+      });
+    }
+
+    // Create new export
+    const exportJob = await ExportService.createExport(
+      { format, filters, workspaceId: req.workspace._id },
+      socketHandlers
+    );
+
+    await AuditService.record(AuditService.requestContext(req), {
+      action: 'export.create',
+      targetType: 'export',
+      targetId: exportJob._id,
+      after: exportJob
+    });
+
+    res.status(201).json({
+      success: true,
+      data: exportJob,
+      message: 'Export job created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /exports - Get export history with pagination
+ * @name GetExports
+ * @function
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=10] - Items per page
+ * @returns {Object} Paginated export history
+ */
+router.get('/exports', requirePermission('exports:read'), async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    // Validate pagination parameters
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    if (isNaN(pageNum) || pageNum < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page must be a positive integer'
+      });
+    }
+
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be an integer between 1 and 100'
+      });
+    }
+
+    const result = await ExportService.getExportHistory({
+      page: pageNum,
+      limit: limitNum,
+      workspaceId: req.workspace._id
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /exports/:id - Get specific export details
+ * @name GetExport
+ * @function
+ * @param {string} req.params.id - Export ID
+ * @returns {Object} Export details
+ */
+router.get('/exports/:id', requirePermission('exports:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid export ID format'
+      });
+    }
+
+    const exportJob = await Export.findOne({ ...workspaceScope(req), _id: id });
+
+    if (!exportJob) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: exportJob
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /exports/:id/download - Download export file
+ * @name DownloadExport
+ * @function
+ * @param {string} req.params.id - Export ID
+ * @returns {File} Export file download
+ */
+router.get('/exports/:id/download', requirePermission('exports:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Validate MongoDB ObjectId
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid export ID format'
+      });
+    }
+
+    const fileInfo = await ExportService.getExportFile(id, req.workspace._id);
+
+    await AuditService.record(AuditService.requestContext(req), {
+      action: 'export.download',
+      targetType: 'export',
+      targetId: id,
+      details: { fileName: fileInfo.fileName, format: fileInfo.format }
+    });
+
+    // Set appropriate headers
+    res.setHeader('Content-Type', fileInfo.format === 'csv' ? 'text/csv' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileInfo.fileName}"`);
+
+    // Send file
+    res.sendFile(fileInfo.filePath);
+  } catch (error) {
+    if (error.message === 'Export not found' || error.message === 'Export not completed' || error.message === 'Export file no longer available') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /projects - List projects with task counts
+ * @name GetProjects
+ * @function
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.includeArchived=false] - 'true' to include archived projects
+ * @returns {Object} Projects sorted by name with taskCount and openTaskCount
+ */
+router.get('/projects', requirePermission('tasks:read'), async (req, res, next) => {
+  try {
+    const { includeArchived } = req.query;
+
+    if (includeArchived !== undefined && !['true', 'false'].includes(includeArchived)) {
+      return res.status(400).json({
+        success: false,
+        message: 'IncludeArchived must be either true or false'
+      });
+    }
+
+    const projects = await ProjectService.listProjects(req.workspace._id, {
+      includeArchived: includeArchived === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: projects
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /projects/:id - Retrieve a project
+ * @name GetProjectById
+ * @function
+ * @param {string} req.params.id - Project ID
+ * @returns {Object} Project data or 404 if not found
+ */
+router.get('/projects/:id', requirePermission('tasks:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid project ID format'
+      });
+    }
+
+    const project = await Project.findOne({ ...workspaceScope(req), _id: id }).lean();
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /projects - Create a project
+ * @name CreateProject
+ * @function
+ * @param {Object} req.body - Project data
+ * @param {string} req.body.name - Project name (unique)
+ * @param {string} [req.body.description] - Project description
+ * @param {string} [req.body.color] - Hex color (e.g. #1976D2)
+ * @returns {Object} Created project
+ */
+router.post('/projects', requirePermission('projects:manage'), async (req, res, next) => {
+  try {
+    const { name, description, color } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project name is required and must be a non-empty string'
+      });
+    }
+
+    if (name.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project name must be 100 characters or less'
+      });
+    }
+
+    if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Description must be a string of 500 characters or less'
+      });
+    }
+
+    if (color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(color)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Color must be a hex code like #1976D2'
+      });
+    }
+
+    const project = await ProjectService.createProject(req.workspace._id, {
+      name: name.trim(),
+      description: description ? description.trim() : description,
+      color
+    });
+
+    res.status(201).json({
+      success: true,
+      data: project,
+      message: 'Project created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /projects/:id - Update a project; archiving keeps its tasks but blocks new ones
+ * @name UpdateProject
+ * @function
+ * @param {string} req.params.id - Project ID
+ * @param {Object} req.body - Fields to update (name, description, color, archived)
+ * @returns {Object} Updated project or 404 if not found
+ */
+router.put('/projects/:id', requirePermission('projects:manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, description, color, archived } = req.body;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid project ID format'
+      });
+    }
+
+    const updates = {};
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'Project name must be a non-empty string of 100 characters or less'
+        });
+      }
+      updates.name = name.trim();
+    }
+
+    if (description !== undefined) {
+      if (typeof description !== 'string' || description.length > 500) {
+        return res.status(400).json({
+          success: false,
+          message: 'Description must be a string of 500 characters or less'
+        });
+      }
+      updates.description = description.trim();
+    }
+
+    if (color !== undefined) {
+      if (!/^#[0-9a-fA-F]{6}$/.test(color)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Color must be a hex code like #1976D2'
+        });
+      }
+      updates.color = color;
+    }
+
+    if (archived !== undefined) {
+      if (typeof archived !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'Archived must be a boolean'
+        });
+      }
+      updates.archived = archived;
+    }
+
+    const project = await ProjectService.updateProject(req.workspace._id, id, updates);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: project,
+      message: 'Project updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /projects/:id - Delete a project; its tasks are kept and become unassigned
+ * @name DeleteProject
+ * @function
+ * @param {string} req.params.id - Project ID
+ * @returns {Object} Success message or 404 if not found
+ */
+router.delete('/projects/:id', requirePermission('projects:manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid project ID format'
+      });
+    }
+
+    const project = await ProjectService.deleteProject(req.workspace._id, id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    await AnalyticsService.invalidateCache({ workspaceId: req.workspace._id });
+
+    res.json({
+      success: true,
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /tags - List the tag registry with usage counts
+ * @name GetTags
+ * @function
+ * @returns {Object} Tags sorted by name
+ */
+router.get('/tags', requirePermission('tasks:read'), async (req, res, next) => {
+  try {
+    const tags = await TagService.listTags(req.workspace._id);
+
+    res.json({
+      success: true,
+      data: tags
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /tags - Register a new tag
+ * @name CreateTag
+ * @function
+ * @param {Object} req.body - Tag data
+ * @param {string} req.body.name - Tag name
+ * @param {string} [req.body.color] - Hex color (e.g. #2196F3)
+ * @returns {Object} Created tag
+ */
+router.post('/tags', requirePermission('tasks:write'), async (req, res, next) => {
+  try {
+    const { name, color } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Tag name is required and must be a string'
+      });
+    }
+
+    const normalized = TagService.normalizeTags([name]);
+    if (normalized.error) {
+      return res.status(400).json({
+        success: false,
+        message: normalized.error
+      });
+    }
+
+    if (color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(color)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Color must be a hex code like #2196F3'
+      });
+    }
+
+    const tag = await TagService.createTag(req.workspace._id, { name: normalized.tags[0], color });
+
+    res.status(201).json({
+      success: true,
+      data: tag,
+      message: 'Tag created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /tags/:id - Rename or recolor a tag; renames apply to every task using it
+ * @name UpdateTag
+ * @function
+ * @param {string} req.params.id - Tag ID
+ * @param {Object} req.body - Fields to update (name, color)
+ * @returns {Object} Updated tag or 404 if not found
+ */
+router.put('/tags/:id', requirePermission('tags:manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, color } = req.body;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tag ID format'
+      });
+    }
+
+    const updates = {};
+
+    if (name !== undefined) {
+      if (typeof name !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'Tag name must be a string'
+        });
+      }
+      const normalized = TagService.normalizeTags([name]);
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error
+        });
+      }
+      updates.name = normalized.tags[0];
+    }
+
+    if (color !== undefined) {
+      if (!/^#[0-9a-fA-F]{6}$/.test(color)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Color must be a hex code like #2196F3'
+        });
+      }
+      updates.color = color;
+    }
+
+    const tag = await TagService.updateTag(req.workspace._id, id, updates);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    await AnalyticsService.invalidateCache({ workspaceId: req.workspace._id });
+
+    res.json({
+      success: true,
+      data: tag,
+      message: 'Tag updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /tags/:id - Delete a tag and remove it from all tasks
+ * @name DeleteTag
+ * @function
+ * @param {string} req.params.id - Tag ID
+ * @returns {Object} Success message or 404 if not found
+ */
+router.delete('/tags/:id', requirePermission('tags:manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tag ID format'
+      });
+    }
+
+    const tag = await TagService.deleteTag(req.workspace._id, id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    await AnalyticsService.invalidateCache({ workspaceId: req.workspace._id });
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /templates - List task templates with the variables each asks for
+ * @name GetTemplates
+ * @function
+ * @returns {Object} Templates sorted by name
+ */
+router.get('/templates', requirePermission('tasks:read'), async (req, res, next) => {
+  try {
+    const templates = await TemplateService.listTemplates(req.workspace._id);
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /templates/:id - Retrieve a task template
+ * @name GetTemplate
+ * @function
+ * @param {string} req.params.id - Template ID
+ * @returns {Object} Template with its variables or 404 if not found
+ */
+router.get('/templates/:id', requirePermission('tasks:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        message: 'Description must be a string'
+        message: 'Invalid template ID format'
       });
     }
 
-    if (description && description.length > 1000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Description must be 1000 characters or less'
-      });
-    }
+    const template = await TemplateService.getTemplate(req.workspace._id, id);
 
-    if (priority && !['low', 'medium', 'high'].includes(priority)) {
-      return res.status(400).json({
+    if (!template) {
+      return res.status(404).json({
         success: false,
-        message: 'Priority must be one of: low, medium, high'
+        message: 'Template not found'
       });
     }
 
-    if (estimatedTime && (!Number.isInteger(estimatedTime) || estimatedTime < 0)) {
+    res.json({
+      success: true,
+      data: TemplateService.withVariables(template)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /templates - Create a task template; titles and descriptions may use {{variables}}
+ * @name CreateTemplate
+ * @function
+ * @param {Object} req.body - Template data
+ * @param {string} req.body.name - Template name (unique)
+ * @param {string} req.body.title - Title of created tasks
+ * @param {string} [req.body.description] - Description of created tasks
+ * @param {string} [req.body.priority] - Priority of created tasks
+ * @param {number} [req.body.estimatedTime] - Estimate in minutes
+ * @param {Array<string>} [req.body.tags] - Tags of created tasks
+ * @param {string} [req.body.projectId] - Project of created tasks
+ * @param {number} [req.body.dueInDays] - Days from creation until created tasks are due
+ * @param {Object|string} [req.body.recurrence] - Recurrence rule of created tasks
+ * @returns {Object} Created template
+ */
+router.post('/templates', requirePermission('templates:manage'), async (req, res, next) => {
+  try {
+    const { template: fields, error } = TemplateService.normalizeTemplate(req.body);
+    const templateError = error || TemplateService.validateRecurrence(fields);
+    if (templateError) {
       return res.status(400).json({
         success: false,
-        message: 'Estimated time must be a non-negative integer'
+        message: templateError
       });
     }
 
-    const task = new Task({
-      title: title.trim(),
-      description: description ? description.trim() : description,
-      priority,
-      estimatedTime
-    });
+    if (fields.projectId) {
+      const projectError = await ProjectService.validateAssignment(req.workspace._id, fields.projectId);
+      if (projectError) {
+        return res.status(400).json({
+          success: false,
+          message: projectError
+        });
+      }
+    }
 
-    await task.save();
+    const template = await TemplateService.createTemplate(req.workspace._id, fields);
 
-    await AnalyticsService.invalidateCache();
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: 'Template created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Broadcast real-time update
-    if (socketHandlers) {
-      socketHandlers.broadcastTaskUpdate('created', task);
-    }
+/**
+ * POST /templates/starter - Import the starter templates the workspace does not have yet
+ * @name ImportStarterTemplates
+ * @function
+ * @returns {Object} Number of templates imported and skipped
+ */
+router.post('/templates/starter', requirePermission('templates:manage'), async (req, res, next) => {
+  try {
+    const result = await TemplateService.importStarterTemplates(req.workspace._id);
 
     res.status(201).json({
       success: true,
-      data: task,
-      message: 'Task created successfully'
+      data: result,
+      message: `Imported ${result.imported} starter templates`
     });
   } catch (error) {
     next(error);
@@ -363,114 +3540,72 @@ router.post('/tasks', async (req, res, next) => {
 });
 
 /**
- * PUT /tasks/:id - Update an existing task
- * @name UpdateTask
+ * PUT /templates/:id - Update a task template; tasks already created from it are unchanged
+ * @name UpdateTemplate
  * @function
- * @param {string} req.params.id - Task ID to update
- * @param {Object} req.body - Updated task data
- * @returns {Object} Updated task data or 404 if not found
+ * @param {string} req.params.id - Template ID
+ * @param {Object} req.body - Fields to update
+ * @returns {Object} Updated template or 404 if not found
  */
-router.put('/tasks/:id', async (req, res, next) => {
+router.put('/templates/:id', requirePermission('templates:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
 
-    // Validate MongoDB ObjectId
     if (!id.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid task ID format'
+        message: 'Invalid template ID format'
       });
     }
 
-    // Input validation for updates
-    if (updates.title !== undefined) {
-      if (!updates.title || typeof updates.title !== 'string' || updates.title.trim().length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Title must be a non-empty string'
-        });
-      }
-      if (updates.title.trim().length > 200) {
-        return res.status(400).json({
-          success: false,
-          message: 'Title must be 200 characters or less'
-        });
-      }
-      updates.title = updates.title.trim();
-    }
-
-    if (updates.description !== undefined) {
-      if (updates.description && typeof updates.description !== 'string') {
-        return res.status(400).json({
-          success: false,
-          message: 'Description must be a string'
-        });
-      }
-      if (updates.description && updates.description.length > 1000) {
-        return res.status(400).json({
-          success: false,
-          message: 'Description must be 1000 characters or less'
-        });
-      }
-      if (updates.description) {
-        updates.description = updates.description.trim();
-      }
-    }
-
-    if (updates.priority !== undefined && !['low', 'medium', 'high'].includes(updates.priority)) {
+    const { template: updates, error } = TemplateService.normalizeTemplate(req.body, { partial: true });
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Priority must be one of: low, medium, high'
+        message: error
       });
     }
 
-    if (updates.status !== undefined && !['pending', 'in-progress', 'completed'].includes(updates.status)) {
-      return res.status(400).json({
+    const existing = await TemplateService.getTemplate(req.workspace._id, id);
+
+    if (!existing) {
+      return res.status(404).json({
         success: false,
-        message: 'Status must be one of: pending, in-progress, completed'
+        message: 'Template not found'
       });
     }
 
-    if (updates.estimatedTime !== undefined && (!Number.isInteger(updates.estimatedTime) || updates.estimatedTime < 0)) {
+    const recurrenceError = TemplateService.validateRecurrence({ ...existing, ...updates });
+    if (recurrenceError) {
       return res.status(400).json({
         success: false,
-        message: 'Estimated time must be a non-negative integer'
+        message: recurrenceError
       });
     }
 
-    // Set completedAt when status changes to completed
-    if (updates.status === 'completed') {
-      updates.completedAt = new Date();
-    } else if (updates.status && updates.status !== 'completed') {
-      updates.completedAt = null;
+    if (updates.projectId) {
+      const projectError = await ProjectService.validateAssignment(req.workspace._id, updates.projectId);
+      if (projectError) {
+        return res.status(400).json({
+          success: false,
+          message: projectError
+        });
+      }
     }
 
-    const task = await Task.findByIdAndUpdate(
-      id,
-      { ...updates, updatedAt: new Date() },
-      { new: true, runValidators: true }
-    );
+    const template = await TemplateService.updateTemplate(req.workspace._id, id, updates);
 
-    if (!task) {
+    if (!template) {
       return res.status(404).json({
         success: false,
-        message: 'Task not found'
+        message: 'Template not found'
       });
     }
 
-    await redisClient.del(`task:${id}`);
-    await AnalyticsService.invalidateCache();
-
-    // Broadcast real-time update
-    if (socketHandlers) {
-      socketHandlers.broadcastTaskUpdate('updated', task);
-    }
-
     res.json({
       success: true,
-      data: task,
-      message: 'Task updated successfully'
+      data: template,
+      message: 'Template updated successfully'
     });
   } catch (error) {
     next(error);
@@ -478,44 +3613,35 @@ router.put('/tasks/:id', async (req, res, next) => {
 });
 
 /**
- * DELETE /tasks/:id - Delete a task by ID
- * @name DeleteTask
+ * DELETE /templates/:id - Delete a task template; tasks created from it are kept
+ * @name DeleteTemplate
  * @function
- * @param {string} req.params.id - Task ID to delete
+ * @param {string} req.params.id - Template ID
  * @returns {Object} Success message or 404 if not found
  */
-router.delete('/tasks/:id', async (req, res, next) => {
+router.delete('/templates/:id', requirePermission('templates:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Validate MongoDB ObjectId
     if (!id.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid task ID format'
+        message: 'Invalid template ID format'
       });
     }
 
-    const task = await Task.findByIdAndDelete(id);
+    const template = await TemplateService.deleteTemplate(req.workspace._id, id);
 
-    if (!task) {
+    if (!template) {
       return res.status(404).json({
         success: false,
-        message: 'Task not found'
+        message: 'Template not found'
       });
     }
 
-    await redisClient.del(`task:${id}`);
-    await AnalyticsService.invalidateCache();
-
-    // Broadcast real-time update
-    if (socketHandlers) {
-      socketHandlers.broadcastTaskUpdate('deleted', task);
-    }
-
     res.json({
       success: true,
-      message: 'Task deleted successfully'
+      message: 'Template deleted successfully'
     });
   } catch (error) {
     next(error);
@@ -523,18 +3649,42 @@ router.delete('/tasks/:id', async (req, res, next) => {
 });
 
 /**
- * GET /analytics - Retrieve comprehensive task analytics
- * @name GetAnalytics
+ * GET /notifications - Retrieve the workspace's persisted notifications, newest first
+ * @name GetNotifications
  * @function
- * @returns {Object} Complete analytics data including metrics and charts
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.limit=20] - Number of notifications (1-100)
+ * @param {string} [req.query.taskId] - Only notifications for this task
+ * @returns {Object} Notification list
  */
-router.get('/analytics', async (req, res, next) => {
+router.get('/notifications', requirePermission('tasks:read'), async (req, res, next) => {
   try {
-    const metrics = await AnalyticsService.getTaskMetrics();
+    const { limit = 20, taskId } = req.query;
+    const limitNum = parseInt(limit);
+
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be an integer between 1 and 100'
+      });
+    }
+
+    if (taskId && !taskId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid task ID format'
+      });
+    }
+
+    const scope = workspaceScope(req);
+    const notifications = await Notification.find(taskId ? { ...scope, taskId } : scope)
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .lean();
 
     res.json({
       success: true,
-      data: metrics
+      data: notifications
     });
   } catch (error) {
     next(error);
@@ -542,42 +3692,44 @@ router.get('/analytics', async (req, res, next) => {
 });
 
 /**
- * POST /exports - Create a new export job
- * @name CreateExport
+ * POST /admin/exports/cleanup - Run the export cleanup job now for the workspace's exports
+ * @name RunExportCleanup
  * @function
- * @param {Object} req.body - Export options
- * @param {string} req.body.format - Export format ('csv' or 'json')
- * @param {Object} [req.body.filters] - Filters to apply
- * @returns {Object} Created export job
+ * @param {Object} req.body - Cleanup options
+ * @param {number} [req.body.retentionDays=7] - Days to retain exports (1-365)
+ * @param {boolean} [req.body.dryRun=false] - Report what would be removed without deleting
+ * @returns {Object} Cleanup results (records and files deleted, space saved, errors)
  */
-router.post('/exports', async (req, res, next) => {
+router.post('/admin/exports/cleanup', requirePermission('admin:cleanup'), async (req, res, next) => {
   try {
-    const { format, filters = {} } = req.body;
+    const { retentionDays = 7, dryRun = false } = req.body;
 
-    if (!format || !['csv', 'json'].includes(format)) {
+    if (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > 365) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid export format. Must be "csv" or "json"'
+        message: 'Retention days must be an integer between 1 and 365'
       });
     }
 
-    // Check for cached export
-    const cachedExport = await ExportService.getCachedExport(filters, format);
-    if (cachedExport) {
-      return res.json({
-        success: true,
-        data: cachedExport,
-        message: 'Export retrieved from cache'
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Dry run must be a boolean'
       });
     }
 
-    // Create new export
-    const exportJob = await ExportService.createExport({ format, filters }, socketHandlers);
+    const results = await ExportCleanupJob.run({ retentionDays, dryRun, workspaceId: req.workspace._id });
 
-    res.status(201).json({
+    await AuditService.record(AuditService.requestContext(req), {
+      action: 'export.cleanup',
+      targetType: 'export',
+      details: { retentionDays, dryRun, ...results }
+    });
+
+    res.json({
       success: true,
-      data: exportJob,
-      message: 'Export job created successfully'
+      data: results,
+      message: dryRun ? 'Export cleanup dry run completed' : 'Export cleanup completed'
     });
   } catch (error) {
     next(error);
@@ -585,19 +3737,24 @@ router.post('/exports', async (req, res, next) => {
 });
 
 /**
- * GET /exports - Get export history with pagination
- * @name GetExports
+ * GET /audit - List the workspace's audit log, newest first
+ * @name GetAuditLog
  * @function
  * @param {Object} req.query - Query parameters
  * @param {number} [req.query.page=1] - Page number
- * @param {number} [req.query.limit=10] - Items per page
- * @returns {Object} Paginated export history
+ * @param {number} [req.query.limit=20] - Items per page (max 100)
+ * @param {string} [req.query.action] - Only this action, e.g. 'task.delete'
+ * @param {string} [req.query.actorId] - Only changes made by this user
+ * @param {string} [req.query.targetType] - Only changes to tasks or exports
+ * @param {string} [req.query.targetId] - Only changes to this task or export
+ * @param {string} [req.query.from] - Only changes on or after this date
+ * @param {string} [req.query.to] - Only changes on or before this date
+ * @returns {Object} Paginated audit entries
  */
-router.get('/exports', async (req, res, next) => {
+router.get('/audit', requirePermission('audit:read'), async (req, res, next) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 20, action, actorId, targetType, targetId, from, to } = req.query;
 
-    // Validate pagination parameters
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
 
@@ -615,48 +3772,24 @@ router.get('/exports', async (req, res, next) => {
       });
     }
 
-    const result = await ExportService.getExportHistory({ page: pageNum, limit: limitNum });
-
-    res.json({
-      success: true,
-      data: result
-    });
-  } catch (error) {
-    next(error);
-  }
-});
-
-/**
- * GET /exports/:id - Get specific export details
- * @name GetExport
- * @function
- * @param {string} req.params.id - Export ID
- * @returns {Object} Export details
- */
-router.get('/exports/:id', async (req, res, next) => {
-  try {
-    const { id } = req.params;
-
-    // Validate MongoDB ObjectId
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    const filters = { action, actorId, targetType, targetId, from, to };
+    const filterError = AuditService.validateFilters(filters);
+    if (filterError) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid export ID format'
+        message: filterError
       });
     }
 
-    const exportJob = await Export.findById(id);
-
-    if (!exportJob) {
-      return res.status(404).json({
-        success: false,
-        message: 'Export not found'
-      });
-    }
+    const result = await AuditService.listEntries(req.workspace._id, {
+      ...filters,
+      page: pageNum,
+      limit: limitNum
+    });
 
     res.json({
       success: true,
-      data: exportJob
+      data: result
     });
   } catch (error) {
     next(error);
@@ -664,55 +3797,22 @@ router.get('/exports/:id', async (req, res, next) => {
 });
 
 /**
- * GET /exports/:id/download - Download export file
- * @name DownloadExport
+ * GET /users - List the workspace's members, e.g. to pick task assignees
+ * @name GetUsers
  * @function
- * @param {string} req.params.id - Export ID
- * @returns {File} Export file download
+ * @returns {Object} Users sorted by name
  */
-router.get('/exports/:id/download', async (req, res, next) => {
+router.get('/users', requirePermission('tasks:read'), async (req, res, next) => {
   try {
-    const { id } = req.params;
-
-    // Validate MongoDB ObjectId
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid export ID format'
-      });
-    }
-
-    const fileInfo = await ExportService.getExportFile(id);
-
-    // Set appropriate headers
-    res.setHeader('Content-Type', fileInfo.format === 'csv' ? 'text/csv' : 'application/json');
-    res.setHeader('Content-Disposition', `attachment; filename="${fileInfo.fileName}"`);
+    const users = await UserService.listUsers(req.workspace.members);
 
-    // Send file
-    res.sendFile(fileInfo.filePath);
+    res.json({
+      success: true,
+      data: users
+    });
   } catch (error) {
-    if (error.message === 'Export not found' || error.message === 'Export not completed' || error.message === 'Export file no longer available') {
-      return res.status(404).json({
-        success: false,
-        message: error.message
-      });
-    }
     next(error);
   }
 });
 
-/**
- * GET /health - Health check endpoint
- * @name HealthCheck
- * @function
- * @returns {Object} API health status and timestamp
- */
-router.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'API is healthy',
-    timestamp: new Date().toISOString()
-  });
-});
-
 export default router;
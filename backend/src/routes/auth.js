@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Authentication routes for registering, signing in and managing session and API tokens
+ * @module routes/auth
+ */
+
+import express from 'express';
+import User from '../models/User.js';
+import AuthService from '../services/authService.js';
+import ApiTokenService from '../services/apiTokenService.js';
+import { authenticate } from '../middleware/auth.js';
+import { getPermissions, requireSession } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+/**
+ * Shapes a user for the response body, listing the permissions their role grants
+ * @param {Object} user - User document
+ * @returns {Object} User data with permissions
+ */
+const toProfile = (user) => ({
+  ...user.toJSON(),
+  permissions: getPermissions(user.role)
+});
+
+/**
+ * Shapes a login/refresh result for the response body
+ * @param {Object} result - User and tokens from AuthService
+ * @returns {Object} Response data
+ */
+const toSession = ({ user, accessToken, refreshToken, expiresIn }) => ({
+  user: toProfile(user),
+  accessToken,
+  refreshToken,
+  expiresIn
+});
+
+/**
+ * POST /auth/register - Create an account and sign in
+ * @name Register
+ * @function
+ * @param {Object} req.body - Account data
+ * @param {string} req.body.email - Login email
+ * @param {string} req.body.password - Password (8-72 characters)
+ * @param {string} req.body.name - Display name
+ * @returns {Object} User with access and refresh tokens
+ */
+router.post('/register', async (req, res, next) => {
+  try {
+    const validationError = AuthService.validateCredentials(req.body, { requireName: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { email, password, name } = req.body;
+    const result = await AuthService.register({
+      email: email.trim(),
+      password,
+      name: name.trim()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: toSession(result),
+      message: 'Account created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /auth/login - Sign in with email and password
+ * @name Login
+ * @function
+ * @param {Object} req.body - Credentials
+ * @param {string} req.body.email - Login email
+ * @param {string} req.body.password - Password
+ * @returns {Object} User with access and refresh tokens, or 401 for wrong credentials
+ */
+router.post('/login', async (req, res, next) => {
+  try {
+    const validationError = AuthService.validateCredentials(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const result = await AuthService.login(req.body.email, req.body.password);
+
+    res.json({
+      success: true,
+      data: toSession(result)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /auth/refresh - Exchange a refresh token for a new token pair
+ * @name RefreshToken
+ * @function
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.refreshToken - Refresh token (single use)
+ * @returns {Object} User with new access and refresh tokens, or 401 if the token is not valid
+ */
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await AuthService.refresh(refreshToken);
+
+    res.json({
+      success: true,
+      data: toSession(result)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /auth/logout - Revoke a refresh token
+ * @name Logout
+ * @function
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.refreshToken - Refresh token to revoke
+ * @returns {Object} Success message
+ */
+router.post('/logout', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken && typeof refreshToken === 'string') {
+      await AuthService.logout(refreshToken);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /auth/me - Retrieve the signed-in user
+ * @name GetCurrentUser
+ * @function
+ * @returns {Object} User data with role and permissions, or 401 if not authenticated
+ */
+router.get('/me', authenticate, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toProfile(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /auth/tokens - List the signed-in user's API tokens
+ * @name GetApiTokens
+ * @function
+ * @returns {Object} Tokens that have not been revoked, newest first (secrets are never returned)
+ */
+router.get('/tokens', authenticate, requireSession, async (req, res, next) => {
+  try {
+    const tokens = await ApiTokenService.listTokens(req.user.id);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /auth/tokens - Create an API token for scripts and integrations
+ * @name CreateApiToken
+ * @function
+ * @param {Object} req.body - Token data
+ * @param {string} req.body.name - Label for the token
+ * @param {Array<string>} req.body.scopes - Permissions the token may use; the user's role must grant each
+ * @param {number} [req.body.expiresInDays=90] - Lifetime in days (1-365)
+ * @returns {Object} Created token and its secret, which is only shown once
+ * @description Send the secret as `Authorization: Bearer <secret>` to /api routes
+ */
+router.post('/tokens', authenticate, requireSession, async (req, res, next) => {
+  try {
+    const validationError = ApiTokenService.validateTokenInput(req.body, req.user.role);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+    const { token, secret } = await ApiTokenService.createToken(req.user.id, {
+      name,
+      scopes,
+      expiresInDays
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...token.toJSON(), secret },
+      message: 'API token created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /auth/tokens/:id - Revoke an API token
+ * @name RevokeApiToken
+ * @function
+ * @param {string} req.params.id - Token ID
+ * @returns {Object} Revoked token, or 404 if the user has no such active token
+ */
+router.delete('/tokens/:id', authenticate, requireSession, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid token ID format'
+      });
+    }
+
+    const token = await ApiTokenService.revokeToken(req.user.id, id);
+
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: token,
+      message: 'API token revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
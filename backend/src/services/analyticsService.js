@@ -4,50 +4,162 @@
  */
 
 import Task from '../models/Task.js';
+import StatusTransition from '../models/StatusTransition.js';
+import MetricsSnapshot from '../models/MetricsSnapshot.js';
+import User from '../models/User.js';
+import ProjectService from './projectService.js';
+import WorkspaceService from './workspaceService.js';
+import SubtaskService from './subtaskService.js';
 import { redisClient } from '../config/redis.js';
 
+/**
+ * Builds the Redis key for a workspace's metrics, optionally limited to a project or to leaf tasks
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} [projectId] - Project ID or 'none'
+ * @param {boolean} [leafOnly=false] - Whether only tasks without subtasks are counted
+ * @returns {string} Cache key
+ */
+const getMetricsCacheKey = (workspaceId, projectId, leafOnly = false) => {
+  const key = projectId ? `task_metrics:${workspaceId}:project:${projectId}` : `task_metrics:${workspaceId}`;
+  return leafOnly ? `${key}:leaf` : key;
+};
+
+/**
+ * Builds the Redis set holding a workspace's project-scoped metrics keys
+ * @param {string} workspaceId - Workspace ID
+ * @returns {string} Set key
+ */
+const getScopedMetricsKeys = (workspaceId) => `task_metrics:${workspaceId}:scoped_keys`;
+
+/**
+ * Percentiles reported for lead and cycle time
+ * @type {Array<number>}
+ */
+const FLOW_PERCENTILES = [50, 75, 85, 95];
+
+/**
+ * Histogram buckets for lead and cycle time, bounds in hours
+ * @type {Array<Object>}
+ */
+const FLOW_HISTOGRAM_BUCKETS = [
+  { label: '< 4h', min: 0, max: 4 },
+  { label: '4-8h', min: 4, max: 8 },
+  { label: '8-24h', min: 8, max: 24 },
+  { label: '1-2d', min: 24, max: 48 },
+  { label: '2-3d', min: 48, max: 72 },
+  { label: '3-7d', min: 72, max: 168 },
+  { label: '1-2w', min: 168, max: 336 },
+  { label: '> 2w', min: 336, max: null }
+];
+
+/**
+ * Buckets for actual/estimated ratios; 0.8-1.2 counts as an accurate estimate
+ * @type {Array<Object>}
+ */
+const ESTIMATE_RATIO_BUCKETS = [
+  { label: '< 0.5x', min: 0, max: 0.5 },
+  { label: '0.5-0.8x', min: 0.5, max: 0.8 },
+  { label: '0.8-1.2x', min: 0.8, max: 1.2 },
+  { label: '1.2-1.5x', min: 1.2, max: 1.5 },
+  { label: '1.5-2x', min: 1.5, max: 2 },
+  { label: '> 2x', min: 2, max: null }
+];
+
+/**
+ * Metrics available for trends, with the snapshot field they read and how
+ * daily values are combined into a week or month: levels keep the last value,
+ * daily counts are summed.
+ * @type {Object<string, Object>}
+ */
+const TREND_METRICS = {
+  completionRate: { field: 'completionRate', aggregate: 'last' },
+  backlog: { field: 'backlog', aggregate: 'last' },
+  totalTasks: { field: 'totalTasks', aggregate: 'last' },
+  pending: { field: 'tasksByStatus.pending', aggregate: 'last' },
+  inProgress: { field: 'tasksByStatus.in-progress', aggregate: 'last' },
+  completed: { field: 'tasksByStatus.completed', aggregate: 'last' },
+  averageCompletionTime: { field: 'averageCompletionTime', aggregate: 'last' },
+  tasksCreated: { field: 'tasksCreated', aggregate: 'sum' },
+  tasksCompleted: { field: 'tasksCompleted', aggregate: 'sum' }
+};
+
 /**
  * Service class for calculating and caching task analytics
  * @class AnalyticsService
  */
 class AnalyticsService {
   /**
-   * Retrieves task metrics with Redis caching
+   * Builds the task condition for a workspace, optionally limited to a project
+   * @static
+   * @param {Object} options - Scope options
+   * @param {string} options.workspaceId - Workspace ID
+   * @param {string} [options.projectId] - Project ID ('none' for unassigned tasks)
+   * @returns {Object} Task query condition
+   */
+  static buildTaskScope({ workspaceId, projectId }) {
+    return {
+      ...WorkspaceService.buildWorkspaceScope(workspaceId),
+      ...ProjectService.buildProjectScope(projectId)
+    };
+  }
+
+  /**
+   * Retrieves a workspace's task metrics with Redis caching
    * @static
    * @async
+   * @param {Object} [options={}] - Metric options
+   * @param {string} options.workspaceId - Workspace to calculate metrics for
+   * @param {string} [options.projectId] - Limit metrics to a project ('none' for unassigned tasks)
+   * @param {boolean} [options.leafOnly=false] - Count only tasks without subtasks
    * @returns {Promise<Object>} Complete task metrics object
    * @throws {Error} Falls back to direct calculation if cache fails
    * @example
-   * const metrics = await AnalyticsService.getTaskMetrics();
+   * const metrics = await AnalyticsService.getTaskMetrics({ workspaceId });
    * console.log(metrics.totalTasks, metrics.completionRate);
    */
-  static async getTaskMetrics() {
+  static async getTaskMetrics(options = {}) {
+    const { workspaceId, projectId, leafOnly = false } = options;
+
     try {
-      const cacheKey = 'task_metrics';
+      const cacheKey = getMetricsCacheKey(workspaceId, projectId, leafOnly);
       const cached = await redisClient.get(cacheKey);
 
       if (cached) {
         return JSON.parse(cached);
       }
 
-      const metrics = await this.calculateMetrics();
+      const metrics = await this.calculateMetrics({ workspaceId, projectId, leafOnly });
 
       await redisClient.setex(cacheKey, 10, JSON.stringify(metrics));
+      if (projectId || leafOnly) {
+        // Remember scoped keys so invalidateCache can clear them
+        await redisClient.sadd(getScopedMetricsKeys(workspaceId), cacheKey);
+      }
 
       return metrics;
     } catch (error) {
       console.error('Error getting task metrics:', error);
-      return await this.calculateMetrics();
+      return await this.calculateMetrics({ workspaceId, projectId, leafOnly });
     }
   }
 
   /**
-   * Calculates all task metrics from database
+   * Calculates all of a workspace's task metrics from database
    * @static
    * @async
+   * @param {Object} [options={}] - Metric options
+   * @param {string} options.workspaceId - Workspace to calculate metrics for
+   * @param {string} [options.projectId] - Limit metrics to a project ('none' for unassigned tasks)
+   * @param {boolean} [options.leafOnly=false] - Count only tasks without subtasks, so a parent and
+   * its subtasks do not count the same work twice
    * @returns {Promise<Object>} Comprehensive metrics object with all analytics data
    */
-  static async calculateMetrics() {
+  static async calculateMetrics(options = {}) {
+    const scope = {
+      ...this.buildTaskScope(options),
+      ...(options.leafOnly ? await SubtaskService.buildLeafScope(options.workspaceId) : {})
+    };
+
     const [
       totalTasks,
       tasksByStatus,
@@ -56,18 +168,26 @@ class AnalyticsService {
       averageCompletionTime,
       tasksCreatedToday,
       tasksCompletedToday,
-      recentActivity
+      recentActivity,
+      overdueByPriority,
+      onTimeCompletionRate,
+      tasksByTag
     ] = await Promise.all([
-      Task.countDocuments(),
-      this.getTasksByStatus(),
-      this.getTasksByPriority(),
-      this.getCompletionRate(),
-      this.getAverageCompletionTime(),
-      this.getTasksCreatedToday(),
-      this.getTasksCompletedToday(),
-      this.getRecentActivity()
+      Task.countDocuments(scope),
+      this.getTasksByStatus(scope),
+      this.getTasksByPriority(scope),
+      this.getCompletionRate(scope),
+      this.getAverageCompletionTime(scope),
+      this.getTasksCreatedToday(scope),
+      this.getTasksCompletedToday(scope),
+      this.getRecentActivity(scope),
+      this.getOverdueByPriority(scope),
+      this.getOnTimeCompletionRate(scope),
+      this.getTasksByTag(scope)
     ]);
 
+    const overdueTasks = Object.values(overdueByPriority).reduce((sum, count) => sum + count, 0);
+
     return {
       totalTasks,
       tasksByStatus,
@@ -77,6 +197,12 @@ class AnalyticsService {
       tasksCreatedToday,
       tasksCompletedToday,
       recentActivity,
+      overdueTasks,
+      overdueByPriority,
+      onTimeCompletionRate,
+      tasksByTag,
+      projectId: options.projectId || null,
+      leafOnly: Boolean(options.leafOnly),
       lastUpdated: new Date().toISOString()
     };
   }
@@ -85,10 +211,12 @@ class AnalyticsService {
    * Groups tasks by status and returns count for each status
    * @static
    * @async
+   * @param {Object} [scope={}] - Task query limiting which tasks are counted
    * @returns {Promise<Object>} Object with pending, in-progress, and completed counts
    */
-  static async getTasksByStatus() {
+  static async getTasksByStatus(scope = {}) {
     const result = await Task.aggregate([
+      { $match: scope },
       { $group: { _id: '$status', count: { $sum: 1 } } },
       { $sort: { _id: 1 } }
     ]);
@@ -105,10 +233,12 @@ class AnalyticsService {
    * Groups tasks by priority and returns count for each priority level
    * @static
    * @async
+   * @param {Object} [scope={}] - Task query limiting which tasks are counted
    * @returns {Promise<Object>} Object with low, medium, and high priority counts
    */
-  static async getTasksByPriority() {
+  static async getTasksByPriority(scope = {}) {
     const result = await Task.aggregate([
+      { $match: scope },
       { $group: { _id: '$priority', count: { $sum: 1 } } },
       { $sort: { _id: 1 } }
     ]);
@@ -121,16 +251,87 @@ class AnalyticsService {
     return priorityCounts;
   }
 
+  /**
+   * Counts tasks per tag with how many of them are completed
+   * @static
+   * @async
+   * @param {Object} [scope={}] - Task query limiting which tasks are counted
+   * @param {number} [limit=20] - Maximum number of tags, most used first
+   * @returns {Promise<Array>} Entries with tag, total, and completed counts
+   */
+  static async getTasksByTag(scope = {}, limit = 20) {
+    const result = await Task.aggregate([
+      { $match: scope },
+      { $unwind: '$tags' },
+      {
+        $group: {
+          _id: '$tags',
+          total: { $sum: 1 },
+          completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } }
+        }
+      },
+      { $sort: { total: -1, _id: 1 } },
+      { $limit: limit }
+    ]);
+
+    return result.map(item => ({ tag: item._id, total: item.total, completed: item.completed }));
+  }
+
+  /**
+   * Counts open tasks past their due date, grouped by priority
+   * @static
+   * @async
+   * @param {Object} [scope={}] - Task query limiting which tasks are counted
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Promise<Object>} Object with low, medium, and high overdue counts
+   */
+  static async getOverdueByPriority(scope = {}, now = new Date()) {
+    const result = await Task.aggregate([
+      { $match: { ...scope, ...Task.overdueCondition(now) } },
+      { $group: { _id: '$priority', count: { $sum: 1 } } }
+    ]);
+
+    const overdueCounts = { low: 0, medium: 0, high: 0 };
+    result.forEach(item => {
+      overdueCounts[item._id] = item.count;
+    });
+
+    return overdueCounts;
+  }
+
+  /**
+   * Calculates the share of completed tasks with a due date that finished on time
+   * @static
+   * @async
+   * @param {Object} [scope={}] - Task query limiting which tasks are counted
+   * @returns {Promise<number>} On-time completion rate percentage (0-100)
+   */
+  static async getOnTimeCompletionRate(scope = {}) {
+    const [result] = await Task.aggregate([
+      { $match: { ...scope, status: 'completed', completedAt: { $ne: null }, dueDate: { $ne: null } } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          onTime: { $sum: { $cond: [{ $lte: ['$completedAt', '$dueDate'] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    return result && result.total > 0 ? Math.round((result.onTime / result.total) * 100) : 0;
+  }
+
   /**
    * Calculates task completion rate as percentage
    * @static
    * @async
+   * @param {Object} [scope={}] - Task query limiting which tasks are counted
    * @returns {Promise<number>} Completion rate percentage (0-100)
    */
-  static async getCompletionRate() {
+  static async getCompletionRate(scope = {}) {
     const [total, completed] = await Promise.all([
-      Task.countDocuments(),
-      Task.countDocuments({ status: 'completed' })
+      Task.countDocuments(scope),
+      Task.countDocuments({ ...scope, status: 'completed' })
     ]);
 
     return total > 0 ? Math.round((completed / total) * 100) : 0;
@@ -140,10 +341,12 @@ class AnalyticsService {
    * Calculates average time to complete tasks in hours
    * @static
    * @async
+   * @param {Object} [scope={}] - Task query limiting which tasks are counted
    * @returns {Promise<number>} Average completion time in hours (rounded to 1 decimal)
    */
-  static async getAverageCompletionTime() {
+  static async getAverageCompletionTime(scope = {}) {
     const completedTasks = await Task.find({
+      ...scope,
       status: 'completed',
       completedAt: { $exists: true, $ne: null }
     }).select('createdAt completedAt');
@@ -176,13 +379,15 @@ class AnalyticsService {
    * Counts tasks created today (since midnight)
    * @static
    * @async
+   * @param {Object} [scope={}] - Task query limiting which tasks are counted
    * @returns {Promise<number>} Number of tasks created today
    */
-  static async getTasksCreatedToday() {
+  static async getTasksCreatedToday(scope = {}) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
     return await Task.countDocuments({
+      ...scope,
       createdAt: { $gte: today }
     });
   }
@@ -191,13 +396,15 @@ class AnalyticsService {
    * Counts tasks completed today (since midnight)
    * @static
    * @async
+   * @param {Object} [scope={}] - Task query limiting which tasks are counted
    * @returns {Promise<number>} Number of tasks completed today
    */
-  static async getTasksCompletedToday() {
+  static async getTasksCompletedToday(scope = {}) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
     return await Task.countDocuments({
+      ...scope,
       status: 'completed',
       completedAt: { $gte: today }
     });
@@ -207,27 +414,29 @@ class AnalyticsService {
    * Retrieves most recently updated tasks for activity feed
    * @static
    * @async
+   * @param {Object} [scope={}] - Task query limiting which tasks are listed
    * @returns {Promise<Array>} Array of 10 most recent tasks with basic info
    */
-  static async getRecentActivity() {
-    return await Task.find()
+  static async getRecentActivity(scope = {}) {
+    return await Task.find(scope)
       .sort({ updatedAt: -1 })
       .limit(10)
       .select('title status priority updatedAt');
   }
 
   /**
-   * Calculates average task creation rate over last 30 days
+   * Calculates a workspace's average task creation rate over last 30 days
    * @static
    * @async
+   * @param {string} workspaceId - Workspace ID
    * @returns {Promise<number>} Average tasks created per hour over 30 days
    */
-  static async getTaskCreationRate() {
+  static async getTaskCreationRate(workspaceId) {
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
     const result = await Task.aggregate([
-      { $match: { createdAt: { $gte: thirtyDaysAgo } } },
+      { $match: { ...WorkspaceService.buildWorkspaceScope(workspaceId), createdAt: { $gte: thirtyDaysAgo } } },
       {
         $group: {
           _id: {
@@ -246,14 +455,655 @@ class AnalyticsService {
   }
 
   /**
-   * Invalidates the Redis cache for task metrics
+   * Calculates lead time and cycle time distributions for tasks completed in a window.
+   * Lead time runs from creation to completion; cycle time runs from the first move
+   * to in-progress (taken from status history) to completion.
+   * @static
+   * @async
+   * @param {Object} [options={}] - Flow options
+   * @param {string} options.workspaceId - Workspace whose tasks are measured
+   * @param {Date} [options.from] - Window start (defaults to 30 days before `to`)
+   * @param {Date} [options.to] - Window end (defaults to now)
+   * @param {string} [options.projectId] - Limit to a project ('none' for unassigned tasks)
+   * @returns {Promise<Object>} Percentiles, histograms and per-priority breakdowns in hours
+   * @example
+   * const flow = await AnalyticsService.getFlowMetrics({ workspaceId, from: new Date('2024-01-01') });
+   * console.log(flow.cycleTime.percentiles.p85);
+   */
+  static async getFlowMetrics(options = {}) {
+    const to = options.to || new Date();
+    const from = options.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const tasks = await Task.find({
+      ...this.buildTaskScope(options),
+      status: 'completed',
+      completedAt: { $gte: from, $lte: to }
+    }).select('priority createdAt completedAt').lean();
+
+    const starts = await StatusTransition.aggregate([
+      {
+        $match: {
+          ...WorkspaceService.buildWorkspaceScope(options.workspaceId),
+          taskId: { $in: tasks.map(task => task._id) },
+          toStatus: 'in-progress'
+        }
+      },
+      { $group: { _id: '$taskId', startedAt: { $min: '$changedAt' } } }
+    ]);
+
+    const startedAtByTask = new Map(
+      starts.map(item => [item._id.toString(), item.startedAt])
+    );
+
+    const samples = tasks.map(task => {
+      const completedAt = new Date(task.completedAt).getTime();
+      const startedAt = startedAtByTask.get(task._id.toString());
+      const leadTime = (completedAt - new Date(task.createdAt).getTime()) / (1000 * 60 * 60);
+      const cycleTime = startedAt
+        ? (completedAt - new Date(startedAt).getTime()) / (1000 * 60 * 60)
+        : null;
+
+      return {
+        priority: task.priority,
+        leadTime: leadTime >= 0 ? leadTime : null,
+        cycleTime: cycleTime !== null && cycleTime >= 0 ? cycleTime : null
+      };
+    });
+
+    const summarize = (items, field) => {
+      const values = items
+        .map(item => item[field])
+        .filter(value => value !== null);
+
+      return {
+        count: values.length,
+        percentiles: this.calculatePercentiles(values),
+        histogram: this.buildHistogram(values)
+      };
+    };
+
+    const byPriority = {};
+    for (const priority of ['low', 'medium', 'high']) {
+      const items = samples.filter(sample => sample.priority === priority);
+      byPriority[priority] = {
+        leadTime: summarize(items, 'leadTime'),
+        cycleTime: summarize(items, 'cycleTime')
+      };
+    }
+
+    return {
+      window: { from: from.toISOString(), to: to.toISOString() },
+      completedTasks: tasks.length,
+      leadTime: summarize(samples, 'leadTime'),
+      cycleTime: summarize(samples, 'cycleTime'),
+      byPriority,
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Calculates nearest-rank percentiles for a list of durations
+   * @static
+   * @param {Array<number>} values - Durations in hours
+   * @param {Array<number>} [percentiles=FLOW_PERCENTILES] - Percentiles to compute
+   * @returns {Object} Map of p50/p75/... to hours (rounded to 1 decimal), null when empty
+   */
+  static calculatePercentiles(values, percentiles = FLOW_PERCENTILES) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const result = {};
+
+    for (const p of percentiles) {
+      if (sorted.length === 0) {
+        result[`p${p}`] = null;
+        continue;
+      }
+
+      const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+      result[`p${p}`] = Math.round(sorted[rank - 1] * 10) / 10;
+    }
+
+    return result;
+  }
+
+  /**
+   * Buckets durations into the flow histogram
+   * @static
+   * @param {Array<number>} values - Durations in hours
+   * @returns {Array<Object>} Buckets with label, min, max and count
+   */
+  static buildHistogram(values) {
+    return FLOW_HISTOGRAM_BUCKETS.map(bucket => ({
+      ...bucket,
+      count: values.filter(value =>
+        value >= bucket.min && (bucket.max === null || value < bucket.max)
+      ).length
+    }));
+  }
+
+  /**
+   * Calculates daily burndown and burnup series for tasks matching a query.
+   * A task counts as done on a day when its status history (or completedAt,
+   * for tasks without history) shows it completed by the end of that day,
+   * so reopened tasks return to the remaining work.
+   * @static
+   * @async
+   * @param {Object} query - MongoDB task query with its workspace scope (see ExportService.buildQueryFromFilters)
+   * @param {Object} [options={}] - Burndown options
+   * @param {Date} [options.from] - Range start (defaults to 13 days before `to`)
+   * @param {Date} [options.to] - Range end (defaults to now)
+   * @param {string} [options.unit='tasks'] - 'tasks' to count tasks, 'estimatedTime' to sum estimates in hours
+   * @returns {Promise<Object>} Daily points with scope, completed, remaining and ideal values
+   */
+  static async getBurndown(query, options = {}) {
+    const { unit = 'tasks' } = options;
+    const to = options.to || new Date();
+    const from = options.from || new Date(to.getTime() - 13 * 24 * 60 * 60 * 1000);
+
+    const tasks = await Task.find(this.limitQueryToCreatedBy(query, to))
+      .select('createdAt completedAt estimatedTime')
+      .lean();
+
+    const transitionsByTask = await this.getTransitionsByTask(tasks, to, query.workspaceId);
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      unit,
+      points: this.buildBurndownSeries(tasks, transitionsByTask, { from, to, unit })
+    };
+  }
+
+  /**
+   * Calculates a cumulative flow diagram: task counts per status at the end of each day
+   * @static
+   * @async
+   * @param {Object} query - MongoDB task query with its workspace scope (see ExportService.buildQueryFromFilters)
+   * @param {Object} [options={}] - Range options
+   * @param {Date} [options.from] - Range start (defaults to 29 days before `to`)
+   * @param {Date} [options.to] - Range end (defaults to now)
+   * @returns {Promise<Object>} Daily points with pending, in-progress and completed counts
+   */
+  static async getCumulativeFlow(query, options = {}) {
+    const to = options.to || new Date();
+    const from = options.from || new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+    const tasks = await Task.find(this.limitQueryToCreatedBy(query, to))
+      .select('status createdAt updatedAt completedAt')
+      .lean();
+
+    const transitionsByTask = await this.getTransitionsByTask(tasks, to, query.workspaceId);
+
+    const points = [];
+    const day = this.getPeriodStart(from, 'day');
+    const lastDay = this.getPeriodStart(to, 'day');
+
+    while (day <= lastDay) {
+      const endOfDay = Math.min(day.getTime() + 24 * 60 * 60 * 1000 - 1, to.getTime());
+      const counts = { pending: 0, 'in-progress': 0, completed: 0 };
+
+      for (const task of tasks) {
+        const status = this.getStatusAt(task, transitionsByTask.get(task._id.toString()), endOfDay);
+        if (status) {
+          counts[status]++;
+        }
+      }
+
+      points.push({ date: day.toISOString().slice(0, 10), ...counts });
+      day.setUTCDate(day.getUTCDate() + 1);
+    }
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      points
+    };
+  }
+
+  /**
+   * Restricts a task query to tasks created by a date, keeping a tighter dateTo filter if given
+   * @static
+   * @param {Object} query - MongoDB task query
+   * @param {Date} to - Latest creation date
+   * @returns {Object} Query limited to tasks created on or before `to`
+   */
+  static limitQueryToCreatedBy(query, to) {
+    const createdBefore = query.createdAt && query.createdAt.$lte && query.createdAt.$lte < to
+      ? query.createdAt.$lte
+      : to;
+
+    return {
+      ...query,
+      createdAt: { ...query.createdAt, $lte: createdBefore }
+    };
+  }
+
+  /**
+   * Loads status transitions up to a date for a set of tasks, grouped by task ID
+   * @static
+   * @async
+   * @param {Array<Object>} tasks - Tasks with _id
+   * @param {Date} to - Ignore transitions after this date
+   * @param {string|ObjectId} workspaceId - Workspace of the tasks
+   * @returns {Promise<Map<string, Array>>} Date-sorted transitions keyed by task ID
+   */
+  static async getTransitionsByTask(tasks, to, workspaceId) {
+    const transitions = await StatusTransition.find({
+      ...WorkspaceService.buildWorkspaceScope(workspaceId),
+      taskId: { $in: tasks.map(task => task._id) },
+      changedAt: { $lte: to }
+    }).sort({ changedAt: 1 }).lean();
+
+    const transitionsByTask = new Map();
+    for (const transition of transitions) {
+      const key = transition.taskId.toString();
+      if (!transitionsByTask.has(key)) {
+        transitionsByTask.set(key, []);
+      }
+      transitionsByTask.get(key).push(transition);
+    }
+
+    return transitionsByTask;
+  }
+
+  /**
+   * Determines a task's status at a moment in time. Uses status history when the
+   * task has any; otherwise approximates from createdAt, updatedAt and completedAt.
+   * @static
+   * @param {Object} task - Task with status, createdAt, updatedAt and completedAt
+   * @param {Array<Object>} [history] - Date-sorted transitions for the task
+   * @param {number} time - Timestamp in milliseconds
+   * @returns {string|null} Status at that time, or null if the task did not exist yet
+   */
+  static getStatusAt(task, history, time) {
+    if (new Date(task.createdAt).getTime() > time) {
+      return null;
+    }
+
+    if (history && history.length > 0) {
+      let status = null;
+      for (const transition of history) {
+        if (new Date(transition.changedAt).getTime() > time) break;
+        status = transition.toStatus;
+      }
+      return status || 'pending';
+    }
+
+    if (task.completedAt && new Date(task.completedAt).getTime() <= time) {
+      return 'completed';
+    }
+
+    if (task.status === 'in-progress' && task.updatedAt && new Date(task.updatedAt).getTime() <= time) {
+      return 'in-progress';
+    }
+
+    return 'pending';
+  }
+
+  /**
+   * Builds one burndown point per UTC day between from and to
+   * @static
+   * @param {Array<Object>} tasks - Tasks with _id, createdAt, completedAt and estimatedTime
+   * @param {Map<string, Array>} transitionsByTask - Date-sorted transitions keyed by task ID
+   * @param {Object} options - Series options
+   * @param {Date} options.from - Range start
+   * @param {Date} options.to - Range end
+   * @param {string} options.unit - 'tasks' or 'estimatedTime'
+   * @returns {Array<Object>} Points with date, scope, completed, remaining and ideal
+   */
+  static buildBurndownSeries(tasks, transitionsByTask, options) {
+    const { from, to, unit } = options;
+    const round = value => Math.round(value * 10) / 10;
+    const weightOf = task => (unit === 'estimatedTime' ? (task.estimatedTime || 0) / 60 : 1);
+
+    const points = [];
+    const day = this.getPeriodStart(from, 'day');
+    const lastDay = this.getPeriodStart(to, 'day');
+
+    while (day <= lastDay) {
+      const endOfDay = Math.min(day.getTime() + 24 * 60 * 60 * 1000 - 1, to.getTime());
+      let scope = 0;
+      let completed = 0;
+
+      for (const task of tasks) {
+        if (new Date(task.createdAt).getTime() > endOfDay) continue;
+
+        const weight = weightOf(task);
+        scope += weight;
+        if (this.getStatusAt(task, transitionsByTask.get(task._id.toString()), endOfDay) === 'completed') {
+          completed += weight;
+        }
+      }
+
+      points.push({
+        date: day.toISOString().slice(0, 10),
+        scope: round(scope),
+        completed: round(completed),
+        remaining: round(scope - completed)
+      });
+
+      day.setUTCDate(day.getUTCDate() + 1);
+    }
+
+    // Ideal line burns the starting remaining work down to zero at the end of the range
+    const start = points.length > 0 ? points[0].remaining : 0;
+    points.forEach((point, index) => {
+      const progress = points.length > 1 ? index / (points.length - 1) : 1;
+      point.ideal = round(start * (1 - progress));
+    });
+
+    return points;
+  }
+
+  /**
+   * Builds the estimation accuracy report from completed tasks that have both
+   * estimatedTime and actualTime. Ratio is actual / estimated: above 1.2 the task
+   * was underestimated, below 0.8 it was overestimated.
+   * @static
+   * @async
+   * @param {Object} [options={}] - Report options
+   * @param {string} options.workspaceId - Workspace whose tasks are measured
+   * @param {Date} [options.from] - Completion window start (defaults to 90 days before `to`)
+   * @param {Date} [options.to] - Completion window end (defaults to now)
+   * @param {number} [options.limit=10] - Number of worst-estimated tasks to return
+   * @param {string} [options.projectId] - Limit to a project ('none' for unassigned tasks)
+   * @returns {Promise<Object>} Summary, ratio distribution, priority breakdown, weekly trend and worst tasks
+   */
+  static async getEstimateAccuracy(options = {}) {
+    const { limit = 10 } = options;
+    const to = options.to || new Date();
+    const from = options.from || new Date(to.getTime() - 90 * 24 * 60 * 60 * 1000);
+
+    const tasks = await Task.find({
+      ...this.buildTaskScope(options),
+      status: 'completed',
+      completedAt: { $gte: from, $lte: to },
+      estimatedTime: { $gt: 0 },
+      actualTime: { $gt: 0 }
+    }).select('title priority estimatedTime actualTime completedAt').lean();
+
+    return {
+      window: { from: from.toISOString(), to: to.toISOString() },
+      ...this.buildEstimateReport(tasks, { limit }),
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Builds the estimation report sections from tasks with estimates and actuals
+   * @static
+   * @param {Array<Object>} tasks - Tasks with priority, estimatedTime, actualTime and completedAt
+   * @param {Object} [options={}] - Report options
+   * @param {number} [options.limit=10] - Number of worst-estimated tasks to return
+   * @returns {Object} Summary, distribution, byPriority, trend and worstEstimated
+   */
+  static buildEstimateReport(tasks, options = {}) {
+    const { limit = 10 } = options;
+    const round = value => Math.round(value * 100) / 100;
+
+    const samples = tasks.map(task => ({
+      task,
+      ratio: task.actualTime / task.estimatedTime
+    }));
+
+    const summarize = items => {
+      const ratios = items.map(item => item.ratio).sort((a, b) => a - b);
+      const count = ratios.length;
+      const rate = predicate => (count > 0 ? Math.round((ratios.filter(predicate).length / count) * 100) : 0);
+
+      return {
+        count,
+        medianRatio: count > 0 ? round(ratios[Math.ceil(count / 2) - 1]) : null,
+        accurateRate: rate(ratio => ratio >= 0.8 && ratio <= 1.2),
+        underestimatedRate: rate(ratio => ratio > 1.2),
+        overestimatedRate: rate(ratio => ratio < 0.8)
+      };
+    };
+
+    const byPriority = {};
+    for (const priority of ['low', 'medium', 'high']) {
+      byPriority[priority] = summarize(samples.filter(item => item.task.priority === priority));
+    }
+
+    const weeks = new Map();
+    for (const item of samples) {
+      const key = this.getPeriodStart(new Date(item.task.completedAt), 'week').toISOString().slice(0, 10);
+      if (!weeks.has(key)) {
+        weeks.set(key, []);
+      }
+      weeks.get(key).push(item);
+    }
+
+    const trend = Array.from(weeks.keys()).sort().map(date => {
+      const summary = summarize(weeks.get(date));
+      return { date, count: summary.count, medianRatio: summary.medianRatio };
+    });
+
+    // Distance from a perfect estimate, symmetric for over and under (2x and 0.5x are equally bad)
+    const worstEstimated = [...samples]
+      .sort((a, b) => Math.abs(Math.log(b.ratio)) - Math.abs(Math.log(a.ratio)))
+      .slice(0, limit)
+      .map(item => ({
+        _id: item.task._id,
+        title: item.task.title,
+        priority: item.task.priority,
+        estimatedTime: item.task.estimatedTime,
+        actualTime: item.task.actualTime,
+        ratio: round(item.ratio)
+      }));
+
+    return {
+      summary: summarize(samples),
+      distribution: ESTIMATE_RATIO_BUCKETS.map(bucket => ({
+        ...bucket,
+        count: samples.filter(item =>
+          item.ratio >= bucket.min && (bucket.max === null || item.ratio < bucket.max)
+        ).length
+      })),
+      byPriority,
+      trend,
+      worstEstimated
+    };
+  }
+
+  /**
+   * Builds the per-assignee workload report. A task shared by several people counts
+   * fully for each of them; completion rate covers all of a person's tasks in scope.
+   * @static
+   * @async
+   * @param {Object} [options={}] - Report options
+   * @param {string} options.workspaceId - Workspace whose tasks are measured
+   * @param {string} [options.projectId] - Limit to a project ('none' for unassigned tasks)
+   * @param {Date} [options.now] - Reference time for overdue counts (defaults to now)
+   * @returns {Promise<Object>} Workload per assignee, busiest first, plus unassigned open work
+   */
+  static async getWorkload(options = {}) {
+    const now = options.now || new Date();
+    const scope = this.buildTaskScope(options);
+    const isOpen = { $ne: ['$status', 'completed'] };
+    const countWhen = condition => ({ $sum: { $cond: [condition, 1, 0] } });
+
+    const openWork = {
+      openTasks: countWhen(isOpen),
+      inProgress: countWhen({ $eq: ['$status', 'in-progress'] }),
+      overdue: countWhen({ $and: [isOpen, { $lt: [{ $ifNull: ['$dueDate', now] }, now] }] }),
+      estimatedMinutes: { $sum: { $cond: [isOpen, { $ifNull: ['$estimatedTime', 0] }, 0] } }
+    };
+
+    const [groups, unassigned] = await Promise.all([
+      Task.aggregate([
+        { $match: { ...scope, 'assignees.0': { $exists: true } } },
+        { $unwind: '$assignees' },
+        {
+          $group: {
+            _id: '$assignees',
+            total: { $sum: 1 },
+            completed: countWhen({ $eq: ['$status', 'completed'] }),
+            ...openWork
+          }
+        }
+      ]),
+      Task.aggregate([
+        { $match: { ...scope, 'assignees.0': { $exists: false } } },
+        { $group: { _id: null, ...openWork } }
+      ])
+    ]);
+
+    const users = await User.find({ _id: { $in: groups.map(group => group._id) } })
+      .select('name email')
+      .lean();
+
+    return {
+      ...this.buildWorkloadReport(groups, users, unassigned[0]),
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Shapes grouped workload counts into the report
+   * @static
+   * @param {Array<Object>} groups - Per-user counts (_id, total, completed, openTasks, inProgress, overdue, estimatedMinutes)
+   * @param {Array<Object>} users - Users (_id, name, email) for the grouped IDs
+   * @param {Object} [unassigned] - Open-work counts for tasks without assignees
+   * @returns {Object} assignees (busiest first) and unassigned open work
+   */
+  static buildWorkloadReport(groups, users, unassigned) {
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+    const toHours = minutes => Math.round((minutes / 60) * 10) / 10;
+
+    const assignees = groups
+      .map(group => {
+        const user = usersById.get(String(group._id));
+        return {
+          userId: String(group._id),
+          name: user ? user.name : 'Unknown user',
+          email: user ? user.email : null,
+          openTasks: group.openTasks,
+          inProgress: group.inProgress,
+          overdue: group.overdue,
+          estimatedHours: toHours(group.estimatedMinutes),
+          completedTasks: group.completed,
+          completionRate: group.total > 0 ? Math.round((group.completed / group.total) * 100) : 0
+        };
+      })
+      .sort((a, b) => b.openTasks - a.openTasks || b.estimatedHours - a.estimatedHours || a.name.localeCompare(b.name));
+
+    return {
+      assignees,
+      unassigned: {
+        openTasks: unassigned?.openTasks || 0,
+        inProgress: unassigned?.inProgress || 0,
+        overdue: unassigned?.overdue || 0,
+        estimatedHours: toHours(unassigned?.estimatedMinutes || 0)
+      }
+    };
+  }
+
+  /**
+   * Names of metrics that can be requested from getTrends
+   * @static
+   * @returns {Array<string>} Trend metric names
+   */
+  static getTrendMetricNames() {
+    return Object.keys(TREND_METRICS);
+  }
+
+  /**
+   * Retrieves a metric's history from daily snapshots
+   * @static
+   * @async
+   * @param {Object} options - Trend options
+   * @param {string} options.workspaceId - Workspace whose snapshots are read
+   * @param {string} options.metric - Metric name (see getTrendMetricNames)
+   * @param {Date} [options.from] - Range start (defaults to 30 days before `to`)
+   * @param {Date} [options.to] - Range end (defaults to now)
+   * @param {string} [options.interval='day'] - Bucket size: 'day', 'week' or 'month'
+   * @returns {Promise<Object>} Trend series with one point per interval
+   * @example
+   * const trend = await AnalyticsService.getTrends({ workspaceId, metric: 'backlog', interval: 'week' });
+   */
+  static async getTrends(options) {
+    const { metric, interval = 'day' } = options;
+    const to = options.to || new Date();
+    const from = options.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const snapshots = await MetricsSnapshot.find({
+      ...WorkspaceService.buildWorkspaceScope(options.workspaceId),
+      date: { $gte: from, $lte: to }
+    }).sort({ date: 1 }).lean();
+
+    return {
+      metric,
+      interval,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      points: this.groupSnapshots(snapshots, metric, interval)
+    };
+  }
+
+  /**
+   * Groups date-sorted snapshots into interval buckets for a metric
+   * @static
+   * @param {Array<Object>} snapshots - Snapshots sorted by date ascending
+   * @param {string} metric - Metric name
+   * @param {string} interval - 'day', 'week' (weeks start on Monday) or 'month'
+   * @returns {Array<Object>} Points with period start date and value
+   */
+  static groupSnapshots(snapshots, metric, interval) {
+    const definition = TREND_METRICS[metric];
+    const buckets = new Map();
+
+    for (const snapshot of snapshots) {
+      const period = this.getPeriodStart(new Date(snapshot.date), interval);
+      const key = period.toISOString().slice(0, 10);
+      const value = definition.field
+        .split('.')
+        .reduce((obj, part) => (obj ? obj[part] : undefined), snapshot) || 0;
+
+      if (!buckets.has(key)) {
+        buckets.set(key, { date: key, value: 0 });
+      }
+
+      const bucket = buckets.get(key);
+      bucket.value = definition.aggregate === 'sum' ? bucket.value + value : value;
+    }
+
+    return Array.from(buckets.values());
+  }
+
+  /**
+   * Returns the UTC start of the day, week (Monday) or month containing a date
+   * @static
+   * @param {Date} date - Any date
+   * @param {string} interval - 'day', 'week' or 'month'
+   * @returns {Date} Period start
+   */
+  static getPeriodStart(date, interval) {
+    const start = new Date(date);
+    start.setUTCHours(0, 0, 0, 0);
+
+    if (interval === 'week') {
+      const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+      start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+    } else if (interval === 'month') {
+      start.setUTCDate(1);
+    }
+
+    return start;
+  }
+
+  /**
+   * Invalidates the Redis cache for a workspace's task metrics
    * @static
    * @async
+   * @param {Object} [options={}] - Invalidation options
+   * @param {string} options.workspaceId - Workspace whose metrics changed
    * @returns {Promise<void>}
    */
-  static async invalidateCache() {
+  static async invalidateCache({ workspaceId } = {}) {
     try {
-      await redisClient.del('task_metrics');
+      const setKey = getScopedMetricsKeys(workspaceId);
+      const scopedKeys = await redisClient.smembers(setKey);
+      await redisClient.del(getMetricsCacheKey(workspaceId), ...scopedKeys, setKey);
     } catch (error) {
       console.error('Error invalidating analytics cache:', error);
     }
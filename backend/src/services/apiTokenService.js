@@ -0,0 +1,229 @@
+/**
+ * @fileoverview API token service for creating, revoking and authenticating personal access tokens
+ * @module services/ApiTokenService
+ */
+
+import crypto from 'crypto';
+import ApiToken from '../models/ApiToken.js';
+import User from '../models/User.js';
+import { PERMISSIONS, hasPermission } from '../middleware/permissions.js';
+
+/**
+ * Prefix of every token secret, so authenticate can tell API tokens from JWTs
+ * @type {string}
+ */
+export const API_TOKEN_PREFIX = 'tat_';
+
+/**
+ * Most active (not revoked) tokens a user can hold
+ * @type {number}
+ */
+export const MAX_TOKENS_PER_USER = 20;
+
+/**
+ * Longest token lifetime in days
+ * @type {number}
+ */
+export const MAX_TOKEN_LIFETIME_DAYS = 365;
+
+/**
+ * Lifetime in days for tokens created without one
+ * @type {number}
+ */
+export const DEFAULT_TOKEN_LIFETIME_DAYS = 90;
+
+/**
+ * How stale lastUsedAt may get before a request rewrites it, so busy scripts
+ * do not cause a database write per request
+ * @type {number}
+ */
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Number of secret characters stored in clear text to identify a token
+ * @type {number}
+ */
+const PREFIX_LENGTH = API_TOKEN_PREFIX.length + 8;
+
+/**
+ * Service class for personal API tokens
+ * @class ApiTokenService
+ */
+class ApiTokenService {
+  /**
+   * Checks whether a bearer token is an API token rather than a JWT
+   * @static
+   * @param {string} token - Bearer token
+   * @returns {boolean} True if the token has the API token prefix
+   */
+  static isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+  }
+
+  /**
+   * Hashes a token secret for storage and lookup
+   * @static
+   * @param {string} secret - Token secret
+   * @returns {string} Hex SHA-256 digest
+   */
+  static hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Generates a new token secret
+   * @static
+   * @returns {string} Prefixed random secret
+   */
+  static generateSecret() {
+    return `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  /**
+   * Validates token creation input against the creator's role
+   * @static
+   * @param {Object} data - Request body
+   * @param {string} data.name - Token label
+   * @param {Array<string>} data.scopes - Requested permissions
+   * @param {number} [data.expiresInDays] - Lifetime in days
+   * @param {string} role - Role of the user creating the token
+   * @returns {string|null} Error message, or null when the input is valid
+   */
+  static validateTokenInput({ name, scopes, expiresInDays } = {}, role) {
+    if (!name || typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+      return 'Name is required and must be 100 characters or less';
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return 'At least one scope is required';
+    }
+
+    const unknown = scopes.find(scope => !PERMISSIONS[scope]);
+    if (unknown) {
+      return `Unknown scope: ${unknown}`;
+    }
+
+    const ungranted = scopes.find(scope => !hasPermission(role, scope));
+    if (ungranted) {
+      return `Your role does not grant the ${ungranted} scope`;
+    }
+
+    if (expiresInDays !== undefined) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_TOKEN_LIFETIME_DAYS) {
+        return `Expiry must be between 1 and ${MAX_TOKEN_LIFETIME_DAYS} days`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Creates a token. The secret is only returned here; the database keeps its hash.
+   * @static
+   * @async
+   * @param {string} userId - Owner's user ID
+   * @param {Object} data - Validated token data
+   * @param {string} data.name - Token label
+   * @param {Array<string>} data.scopes - Permissions the token may use
+   * @param {number} [data.expiresInDays] - Lifetime in days
+   * @returns {Promise<Object>} Created token document and its secret
+   * @throws {Error} 409 if the user already has the maximum number of active tokens
+   */
+  static async createToken(userId, { name, scopes, expiresInDays = DEFAULT_TOKEN_LIFETIME_DAYS }) {
+    const active = await ApiToken.countDocuments({ userId, revokedAt: null });
+    if (active >= MAX_TOKENS_PER_USER) {
+      const conflict = new Error(`You can have at most ${MAX_TOKENS_PER_USER} active API tokens`);
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+
+    const secret = this.generateSecret();
+    const token = await ApiToken.create({
+      userId,
+      name: name.trim(),
+      tokenHash: this.hashSecret(secret),
+      prefix: secret.slice(0, PREFIX_LENGTH),
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000)
+    });
+
+    return { token, secret };
+  }
+
+  /**
+   * Lists a user's tokens that have not been revoked, including expired ones
+   * @static
+   * @async
+   * @param {string} userId - Owner's user ID
+   * @returns {Promise<Array>} Tokens, newest first
+   */
+  static async listTokens(userId) {
+    return await ApiToken.find({ userId, revokedAt: null }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revokes one of a user's tokens
+   * @static
+   * @async
+   * @param {string} userId - Owner's user ID
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<Object|null>} Revoked token, or null if the user has no such active token
+   */
+  static async revokeToken(userId, tokenId) {
+    return await ApiToken.findOneAndUpdate(
+      { _id: tokenId, userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Resolves a token secret to its owner, recording when it was last used
+   * @static
+   * @async
+   * @param {string} secret - Token secret from the Authorization header
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<Object>} User identity (id, email, name, role) and token (id, scopes)
+   * @throws {Error} 401 if the token is unknown, revoked, expired or its owner no longer exists
+   */
+  static async authenticate(secret, now = new Date()) {
+    const token = await ApiToken.findOne({ tokenHash: this.hashSecret(secret) });
+
+    if (!token || token.revokedAt) {
+      throw this.createUnauthorizedError('Invalid API token');
+    }
+
+    if (token.expiresAt <= now) {
+      throw this.createUnauthorizedError('API token expired');
+    }
+
+    const user = await User.findById(token.userId);
+    if (!user) {
+      throw this.createUnauthorizedError('User no longer exists');
+    }
+
+    if (!token.lastUsedAt || now - token.lastUsedAt >= LAST_USED_RESOLUTION_MS) {
+      await ApiToken.updateOne({ _id: token._id }, { lastUsedAt: now });
+    }
+
+    return {
+      user: { id: String(user._id), email: user.email, name: user.name, role: user.role },
+      token: { id: String(token._id), scopes: token.scopes }
+    };
+  }
+
+  /**
+   * Creates a 401 error
+   * @static
+   * @param {string} message - Error message
+   * @returns {Error} Error with statusCode 401
+   */
+  static createUnauthorizedError(message) {
+    const error = new Error(message);
+    error.statusCode = 401;
+    return error;
+  }
+}
+
+export default ApiTokenService;
@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Audit service for recording and querying the audit log
+ * @module services/AuditService
+ */
+
+import AuditLog, { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '../models/AuditLog.js';
+import WorkspaceService from './workspaceService.js';
+
+/**
+ * Fields left out of audit snapshots and diffs; they change on every write or
+ * are implied by the entry itself
+ * @type {Array<string>}
+ */
+const IGNORED_FIELDS = ['_id', '__v', 'workspaceId', 'updatedAt', 'version'];
+
+/**
+ * Service class for the audit log
+ * @class AuditService
+ */
+class AuditService {
+  /**
+   * Builds the actor and origin of an audit entry from an authenticated, workspace-scoped request
+   * @static
+   * @param {Object} req - Express request (after authenticate and requireWorkspace)
+   * @returns {Object} Audit context (workspaceId, actorId, actorName, actorEmail, apiTokenId, ip)
+   */
+  static requestContext(req) {
+    return {
+      workspaceId: req.workspace._id,
+      actorId: req.user.id,
+      actorName: req.user.name,
+      actorEmail: req.user.email,
+      apiTokenId: req.apiToken?.id || null,
+      ip: req.ip || null
+    };
+  }
+
+  /**
+   * Builds the context for changes made by a scheduled job
+   * @static
+   * @param {string|ObjectId} workspaceId - Workspace the job acted on
+   * @returns {Object} Audit context with no actor or IP
+   */
+  static systemContext(workspaceId) {
+    return { workspaceId, actorId: null, actorName: 'System', actorEmail: null, apiTokenId: null, ip: null };
+  }
+
+  /**
+   * Converts a document to a plain snapshot suitable for storing in an entry
+   * @static
+   * @param {Object|null} doc - Mongoose document or plain object
+   * @returns {Object|null} Snapshot without bookkeeping fields
+   */
+  static snapshot(doc) {
+    if (!doc) return null;
+
+    const plain = typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+    for (const field of IGNORED_FIELDS) {
+      delete plain[field];
+    }
+
+    return JSON.parse(JSON.stringify(plain));
+  }
+
+  /**
+   * Reduces two versions of a document to the fields that differ
+   * @static
+   * @param {Object|null} before - Document before the change
+   * @param {Object|null} after - Document after the change
+   * @returns {Object} Changed fields ({ before, after }); a side is null when the document did not exist
+   * @example
+   * AuditService.diff({ status: 'pending', title: 'A' }, { status: 'completed', title: 'A' });
+   * // { before: { status: 'pending' }, after: { status: 'completed' } }
+   */
+  static diff(before, after) {
+    const previous = this.snapshot(before);
+    const next = this.snapshot(after);
+
+    if (!previous || !next) {
+      return { before: previous, after: next };
+    }
+
+    const changed = { before: {}, after: {} };
+    const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+    for (const field of fields) {
+      if (JSON.stringify(previous[field]) !== JSON.stringify(next[field])) {
+        changed.before[field] = previous[field] ?? null;
+        changed.after[field] = next[field] ?? null;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Appends an entry to the audit log
+   * @static
+   * @async
+   * @param {Object} context - Who and where, from requestContext or systemContext
+   * @param {Object} entry - What happened
+   * @param {string} entry.action - Action from AUDIT_ACTIONS
+   * @param {string} entry.targetType - 'task' or 'export'
+   * @param {string|ObjectId} [entry.targetId] - Changed document
+   * @param {Object} [entry.before] - Document before the change
+   * @param {Object} [entry.after] - Document after the change
+   * @param {Object} [entry.details] - Extra context
+   * @returns {Promise<Object>} Created entry
+   * @example
+   * await AuditService.record(AuditService.requestContext(req), {
+   *   action: 'task.delete', targetType: 'task', targetId: task._id, before: task
+   * });
+   */
+  static async record(context, { action, targetType, targetId = null, before = null, after = null, details = null }) {
+    return await AuditLog.create({
+      ...context,
+      action,
+      targetType,
+      targetId,
+      ...this.diff(before, after),
+      details
+    });
+  }
+
+  /**
+   * Validates audit log filters from a query string
+   * @static
+   * @param {Object} filters - Filters (action, actorId, targetType, targetId, from, to)
+   * @returns {string|null} Error message, or null if the filters are valid
+   */
+  static validateFilters({ action, actorId, targetType, targetId, from, to }) {
+    if (action !== undefined && !AUDIT_ACTIONS.includes(action)) {
+      return `Action must be one of: ${AUDIT_ACTIONS.join(', ')}`;
+    }
+
+    if (targetType !== undefined && !AUDIT_TARGET_TYPES.includes(targetType)) {
+      return `Target type must be one of: ${AUDIT_TARGET_TYPES.join(', ')}`;
+    }
+
+    if (actorId !== undefined && !/^[0-9a-fA-F]{24}$/.test(actorId)) {
+      return 'Invalid actor ID format';
+    }
+
+    if (targetId !== undefined && !/^[0-9a-fA-F]{24}$/.test(targetId)) {
+      return 'Invalid target ID format';
+    }
+
+    if (from !== undefined && isNaN(Date.parse(from))) {
+      return 'Invalid from format';
+    }
+
+    if (to !== undefined && isNaN(Date.parse(to))) {
+      return 'Invalid to format';
+    }
+
+    if (from && to && new Date(from) > new Date(to)) {
+      return 'from must be before to';
+    }
+
+    return null;
+  }
+
+  /**
+   * Builds the query for a workspace's audit entries from validated filters
+   * @static
+   * @param {string|ObjectId} workspaceId - Workspace ID
+   * @param {Object} [filters={}] - Filters (action, actorId, targetType, targetId, from, to)
+   * @returns {Object} MongoDB query
+   */
+  static buildQuery(workspaceId, filters = {}) {
+    const { action, actorId, targetType, targetId, from, to } = filters;
+    const query = WorkspaceService.buildWorkspaceScope(workspaceId);
+
+    if (action) query.action = action;
+    if (actorId) query.actorId = actorId;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    return query;
+  }
+
+  /**
+   * Lists a workspace's audit entries, newest first
+   * @static
+   * @async
+   * @param {string|ObjectId} workspaceId - Workspace ID
+   * @param {Object} [options={}] - Filters (see buildQuery) plus page and limit
+   * @returns {Promise<Object>} Entries and pagination
+   */
+  static async listEntries(workspaceId, options = {}) {
+    const { page = 1, limit = 20, ...filters } = options;
+    const query = this.buildQuery(workspaceId, filters);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+export default AuditService;
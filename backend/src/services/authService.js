@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Authentication service for passwords, JWT access tokens and refresh tokens
+ * @module services/AuthService
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import User, { EMAIL_PATTERN } from '../models/User.js';
+import WorkspaceService from './workspaceService.js';
+import { redisClient } from '../config/redis.js';
+
+/**
+ * Shortest accepted password
+ * @type {number}
+ */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Longest accepted password; bcrypt ignores input beyond 72 bytes
+ * @type {number}
+ */
+export const MAX_PASSWORD_LENGTH = 72;
+
+/**
+ * Access token lifetime in seconds when JWT_ACCESS_TTL_SECONDS is not set
+ * @type {number}
+ */
+const DEFAULT_ACCESS_TOKEN_TTL = 15 * 60;
+
+/**
+ * Refresh token lifetime in seconds when JWT_REFRESH_TTL_SECONDS is not set
+ * @type {number}
+ */
+const DEFAULT_REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60;
+
+/**
+ * bcrypt cost factor for password hashes
+ * @type {number}
+ */
+const BCRYPT_ROUNDS = 12;
+
+/**
+ * Signing secret used outside production when JWT_SECRET is not set
+ * @type {string}
+ */
+const DEVELOPMENT_SECRET = 'task-analytics-development-secret';
+
+/**
+ * Service class for user authentication
+ * @class AuthService
+ */
+class AuthService {
+  /**
+   * Returns the JWT signing secret
+   * @static
+   * @returns {string} Secret from JWT_SECRET
+   * @throws {Error} If JWT_SECRET is missing in production
+   */
+  static getSecret() {
+    if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+
+    return DEVELOPMENT_SECRET;
+  }
+
+  /**
+   * Returns the access and refresh token lifetimes. Read when tokens are issued rather than at
+   * import, so values loaded from .env after this module are used.
+   * @static
+   * @returns {{access: number, refresh: number}} Lifetimes in seconds
+   */
+  static getTokenTtls() {
+    return {
+      access: parseInt(process.env.JWT_ACCESS_TTL_SECONDS) || DEFAULT_ACCESS_TOKEN_TTL,
+      refresh: parseInt(process.env.JWT_REFRESH_TTL_SECONDS) || DEFAULT_REFRESH_TOKEN_TTL
+    };
+  }
+
+  /**
+   * Hashes a password with bcrypt
+   * @static
+   * @async
+   * @param {string} password - Plain-text password
+   * @returns {Promise<string>} bcrypt hash
+   */
+  static async hashPassword(password) {
+    return await bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  /**
+   * Checks a password against a bcrypt hash
+   * @static
+   * @async
+   * @param {string} password - Plain-text password
+   * @param {string} hash - Stored bcrypt hash
+   * @returns {Promise<boolean>} True if the password matches
+   */
+  static async verifyPassword(password, hash) {
+    return await bcrypt.compare(password, hash);
+  }
+
+  /**
+   * Creates an account with a workspace and signs it in; the first account becomes an admin
+   * @static
+   * @async
+   * @param {Object} data - Account data
+   * @param {string} data.email - Login email
+   * @param {string} data.password - Plain-text password
+   * @param {string} data.name - Display name
+   * @returns {Promise<Object>} User plus access and refresh tokens
+   * @throws {Error} 409 if the email is already registered
+   */
+  static async register({ email, password, name }) {
+    const account = { email, name, passwordHash: await this.hashPassword(password) };
+    let user;
+
+    try {
+      user = await this.createFirstAccount(account) ?? await User.create({ ...account, role: 'member' });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw this.createError('Email is already registered', 409);
+      }
+      throw error;
+    }
+
+    await WorkspaceService.provisionNewUser(user, user.role === 'admin');
+
+    return { user, ...(await this.issueTokens(user)) };
+  }
+
+  /**
+   * Creates the first account as an admin. The firstAccount flag is unique, so when several
+   * registrations find the database empty at the same moment only one of them is created here.
+   * @static
+   * @async
+   * @param {Object} account - Email, name and passwordHash
+   * @returns {Promise<Object|null>} Created admin, or null if another account already exists or was first
+   * @throws {Error} Duplicate key error (11000) if the email is already registered
+   */
+  static async createFirstAccount(account) {
+    if (await User.exists({})) return null;
+
+    try {
+      return await User.create({ ...account, role: 'admin', firstAccount: true });
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern?.firstAccount) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Signs in with email and password
+   * @static
+   * @async
+   * @param {string} email - Login email
+   * @param {string} password - Plain-text password
+   * @returns {Promise<Object>} User plus access and refresh tokens
+   * @throws {Error} 401 if the credentials are wrong
+   */
+  static async login(email, password) {
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select('+passwordHash');
+
+    if (!user || !(await this.verifyPassword(password, user.passwordHash))) {
+      throw this.createError('Invalid email or password', 401);
+    }
+
+    return { user, ...(await this.issueTokens(user)) };
+  }
+
+  /**
+   * Exchanges a refresh token for a new token pair. Each refresh token works once.
+   * @static
+   * @async
+   * @param {string} refreshToken - Refresh token from login or a previous refresh
+   * @returns {Promise<Object>} User plus new access and refresh tokens
+   * @throws {Error} 401 if the token is invalid, expired or already used
+   */
+  static async refresh(refreshToken) {
+    const payload = this.verifyToken(refreshToken, 'refresh');
+
+    // Deleting the stored token both validates and revokes it
+    const removed = await redisClient.del(this.getRefreshTokenKey(payload.jti));
+    if (removed === 0) {
+      throw this.createError('Refresh token has been revoked', 401);
+    }
+
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      throw this.createError('User no longer exists', 401);
+    }
+
+    return { user, ...(await this.issueTokens(user)) };
+  }
+
+  /**
+   * Revokes a refresh token; invalid or expired tokens are ignored
+   * @static
+   * @async
+   * @param {string} refreshToken - Refresh token to revoke
+   * @returns {Promise<void>}
+   */
+  static async logout(refreshToken) {
+    try {
+      const payload = this.verifyToken(refreshToken, 'refresh');
+      await redisClient.del(this.getRefreshTokenKey(payload.jti));
+    } catch (error) {
+      if (error.statusCode !== 401) throw error;
+    }
+  }
+
+  /**
+   * Signs an access token and a refresh token for a user
+   * @static
+   * @async
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} accessToken, refreshToken and expiresIn (seconds)
+   */
+  static async issueTokens(user) {
+    const secret = this.getSecret();
+    const userId = String(user._id);
+    const jti = crypto.randomUUID();
+    const ttls = this.getTokenTtls();
+
+    const accessToken = jwt.sign(
+      { type: 'access', email: user.email, name: user.name, role: user.role },
+      secret,
+      { subject: userId, expiresIn: ttls.access }
+    );
+
+    const refreshToken = jwt.sign(
+      { type: 'refresh' },
+      secret,
+      { subject: userId, jwtid: jti, expiresIn: ttls.refresh }
+    );
+
+    await redisClient.setex(this.getRefreshTokenKey(jti), ttls.refresh, userId);
+
+    return { accessToken, refreshToken, expiresIn: ttls.access };
+  }
+
+  /**
+   * Verifies an access token and returns the user it belongs to
+   * @static
+   * @param {string} token - Access token
+   * @returns {Object} User identity (id, email, name, role)
+   * @throws {Error} 401 if the token is invalid or expired
+   */
+  static verifyAccessToken(token) {
+    const payload = this.verifyToken(token, 'access');
+
+    return { id: payload.sub, email: payload.email, name: payload.name, role: payload.role };
+  }
+
+  /**
+   * Verifies a token's signature, expiry and type
+   * @static
+   * @param {string} token - Signed JWT
+   * @param {string} type - Expected token type ('access' or 'refresh')
+   * @returns {Object} Decoded payload
+   * @throws {Error} 401 if the token is invalid, expired or of the wrong type
+   */
+  static verifyToken(token, type) {
+    const secret = this.getSecret();
+    let payload;
+
+    try {
+      payload = jwt.verify(token, secret, { algorithms: ['HS256'] });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw this.createError('Token expired', 401);
+      }
+      throw this.createError('Invalid token', 401);
+    }
+
+    if (payload.type !== type) {
+      throw this.createError('Invalid token', 401);
+    }
+
+    return payload;
+  }
+
+  /**
+   * Validates registration and login input
+   * @static
+   * @param {Object} data - Request body
+   * @param {Object} [options={}] - Validation options
+   * @param {boolean} [options.requireName=false] - Whether a display name is required
+   * @returns {string|null} Error message, or null when the input is valid
+   */
+  static validateCredentials(data, options = {}) {
+    const { email, password, name } = data;
+
+    if (!email || typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+      return 'A valid email is required';
+    }
+
+    if (!password || typeof password !== 'string') {
+      return 'Password is required';
+    }
+
+    if (options.requireName) {
+      if (password.length < MIN_PASSWORD_LENGTH || Buffer.byteLength(password) > MAX_PASSWORD_LENGTH) {
+        return `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`;
+      }
+
+      if (!name || typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+        return 'Name is required and must be 100 characters or less';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Redis key marking a refresh token as valid
+   * @static
+   * @param {string} jti - Refresh token ID
+   * @returns {string} Redis key
+   */
+  static getRefreshTokenKey(jti) {
+    return `refresh_token:${jti}`;
+  }
+
+  /**
+   * Creates an error carrying an HTTP status code
+   * @static
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} Error with statusCode
+   */
+  static createError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+export default AuthService;
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Checklist service for the ordered checklist items inside a task
+ * @module services/ChecklistService
+ */
+
+import Task from '../models/Task.js';
+import WorkspaceService from './workspaceService.js';
+
+/**
+ * Most items a task's checklist can hold
+ * @type {number}
+ */
+export const MAX_CHECKLIST_ITEMS = 50;
+
+/**
+ * Creates an error passed to errorHandler with a status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Attempts at applying a checklist change before giving up when other edits keep getting in first
+ * @type {number}
+ */
+const MAX_CHANGE_ATTEMPTS = 3;
+
+/**
+ * Applies a checklist change to the task as it was just read. The update only matches that
+ * version, so the task before and after differ by exactly this change; if another edit got in
+ * first, the task is read again and the change worked out anew.
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} taskId - Task ID
+ * @param {Function} buildUpdate - Given the current task, returns the update to apply; throws if the
+ * change does not fit it
+ * @returns {Promise<{before: Object, task: Object}>} Task before the change and the updated task
+ * @throws {Error} 404 if the task does not exist, 409 if it kept changing meanwhile
+ */
+const applyChange = async (workspaceId, taskId, buildUpdate) => {
+  const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+
+  for (let attempt = 1; attempt <= MAX_CHANGE_ATTEMPTS; attempt++) {
+    const before = await Task.findOne({ ...scope, _id: taskId }).lean();
+    if (!before) {
+      throw createError('Task not found', 404);
+    }
+
+    const version = before.version ?? 1;
+    const task = await Task.findOneAndUpdate(
+      { ...scope, _id: taskId, ...Task.versionCondition(version) },
+      { ...buildUpdate(before), version: version + 1, updatedAt: new Date() },
+      { new: true, runValidators: true }
+    );
+
+    if (task) {
+      return { before, task };
+    }
+  }
+
+  throw createError('Task was changed while updating its checklist; reload it and try again', 409);
+};
+
+/**
+ * Finds the position of an item in a task's checklist
+ * @param {Object} task - Task with its checklist
+ * @param {string} itemId - Checklist item ID
+ * @returns {number} Index of the item
+ * @throws {Error} 404 if the checklist has no such item
+ */
+const findItemIndex = (task, itemId) => {
+  const index = (task.checklist || []).findIndex(item => String(item._id) === itemId);
+  if (index === -1) {
+    throw createError('Checklist item not found', 404);
+  }
+  return index;
+};
+
+/**
+ * Service class for task checklists. Each change touches only the checklist rather than saving the
+ * whole task, and bumps the task's version like any other edit.
+ * @class ChecklistService
+ */
+class ChecklistService {
+  /**
+   * Validates the text of a checklist item
+   * @static
+   * @param {*} text - Value from the request
+   * @returns {{text: string|null, error: string|null}} Trimmed text, or an error message
+   */
+  static normalizeText(text) {
+    if (typeof text !== 'string' || text.trim().length === 0 || text.trim().length > 200) {
+      return { text: null, error: 'Checklist item text is required and must be 200 characters or less' };
+    }
+    return { text: text.trim(), error: null };
+  }
+
+  /**
+   * Counts a checklist's items and how many of them are done
+   * @static
+   * @param {Array<Object>} [checklist=[]] - Checklist items
+   * @returns {{done: number, total: number}} Checklist progress
+   * @example
+   * ChecklistService.getProgress([{ done: true }, { done: false }]); // { done: 1, total: 2 }
+   */
+  static getProgress(checklist = []) {
+    return {
+      done: checklist.filter(item => item.done).length,
+      total: checklist.length
+    };
+  }
+
+  /**
+   * Checks that a new order names every item of a checklist exactly once
+   * @static
+   * @param {Array<Object>} checklist - Current checklist items
+   * @param {*} itemIds - Item IDs in their new order, from the request
+   * @returns {string|null} Error message, or null if the order is complete
+   */
+  static validateOrder(checklist, itemIds) {
+    if (!Array.isArray(itemIds) || itemIds.some(id => typeof id !== 'string')) {
+      return 'ItemIds must be an array of checklist item IDs';
+    }
+
+    const current = new Set(checklist.map(item => String(item._id)));
+    if (itemIds.length !== current.size || new Set(itemIds).size !== itemIds.length ||
+      itemIds.some(id => !current.has(id))) {
+      return 'ItemIds must list every checklist item exactly once';
+    }
+
+    return null;
+  }
+
+  /**
+   * Adds an item to the end of a task's checklist
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} taskId - Task ID
+   * @param {string} text - Normalized item text
+   * @returns {Promise<{before: Object, task: Object}>} Task before the change and the updated task
+   * @throws {Error} 404 if the task does not exist, 409 if its checklist is full
+   */
+  static async addItem(workspaceId, taskId, text) {
+    return await applyChange(workspaceId, taskId, (task) => {
+      if ((task.checklist || []).length >= MAX_CHECKLIST_ITEMS) {
+        throw createError(`Checklists are limited to ${MAX_CHECKLIST_ITEMS} items`, 409);
+      }
+      return { $push: { checklist: { text } } };
+    });
+  }
+
+  /**
+   * Ticks off, reopens or renames a checklist item. Ticking off an item that is
+   * already done keeps its doneAt.
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} taskId - Task ID
+   * @param {string} itemId - Checklist item ID
+   * @param {Object} changes - Item changes
+   * @param {boolean} [changes.done] - Whether the item is done
+   * @param {string} [changes.text] - Normalized item text
+   * @returns {Promise<{before: Object, task: Object}>} Task before the change and the updated task
+   * @throws {Error} 404 if the task or item does not exist
+   */
+  static async updateItem(workspaceId, taskId, itemId, { done, text }) {
+    return await applyChange(workspaceId, taskId, (task) => {
+      const index = findItemIndex(task, itemId);
+      const $set = {};
+
+      if (text !== undefined) {
+        $set[`checklist.${index}.text`] = text;
+      }
+
+      // Only a change of state is recorded, so doneAt is when the item was first ticked off
+      if (done !== undefined && done !== task.checklist[index].done) {
+        $set[`checklist.${index}.done`] = done;
+        $set[`checklist.${index}.doneAt`] = done ? new Date() : null;
+      }
+
+      return { $set };
+    });
+  }
+
+  /**
+   * Removes an item from a task's checklist
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} taskId - Task ID
+   * @param {string} itemId - Checklist item ID
+   * @returns {Promise<{before: Object, task: Object}>} Task before the change and the updated task
+   * @throws {Error} 404 if the task or item does not exist
+   */
+  static async removeItem(workspaceId, taskId, itemId) {
+    return await applyChange(workspaceId, taskId, (task) => {
+      const { _id } = task.checklist[findItemIndex(task, itemId)];
+      return { $pull: { checklist: { _id } } };
+    });
+  }
+
+  /**
+   * Puts a task's checklist items in a new order
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} taskId - Task ID
+   * @param {Array<string>} itemIds - Every item ID in the new order
+   * @returns {Promise<{before: Object, task: Object}>} Task before the change and the updated task
+   * @throws {Error} 404 if the task does not exist, 400 if the order leaves out or repeats items
+   */
+  static async reorderItems(workspaceId, taskId, itemIds) {
+    return await applyChange(workspaceId, taskId, (task) => {
+      const orderError = this.validateOrder(task.checklist || [], itemIds);
+      if (orderError) {
+        throw createError(orderError, 400);
+      }
+
+      // Items keep their state as read, which the version condition guarantees is still current
+      const itemsById = new Map(task.checklist.map(item => [String(item._id), item]));
+      return { checklist: itemIds.map(id => itemsById.get(id)) };
+    });
+  }
+}
+
+export default ChecklistService;
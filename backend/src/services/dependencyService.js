@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Dependency service for blocks/blocked-by links between tasks
+ * @module services/DependencyService
+ */
+
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import Notification from '../models/Notification.js';
+import WorkspaceService from './workspaceService.js';
+
+/**
+ * Most tasks a single task can wait for
+ * @type {number}
+ */
+export const MAX_BLOCKERS_PER_TASK = 20;
+
+/**
+ * Service class for task dependencies. A task lists the tasks it waits for in blockedBy and
+ * is blocked while any of them is not completed; trashed blockers no longer count.
+ * @class DependencyService
+ */
+class DependencyService {
+  /**
+   * Validates and de-duplicates blocking task IDs from a request body
+   * @static
+   * @param {*} blockedBy - Value from the request
+   * @returns {{blockedBy: Array<string>|null, error: string|null}} Unique task IDs, or an error message
+   */
+  static normalizeBlockers(blockedBy) {
+    if (!Array.isArray(blockedBy) || blockedBy.some(id => typeof id !== 'string')) {
+      return { blockedBy: null, error: 'BlockedBy must be an array of task IDs' };
+    }
+
+    const normalized = [...new Set(blockedBy.map(id => id.toLowerCase()))];
+
+    if (normalized.some(id => !/^[0-9a-f]{24}$/.test(id))) {
+      return { blockedBy: null, error: 'Invalid blocking task ID format' };
+    }
+
+    if (normalized.length > MAX_BLOCKERS_PER_TASK) {
+      return { blockedBy: null, error: `A task can be blocked by at most ${MAX_BLOCKERS_PER_TASK} tasks` };
+    }
+
+    return { blockedBy: normalized, error: null };
+  }
+
+  /**
+   * Checks that a task can wait for the given tasks: they exist in the workspace and
+   * none of them already waits for the task, directly or through other tasks
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string|null} taskId - Task getting the blockers (null for new tasks, which cannot close a cycle)
+   * @param {Array<string>} blockerIds - Normalized blocking task IDs
+   * @returns {Promise<string|null>} Error message, or null if the dependencies are valid
+   */
+  static async validateBlockers(workspaceId, taskId, blockerIds) {
+    if (blockerIds.length === 0) return null;
+
+    if (taskId && blockerIds.includes(String(taskId).toLowerCase())) {
+      return 'A task cannot block itself';
+    }
+
+    const found = await Task.countDocuments({
+      ...WorkspaceService.buildWorkspaceScope(workspaceId),
+      _id: { $in: blockerIds }
+    });
+    if (found !== blockerIds.length) return 'Blocking task not found';
+
+    if (taskId && await this.wouldCreateCycle(taskId, blockerIds)) {
+      return 'Dependency would create a cycle';
+    }
+
+    return null;
+  }
+
+  /**
+   * Checks whether making a task wait for the given blockers would close a loop, by walking
+   * from the blockers to the tasks they wait for until the task itself turns up
+   * @static
+   * @async
+   * @param {string} taskId - Task getting the blockers
+   * @param {Array<string>} blockerIds - Blocking task IDs
+   * @param {Function} [loadBlockers] - Resolves task IDs to the IDs of the tasks they wait for
+   * @returns {Promise<boolean>} True if the task would end up waiting for itself
+   * @example
+   * // B already waits for A, so A cannot wait for B
+   * await DependencyService.wouldCreateCycle(a, [b]); // true
+   */
+  static async wouldCreateCycle(taskId, blockerIds, loadBlockers = ids => this.loadBlockers(ids)) {
+    const target = String(taskId);
+    const visited = new Set();
+    let frontier = [...new Set(blockerIds.map(String))];
+
+    while (frontier.length > 0) {
+      if (frontier.includes(target)) return true;
+
+      frontier.forEach(id => visited.add(id));
+      const next = await loadBlockers(frontier);
+      frontier = [...new Set(next.map(String))].filter(id => !visited.has(id));
+    }
+
+    return false;
+  }
+
+  /**
+   * Reads which tasks the given tasks wait for
+   * @static
+   * @async
+   * @param {Array<string>} taskIds - Task IDs
+   * @returns {Promise<Array<ObjectId>>} IDs of their blocking tasks
+   */
+  static async loadBlockers(taskIds) {
+    const tasks = await Task.find({ _id: { $in: taskIds } }).select('blockedBy').lean();
+    return tasks.flatMap(task => task.blockedBy || []);
+  }
+
+  /**
+   * Finds the blocking tasks that are not completed yet
+   * @static
+   * @async
+   * @param {Array<string|ObjectId>} blockerIds - Blocking task IDs
+   * @returns {Promise<Array>} Open blockers with their title and status
+   */
+  static async findOpenBlockers(blockerIds) {
+    if (blockerIds.length === 0) return [];
+
+    return await Task.find({ _id: { $in: blockerIds }, status: { $ne: 'completed' } })
+      .select('title status')
+      .lean();
+  }
+
+  /**
+   * Adds whether each task is blocked as `blocked`
+   * @static
+   * @async
+   * @param {Array<Object>} tasks - Plain task objects
+   * @returns {Promise<Array<Object>>} Tasks with their blocked state
+   */
+  static async attachBlocked(tasks) {
+    const blockerIds = [...new Set(tasks.flatMap(task => (task.blockedBy || []).map(String)))];
+    const open = new Set((await this.findOpenBlockers(blockerIds)).map(task => String(task._id)));
+
+    return tasks.map(task => ({
+      ...task,
+      blocked: (task.blockedBy || []).some(id => open.has(String(id)))
+    }));
+  }
+
+  /**
+   * Builds the task condition matching blocked tasks, or tasks that can start
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {boolean} blocked - True for blocked tasks, false for the others
+   * @returns {Promise<Object>} Task query condition
+   */
+  static async buildBlockedScope(workspaceId, blocked) {
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+    const blockerIds = await Task.distinct('blockedBy', scope);
+    const openBlockerIds = await Task.distinct('_id', {
+      ...scope,
+      _id: { $in: blockerIds },
+      status: { $ne: 'completed' }
+    });
+
+    return blocked
+      ? { blockedBy: { $in: openBlockerIds } }
+      : { blockedBy: { $nin: openBlockerIds } };
+  }
+
+  /**
+   * Lists the tasks waiting for a task
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string|ObjectId} taskId - Blocking task ID
+   * @returns {Promise<Array>} Dependent tasks
+   */
+  static async listDependents(workspaceId, taskId) {
+    return await Task.find({ ...WorkspaceService.buildWorkspaceScope(workspaceId), blockedBy: taskId }).lean();
+  }
+
+  /**
+   * Gets the tasks a task waits for and the tasks waiting for it
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} task - Task with blockedBy
+   * @returns {Promise<Object>} blockedBy and blocks, each a list of tasks with title and status
+   */
+  static async getDependencies(workspaceId, task) {
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+
+    const [blockedBy, blocks] = await Promise.all([
+      Task.find({ ...scope, _id: { $in: task.blockedBy || [] } }).select('title status').lean(),
+      Task.find({ ...scope, blockedBy: task._id }).select('title status').lean()
+    ]);
+
+    return { blockedBy, blocks };
+  }
+
+  /**
+   * Builds a workspace's dependency graph from every task that waits for or blocks another
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Nodes (tasks with title, status and blocked state) and edges from blocker to blocked task
+   */
+  static async getGraph(workspaceId) {
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+    const dependents = await Task.find({ ...scope, 'blockedBy.0': { $exists: true } })
+      .select('title status blockedBy')
+      .lean();
+
+    const dependentIds = new Set(dependents.map(task => String(task._id)));
+    const blockerIds = [...new Set(dependents.flatMap(task => task.blockedBy.map(String)))]
+      .filter(id => !dependentIds.has(id))
+      .map(id => new mongoose.Types.ObjectId(id));
+    const blockers = await Task.find({ ...scope, _id: { $in: blockerIds } })
+      .select('title status blockedBy')
+      .lean();
+
+    const nodes = await this.attachBlocked([...dependents, ...blockers]);
+    const nodeIds = new Set(nodes.map(node => String(node._id)));
+
+    // Trashed blockers are not nodes, so their links are left out too
+    const edges = dependents.flatMap(task => task.blockedBy
+      .map(String)
+      .filter(id => nodeIds.has(id))
+      .map(from => ({ from, to: String(task._id) })));
+
+    return {
+      nodes: nodes.map(({ blockedBy: _blockedBy, ...node }) => node),
+      edges
+    };
+  }
+
+  /**
+   * Persists and broadcasts a notification for each task a completed blocker was the last
+   * open blocker of
+   * @static
+   * @async
+   * @param {Object} blocker - Task that was completed
+   * @param {Array<Object>} tasks - Tasks that can start now
+   * @param {Object} [options={}] - Notification options
+   * @param {Object} [options.socketHandlers=null] - Socket handlers for broadcasting
+   * @returns {Promise<number>} Number of notifications sent
+   */
+  static async notifyUnblocked(blocker, tasks, options = {}) {
+    const { socketHandlers = null } = options;
+
+    for (const task of tasks) {
+      const notification = await Notification.create({
+        message: `"${task.title}" can start now: "${blocker.title}" is completed`,
+        type: 'success',
+        kind: 'unblocked',
+        taskId: task._id,
+        workspaceId: task.workspaceId
+      });
+
+      if (socketHandlers) {
+        socketHandlers.broadcastTaskUnblocked(task, blocker, notification);
+      }
+    }
+
+    return tasks.length;
+  }
+}
+
+export default DependencyService;
@@ -8,6 +8,11 @@ import path from 'path';
 import crypto from 'crypto';
 import Task from '../models/Task.js';
 import Export from '../models/Export.js';
+import TagService from './tagService.js';
+import ProjectService from './projectService.js';
+import UserService from './userService.js';
+import WorkspaceService from './workspaceService.js';
+import ChecklistService from './checklistService.js';
 import { redisClient } from '../config/redis.js';
 
 /**
@@ -22,17 +27,19 @@ class ExportService {
    * @param {Object} options - Export options
    * @param {string} options.format - Export format ('csv' or 'json')
    * @param {Object} options.filters - Filters to apply to the export
+   * @param {string} options.workspaceId - Workspace whose tasks are exported
    * @param {Object} socketHandlers - Socket handlers for real-time updates
    * @returns {Promise<Object>} Export job object
    */
   static async createExport(options, socketHandlers = null) {
-    const { format, filters = {} } = options;
+    const { format, filters = {}, workspaceId } = options;
 
     // Create export record
     const exportJob = new Export({
       format,
       filters,
-      status: 'pending'
+      status: 'pending',
+      workspaceId
     });
 
     await exportJob.save();
@@ -69,8 +76,11 @@ class ExportService {
         socketHandlers.broadcastExportUpdate('processing', exportJob, { progress: 0 });
       }
 
-      // Build query from filters
-      const query = this.buildQueryFromFilters(exportJob.filters);
+      // Build query from filters, never reaching outside the export's workspace
+      const query = {
+        ...this.buildQueryFromFilters(exportJob.filters),
+        ...WorkspaceService.buildWorkspaceScope(exportJob.workspaceId)
+      };
 
       // Use aggregation pipeline for very large datasets (>10k records)
       const estimatedCount = await Task.countDocuments(query);
@@ -89,6 +99,15 @@ class ExportService {
 
       exportJob.recordCount = tasks.length;
 
+      // Resolve assignee IDs once so both formats can include emails
+      const assigneeDirectory = await UserService.getAssigneeDirectory(tasks);
+      tasks = tasks.map(task => ({
+        ...task,
+        assigneeEmails: (task.assignees || [])
+          .map(id => assigneeDirectory.get(String(id))?.email)
+          .filter(Boolean)
+      }));
+
       // Generate file
       const fileName = this.generateFileName(exportJob.format, exportJob.filters);
       const filePath = path.join(process.cwd(), 'exports', fileName);
@@ -110,7 +129,7 @@ class ExportService {
       await exportJob.save();
 
       // Cache the export result
-      const cacheKey = this.generateCacheKey(exportJob.filters, exportJob.format);
+      const cacheKey = this.generateCacheKey(exportJob.filters, exportJob.format, exportJob.workspaceId);
       await redisClient.setex(cacheKey, 3600, JSON.stringify({
         exportId: exportJob._id,
         fileName,
@@ -163,7 +182,12 @@ class ExportService {
           updatedAt: 1,
           completedAt: 1,
           estimatedTime: 1,
-          actualTime: 1
+          actualTime: 1,
+          dueDate: 1,
+          tags: 1,
+          projectId: 1,
+          assignees: 1,
+          checklist: 1
         }
       }
     ];
@@ -220,6 +244,38 @@ class ExportService {
       }
     }
 
+    // Due date filter
+    if (filters.dueBefore || filters.dueAfter) {
+      query.dueDate = {};
+      if (filters.dueAfter) {
+        query.dueDate.$gte = new Date(filters.dueAfter);
+      }
+      if (filters.dueBefore) {
+        query.dueDate.$lte = new Date(filters.dueBefore);
+      }
+    }
+
+    // Overdue filter
+    if (filters.overdue === 'true' || filters.overdue === true) {
+      query.$and = [Task.overdueCondition()];
+    } else if (filters.overdue === 'false' || filters.overdue === false) {
+      query.$nor = [Task.overdueCondition()];
+    }
+
+    // Tag filter
+    const tags = TagService.parseTagFilter(filters.tags);
+    if (tags.length > 0) {
+      query.tags = TagService.buildTagCondition(tags, filters.tagMode);
+    }
+
+    // Project filter
+    if (filters.projectId && ProjectService.isValidProjectFilter(filters.projectId)) {
+      Object.assign(query, ProjectService.buildProjectScope(filters.projectId));
+    }
+
+    // Assignee filter
+    Object.assign(query, UserService.buildAssigneeScope(filters));
+
     return query;
   }
 
@@ -244,7 +300,12 @@ class ExportService {
       'Updated At',
       'Completed At',
       'Estimated Time (minutes)',
-      'Actual Time (minutes)'
+      'Actual Time (minutes)',
+      'Due Date',
+      'Tags',
+      'Project ID',
+      'Assignee IDs',
+      'Assignee Emails'
     ];
 
     // Use streaming for large datasets to avoid memory issues
@@ -270,7 +331,12 @@ class ExportService {
           `"${task.updatedAt instanceof Date ? task.updatedAt.toISOString() : new Date(task.updatedAt).toISOString()}"`,
           `"${task.completedAt ? (task.completedAt instanceof Date ? task.completedAt.toISOString() : new Date(task.completedAt).toISOString()) : ''}"`,
           `"${task.estimatedTime || ''}"`,
-          `"${task.actualTime || ''}"`
+          `"${task.actualTime || ''}"`,
+          `"${task.dueDate ? new Date(task.dueDate).toISOString() : ''}"`,
+          `"${(task.tags || []).join(';')}"`,
+          `"${task.projectId || ''}"`,
+          `"${(task.assignees || []).join(';')}"`,
+          `"${this.escapeCsvField((task.assigneeEmails || []).join(';'))}"`
         ];
         batchContent += row.join(',') + '\n';
       }
@@ -288,7 +354,8 @@ class ExportService {
   }
 
   /**
-   * Generates JSON file from tasks data with streaming for large datasets
+   * Generates JSON file from tasks data with streaming for large datasets.
+   * Each task includes its checklist and how much of it is done.
    * @static
    * @async
    * @param {Array} tasks - Array of task documents
@@ -326,7 +393,14 @@ class ExportService {
           updatedAt: task.updatedAt,
           completedAt: task.completedAt,
           estimatedTime: task.estimatedTime,
-          actualTime: task.actualTime
+          actualTime: task.actualTime,
+          dueDate: task.dueDate || null,
+          tags: task.tags || [],
+          projectId: task.projectId || null,
+          assignees: task.assignees || [],
+          assigneeEmails: task.assigneeEmails || [],
+          checklist: (task.checklist || []).map(({ text, done, doneAt }) => ({ text, done, doneAt: doneAt || null })),
+          checklistProgress: ChecklistService.getProgress(task.checklist)
         };
 
         const isLast = (i + j) === (tasks.length - 1);
@@ -372,31 +446,34 @@ class ExportService {
    * @static
    * @param {Object} filters - Applied filters
    * @param {string} format - Export format
+   * @param {string} workspaceId - Workspace the export belongs to
    * @returns {string} Cache key
    */
-  static generateCacheKey(filters, format) {
+  static generateCacheKey(filters, format, workspaceId) {
     const filterStr = JSON.stringify(filters);
     const hash = crypto.createHash('md5').update(filterStr).digest('hex');
-    return `export:${format}:${hash}`;
+    return `export:${workspaceId}:${format}:${hash}`;
   }
 
   /**
-   * Gets export history with pagination
+   * Gets a workspace's export history with pagination
    * @static
    * @async
    * @param {Object} options - Pagination options
+   * @param {string} options.workspaceId - Workspace ID
    * @returns {Promise<Object>} Paginated export history
    */
   static async getExportHistory(options = {}) {
-    const { page = 1, limit = 10 } = options;
+    const { page = 1, limit = 10, workspaceId } = options;
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
 
-    const exports = await Export.find()
+    const exports = await Export.find(scope)
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .exec();
 
-    const total = await Export.countDocuments();
+    const total = await Export.countDocuments(scope);
 
     return {
       exports,
@@ -414,10 +491,11 @@ class ExportService {
    * @static
    * @async
    * @param {string} exportId - Export ID
+   * @param {string} workspaceId - Workspace the export must belong to
    * @returns {Promise<Object>} Export file info
    */
-  static async getExportFile(exportId) {
-    const exportJob = await Export.findById(exportId);
+  static async getExportFile(exportId, workspaceId) {
+    const exportJob = await Export.findOne({ ...WorkspaceService.buildWorkspaceScope(workspaceId), _id: exportId });
 
     if (!exportJob) {
       throw new Error('Export not found');
@@ -452,16 +530,20 @@ class ExportService {
    * @async
    * @param {Object} filters - Filter parameters
    * @param {string} format - Export format
+   * @param {string} workspaceId - Workspace the export must belong to
    * @returns {Promise<Object|null>} Cached export info or null
    */
-  static async getCachedExport(filters, format) {
+  static async getCachedExport(filters, format, workspaceId) {
     try {
-      const cacheKey = this.generateCacheKey(filters, format);
+      const cacheKey = this.generateCacheKey(filters, format, workspaceId);
       const cached = await redisClient.get(cacheKey);
 
       if (cached) {
         const exportInfo = JSON.parse(cached);
-        const exportJob = await Export.findById(exportInfo.exportId);
+        const exportJob = await Export.findOne({
+          ...WorkspaceService.buildWorkspaceScope(workspaceId),
+          _id: exportInfo.exportId
+        });
 
         if (exportJob && exportJob.status === 'completed') {
           return exportJob;
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Project service for project CRUD and project-scoped task queries
+ * @module services/ProjectService
+ */
+
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+import WorkspaceService from './workspaceService.js';
+
+/**
+ * Service class for projects
+ * @class ProjectService
+ */
+class ProjectService {
+  /**
+   * Checks a project filter value: a project ID, or 'none' for unassigned tasks
+   * @static
+   * @param {string} projectId - Project filter value
+   * @returns {boolean} True if the value is a valid project filter
+   */
+  static isValidProjectFilter(projectId) {
+    return projectId === 'none' || /^[0-9a-fA-F]{24}$/.test(projectId);
+  }
+
+  /**
+   * Builds the task condition limiting a query to one project.
+   * IDs are cast to ObjectId so the scope also works in aggregation pipelines.
+   * @static
+   * @param {string} [projectId] - Project ID, 'none' for unassigned tasks, or empty for all tasks
+   * @returns {Object} Task query condition (empty when not scoped)
+   * @example
+   * const scope = ProjectService.buildProjectScope(req.query.projectId);
+   * const count = await Task.countDocuments({ ...scope, status: 'pending' });
+   */
+  static buildProjectScope(projectId) {
+    if (!projectId) return {};
+    if (projectId === 'none') return { projectId: null };
+
+    return { projectId: new mongoose.Types.ObjectId(projectId) };
+  }
+
+  /**
+   * Lists a workspace's projects with task counts
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} [options={}] - List options
+   * @param {boolean} [options.includeArchived=false] - Include archived projects
+   * @returns {Promise<Array>} Projects sorted by name, each with taskCount and openTaskCount
+   */
+  static async listProjects(workspaceId, options = {}) {
+    const { includeArchived = false } = options;
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+
+    const [projects, counts] = await Promise.all([
+      Project.find(includeArchived ? scope : { ...scope, archived: false }).sort({ name: 1 }).lean(),
+      Task.aggregate([
+        { $match: { ...scope, projectId: { $ne: null } } },
+        {
+          $group: {
+            _id: '$projectId',
+            taskCount: { $sum: 1 },
+            openTaskCount: { $sum: { $cond: [{ $ne: ['$status', 'completed'] }, 1, 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const countsById = new Map(counts.map(item => [String(item._id), item]));
+
+    return projects.map(project => {
+      const count = countsById.get(String(project._id));
+      return {
+        ...project,
+        taskCount: count ? count.taskCount : 0,
+        openTaskCount: count ? count.openTaskCount : 0
+      };
+    });
+  }
+
+  /**
+   * Creates a project in a workspace
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} data - Project data (name, description, color)
+   * @returns {Promise<Object>} Created project
+   * @throws {Error} 409 if the workspace has a project with that name
+   */
+  static async createProject(workspaceId, data) {
+    try {
+      return await Project.create({ ...data, workspaceId });
+    } catch (error) {
+      throw this.toConflictError(error);
+    }
+  }
+
+  /**
+   * Updates a project
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} id - Project ID
+   * @param {Object} updates - Fields to change (name, description, color, archived)
+   * @returns {Promise<Object|null>} Updated project, or null if the workspace has no such project
+   * @throws {Error} 409 if renaming to an existing project name
+   */
+  static async updateProject(workspaceId, id, updates) {
+    try {
+      return await Project.findOneAndUpdate(
+        { ...WorkspaceService.buildWorkspaceScope(workspaceId), _id: id },
+        updates,
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      throw this.toConflictError(error);
+    }
+  }
+
+  /**
+   * Deletes a project; its tasks are kept and become unassigned
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} Deleted project, or null if the workspace has no such project
+   */
+  static async deleteProject(workspaceId, id) {
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+    const project = await Project.findOneAndDelete({ ...scope, _id: id });
+    if (!project) return null;
+
+    await Task.updateMany({ ...scope, projectId: project._id }, { $set: { projectId: null }, $inc: { version: 1 } });
+
+    return project;
+  }
+
+  /**
+   * Checks that tasks can be assigned to a project
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} projectId - Project ID
+   * @returns {Promise<string|null>} Error message, or null if the project accepts tasks
+   */
+  static async validateAssignment(workspaceId, projectId) {
+    const project = await Project.findOne({ ...WorkspaceService.buildWorkspaceScope(workspaceId), _id: projectId })
+      .select('archived')
+      .lean();
+
+    if (!project) return 'Project not found';
+    if (project.archived) return 'Cannot add tasks to an archived project';
+
+    return null;
+  }
+
+  /**
+   * Maps duplicate-name errors to a 409 conflict
+   * @static
+   * @param {Error} error - Original error
+   * @returns {Error} Conflict error, or the original error
+   */
+  static toConflictError(error) {
+    if (error.code === 11000) {
+      const conflict = new Error('Project name already exists');
+      conflict.statusCode = 409;
+      return conflict;
+    }
+    return error;
+  }
+}
+
+export default ProjectService;
@@ -0,0 +1,480 @@
+/**
+ * @fileoverview Recurrence service for repeating tasks: schedule rules and materializing the next instance
+ * @module services/RecurrenceService
+ */
+
+import Task from '../models/Task.js';
+import TaskHistoryService from './taskHistoryService.js';
+import TaskRevisionService from './taskRevisionService.js';
+import AuditService from './auditService.js';
+
+/**
+ * Hours before its due date that the next instance of a series is created
+ * @type {number}
+ */
+export const DEFAULT_RECURRENCE_LEAD_HOURS = 24;
+
+/**
+ * Supported rule frequencies
+ * @type {Array<string>}
+ */
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+/**
+ * RRULE weekday codes, in week order starting on Monday
+ * @type {Array<string>}
+ */
+export const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+/**
+ * Fields each new instance copies from the one before it
+ * @type {Array<string>}
+ */
+const COPIED_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'estimatedTime',
+  'tags',
+  'projectId',
+  'assignees',
+  'recurrence',
+  'recurrenceSeriesId',
+  'workspaceId'
+];
+
+/**
+ * Reads the calendar date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} Local year, month (0-based), day, hour, minute, second and millisecond
+ */
+const toLocalParts = (date, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date).map(({ type, value }) => [type, Number(value)])
+  );
+
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: date.getUTCMilliseconds()
+  };
+};
+
+/**
+ * Finds the instant of a local calendar date and time in a timezone. Overflowing days and
+ * months roll over like Date.UTC.
+ * @param {Object} parts - Local date parts as returned by toLocalParts
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant
+ */
+const fromLocalParts = (parts, timezone) => {
+  const wallClock = Date.UTC(
+    parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond
+  );
+  const offsetAt = (time) => {
+    const local = toLocalParts(new Date(time), timezone);
+    return Date.UTC(
+      local.year, local.month, local.day, local.hour, local.minute, local.second, local.millisecond
+    ) - time;
+  };
+
+  // The offset at the first guess can differ from the one at the result across a DST change
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+};
+
+/**
+ * Service class for recurring tasks. Every instance of a series carries the rule and the ID
+ * of the series' first task; only the latest instance has a nextOccurrenceAt, which is
+ * cleared once the instance after it has been created.
+ * @class RecurrenceService
+ */
+class RecurrenceService {
+  /**
+   * Gets how early the next instance is created from RECURRENCE_LEAD_HOURS
+   * @static
+   * @returns {number} Lead time in hours
+   */
+  static getLeadHours() {
+    const hours = parseInt(process.env.RECURRENCE_LEAD_HOURS, 10);
+    return hours >= 0 ? hours : DEFAULT_RECURRENCE_LEAD_HOURS;
+  }
+
+  /**
+   * Checks that a timezone is known to the runtime
+   * @static
+   * @param {string} timezone - IANA timezone
+   * @returns {boolean} True if the timezone can be used
+   */
+  static isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Parses an RRULE string (FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL) into a rule object
+   * @static
+   * @param {string} value - RRULE, with or without the "RRULE:" prefix
+   * @returns {Object|null} Rule, or null if the string is not a supported RRULE
+   * @example
+   * RecurrenceService.parseRRule('FREQ=WEEKLY;BYDAY=MO,TH');
+   * // { frequency: 'weekly', byWeekday: ['MO', 'TH'] }
+   */
+  static parseRRule(value) {
+    const rule = {};
+
+    for (const part of value.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+      const [key, raw = ''] = part.split('=');
+
+      switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.frequency = raw.toLowerCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(raw);
+        break;
+      case 'BYDAY':
+        rule.byWeekday = raw.toUpperCase().split(',');
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = Number(raw);
+        break;
+      case 'COUNT':
+        rule.count = Number(raw);
+        break;
+      case 'UNTIL': {
+        const match = raw.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+        if (!match) return null;
+        const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+        rule.until = `${year}-${month}-${day}T${hour}:${minute}:${second}Z`;
+        break;
+      }
+      default:
+        return null;
+      }
+    }
+
+    return rule;
+  }
+
+  /**
+   * Formats a rule as an RRULE string
+   * @static
+   * @param {Object} rule - Normalized rule
+   * @returns {string} RRULE without the "RRULE:" prefix
+   */
+  static formatRRule(rule) {
+    const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byWeekday?.length) parts.push(`BYDAY=${rule.byWeekday.join(',')}`);
+    if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${new Date(rule.until).toISOString().replace(/[-:]|\.\d{3}/g, '')}`);
+
+    return parts.join(';');
+  }
+
+  /**
+   * Validates a recurrence from a request body: a rule object or an RRULE string
+   * @static
+   * @param {*} value - Value from the request (null removes the recurrence)
+   * @returns {{recurrence: Object|null, error: string|null}} Normalized rule, or an error message
+   */
+  static normalizeRule(value) {
+    if (value === null) return { recurrence: null, error: null };
+
+    const input = typeof value === 'string' ? this.parseRRule(value) : value;
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { recurrence: null, error: 'Recurrence must be a rule object or an RRULE string' };
+    }
+
+    const {
+      frequency,
+      interval = 1,
+      byWeekday = [],
+      byMonthDay = null,
+      count = null,
+      until = null,
+      timezone = 'UTC'
+    } = input;
+    const fail = error => ({ recurrence: null, error });
+
+    if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+      return fail(`Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`);
+    }
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+      return fail('Recurrence interval must be an integer between 1 and 365');
+    }
+    if (!Array.isArray(byWeekday) || byWeekday.some(day => !WEEKDAYS.includes(day))) {
+      return fail(`Recurrence weekdays must be among: ${WEEKDAYS.join(', ')}`);
+    }
+    if (byWeekday.length > 0 && frequency !== 'weekly') {
+      return fail('Recurrence weekdays only apply to weekly rules');
+    }
+    if (byMonthDay !== null && (!Number.isInteger(byMonthDay) || byMonthDay < 1 || byMonthDay > 31)) {
+      return fail('Recurrence month day must be an integer between 1 and 31');
+    }
+    if (byMonthDay !== null && frequency !== 'monthly') {
+      return fail('Recurrence month day only applies to monthly rules');
+    }
+    if (count !== null && (!Number.isInteger(count) || count < 1 || count > 1000)) {
+      return fail('Recurrence count must be an integer between 1 and 1000');
+    }
+    if (until !== null && (typeof until !== 'string' || isNaN(Date.parse(until)))) {
+      return fail('Recurrence end must be a valid date');
+    }
+    if (typeof timezone !== 'string' || !this.isValidTimezone(timezone)) {
+      return fail('Recurrence timezone must be an IANA timezone');
+    }
+
+    return {
+      recurrence: {
+        frequency,
+        interval,
+        byWeekday: WEEKDAYS.filter(day => byWeekday.includes(day)),
+        byMonthDay,
+        count,
+        until: until ? new Date(until) : null,
+        timezone
+      },
+      error: null
+    };
+  }
+
+  /**
+   * Fills in what a rule leaves to its first due date: monthly rules without a month day
+   * repeat on the day of the month the series started on
+   * @static
+   * @param {Object} rule - Normalized rule
+   * @param {Date|string} dueDate - Due date of the series' first task
+   * @returns {Object} Rule to store
+   */
+  static anchorRule(rule, dueDate) {
+    if (rule.frequency !== 'monthly' || rule.byMonthDay) return rule;
+
+    return { ...rule, byMonthDay: toLocalParts(new Date(dueDate), rule.timezone).day };
+  }
+
+  /**
+   * Calculates the next date of a rule after a given one, on the same local time of day.
+   * Monthly rules fall back to a shorter month's last day.
+   * @static
+   * @param {Object} rule - Normalized rule
+   * @param {Date|string} from - Date of the current instance
+   * @returns {Date} Date of the next instance
+   * @example
+   * // Weekly on Monday and Thursday, from Monday the 4th
+   * RecurrenceService.nextOccurrence({ frequency: 'weekly', interval: 1, byWeekday: ['MO', 'TH'], timezone: 'UTC' },
+   *   '2024-03-04T17:00:00Z'); // Thursday 2024-03-07T17:00:00Z
+   */
+  static nextOccurrence(rule, from) {
+    const { frequency, interval = 1, byWeekday = [], byMonthDay = null, timezone = 'UTC' } = rule;
+    const local = toLocalParts(new Date(from), timezone);
+
+    if (frequency === 'daily') {
+      return fromLocalParts({ ...local, day: local.day + interval }, timezone);
+    }
+
+    if (frequency === 'weekly') {
+      if (byWeekday.length === 0) {
+        return fromLocalParts({ ...local, day: local.day + 7 * interval }, timezone);
+      }
+
+      const weekday = (new Date(Date.UTC(local.year, local.month, local.day)).getUTCDay() + 6) % 7;
+      const days = byWeekday.map(day => WEEKDAYS.indexOf(day)).sort((a, b) => a - b);
+      const laterThisWeek = days.find(day => day > weekday);
+      const offset = laterThisWeek !== undefined
+        ? laterThisWeek - weekday
+        : 7 * interval - weekday + days[0];
+
+      return fromLocalParts({ ...local, day: local.day + offset }, timezone);
+    }
+
+    const month = local.month + interval;
+    const daysInMonth = new Date(Date.UTC(local.year, month + 1, 0)).getUTCDate();
+    return fromLocalParts(
+      { ...local, month, day: Math.min(byMonthDay || local.day, daysInMonth) },
+      timezone
+    );
+  }
+
+  /**
+   * Calculates when the instance after a task is due, unless the series ends with the task
+   * @static
+   * @param {Object} task - Instance with recurrence, dueDate and recurrenceIndex
+   * @returns {Date|null} Due date of the next instance, or null if the series is over
+   */
+  static getNextOccurrenceAt(task) {
+    const { recurrence: rule } = task;
+    if (!rule || !task.dueDate) return null;
+    if (rule.count && (task.recurrenceIndex || 1) >= rule.count) return null;
+
+    const next = this.nextOccurrence(rule, task.dueDate);
+    if (rule.until && next > new Date(rule.until)) return null;
+
+    return next;
+  }
+
+  /**
+   * Checks that a recurring task can repeat: it needs a due date to count from and, as
+   * subtasks follow their parent, cannot be a subtask
+   * @static
+   * @param {Object|null} recurrence - Rule the task would have
+   * @param {Date|string|null} dueDate - Due date the task would have
+   * @param {string|ObjectId|null} parentId - Parent the task would have
+   * @returns {string|null} Error message, or null if the task can repeat
+   */
+  static validateTask(recurrence, dueDate, parentId) {
+    if (!recurrence) return null;
+    if (!dueDate) return 'Recurring tasks need a due date';
+    if (parentId) return 'Subtasks cannot repeat; make the parent task recurring instead';
+    return null;
+  }
+
+  /**
+   * Works out the series fields that follow from an edit. Making a task recurring starts a
+   * series with it; a new rule or due date on the latest instance reschedules the next one
+   * and removing the rule ends the series. Earlier instances only keep their own rule.
+   * @static
+   * @async
+   * @param {Object} existing - Task before the update
+   * @param {Object} updates - Validated updates, with recurrence already normalized
+   * @returns {Promise<{changes: Object, error: string|null}>} Fields to add to the update, or an error message
+   */
+  static async planUpdate(existing, updates) {
+    const recurrence = updates.recurrence !== undefined ? updates.recurrence : existing.recurrence;
+    const dueDate = updates.dueDate !== undefined ? updates.dueDate : existing.dueDate;
+    const parentId = updates.parentId !== undefined ? updates.parentId : existing.parentId;
+
+    const error = this.validateTask(recurrence, dueDate, parentId);
+    if (error) return { changes: {}, error };
+
+    if (updates.recurrence === undefined && (updates.dueDate === undefined || !recurrence)) {
+      return { changes: {}, error: null };
+    }
+
+    if (!recurrence) {
+      return { changes: { recurrence: null, nextOccurrenceAt: null }, error: null };
+    }
+
+    const changes = updates.recurrence ? { recurrence: this.anchorRule(recurrence, dueDate) } : {};
+
+    if (!existing.recurrenceSeriesId) {
+      changes.recurrenceSeriesId = existing._id;
+      changes.recurrenceIndex = 1;
+    }
+
+    const recurrenceIndex = changes.recurrenceIndex ?? existing.recurrenceIndex;
+    const isLatest = !existing.recurrenceSeriesId || !await Task.exists({
+      recurrenceSeriesId: existing.recurrenceSeriesId,
+      recurrenceIndex: { $gt: recurrenceIndex }
+    });
+
+    if (isLatest) {
+      changes.nextOccurrenceAt = this.getNextOccurrenceAt({
+        recurrence: changes.recurrence || recurrence,
+        dueDate,
+        recurrenceIndex
+      });
+    }
+
+    return { changes, error: null };
+  }
+
+  /**
+   * Creates the instance after a task, once: the task's nextOccurrenceAt is claimed first, so
+   * several backend instances or a completion racing the job cannot create it twice. The claim
+   * bumps the version, so an edit read before it cannot schedule the same instance again.
+   * If the instance cannot be saved, the claim is handed back so the series is not left without one.
+   * @static
+   * @async
+   * @param {Object} task - Latest instance of a series
+   * @returns {Promise<Object|null>} Created instance, or null if it was already created
+   * @throws {Error} If the instance cannot be saved (after releasing the claim)
+   */
+  static async materializeNext(task) {
+    const claimed = await Task.findOneAndUpdate(
+      { _id: task._id, nextOccurrenceAt: { $ne: null } },
+      { $set: { nextOccurrenceAt: null }, $inc: { version: 1 } }
+    ).lean();
+
+    if (!claimed) return null;
+
+    const instance = new Task({
+      ...Object.fromEntries(COPIED_FIELDS.map(field => [field, claimed[field]])),
+      dueDate: claimed.nextOccurrenceAt,
+      recurrenceIndex: (claimed.recurrenceIndex || 1) + 1,
+      // Each instance starts with the same checklist, nothing ticked off yet
+      checklist: (claimed.checklist || []).map(item => ({ text: item.text }))
+    });
+    instance.nextOccurrenceAt = this.getNextOccurrenceAt(instance);
+
+    try {
+      await instance.save();
+    } catch (error) {
+      // Let the job or a later completion create the instance after all
+      await Task.updateOne(
+        { _id: claimed._id, nextOccurrenceAt: null },
+        { $set: { nextOccurrenceAt: claimed.nextOccurrenceAt }, $inc: { version: 1 } }
+      ).catch(releaseError => {
+        console.error(`Failed to release the next instance of task ${claimed._id}:`, releaseError);
+      });
+      throw error;
+    }
+
+    // From here the saved instance carries the series on, so a failure below cannot stall it
+    await TaskHistoryService.recordTransition(instance.workspaceId, instance._id, null, instance.status, {
+      changedAt: instance.createdAt,
+      source: 'create'
+    });
+    await TaskRevisionService.recordRevision(instance.workspaceId, null, null, instance);
+
+    await AuditService.record(AuditService.systemContext(instance.workspaceId), {
+      action: 'task.create',
+      targetType: 'task',
+      targetId: instance._id,
+      after: instance,
+      details: { recurrenceSeriesId: instance.recurrenceSeriesId, recurrenceIndex: instance.recurrenceIndex }
+    });
+
+    return instance;
+  }
+
+  /**
+   * Finds series whose next instance should exist by now
+   * @static
+   * @async
+   * @param {Date} [now=new Date()] - Reference time
+   * @param {number} [batchSize=100] - Maximum tasks returned
+   * @returns {Promise<Array>} Latest instances whose next due date is within the lead time
+   */
+  static async findDue(now = new Date(), batchSize = 100) {
+    const horizon = new Date(now.getTime() + this.getLeadHours() * 60 * 60 * 1000);
+
+    return await Task.find({ nextOccurrenceAt: { $ne: null, $lte: horizon } })
+      .sort({ nextOccurrenceAt: 1 })
+      .limit(batchSize)
+      .lean();
+  }
+}
+
+export default RecurrenceService;
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Subtask service for parent/child task relationships and their progress rollups
+ * @module services/SubtaskService
+ */
+
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import WorkspaceService from './workspaceService.js';
+
+/**
+ * Service class for subtasks. Subtasks are one level deep: a subtask cannot have
+ * subtasks of its own, which keeps rollups and the nested list simple.
+ * @class SubtaskService
+ */
+class SubtaskService {
+  /**
+   * Checks a parent filter value: a task ID, or 'none' for top-level tasks
+   * @static
+   * @param {string} parentId - Parent filter value
+   * @returns {boolean} True if the value is a valid parent filter
+   */
+  static isValidParentFilter(parentId) {
+    return parentId === 'none' || /^[0-9a-fA-F]{24}$/.test(parentId);
+  }
+
+  /**
+   * Builds the task condition limiting a query to one parent's subtasks
+   * @static
+   * @param {string} [parentId] - Parent task ID, 'none' for top-level tasks, or empty for all tasks
+   * @returns {Object} Task query condition (empty when not scoped)
+   */
+  static buildParentScope(parentId) {
+    if (!parentId) return {};
+    if (parentId === 'none') return { parentId: null };
+
+    return { parentId: new mongoose.Types.ObjectId(parentId) };
+  }
+
+  /**
+   * Checks that a task can become a subtask of a parent
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} parentId - Parent task ID
+   * @param {string} [taskId] - Task being moved under the parent (omitted for new tasks)
+   * @returns {Promise<string|null>} Error message, or null if the parent accepts the subtask
+   */
+  static async validateParent(workspaceId, parentId, taskId = null) {
+    if (taskId && String(parentId) === String(taskId)) {
+      return 'A task cannot be its own parent';
+    }
+
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+    const parent = await Task.findOne({ ...scope, _id: parentId }).select('parentId').lean();
+
+    if (!parent) return 'Parent task not found';
+    if (parent.parentId) return 'Subtasks cannot have subtasks of their own';
+
+    if (taskId && await Task.exists({ ...scope, parentId: taskId })) {
+      return 'A task with subtasks cannot become a subtask';
+    }
+
+    return null;
+  }
+
+  /**
+   * Sums up the subtasks of the given tasks
+   * @static
+   * @async
+   * @param {Array<string|ObjectId>} taskIds - Parent task IDs
+   * @returns {Promise<Map<string, Object>>} Rollup per parent ID with subtasks ({ total, completed, estimatedTime })
+   */
+  static async getRollups(taskIds) {
+    if (taskIds.length === 0) return new Map();
+
+    const result = await Task.aggregate([
+      { $match: { parentId: { $in: taskIds.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+      {
+        $group: {
+          _id: '$parentId',
+          total: { $sum: 1 },
+          completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+          estimatedTime: { $sum: { $ifNull: ['$estimatedTime', 0] } }
+        }
+      }
+    ]);
+
+    return new Map(result.map(({ _id, ...rollup }) => [String(_id), rollup]));
+  }
+
+  /**
+   * Adds each task's subtask rollup as `rollup` (null for tasks without subtasks)
+   * @static
+   * @async
+   * @param {Array<Object>} tasks - Plain task objects
+   * @returns {Promise<Array<Object>>} Tasks with their rollup
+   */
+  static async attachRollups(tasks) {
+    const rollups = await this.getRollups(tasks.map(task => task._id));
+    return tasks.map(task => ({ ...task, rollup: rollups.get(String(task._id)) || null }));
+  }
+
+  /**
+   * Lists a task's subtasks in the order they were added
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} parentId - Parent task ID
+   * @returns {Promise<Array>} Subtasks
+   */
+  static async listSubtasks(workspaceId, parentId) {
+    return await Task.find({ ...WorkspaceService.buildWorkspaceScope(workspaceId), parentId })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+  }
+
+  /**
+   * Checks whether a parent is due for auto-completion: it asked for it, is still open and
+   * every one of its subtasks is completed
+   * @static
+   * @async
+   * @param {Object} parent - Parent task
+   * @returns {Promise<boolean>} True if the parent should be completed
+   */
+  static async shouldAutoComplete(parent) {
+    if (!parent.autoComplete || parent.status === 'completed') return false;
+
+    const [total, open] = await Promise.all([
+      Task.countDocuments({ parentId: parent._id }),
+      Task.countDocuments({ parentId: parent._id, status: { $ne: 'completed' } })
+    ]);
+
+    return total > 0 && open === 0;
+  }
+
+  /**
+   * Builds the task condition excluding tasks that have subtasks, so work is not counted
+   * twice when totals should only include the tasks doing the work
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Task query condition
+   */
+  static async buildLeafScope(workspaceId) {
+    const parentIds = await Task.distinct('parentId', {
+      ...WorkspaceService.buildWorkspaceScope(workspaceId),
+      parentId: { $ne: null }
+    });
+
+    return { _id: { $nin: parentIds } };
+  }
+}
+
+export default SubtaskService;
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Tag service for the tag registry and tag-based task queries
+ * @module services/TagService
+ */
+
+import Task from '../models/Task.js';
+import Tag, { TAG_NAME_PATTERN } from '../models/Tag.js';
+import WorkspaceService from './workspaceService.js';
+
+/**
+ * Maximum number of tags a single task can carry
+ * @type {number}
+ */
+export const MAX_TAGS_PER_TASK = 10;
+
+/**
+ * Service class for tags and tag filters
+ * @class TagService
+ */
+class TagService {
+  /**
+   * Normalizes tag names submitted for a task (trimmed, lowercase, de-duplicated)
+   * @static
+   * @param {*} tags - Submitted tags
+   * @returns {Object} Normalized tags, or an error message when invalid
+   * @example
+   * TagService.normalizeTags([' Backend ', 'backend', 'ui']); // { tags: ['backend', 'ui'], error: null }
+   */
+  static normalizeTags(tags) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      return { tags: null, error: 'Tags must be an array of strings' };
+    }
+
+    const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+
+    const invalid = normalized.find(tag => !TAG_NAME_PATTERN.test(tag));
+    if (invalid !== undefined) {
+      return {
+        tags: null,
+        error: `Invalid tag "${invalid}": use up to 30 lowercase letters, digits, dashes or underscores`
+      };
+    }
+
+    if (normalized.length > MAX_TAGS_PER_TASK) {
+      return { tags: null, error: `A task can have at most ${MAX_TAGS_PER_TASK} tags` };
+    }
+
+    return { tags: normalized, error: null };
+  }
+
+  /**
+   * Parses a tag filter given as a comma-separated string or an array
+   * @static
+   * @param {string|Array<string>} value - Tag filter value
+   * @returns {Array<string>} Tag names (empty if no filter)
+   */
+  static parseTagFilter(value) {
+    if (!value) return [];
+
+    const list = Array.isArray(value) ? value : String(value).split(',');
+
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+  }
+
+  /**
+   * Builds the task condition for a tag filter
+   * @static
+   * @param {Array<string>} tags - Tag names
+   * @param {string} [mode='any'] - 'any' matches tasks with at least one tag, 'all' requires every tag
+   * @returns {Object} MongoDB condition on the tags field
+   */
+  static buildTagCondition(tags, mode = 'any') {
+    return mode === 'all' ? { $all: tags } : { $in: tags };
+  }
+
+  /**
+   * Lists a workspace's registered tags with the number of tasks using each
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Array>} Tags sorted by name, each with a count
+   */
+  static async listTags(workspaceId) {
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+
+    const [tags, counts] = await Promise.all([
+      Tag.find(scope).sort({ name: 1 }).lean(),
+      this.getTagCounts(scope)
+    ]);
+
+    const countByName = new Map(counts.map(item => [item.name, item.count]));
+
+    return tags.map(tag => ({ ...tag, count: countByName.get(tag.name) || 0 }));
+  }
+
+  /**
+   * Counts tasks per tag, optionally within a task query (used for facets)
+   * @static
+   * @async
+   * @param {Object} [query={}] - MongoDB task query
+   * @returns {Promise<Array>} Tag counts sorted by count descending
+   */
+  static async getTagCounts(query = {}) {
+    const result = await Task.aggregate([
+      { $match: query },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    return result.map(item => ({ name: item._id, count: item.count }));
+  }
+
+  /**
+   * Registers any tag names that are not in the workspace's registry yet
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {Array<string>} names - Normalized tag names
+   * @returns {Promise<void>}
+   */
+  static async ensureTags(workspaceId, names) {
+    if (!names || names.length === 0) return;
+
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+
+    await Tag.bulkWrite(
+      names.map(name => ({
+        updateOne: {
+          filter: { ...scope, name },
+          update: { $setOnInsert: { ...scope, name } },
+          upsert: true
+        }
+      }))
+    );
+  }
+
+  /**
+   * Creates a tag in a workspace's registry
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} data - Tag data
+   * @param {string} data.name - Tag name
+   * @param {string} [data.color] - Hex color
+   * @returns {Promise<Object>} Created tag
+   * @throws {Error} 409 if the workspace has a tag with that name
+   */
+  static async createTag(workspaceId, { name, color }) {
+    try {
+      return await Tag.create({ name, color, workspaceId });
+    } catch (error) {
+      if (error.code === 11000) {
+        const conflict = new Error('Tag already exists');
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Updates a tag, renaming it on every task in the workspace that uses it
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} id - Tag ID
+   * @param {Object} updates - Fields to change (name, color)
+   * @returns {Promise<Object|null>} Updated tag, or null if the workspace has no such tag
+   * @throws {Error} 409 if renaming to an existing tag name
+   */
+  static async updateTag(workspaceId, id, updates) {
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+    const tag = await Tag.findOne({ ...scope, _id: id });
+    if (!tag) return null;
+
+    const previousName = tag.name;
+
+    if (updates.name !== undefined) tag.name = updates.name;
+    if (updates.color !== undefined) tag.color = updates.color;
+
+    try {
+      await tag.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        const conflict = new Error('Tag already exists');
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+      throw error;
+    }
+
+    if (tag.name !== previousName) {
+      await Task.updateMany(
+        { ...scope, tags: previousName },
+        { $set: { 'tags.$[tag]': tag.name }, $inc: { version: 1 } },
+        { arrayFilters: [{ tag: previousName }] }
+      );
+    }
+
+    return tag;
+  }
+
+  /**
+   * Deletes a tag and removes it from every task in the workspace
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} id - Tag ID
+   * @returns {Promise<Object|null>} Deleted tag, or null if the workspace has no such tag
+   */
+  static async deleteTag(workspaceId, id) {
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+    const tag = await Tag.findOneAndDelete({ ...scope, _id: id });
+    if (!tag) return null;
+
+    await Task.updateMany({ ...scope, tags: tag.name }, { $pull: { tags: tag.name }, $inc: { version: 1 } });
+
+    return tag;
+  }
+}
+
+export default TagService;
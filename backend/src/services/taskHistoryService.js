@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Task history service for recording and reading status transitions
+ * @module services/TaskHistoryService
+ */
+
+import StatusTransition from '../models/StatusTransition.js';
+import WorkspaceService from './workspaceService.js';
+
+/**
+ * Service class for task status transition history
+ * @class TaskHistoryService
+ */
+class TaskHistoryService {
+  /**
+   * Records a single status transition for a task
+   * @static
+   * @async
+   * @param {string|ObjectId} workspaceId - Workspace of the task
+   * @param {string} taskId - Task ID
+   * @param {string|null} fromStatus - Previous status (null for newly created tasks)
+   * @param {string} toStatus - New status
+   * @param {Object} [options={}] - Transition options
+   * @param {Date} [options.changedAt=new Date()] - When the change happened
+   * @param {string} [options.source='update'] - Origin of the change
+   * @returns {Promise<Object|null>} Created transition, or null if the status did not change
+   * @example
+   * await TaskHistoryService.recordTransition(task.workspaceId, task._id, 'pending', 'in-progress');
+   */
+  static async recordTransition(workspaceId, taskId, fromStatus, toStatus, options = {}) {
+    const { changedAt = new Date(), source = 'update' } = options;
+
+    if (fromStatus === toStatus) {
+      return null;
+    }
+
+    return await StatusTransition.create({
+      workspaceId,
+      taskId,
+      fromStatus,
+      toStatus,
+      changedAt,
+      source
+    });
+  }
+
+  /**
+   * Records many status transitions in a single write
+   * @static
+   * @async
+   * @param {Array<Object>} transitions - Transitions with workspaceId, taskId, fromStatus, toStatus and changedAt
+   * @returns {Promise<Array>} Inserted transition documents
+   */
+  static async recordBulkTransitions(transitions) {
+    const changes = transitions.filter(t => t.fromStatus !== t.toStatus);
+
+    if (changes.length === 0) return [];
+
+    return await StatusTransition.insertMany(
+      changes.map(t => ({ source: 'bulk', ...t }))
+    );
+  }
+
+  /**
+   * Retrieves the status timeline for a task
+   * @static
+   * @async
+   * @param {string|ObjectId} workspaceId - Workspace ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object>} Timeline with transitions and time spent per status
+   */
+  static async getTaskHistory(workspaceId, taskId) {
+    const transitions = await StatusTransition.find({ ...WorkspaceService.buildWorkspaceScope(workspaceId), taskId })
+      .sort({ changedAt: 1, _id: 1 })
+      .lean();
+
+    return this.buildTimeline(transitions);
+  }
+
+  /**
+   * Builds a timeline from ordered transitions, measuring how long each status lasted
+   * @static
+   * @param {Array<Object>} transitions - Transitions sorted by changedAt ascending
+   * @param {Date} [now=new Date()] - End of the open-ended last status
+   * @returns {Object} Timeline with transitions and timeInStatus in milliseconds
+   */
+  static buildTimeline(transitions, now = new Date()) {
+    const timeInStatus = { pending: 0, 'in-progress': 0, completed: 0 };
+
+    const timeline = transitions.map((transition, index) => {
+      const start = new Date(transition.changedAt);
+      const next = transitions[index + 1];
+      const end = next ? new Date(next.changedAt) : now;
+      const durationMs = Math.max(0, end.getTime() - start.getTime());
+
+      timeInStatus[transition.toStatus] += durationMs;
+
+      return {
+        fromStatus: transition.fromStatus,
+        toStatus: transition.toStatus,
+        changedAt: transition.changedAt,
+        source: transition.source,
+        durationMs,
+        current: !next
+      };
+    });
+
+    return {
+      transitions: timeline,
+      timeInStatus
+    };
+  }
+
+  /**
+   * Removes all recorded transitions for a task
+   * @static
+   * @async
+   * @param {string} taskId - Task ID
+   * @returns {Promise<void>}
+   */
+  static async deleteTaskHistory(taskId) {
+    await StatusTransition.deleteMany({ taskId });
+  }
+}
+
+export default TaskHistoryService;
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Task revision service for recording field-level edit history and reverting tasks
+ * @module services/TaskRevisionService
+ */
+
+import TaskRevision from '../models/TaskRevision.js';
+import WorkspaceService from './workspaceService.js';
+
+/**
+ * Task fields whose changes are kept as revisions
+ * @type {Array<string>}
+ */
+export const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'estimatedTime',
+  'actualTime',
+  'dueDate',
+  'reminderAt',
+  'tags',
+  'projectId',
+  'assignees',
+  'parentId',
+  'autoComplete',
+  'blockedBy',
+  'recurrence',
+  'checklist'
+];
+
+/**
+ * Attempts at claiming the next revision number before giving up
+ * @type {number}
+ */
+const MAX_NUMBERING_ATTEMPTS = 3;
+
+/**
+ * Service class for task revisions
+ * @class TaskRevisionService
+ */
+class TaskRevisionService {
+  /**
+   * Converts a field value to its stored form, so dates and IDs compare and store as strings
+   * @static
+   * @param {*} value - Field value
+   * @returns {*} JSON-safe value (null for missing values)
+   */
+  static normalize(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Reduces two versions of a task to the tracked fields that differ
+   * @static
+   * @param {Object|null} before - Task before the change (null for new tasks)
+   * @param {Object} after - Task after the change
+   * @returns {Object} Changed fields, each as { from, to }
+   * @example
+   * TaskRevisionService.diffFields({ priority: 'low' }, { priority: 'high' });
+   * // { priority: { from: 'low', to: 'high' } }
+   */
+  static diffFields(before, after) {
+    const changes = {};
+
+    for (const field of TRACKED_FIELDS) {
+      const from = this.normalize(before?.[field]);
+      const to = this.normalize(after?.[field]);
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Records a revision for a task change, numbered one past the task's latest revision
+   * @static
+   * @async
+   * @param {string|ObjectId} workspaceId - Workspace ID
+   * @param {Object} actor - User who made the change (id, name)
+   * @param {Object|null} before - Task before the change (null for new tasks)
+   * @param {Object} after - Task after the change
+   * @param {Object} [options={}] - Revision options
+   * @param {number} [options.revertedTo] - Revision the change reverted the task to
+   * @returns {Promise<Object|null>} Created revision, or null if no tracked field changed
+   */
+  static async recordRevision(workspaceId, actor, before, after, options = {}) {
+    const { revertedTo = null } = options;
+    const changes = this.diffFields(before, after);
+
+    if (Object.keys(changes).length === 0) {
+      return null;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const latest = await TaskRevision.findOne({ taskId: after._id })
+        .sort({ revision: -1 })
+        .select('revision')
+        .lean();
+
+      try {
+        return await TaskRevision.create({
+          workspaceId,
+          taskId: after._id,
+          revision: (latest?.revision || 0) + 1,
+          changes,
+          actorId: actor?.id || null,
+          actorName: actor?.name || 'System',
+          revertedTo
+        });
+      } catch (error) {
+        // A concurrent edit claimed the same number; read the latest again
+        if (error.code !== 11000 || attempt === MAX_NUMBERING_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * Lists a task's revisions, newest first
+   * @static
+   * @async
+   * @param {string|ObjectId} workspaceId - Workspace ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Array>} Revisions
+   */
+  static async listRevisions(workspaceId, taskId) {
+    return await TaskRevision.find({ ...WorkspaceService.buildWorkspaceScope(workspaceId), taskId })
+      .sort({ revision: -1 })
+      .lean();
+  }
+
+  /**
+   * Works out the updates that bring a task back to how it was right after a revision,
+   * by undoing every later revision. Tracked fields nobody changed since are left alone.
+   * @static
+   * @async
+   * @param {string|ObjectId} workspaceId - Workspace ID
+   * @param {Object} task - Current task
+   * @param {number} revision - Revision number to go back to
+   * @returns {Promise<Object|null>} Field updates (empty if the task already matches), or null if the revision does not exist
+   */
+  static async buildRevertUpdate(workspaceId, task, revision) {
+    const scope = { ...WorkspaceService.buildWorkspaceScope(workspaceId), taskId: task._id };
+
+    if (!await TaskRevision.exists({ ...scope, revision })) {
+      return null;
+    }
+
+    const laterRevisions = await TaskRevision.find({ ...scope, revision: { $gt: revision } })
+      .sort({ revision: -1 })
+      .lean();
+
+    // Walking newest to oldest leaves each field at its value before the first later change
+    const target = {};
+    for (const later of laterRevisions) {
+      for (const [field, change] of Object.entries(later.changes)) {
+        if (TRACKED_FIELDS.includes(field)) {
+          target[field] = change.from;
+        }
+      }
+    }
+
+    const updates = {};
+    for (const [field, value] of Object.entries(target)) {
+      if (JSON.stringify(value) !== JSON.stringify(this.normalize(task[field]))) {
+        updates[field] = value;
+      }
+    }
+
+    return updates;
+  }
+
+  /**
+   * Removes all revisions for the given tasks
+   * @static
+   * @async
+   * @param {Array<string|ObjectId>} taskIds - Task IDs
+   * @returns {Promise<void>}
+   */
+  static async deleteRevisions(taskIds) {
+    await TaskRevision.deleteMany({ taskId: { $in: taskIds } });
+  }
+}
+
+export default TaskRevisionService;
@@ -0,0 +1,360 @@
+/**
+ * @fileoverview Template service for reusable task templates and creating tasks from them
+ * @module services/TemplateService
+ */
+
+import TaskTemplate from '../models/TaskTemplate.js';
+import WorkspaceService from './workspaceService.js';
+import TagService from './tagService.js';
+import RecurrenceService from './recurrenceService.js';
+import { TASK_TEMPLATES, DESCRIPTIONS } from '../data/taskTemplates.js';
+
+/**
+ * Placeholders in template titles and descriptions, e.g. {{customer}}
+ * @type {RegExp}
+ */
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+/**
+ * Variables every template can use without them being supplied
+ * @type {Array<string>}
+ */
+export const BUILT_IN_VARIABLES = ['date'];
+
+/**
+ * Starter templates that repeat, with the rule they repeat on
+ * @type {Object<string, Object>}
+ */
+const RECURRING_STARTERS = {
+  'Backup production database': { frequency: 'weekly' },
+  'Review error logs and fix issues': { frequency: 'weekly' }
+};
+
+/**
+ * Service class for task templates
+ * @class TemplateService
+ */
+class TemplateService {
+  /**
+   * Lists the variables a template asks for, in order of first use
+   * @static
+   * @param {Object} template - Template with title and description
+   * @returns {Array<string>} Variable names, without the built-in ones
+   * @example
+   * TemplateService.extractVariables({ title: 'Onboard {{customer}}', description: 'Due {{date}}' });
+   * // ['customer']
+   */
+  static extractVariables(template) {
+    const text = `${template.title || ''}\n${template.description || ''}`;
+    const names = [...text.matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+
+    return [...new Set(names)].filter(name => !BUILT_IN_VARIABLES.includes(name));
+  }
+
+  /**
+   * Validates and normalizes template fields from a request body
+   * @static
+   * @param {Object} body - Request body
+   * @param {Object} [options={}] - Validation options
+   * @param {boolean} [options.partial=false] - Only validate the fields present (for updates)
+   * @returns {{template: Object|null, error: string|null}} Normalized fields, or an error message
+   */
+  static normalizeTemplate(body, options = {}) {
+    const { partial = false } = options;
+    const template = {};
+    const fail = error => ({ template: null, error });
+    const has = field => body[field] !== undefined;
+
+    if (!partial || has('name')) {
+      if (typeof body.name !== 'string' || body.name.trim().length === 0 || body.name.trim().length > 100) {
+        return fail('Template name is required and must be 100 characters or less');
+      }
+      template.name = body.name.trim();
+    }
+
+    if (!partial || has('title')) {
+      if (typeof body.title !== 'string' || body.title.trim().length === 0 || body.title.trim().length > 200) {
+        return fail('Template title is required and must be 200 characters or less');
+      }
+      template.title = body.title.trim();
+    }
+
+    if (has('description') && body.description !== null) {
+      if (typeof body.description !== 'string' || body.description.length > 1000) {
+        return fail('Description must be a string of 1000 characters or less');
+      }
+      template.description = body.description.trim();
+    } else if (has('description')) {
+      template.description = '';
+    }
+
+    if (has('priority')) {
+      if (!['low', 'medium', 'high'].includes(body.priority)) {
+        return fail('Priority must be one of: low, medium, high');
+      }
+      template.priority = body.priority;
+    }
+
+    if (has('estimatedTime')) {
+      if (body.estimatedTime !== null && (!Number.isInteger(body.estimatedTime) || body.estimatedTime < 0)) {
+        return fail('Estimated time must be a non-negative integer or null');
+      }
+      template.estimatedTime = body.estimatedTime;
+    }
+
+    if (has('tags')) {
+      const normalizedTags = TagService.normalizeTags(body.tags);
+      if (normalizedTags.error) return fail(normalizedTags.error);
+      template.tags = normalizedTags.tags;
+    }
+
+    if (has('projectId')) {
+      if (body.projectId !== null && (typeof body.projectId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(body.projectId))) {
+        return fail('Invalid project ID format');
+      }
+      template.projectId = body.projectId;
+    }
+
+    if (has('dueInDays')) {
+      if (body.dueInDays !== null && (!Number.isInteger(body.dueInDays) || body.dueInDays < 0 || body.dueInDays > 365)) {
+        return fail('DueInDays must be an integer between 0 and 365 or null');
+      }
+      template.dueInDays = body.dueInDays;
+    }
+
+    if (has('recurrence')) {
+      const normalizedRecurrence = RecurrenceService.normalizeRule(body.recurrence);
+      if (normalizedRecurrence.error) return fail(normalizedRecurrence.error);
+      template.recurrence = normalizedRecurrence.recurrence;
+    }
+
+    return { template, error: null };
+  }
+
+  /**
+   * Checks that a recurring template gives its tasks a due date to repeat from
+   * @static
+   * @param {Object} template - Template fields as they would be saved
+   * @returns {string|null} Error message, or null if the template is consistent
+   */
+  static validateRecurrence(template) {
+    if (template.recurrence && (template.dueInDays === null || template.dueInDays === undefined)) {
+      return 'Recurring templates need a due date offset (dueInDays)';
+    }
+    return null;
+  }
+
+  /**
+   * Validates the variable values supplied when using a template
+   * @static
+   * @param {*} variables - Value from the request
+   * @returns {{variables: Object|null, error: string|null}} Variable values, or an error message
+   */
+  static normalizeVariables(variables) {
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables) ||
+      Object.values(variables).some(value => typeof value !== 'string')) {
+      return { variables: null, error: 'Variables must be an object of strings' };
+    }
+
+    if (Object.values(variables).some(value => value.length > 200)) {
+      return { variables: null, error: 'Variable values must be 200 characters or less' };
+    }
+
+    return {
+      variables: Object.fromEntries(Object.entries(variables).map(([name, value]) => [name, value.trim()])),
+      error: null
+    };
+  }
+
+  /**
+   * Fills in a template's variables and works out the fields of the task it creates
+   * @static
+   * @param {Object} template - Template
+   * @param {Object} variables - Normalized variable values
+   * @param {Date} [now=new Date()] - Reference time for {{date}} and the due date
+   * @returns {{task: Object|null, error: string|null}} Task fields, or an error message
+   * @example
+   * TemplateService.buildTask({ title: 'Onboard {{customer}}', dueInDays: 3 }, { customer: 'Acme' });
+   * // { task: { title: 'Onboard Acme', dueDate: <3 days from now>, ... }, error: null }
+   */
+  static buildTask(template, variables, now = new Date()) {
+    const missing = this.extractVariables(template).filter(name => !variables[name]);
+    if (missing.length > 0) {
+      return { task: null, error: `Missing template variables: ${missing.join(', ')}` };
+    }
+
+    const values = { ...variables, date: now.toISOString().slice(0, 10) };
+    const render = text => (text || '').replace(VARIABLE_PATTERN, (_, name) => values[name]);
+
+    const title = render(template.title);
+    const description = render(template.description);
+
+    if (title.length > 200) {
+      return { task: null, error: 'Title must be 200 characters or less' };
+    }
+    if (description.length > 1000) {
+      return { task: null, error: 'Description must be 1000 characters or less' };
+    }
+
+    const hasDueDate = template.dueInDays !== null && template.dueInDays !== undefined;
+
+    return {
+      task: {
+        title,
+        description,
+        priority: template.priority || 'medium',
+        estimatedTime: template.estimatedTime ?? null,
+        tags: [...(template.tags || [])],
+        projectId: template.projectId || null,
+        dueDate: hasDueDate ? new Date(now.getTime() + template.dueInDays * 24 * 60 * 60 * 1000) : null,
+        recurrence: template.recurrence || null
+      },
+      error: null
+    };
+  }
+
+  /**
+   * Lists a workspace's templates with the variables each asks for
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Array>} Templates sorted by name, each with variables
+   */
+  static async listTemplates(workspaceId) {
+    const templates = await TaskTemplate.find(WorkspaceService.buildWorkspaceScope(workspaceId))
+      .sort({ name: 1 })
+      .lean();
+
+    return templates.map(template => this.withVariables(template));
+  }
+
+  /**
+   * Adds the variables a template asks for as `variables`
+   * @static
+   * @param {Object} template - Template document or plain object
+   * @returns {Object} Plain template with variables
+   */
+  static withVariables(template) {
+    const plain = typeof template.toObject === 'function' ? template.toObject() : template;
+    return { ...plain, variables: this.extractVariables(plain) };
+  }
+
+  /**
+   * Finds a template in a workspace
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} id - Template ID
+   * @returns {Promise<Object|null>} Template, or null if the workspace has no such template
+   */
+  static async getTemplate(workspaceId, id) {
+    return await TaskTemplate.findOne({ ...WorkspaceService.buildWorkspaceScope(workspaceId), _id: id }).lean();
+  }
+
+  /**
+   * Creates a template in a workspace
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} data - Normalized template fields
+   * @returns {Promise<Object>} Created template with its variables
+   * @throws {Error} 409 if the workspace has a template with that name
+   */
+  static async createTemplate(workspaceId, data) {
+    try {
+      return this.withVariables(await TaskTemplate.create({ ...data, workspaceId }));
+    } catch (error) {
+      throw this.toConflictError(error);
+    }
+  }
+
+  /**
+   * Updates a template
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} id - Template ID
+   * @param {Object} updates - Normalized fields to change
+   * @returns {Promise<Object|null>} Updated template with its variables, or null if the workspace has no such template
+   * @throws {Error} 409 if renaming to an existing template name
+   */
+  static async updateTemplate(workspaceId, id, updates) {
+    try {
+      const template = await TaskTemplate.findOneAndUpdate(
+        { ...WorkspaceService.buildWorkspaceScope(workspaceId), _id: id },
+        updates,
+        { new: true, runValidators: true }
+      );
+      return template ? this.withVariables(template) : null;
+    } catch (error) {
+      throw this.toConflictError(error);
+    }
+  }
+
+  /**
+   * Deletes a template; tasks created from it are kept
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} id - Template ID
+   * @returns {Promise<Object|null>} Deleted template, or null if the workspace has no such template
+   */
+  static async deleteTemplate(workspaceId, id) {
+    return await TaskTemplate.findOneAndDelete({ ...WorkspaceService.buildWorkspaceScope(workspaceId), _id: id });
+  }
+
+  /**
+   * Builds the starter set of templates from the sample tasks, one per sample title,
+   * tagged with its category. Routine maintenance repeats weekly.
+   * @static
+   * @returns {Array<Object>} Template fields
+   */
+  static getStarterTemplates() {
+    return Object.entries(TASK_TEMPLATES).flatMap(([category, titles]) =>
+      titles.map((title, index) => ({
+        name: title,
+        title,
+        description: DESCRIPTIONS[category][index],
+        priority: 'medium',
+        tags: [category],
+        dueInDays: RECURRING_STARTERS[title] ? 1 : null,
+        recurrence: RECURRING_STARTERS[title] || null
+      })));
+  }
+
+  /**
+   * Adds the starter templates a workspace does not have yet; templates with the same
+   * name are left as they are
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Number of templates imported and skipped
+   */
+  static async importStarterTemplates(workspaceId) {
+    const starters = this.getStarterTemplates();
+    const existing = new Set(await TaskTemplate.distinct('name', WorkspaceService.buildWorkspaceScope(workspaceId)));
+    const missing = starters.filter(template => !existing.has(template.name));
+
+    await TaskTemplate.insertMany(missing.map(template => ({ ...template, workspaceId })));
+    await TagService.ensureTags(workspaceId, [...new Set(missing.flatMap(template => template.tags))]);
+
+    return { imported: missing.length, skipped: starters.length - missing.length };
+  }
+
+  /**
+   * Maps duplicate-name errors to a 409 conflict
+   * @static
+   * @param {Error} error - Original error
+   * @returns {Error} Conflict error, or the original error
+   */
+  static toConflictError(error) {
+    if (error.code === 11000) {
+      const conflict = new Error('Template name already exists');
+      conflict.statusCode = 409;
+      return conflict;
+    }
+    return error;
+  }
+}
+
+export default TemplateService;
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Time tracking service for task timers feeding actualTime
+ * @module services/TimeTrackingService
+ */
+
+import Task from '../models/Task.js';
+import TimeEntry from '../models/TimeEntry.js';
+import WorkspaceService from './workspaceService.js';
+
+/**
+ * Service class for starting and stopping task timers
+ * @class TimeTrackingService
+ */
+class TimeTrackingService {
+  /**
+   * Starts a timer for a task
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object>} Running time entry
+   * @throws {Error} 404 if the workspace has no such task, 409 if a timer is already running
+   */
+  static async startTimer(workspaceId, taskId) {
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+    const task = await Task.exists({ ...scope, _id: taskId });
+    if (!task) {
+      const error = new Error('Task not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    try {
+      return await TimeEntry.create({ ...scope, taskId, startedAt: new Date() });
+    } catch (error) {
+      // Unique partial index rejects a second running timer for the same task
+      if (error.code === 11000) {
+        const conflict = new Error('Timer already running for this task');
+        conflict.statusCode = 409;
+        throw conflict;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stops the running timer for a task and adds its duration to actualTime
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object>} Stopped entry and updated task
+   * @throws {Error} 409 if no timer is running
+   */
+  static async stopTimer(workspaceId, taskId) {
+    const stoppedAt = new Date();
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+
+    // Atomically claim the running entry so concurrent stops cannot double count
+    const entry = await TimeEntry.findOneAndUpdate(
+      { ...scope, taskId, running: true },
+      { running: false, stoppedAt },
+      { new: true }
+    );
+
+    if (!entry) {
+      const error = new Error('No running timer for this task');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    entry.duration = entry.calculateDuration(stoppedAt);
+    await entry.save();
+
+    const task = await Task.findOneAndUpdate(
+      { ...scope, _id: taskId },
+      { $inc: { actualTime: entry.duration, version: 1 }, updatedAt: new Date() },
+      { new: true }
+    );
+
+    return { entry, task };
+  }
+
+  /**
+   * Lists time entries for a task, newest first
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Array>} Time entries
+   */
+  static async getTimeEntries(workspaceId, taskId) {
+    return await TimeEntry.find({ ...WorkspaceService.buildWorkspaceScope(workspaceId), taskId })
+      .sort({ startedAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Lists a workspace's running timers
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Array>} Running time entries
+   */
+  static async getRunningTimers(workspaceId) {
+    return await TimeEntry.find({ ...WorkspaceService.buildWorkspaceScope(workspaceId), running: true }).lean();
+  }
+
+  /**
+   * Removes all time entries for a task
+   * @static
+   * @async
+   * @param {string} taskId - Task ID
+   * @returns {Promise<void>}
+   */
+  static async deleteTimeEntries(taskId) {
+    await TimeEntry.deleteMany({ taskId });
+  }
+}
+
+export default TimeTrackingService;
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Trash service for soft-deleted tasks: moving to trash, restoring and purging
+ * @module services/TrashService
+ */
+
+import Task from '../models/Task.js';
+import StatusTransition from '../models/StatusTransition.js';
+import TimeEntry from '../models/TimeEntry.js';
+import TimeTrackingService from './timeTrackingService.js';
+import TaskRevisionService from './taskRevisionService.js';
+import WorkspaceService from './workspaceService.js';
+
+/**
+ * Days a task stays in the trash before the purge job removes it for good
+ * @type {number}
+ */
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Query condition matching trashed tasks. Naming deletedAt also switches off the
+ * Task model's default exclusion of trashed tasks.
+ * @type {Object}
+ */
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+/**
+ * Service class for the task trash
+ * @class TrashService
+ */
+class TrashService {
+  /**
+   * Gets the trash retention period from TRASH_RETENTION_DAYS
+   * @static
+   * @returns {number} Retention in days
+   */
+  static getRetentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    return days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+  }
+
+  /**
+   * Calculates when a trashed task becomes due for purging
+   * @static
+   * @param {Date|string} deletedAt - When the task was moved to the trash
+   * @param {number} [retentionDays] - Retention in days (defaults to getRetentionDays())
+   * @returns {Date} Purge date
+   */
+  static getPurgeDate(deletedAt, retentionDays = this.getRetentionDays()) {
+    return new Date(new Date(deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Moves a task and its subtasks to the trash, stopping their timers first so tracked time is kept.
+   * The subtasks share the task's deletion time, which is how restoring brings them back together.
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} taskId - Task ID
+   * @param {string} userId - User deleting the task
+   * @returns {Promise<Object|null>} Trashed task, or null if the workspace has no such task outside the trash
+   */
+  static async trashTask(workspaceId, taskId, userId) {
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+
+    if (!await Task.exists({ ...scope, _id: taskId })) {
+      return null;
+    }
+
+    const subtaskIds = await Task.distinct('_id', { ...scope, parentId: taskId });
+
+    for (const id of [...subtaskIds, taskId]) {
+      try {
+        await TimeTrackingService.stopTimer(workspaceId, id);
+      } catch (error) {
+        if (error.statusCode !== 409) throw error;
+      }
+    }
+
+    const trashed = { deletedAt: new Date(), deletedBy: userId, $inc: { version: 1 } };
+
+    if (subtaskIds.length > 0) {
+      await Task.updateMany({ _id: { $in: subtaskIds } }, trashed);
+    }
+
+    return await Task.findOneAndUpdate({ ...scope, _id: taskId }, trashed, { new: true });
+  }
+
+  /**
+   * Takes a task back out of the trash, with the subtasks that were trashed along with it
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object|null>} Restored task, or null if the task is not in the trash
+   * @throws {Error} 409 if the task is a subtask whose parent is still in the trash
+   */
+  static async restoreTask(workspaceId, taskId) {
+    const scope = WorkspaceService.buildWorkspaceScope(workspaceId);
+    const trashedTask = await Task.findOne({ ...scope, _id: taskId, ...IN_TRASH }).lean();
+
+    if (!trashedTask) {
+      return null;
+    }
+
+    if (trashedTask.parentId && await Task.exists({ _id: trashedTask.parentId, ...IN_TRASH })) {
+      const error = new Error('Restore the parent task first');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const task = await Task.findOneAndUpdate(
+      { ...scope, _id: taskId, ...IN_TRASH },
+      { deletedAt: null, deletedBy: null, $inc: { version: 1 } },
+      { new: true }
+    );
+
+    if (task) {
+      await Task.updateMany(
+        { parentId: task._id, deletedAt: trashedTask.deletedAt },
+        { deletedAt: null, deletedBy: null, $inc: { version: 1 } }
+      );
+    }
+
+    return task;
+  }
+
+  /**
+   * Lists a workspace's trashed tasks, most recently deleted first
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} [options={}] - Pagination options
+   * @param {number} [options.page=1] - Page number
+   * @param {number} [options.limit=20] - Tasks per page
+   * @returns {Promise<Object>} Tasks with their purge date, pagination and retention days
+   */
+  static async listTrash(workspaceId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const query = { ...WorkspaceService.buildWorkspaceScope(workspaceId), ...IN_TRASH };
+    const retentionDays = this.getRetentionDays();
+
+    const [tasks, total] = await Promise.all([
+      Task.find(query)
+        .sort({ deletedAt: -1, _id: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean(),
+      Task.countDocuments(query)
+    ]);
+
+    return {
+      tasks: tasks.map(task => ({ ...task, purgeAt: this.getPurgeDate(task.deletedAt, retentionDays) })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      retentionDays
+    };
+  }
+
+  /**
+   * Permanently deletes a trashed task and its trashed subtasks, with their status history,
+   * revisions and time entries
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object|null>} Purged task, or null if the task is not in the trash
+   */
+  static async purgeTask(workspaceId, taskId) {
+    const task = await Task.findOneAndDelete({
+      ...WorkspaceService.buildWorkspaceScope(workspaceId),
+      _id: taskId,
+      ...IN_TRASH
+    });
+
+    if (task) {
+      const subtaskIds = await Task.distinct('_id', { parentId: task._id, ...IN_TRASH });
+      await this.deleteTasks([task._id, ...subtaskIds]);
+    }
+
+    return task;
+  }
+
+  /**
+   * Permanently deletes tasks that have been in a workspace's trash longer than the retention period
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {number} [retentionDays] - Retention in days (defaults to getRetentionDays())
+   * @returns {Promise<Object>} Number of tasks purged
+   */
+  static async purgeExpired(workspaceId, retentionDays = this.getRetentionDays()) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const query = {
+      ...WorkspaceService.buildWorkspaceScope(workspaceId),
+      deletedAt: { $ne: null, $lt: cutoff }
+    };
+
+    const taskIds = await Task.distinct('_id', query);
+    await this.deleteTasks(taskIds);
+
+    return { tasksPurged: taskIds.length };
+  }
+
+  /**
+   * Deletes tasks with their status history, time entries and revisions, and drops them from
+   * the blockers of the tasks that waited for them
+   * @static
+   * @async
+   * @param {Array<ObjectId>} taskIds - Task IDs
+   * @returns {Promise<void>}
+   */
+  static async deleteTasks(taskIds) {
+    if (taskIds.length === 0) return;
+
+    await Task.deleteMany({ _id: { $in: taskIds } });
+    await StatusTransition.deleteMany({ taskId: { $in: taskIds } });
+    await TimeEntry.deleteMany({ taskId: { $in: taskIds } });
+    await TaskRevisionService.deleteRevisions(taskIds);
+    await Task.updateMany(
+      { blockedBy: { $in: taskIds } },
+      { $pull: { blockedBy: { $in: taskIds } }, $inc: { version: 1 } }
+    );
+  }
+}
+
+export default TrashService;
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview User service for the user directory and task assignees
+ * @module services/UserService
+ */
+
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+
+/**
+ * Most users a single task can be assigned to
+ * @type {number}
+ */
+export const MAX_ASSIGNEES_PER_TASK = 10;
+
+/**
+ * Service class for users and task assignment
+ * @class UserService
+ */
+class UserService {
+  /**
+   * Lists user accounts
+   * @static
+   * @async
+   * @param {Array<ObjectId>} userIds - Users to list, e.g. a workspace's members
+   * @returns {Promise<Array>} Users sorted by name
+   */
+  static async listUsers(userIds) {
+    return await User.find({ _id: { $in: userIds } }).sort({ name: 1 });
+  }
+
+  /**
+   * Checks an assignee filter value
+   * @static
+   * @param {string} assignee - User ID
+   * @returns {boolean} True if the value is a valid user ID
+   */
+  static isValidAssigneeFilter(assignee) {
+    return /^[0-9a-fA-F]{24}$/.test(assignee);
+  }
+
+  /**
+   * Builds the task condition for an assignee filter.
+   * IDs are cast to ObjectId so the scope also works in aggregation pipelines.
+   * @static
+   * @param {Object} filters - Filter values
+   * @param {string} [filters.assignee] - Only tasks assigned to this user
+   * @param {string|boolean} [filters.unassigned] - true or 'true' for tasks without assignees
+   * @returns {Object} Task query condition (empty when not filtered)
+   */
+  static buildAssigneeScope({ assignee, unassigned } = {}) {
+    if (unassigned === true || unassigned === 'true') {
+      // Also matches tasks created before assignees existed
+      return { 'assignees.0': { $exists: false } };
+    }
+
+    if (assignee && this.isValidAssigneeFilter(assignee)) {
+      return { assignees: new mongoose.Types.ObjectId(assignee) };
+    }
+
+    return {};
+  }
+
+  /**
+   * Validates and de-duplicates assignee IDs from a request body
+   * @static
+   * @param {*} assignees - Value from the request
+   * @returns {{assignees: Array<string>|null, error: string|null}} Unique user IDs, or an error message
+   */
+  static normalizeAssignees(assignees) {
+    if (!Array.isArray(assignees) || assignees.some(id => typeof id !== 'string')) {
+      return { assignees: null, error: 'Assignees must be an array of user IDs' };
+    }
+
+    const normalized = [...new Set(assignees.map(id => id.toLowerCase()))];
+
+    if (normalized.some(id => !this.isValidAssigneeFilter(id))) {
+      return { assignees: null, error: 'Invalid assignee ID format' };
+    }
+
+    if (normalized.length > MAX_ASSIGNEES_PER_TASK) {
+      return { assignees: null, error: `A task can have at most ${MAX_ASSIGNEES_PER_TASK} assignees` };
+    }
+
+    return { assignees: normalized, error: null };
+  }
+
+  /**
+   * Checks that every assignee is an existing user and a member of the task's workspace
+   * @static
+   * @async
+   * @param {Array<string>} userIds - Normalized user IDs
+   * @param {Array<ObjectId>} [memberIds=[]] - Members of the workspace
+   * @returns {Promise<string|null>} Error message, or null if all users exist and are members
+   */
+  static async validateAssignees(userIds, memberIds = []) {
+    if (userIds.length === 0) return null;
+
+    const found = await User.countDocuments({ _id: { $in: userIds } });
+    if (found !== userIds.length) return 'Assignee not found';
+
+    const members = new Set(memberIds.map(String));
+    return userIds.every(id => members.has(id)) ? null : 'Assignee is not a member of this workspace';
+  }
+
+  /**
+   * Looks up the users assigned to a set of tasks
+   * @static
+   * @async
+   * @param {Array<Object>} tasks - Tasks with assignees
+   * @returns {Promise<Map<string, Object>>} Users (name, email) keyed by ID
+   */
+  static async getAssigneeDirectory(tasks) {
+    const ids = [...new Set(tasks.flatMap(task => (task.assignees || []).map(String)))];
+    if (ids.length === 0) return new Map();
+
+    const users = await User.find({ _id: { $in: ids } }).select('name email').lean();
+    return new Map(users.map(user => [String(user._id), user]));
+  }
+}
+
+export default UserService;
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Workspace service for workspace membership and workspace-scoped queries
+ * @module services/WorkspaceService
+ */
+
+import mongoose from 'mongoose';
+import Workspace from '../models/Workspace.js';
+import User from '../models/User.js';
+import Task from '../models/Task.js';
+import Export from '../models/Export.js';
+import Project from '../models/Project.js';
+import Tag from '../models/Tag.js';
+import Notification from '../models/Notification.js';
+import MetricsSnapshot from '../models/MetricsSnapshot.js';
+import TimeEntry from '../models/TimeEntry.js';
+import StatusTransition from '../models/StatusTransition.js';
+
+/**
+ * Name of the workspace that data from before workspaces existed is moved into
+ * @type {string}
+ */
+export const DEFAULT_WORKSPACE_NAME = 'Default workspace';
+
+/**
+ * Models whose documents belong to a workspace
+ * @type {Array<mongoose.Model>}
+ */
+const WORKSPACE_MODELS = [Task, Export, Project, Tag, Notification, MetricsSnapshot, TimeEntry, StatusTransition];
+
+/**
+ * Models whose unique indexes became per-workspace; stale global indexes are dropped on migration
+ * @type {Array<mongoose.Model>}
+ */
+const REINDEXED_MODELS = [Project, Tag, MetricsSnapshot];
+
+/**
+ * Service class for workspaces
+ * @class WorkspaceService
+ */
+class WorkspaceService {
+  /**
+   * Checks a workspace ID
+   * @static
+   * @param {string} workspaceId - Workspace ID
+   * @returns {boolean} True if the value is a valid workspace ID
+   */
+  static isValidWorkspaceId(workspaceId) {
+    return typeof workspaceId === 'string' && /^[0-9a-fA-F]{24}$/.test(workspaceId);
+  }
+
+  /**
+   * Builds the condition limiting a query to one workspace.
+   * IDs are cast to ObjectId so the scope also works in aggregation pipelines.
+   * @static
+   * @param {string|ObjectId} workspaceId - Workspace ID
+   * @returns {Object} Query condition on workspaceId
+   * @throws {Error} If no workspace is given, so an unscoped query can never run by accident
+   * @example
+   * const scope = WorkspaceService.buildWorkspaceScope(req.workspace._id);
+   * const count = await Task.countDocuments({ ...scope, status: 'pending' });
+   */
+  static buildWorkspaceScope(workspaceId) {
+    if (!workspaceId) {
+      throw new Error('A workspace is required to scope the query');
+    }
+
+    return { workspaceId: new mongoose.Types.ObjectId(String(workspaceId)) };
+  }
+
+  /**
+   * Lists the workspaces a user belongs to
+   * @static
+   * @async
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Workspaces sorted by name, each with a memberCount
+   */
+  static async listWorkspaces(userId) {
+    const workspaces = await Workspace.find({ members: userId }).sort({ name: 1 }).lean();
+
+    return workspaces.map(({ members, ...workspace }) => ({
+      ...workspace,
+      memberCount: members.length
+    }));
+  }
+
+  /**
+   * Retrieves a workspace if the user is one of its members
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Workspace, or null if it does not exist or the user is not a member
+   */
+  static async getWorkspaceForMember(workspaceId, userId) {
+    return await Workspace.findOne({ _id: workspaceId, members: userId });
+  }
+
+  /**
+   * Lists the IDs of all workspaces, for jobs that run per workspace
+   * @static
+   * @async
+   * @returns {Promise<Array<ObjectId>>} Workspace IDs
+   */
+  static async getWorkspaceIds() {
+    return await Workspace.distinct('_id');
+  }
+
+  /**
+   * Creates a workspace with its creator as the first member
+   * @static
+   * @async
+   * @param {Object} data - Workspace data
+   * @param {string} data.name - Workspace name
+   * @param {string} userId - Creator's user ID
+   * @returns {Promise<Object>} Created workspace
+   */
+  static async createWorkspace({ name }, userId) {
+    return await Workspace.create({ name, members: [userId], createdBy: userId });
+  }
+
+  /**
+   * Gives a newly registered user a workspace to work in: their own, or for the first
+   * account, the workspaces that migrated data was moved into before anyone signed up
+   * @static
+   * @async
+   * @param {Object} user - New user document
+   * @param {boolean} isFirstUser - Whether this is the first account
+   * @returns {Promise<void>}
+   */
+  static async provisionNewUser(user, isFirstUser) {
+    if (isFirstUser) {
+      const claimed = await Workspace.updateMany({ members: { $size: 0 } }, { $push: { members: user._id } });
+      if (claimed.modifiedCount > 0) return;
+    }
+
+    await this.createWorkspace({ name: `${user.name}'s workspace` }, user._id);
+  }
+
+  /**
+   * Renames a workspace
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} updates - Fields to change (name)
+   * @returns {Promise<Object|null>} Updated workspace, or null if not found
+   */
+  static async updateWorkspace(workspaceId, updates) {
+    return await Workspace.findByIdAndUpdate(workspaceId, updates, { new: true, runValidators: true });
+  }
+
+  /**
+   * Lists a workspace's members
+   * @static
+   * @async
+   * @param {Object} workspace - Workspace document
+   * @returns {Promise<Array>} Users sorted by name
+   */
+  static async listMembers(workspace) {
+    return await User.find({ _id: { $in: workspace.members } }).sort({ name: 1 });
+  }
+
+  /**
+   * Adds a user to a workspace by email
+   * @static
+   * @async
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} email - Email of the user to add
+   * @returns {Promise<Object>} The added user
+   * @throws {Error} 404 if no user has that email
+   */
+  static async addMember(workspaceId, email) {
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!user) {
+      const notFound = new Error('No user with that email');
+      notFound.statusCode = 404;
+      throw notFound;
+    }
+
+    await Workspace.updateOne({ _id: workspaceId }, { $addToSet: { members: user._id } });
+
+    return user;
+  }
+
+  /**
+   * Removes a user from a workspace. The last member cannot be removed, so a
+   * workspace's data always stays reachable.
+   * @static
+   * @async
+   * @param {Object} workspace - Workspace document
+   * @param {string} userId - ID of the member to remove
+   * @returns {Promise<boolean>} False if the user was not a member
+   * @throws {Error} 409 if the user is the last member
+   */
+  static async removeMember(workspace, userId) {
+    if (!workspace.hasMember(userId)) return false;
+
+    const removed = await Workspace.updateOne(
+      { _id: workspace._id, members: userId, 'members.1': { $exists: true } },
+      { $pull: { members: new mongoose.Types.ObjectId(userId) } }
+    );
+
+    if (removed.modifiedCount === 0) {
+      const conflict = new Error('A workspace must keep at least one member');
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+
+    return true;
+  }
+
+  /**
+   * Moves data created before workspaces existed into a workspace: the oldest
+   * workspace, or a new default workspace shared by every user. Status history
+   * recorded for tasks that already belong to a workspace follows its task. Safe
+   * to run on every start; it does nothing once all data belongs to a workspace.
+   * @static
+   * @async
+   * @returns {Promise<number>} Number of documents moved
+   */
+  static async adoptLegacyData() {
+    const unscoped = { workspaceId: { $exists: false } };
+    const pending = await Promise.all(WORKSPACE_MODELS.map(model => model.exists(unscoped)));
+    if (!pending.some(Boolean)) return 0;
+
+    const followedTask = await this.adoptTaskTransitions(unscoped);
+
+    let workspace = await Workspace.findOne().sort({ createdAt: 1 });
+    if (!workspace) {
+      const members = await User.distinct('_id');
+      workspace = await Workspace.create({ name: DEFAULT_WORKSPACE_NAME, members });
+    }
+
+    const results = await Promise.all(
+      WORKSPACE_MODELS.map(model => model.updateMany(unscoped, { $set: { workspaceId: workspace._id } }))
+    );
+
+    // Names and snapshot dates were globally unique before workspaces
+    await Promise.all(REINDEXED_MODELS.map(model => model.syncIndexes()));
+
+    return results.reduce((sum, result) => sum + result.modifiedCount, followedTask);
+  }
+
+  /**
+   * Gives status transitions without a workspace the workspace of their task, in the
+   * database. Transitions of tasks that have none yet are left for adoptLegacyData.
+   * @static
+   * @async
+   * @param {Object} unscoped - Condition matching documents without a workspace
+   * @returns {Promise<number>} Number of transitions moved
+   */
+  static async adoptTaskTransitions(unscoped) {
+    const before = await StatusTransition.countDocuments(unscoped);
+    if (before === 0) return 0;
+
+    // A lookup rather than a Task query, so trashed tasks are included
+    await StatusTransition.aggregate([
+      { $match: unscoped },
+      { $lookup: { from: Task.collection.name, localField: 'taskId', foreignField: '_id', as: 'task' } },
+      { $project: { workspaceId: { $arrayElemAt: ['$task.workspaceId', 0] } } },
+      { $match: { workspaceId: { $ne: null } } },
+      { $merge: { into: StatusTransition.collection.name, on: '_id', whenMatched: 'merge', whenNotMatched: 'discard' } }
+    ]);
+
+    return before - await StatusTransition.countDocuments(unscoped);
+  }
+}
+
+export default WorkspaceService;
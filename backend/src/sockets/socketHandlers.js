@@ -4,6 +4,19 @@
  */
 
 import AnalyticsService from '../services/analyticsService.js';
+import TimeTrackingService from '../services/timeTrackingService.js';
+import { authenticateSocket } from '../middleware/auth.js';
+import { authorizeSocket } from '../middleware/permissions.js';
+import { authorizeSocketWorkspace } from '../middleware/workspace.js';
+
+/**
+ * Builds the name of a workspace's room, or of one of its sub-rooms
+ * @param {string|ObjectId} workspaceId - Workspace ID
+ * @param {string} [channel] - Sub-room name, e.g. 'analytics' or 'exports'
+ * @returns {string} Room name
+ */
+const workspaceRoom = (workspaceId, channel) =>
+  channel ? `workspace:${workspaceId}:${channel}` : `workspace:${workspaceId}`;
 
 /**
  * Handles Socket.IO connections and real-time events
@@ -20,26 +33,40 @@ class SocketHandlers {
   }
 
   /**
-   * Sets up Socket.IO event handlers for client connections
+   * Sets up Socket.IO event handlers for client connections.
+   * Connections must present an access token and a workspace ID in the handshake
+   * (auth.token, auth.workspaceId); each socket joins its workspace's room and only
+   * receives that workspace's events. Each event checks the user's role; denied
+   * events emit 'permission-denied'.
    * @private
    */
   setupEventHandlers() {
+    this.io.use(authenticateSocket);
+    this.io.use(authorizeSocketWorkspace);
+
     this.io.on('connection', (socket) => {
-      console.log(`🔌 Client connected: ${socket.id}`);
+      const { workspaceId } = socket;
+
+      console.log(`🔌 Client connected: ${socket.id} (${socket.user.email}, workspace ${workspaceId})`);
+      socket.join(workspaceRoom(workspaceId));
 
       socket.on('join-analytics', () => {
-        socket.join('analytics');
+        if (!authorizeSocket(socket, 'analytics:read', 'join-analytics')) return;
+        socket.join(workspaceRoom(workspaceId, 'analytics'));
         console.log(`📊 Client ${socket.id} joined analytics room`);
       });
 
       socket.on('join-exports', () => {
-        socket.join('exports');
+        if (!authorizeSocket(socket, 'exports:read', 'join-exports')) return;
+        socket.join(workspaceRoom(workspaceId, 'exports'));
         console.log(`📤 Client ${socket.id} joined exports room`);
       });
 
       socket.on('request-analytics', async () => {
+        if (!authorizeSocket(socket, 'analytics:read', 'request-analytics')) return;
+
         try {
-          const metrics = await AnalyticsService.getTaskMetrics();
+          const metrics = await AnalyticsService.getTaskMetrics({ workspaceId });
           socket.emit('analytics-update', metrics);
         } catch (error) {
           console.error('Error sending analytics update:', error);
@@ -47,6 +74,17 @@ class SocketHandlers {
         }
       });
 
+      socket.on('request-timers', async () => {
+        if (!authorizeSocket(socket, 'tasks:read', 'request-timers')) return;
+
+        try {
+          const timers = await TimeTrackingService.getRunningTimers(workspaceId);
+          socket.emit('timer-state', timers);
+        } catch (error) {
+          console.error('Error sending running timers:', error);
+        }
+      });
+
       socket.on('disconnect', () => {
         console.log(`🔌 Client disconnected: ${socket.id}`);
       });
@@ -54,41 +92,73 @@ class SocketHandlers {
   }
 
   /**
-   * Broadcasts analytics updates to all connected clients in analytics room
+   * Lists the workspaces that currently have clients in their analytics room
+   * @returns {Array<string>} Workspace IDs
+   */
+  getActiveAnalyticsWorkspaces() {
+    const pattern = /^workspace:([0-9a-fA-F]{24}):analytics$/;
+
+    return [...this.io.sockets.adapter.rooms.keys()]
+      .map(room => pattern.exec(room)?.[1])
+      .filter(Boolean);
+  }
+
+  /**
+   * Broadcasts a workspace's analytics to its clients in the analytics room
    * @async
+   * @param {string} workspaceId - Workspace whose metrics changed
    * @returns {Promise<void>}
    */
-  async broadcastAnalyticsUpdate() {
+  async broadcastAnalyticsUpdate(workspaceId) {
     try {
-      const metrics = await AnalyticsService.getTaskMetrics();
-      this.io.to('analytics').emit('analytics-update', metrics);
+      const metrics = await AnalyticsService.getTaskMetrics({ workspaceId });
+      this.io.to(workspaceRoom(workspaceId, 'analytics')).emit('analytics-update', metrics);
     } catch (error) {
       console.error('Error broadcasting analytics update:', error);
     }
   }
 
   /**
-   * Broadcasts task updates to all connected clients
-   * @param {string} action - Action performed (created, updated, deleted)
+   * Broadcasts task updates to the clients of the task's workspace. The payload carries the
+   * task's version so clients can tell whether their copy is stale.
+   * @param {string} action - Action performed (created, updated, deleted, restored)
    * @param {Object} task - Task data
    */
   broadcastTaskUpdate(action, task) {
-    this.io.emit('task-update', {
+    this.io.to(workspaceRoom(task.workspaceId)).emit('task-update', {
       action,
       task,
+      version: task.version,
       timestamp: new Date().toISOString()
     });
 
-    this.broadcastAnalyticsUpdate();
+    this.broadcastAnalyticsUpdate(task.workspaceId);
+  }
+
+  /**
+   * Broadcasts timer start/stop events to the clients of the entry's workspace
+   * @param {string} action - Action performed (started, stopped)
+   * @param {Object} entry - Time entry data
+   */
+  broadcastTimerUpdate(action, entry) {
+    this.io.to(workspaceRoom(entry.workspaceId)).emit('timer-update', {
+      action,
+      taskId: entry.taskId,
+      entry,
+      timestamp: new Date().toISOString()
+    });
   }
 
   /**
-   * Broadcasts notifications to all connected clients
+   * Broadcasts notifications to the clients of a workspace
+   * @param {string} workspaceId - Workspace the notification concerns
    * @param {string} message - Notification message
    * @param {string} [type='info'] - Notification type (info, warning, error)
+   * @param {Object} [data={}] - Extra fields such as taskId or notificationId
    */
-  broadcastNotification(message, type = 'info') {
-    this.io.emit('notification', {
+  broadcastNotification(workspaceId, message, type = 'info', data = {}) {
+    this.io.to(workspaceRoom(workspaceId)).emit('notification', {
+      ...data,
       message,
       type,
       timestamp: new Date().toISOString()
@@ -96,7 +166,22 @@ class SocketHandlers {
   }
 
   /**
-   * Broadcasts export updates to all connected clients in exports room
+   * Broadcasts that a task can start because its last open blocker was completed
+   * @param {Object} task - Task that is no longer blocked
+   * @param {Object} blocker - Blocking task that was completed
+   * @param {Object} notification - Persisted notification for the event
+   */
+  broadcastTaskUnblocked(task, blocker, notification) {
+    this.broadcastNotification(task.workspaceId, notification.message, notification.type, {
+      notificationId: notification._id,
+      kind: 'unblocked',
+      taskId: task._id,
+      blockerId: blocker._id
+    });
+  }
+
+  /**
+   * Broadcasts export updates to the exports room of the export's workspace
    * @param {string} status - Export status (processing, completed, failed)
    * @param {Object} exportJob - Export job data
    * @param {Object} [metadata={}] - Additional metadata (progress, etc.)
@@ -112,16 +197,18 @@ class SocketHandlers {
     };
 
     // Send to exports room for detailed updates
-    this.io.to('exports').emit('export-update', updateData);
+    this.io.to(workspaceRoom(exportJob.workspaceId, 'exports')).emit('export-update', updateData);
 
-    // Send notification to all clients for important status changes
+    // Send notification to the whole workspace for important status changes
     if (status === 'completed') {
       this.broadcastNotification(
+        exportJob.workspaceId,
         `✅ Export completed: ${exportJob.recordCount} records exported as ${exportJob.format.toUpperCase()}`,
         'success'
       );
     } else if (status === 'failed') {
       this.broadcastNotification(
+        exportJob.workspaceId,
         `❌ Export failed: ${exportJob.error || 'Unknown error'}`,
         'error'
       );
@@ -129,14 +216,16 @@ class SocketHandlers {
   }
 
   /**
-   * Checks metrics against thresholds and sends notifications if exceeded
+   * Checks a workspace's metrics against thresholds and notifies its clients if exceeded
    * @async
    * @param {Object} metrics - Analytics metrics object
+   * @param {string} workspaceId - Workspace the metrics belong to
    * @returns {Promise<void>}
    */
-  async checkMetricThresholds(metrics) {
+  async checkMetricThresholds(metrics, workspaceId) {
     if (metrics.completionRate < 50) {
       this.broadcastNotification(
+        workspaceId,
         `⚠️ Task completion rate has dropped to ${metrics.completionRate}%`,
         'warning'
       );
@@ -144,6 +233,7 @@ class SocketHandlers {
 
     if (metrics.tasksByStatus.pending > 20) {
       this.broadcastNotification(
+        workspaceId,
         `📋 High number of pending tasks: ${metrics.tasksByStatus.pending}`,
         'info'
       );
@@ -151,6 +241,7 @@ class SocketHandlers {
 
     if (metrics.tasksByPriority.high > 10) {
       this.broadcastNotification(
+        workspaceId,
         `🔥 High priority tasks need attention: ${metrics.tasksByPriority.high}`,
         'warning'
       );
@@ -1,5 +1,8 @@
-import { test, describe, it } from 'node:test';
+import { test, describe, it, mock } from 'node:test';
 import assert from 'node:assert';
+import ExportCleanupJob from '../../src/jobs/exportCleanup.js';
+import WorkspaceService from '../../src/services/workspaceService.js';
+import AuditService from '../../src/services/auditService.js';
 
 describe('ExportCleanupJob Unit Tests', () => {
   it('should have ExportCleanupJob module structure', async () => {
@@ -40,4 +43,27 @@ describe('ExportCleanupJob Unit Tests', () => {
       console.log('ExportCleanupJob signature test skipped due to dependencies');
     }
   });
-});
\ No newline at end of file
+
+  it('should only audit scheduled runs that deleted something or hit errors', async () => {
+    const outcomes = {
+      idle: { exportRecordsDeleted: 0, filesDeleted: 0, spaceSaved: 0, errors: [] },
+      cleaned: { exportRecordsDeleted: 2, filesDeleted: 2, spaceSaved: 2048, errors: [] },
+      failed: { exportRecordsDeleted: 0, filesDeleted: 0, spaceSaved: 0, errors: ['Job failed: connection lost'] }
+    };
+    mock.method(WorkspaceService, 'getWorkspaceIds', async () => Object.keys(outcomes));
+    mock.method(ExportCleanupJob, 'run', async ({ workspaceId }) => outcomes[workspaceId]);
+    mock.method(ExportCleanupJob, 'cleanupEmptyDirectories', async () => {});
+    const record = mock.method(AuditService, 'record', async () => null);
+    mock.method(AuditService, 'systemContext', (workspaceId) => ({ workspaceId }));
+
+    try {
+      const runs = await ExportCleanupJob.runScheduled({ retentionDays: 7 });
+
+      assert.strictEqual(runs.length, 3);
+      assert.deepStrictEqual(record.mock.calls.map(call => call.arguments[0].workspaceId), ['cleaned', 'failed']);
+      assert.strictEqual(record.mock.calls[0].arguments[1].action, 'export.cleanup');
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
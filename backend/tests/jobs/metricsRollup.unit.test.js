@@ -0,0 +1,28 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert';
+import MetricsRollupJob from '../../src/jobs/metricsRollup.js';
+import WorkspaceService from '../../src/services/workspaceService.js';
+
+describe('MetricsRollupJob Unit Tests', () => {
+  it('should expose run and schedule methods', () => {
+    assert.strictEqual(typeof MetricsRollupJob.run, 'function');
+    assert.strictEqual(typeof MetricsRollupJob.schedule, 'function');
+  });
+
+  it('should key snapshots by the start of the UTC day', () => {
+    const day = MetricsRollupJob.startOfUtcDay(new Date('2024-03-15T22:45:10Z'));
+    assert.strictEqual(day.toISOString(), '2024-03-15T00:00:00.000Z');
+  });
+
+  it('should leave failures to list workspaces to the caller', async () => {
+    const getWorkspaceIds = mock.method(WorkspaceService, 'getWorkspaceIds', async () => {
+      throw new Error('connection lost');
+    });
+
+    try {
+      await assert.rejects(MetricsRollupJob.run(), { message: 'connection lost' });
+    } finally {
+      getWorkspaceIds.mock.restore();
+    }
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import RecurringTaskJob from '../../src/jobs/recurringTasks.js';
+import Task from '../../src/models/Task.js';
+
+describe('RecurringTaskJob Unit Tests', () => {
+  it('should expose run and schedule methods', () => {
+    assert.strictEqual(typeof RecurringTaskJob.run, 'function');
+    assert.strictEqual(typeof RecurringTaskJob.schedule, 'function');
+  });
+
+  it('should broadcast new instances without subtasks or blockers', () => {
+    const instance = new Task({
+      title: 'Backup production database',
+      recurrence: { frequency: 'weekly' },
+      recurrenceIndex: 2
+    });
+
+    const broadcast = RecurringTaskJob.toBroadcast(instance);
+
+    assert.strictEqual(broadcast.title, 'Backup production database');
+    assert.strictEqual(broadcast.recurrenceIndex, 2);
+    assert.strictEqual(broadcast.rollup, null);
+    assert.strictEqual(broadcast.blocked, false);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+import TaskReminderJob from '../../src/jobs/taskReminders.js';
+import Task from '../../src/models/Task.js';
+import Notification from '../../src/models/Notification.js';
+
+describe('TaskReminderJob Unit Tests', () => {
+  const now = new Date('2024-03-15T12:00:00Z');
+
+  it('should expose run and schedule methods', () => {
+    assert.strictEqual(typeof TaskReminderJob.run, 'function');
+    assert.strictEqual(typeof TaskReminderJob.schedule, 'function');
+  });
+
+  it('should key reminders by task and reminder time', () => {
+    const task = { _id: 'abc', reminderAt: new Date('2024-03-15T09:00:00Z') };
+
+    assert.strictEqual(
+      TaskReminderJob.getDedupeKey(task),
+      'reminder:abc:2024-03-15T09:00:00.000Z'
+    );
+  });
+
+  it('should mention the due date in reminder messages', () => {
+    assert.strictEqual(
+      TaskReminderJob.buildReminderMessage({ title: 'Ship it' }, now),
+      '⏰ Reminder: "Ship it"'
+    );
+    assert.strictEqual(
+      TaskReminderJob.buildReminderMessage({ title: 'Ship it', dueDate: new Date('2024-03-16T17:30:00Z') }, now),
+      '⏰ Reminder: "Ship it" is due 2024-03-16 17:30 UTC'
+    );
+    assert.strictEqual(
+      TaskReminderJob.buildReminderMessage({ title: 'Ship it', dueDate: new Date('2024-03-14T17:30:00Z') }, now),
+      '⏰ Reminder: "Ship it" was due 2024-03-14 17:30 UTC and is overdue'
+    );
+  });
+
+  describe('sending reminders', () => {
+    const reminderAt = new Date('2024-03-15T11:00:00Z');
+    let stored;
+    let dedupeKeys;
+    let socketHandlers;
+
+    beforeEach(() => {
+      stored = {
+        _id: new mongoose.Types.ObjectId(),
+        workspaceId: new mongoose.Types.ObjectId(),
+        title: 'Ship it',
+        reminderAt,
+        reminderSentAt: null
+      };
+      dedupeKeys = new Set();
+      socketHandlers = { broadcastNotification: mock.fn() };
+
+      // Stand-ins for the unique dedupeKey index and a conditional update of the stored task
+      mock.method(Notification, 'create', async (fields) => {
+        if (dedupeKeys.has(fields.dedupeKey)) {
+          throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        dedupeKeys.add(fields.dedupeKey);
+        return { _id: new mongoose.Types.ObjectId(), ...fields };
+      });
+      mock.method(Task, 'updateOne', async (filter, update) => {
+        const matches = filter.reminderAt.getTime() === stored.reminderAt.getTime() && stored.reminderSentAt === null;
+        if (matches) Object.assign(stored, update.$set);
+        return { modifiedCount: matches ? 1 : 0 };
+      });
+    });
+
+    afterEach(() => {
+      mock.restoreAll();
+    });
+
+    it('should notify once when another instance already sent the reminder', async () => {
+      const task = { ...stored };
+
+      const first = await TaskReminderJob.sendReminder(task, { socketHandlers, now });
+      const second = await TaskReminderJob.sendReminder(task, { socketHandlers, now });
+
+      assert.strictEqual(first, true);
+      assert.strictEqual(second, false);
+      assert.strictEqual(socketHandlers.broadcastNotification.mock.calls.length, 1);
+      assert.strictEqual(stored.reminderSentAt, now);
+    });
+
+    it('should count duplicates as skipped in a run', async () => {
+      mock.method(Task, 'find', () => ({
+        sort: () => ({ limit: () => ({ lean: async () => [{ ...stored }, { ...stored }] }) })
+      }));
+
+      const results = await TaskReminderJob.run({ socketHandlers, now });
+
+      assert.deepStrictEqual(results, { sent: 1, skipped: 1 });
+      assert.strictEqual(socketHandlers.broadcastNotification.mock.calls.length, 1);
+    });
+
+    it('should leave a reminder rescheduled mid-run pending', async () => {
+      const task = { ...stored };
+      stored.reminderAt = new Date('2024-03-16T09:00:00Z');
+
+      await TaskReminderJob.sendReminder(task, { socketHandlers, now });
+
+      assert.strictEqual(stored.reminderSentAt, null);
+      assert.deepStrictEqual(Task.updateOne.mock.calls[0].arguments[0], {
+        _id: stored._id,
+        reminderAt,
+        reminderSentAt: null
+      });
+    });
+
+    it('should not mark a reminder as sent when storing it fails', async () => {
+      mock.method(Notification, 'create', async () => {
+        throw new Error('connection lost');
+      });
+
+      await assert.rejects(TaskReminderJob.sendReminder({ ...stored }, { socketHandlers, now }), /connection lost/);
+
+      assert.strictEqual(stored.reminderSentAt, null);
+      assert.strictEqual(socketHandlers.broadcastNotification.mock.calls.length, 0);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+import TrashPurgeJob from '../../src/jobs/trashPurge.js';
+import TrashService from '../../src/services/trashService.js';
+import TaskRevisionService from '../../src/services/taskRevisionService.js';
+import WorkspaceService from '../../src/services/workspaceService.js';
+import AuditService from '../../src/services/auditService.js';
+import Task from '../../src/models/Task.js';
+import StatusTransition from '../../src/models/StatusTransition.js';
+import TimeEntry from '../../src/models/TimeEntry.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('TrashPurgeJob Unit Tests', () => {
+  const workspaceId = new mongoose.Types.ObjectId();
+  let deleted;
+
+  // Records what each delete removes, so the tests can check that nothing is left behind
+  beforeEach(() => {
+    deleted = {};
+    mock.method(Task, 'deleteMany', async (filter) => {
+      deleted.tasks = filter;
+    });
+    mock.method(StatusTransition, 'deleteMany', async (filter) => {
+      deleted.transitions = filter;
+    });
+    mock.method(TimeEntry, 'deleteMany', async (filter) => {
+      deleted.timeEntries = filter;
+    });
+    mock.method(TaskRevisionService, 'deleteRevisions', async (taskIds) => {
+      deleted.revisions = taskIds;
+    });
+    mock.method(Task, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(AuditService, 'record', async () => null);
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('should purge only tasks trashed before the retention cutoff', async () => {
+    const expiredIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const distinct = mock.method(Task, 'distinct', async () => expiredIds);
+
+    const before = Date.now();
+    const results = await TrashService.purgeExpired(workspaceId, 7);
+    const after = Date.now();
+
+    assert.deepStrictEqual(results, { tasksPurged: 2 });
+    const [, query] = distinct.mock.calls[0].arguments;
+    assert.strictEqual(String(query.workspaceId), String(workspaceId));
+    assert.strictEqual(query.deletedAt.$ne, null);
+    assert(query.deletedAt.$lt.getTime() >= before - 7 * DAY_MS);
+    assert(query.deletedAt.$lt.getTime() <= after - 7 * DAY_MS);
+    assert.deepStrictEqual(deleted.tasks, { _id: { $in: expiredIds } });
+  });
+
+  it('should delete the history, time entries and revisions of purged tasks and unblock their dependents', async () => {
+    const taskIds = [new mongoose.Types.ObjectId()];
+
+    await TrashService.deleteTasks(taskIds);
+
+    assert.deepStrictEqual(deleted.transitions, { taskId: { $in: taskIds } });
+    assert.deepStrictEqual(deleted.timeEntries, { taskId: { $in: taskIds } });
+    assert.deepStrictEqual(deleted.revisions, taskIds);
+
+    const [filter, update] = Task.updateMany.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { blockedBy: { $in: taskIds } });
+    assert.deepStrictEqual(update.$pull, { blockedBy: { $in: taskIds } });
+  });
+
+  it('should purge a task together with its trashed subtasks', async () => {
+    const task = { _id: new mongoose.Types.ObjectId() };
+    const subtaskIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    mock.method(Task, 'findOneAndDelete', async () => task);
+    const distinct = mock.method(Task, 'distinct', async () => subtaskIds);
+
+    const purged = await TrashService.purgeTask(workspaceId, String(task._id));
+
+    assert.strictEqual(purged, task);
+    assert.deepStrictEqual(distinct.mock.calls[0].arguments[1], { parentId: task._id, deletedAt: { $ne: null } });
+    assert.deepStrictEqual(deleted.tasks, { _id: { $in: [task._id, ...subtaskIds] } });
+    assert.deepStrictEqual(deleted.revisions, [task._id, ...subtaskIds]);
+  });
+
+  it('should refuse to restore a subtask whose parent is still in the trash', async () => {
+    const parentId = new mongoose.Types.ObjectId();
+    mock.method(Task, 'findOne', () => ({
+      lean: async () => ({ _id: new mongoose.Types.ObjectId(), parentId, deletedAt: new Date() })
+    }));
+    mock.method(Task, 'exists', async () => ({ _id: parentId }));
+    const restore = mock.method(Task, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(
+      TrashService.restoreTask(workspaceId, String(new mongoose.Types.ObjectId())),
+      { statusCode: 409, message: 'Restore the parent task first' }
+    );
+    assert.strictEqual(restore.mock.calls.length, 0);
+  });
+
+  it('should audit workspaces that had expired tasks and skip the rest', async () => {
+    const emptyWorkspaceId = new mongoose.Types.ObjectId();
+    mock.method(WorkspaceService, 'getWorkspaceIds', async () => [workspaceId, emptyWorkspaceId]);
+    mock.method(TrashService, 'purgeExpired', async (id) =>
+      ({ tasksPurged: id === workspaceId ? 3 : 0 }));
+
+    const runs = await TrashPurgeJob.run({ retentionDays: 30 });
+
+    assert.deepStrictEqual(runs, [{ workspaceId, tasksPurged: 3 }]);
+    assert.strictEqual(AuditService.record.mock.calls.length, 1);
+    const [, entry] = AuditService.record.mock.calls[0].arguments;
+    assert.strictEqual(entry.action, 'task.purge');
+    assert.deepStrictEqual(entry.details, { retentionDays: 30, tasksPurged: 3 });
+  });
+});
@@ -0,0 +1,117 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert';
+import jwt from 'jsonwebtoken';
+import AuthService from '../../src/services/authService.js';
+import ApiTokenService from '../../src/services/apiTokenService.js';
+import { authenticate, authenticateSocket, getBearerToken } from '../../src/middleware/auth.js';
+
+/**
+ * Creates a minimal Express response double
+ * @returns {Object} Response recording status and body
+ */
+const createResponse = () => ({
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(data) {
+    this.responseData = data;
+    return this;
+  }
+});
+
+const accessToken = jwt.sign(
+  { type: 'access', email: 'ada@example.com', name: 'Ada', role: 'member' },
+  AuthService.getSecret(),
+  { subject: 'user-1', expiresIn: 60 }
+);
+
+describe('Auth Middleware Tests', () => {
+  test('getBearerToken should only accept bearer headers', () => {
+    assert.strictEqual(getBearerToken('Bearer abc'), 'abc');
+    assert.strictEqual(getBearerToken('Basic abc'), null);
+    assert.strictEqual(getBearerToken(undefined), null);
+  });
+
+  test('authenticate should set req.user for a valid token', () => {
+    const req = { headers: { authorization: `Bearer ${accessToken}` } };
+    const res = createResponse();
+    let nextCalled = false;
+
+    authenticate(req, res, () => { nextCalled = true; });
+
+    assert.strictEqual(nextCalled, true);
+    assert.strictEqual(req.user.id, 'user-1');
+    assert.strictEqual(req.user.email, 'ada@example.com');
+    assert.strictEqual(req.user.role, 'member');
+  });
+
+  test('authenticate should reject requests without a token', () => {
+    const res = createResponse();
+    let nextCalled = false;
+
+    authenticate({ headers: {} }, res, () => { nextCalled = true; });
+
+    assert.strictEqual(nextCalled, false);
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(res.responseData.message, 'Authentication required');
+  });
+
+  test('authenticate should reject invalid tokens', () => {
+    const res = createResponse();
+
+    authenticate({ headers: { authorization: 'Bearer not-a-token' } }, res, () => {});
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(res.responseData.message, 'Invalid token');
+  });
+
+  test('authenticate should accept API tokens and record their scopes', async () => {
+    const lookup = mock.method(ApiTokenService, 'authenticate', async () => ({
+      user: { id: 'user-1', email: 'ada@example.com', name: 'Ada', role: 'manager' },
+      token: { id: 'token-1', scopes: ['tasks:read'] }
+    }));
+    const req = { headers: { authorization: 'Bearer tat_secret' } };
+    let nextArg = 'not called';
+
+    await authenticate(req, createResponse(), (arg) => { nextArg = arg; });
+    lookup.mock.restore();
+
+    assert.strictEqual(nextArg, undefined);
+    assert.strictEqual(lookup.mock.calls[0].arguments[0], 'tat_secret');
+    assert.strictEqual(req.user.role, 'manager');
+    assert.deepStrictEqual(req.apiToken.scopes, ['tasks:read']);
+  });
+
+  test('authenticate should reject revoked or expired API tokens', async () => {
+    const lookup = mock.method(ApiTokenService, 'authenticate', async () => {
+      throw ApiTokenService.createUnauthorizedError('API token expired');
+    });
+    const res = createResponse();
+
+    await authenticate({ headers: { authorization: 'Bearer tat_secret' } }, res, () => {});
+    lookup.mock.restore();
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(res.responseData.message, 'API token expired');
+  });
+
+  test('authenticateSocket should read the token from the handshake', () => {
+    const socket = { handshake: { auth: { token: accessToken }, headers: {} } };
+    let error;
+
+    authenticateSocket(socket, (err) => { error = err; });
+
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(socket.user.id, 'user-1');
+  });
+
+  test('authenticateSocket should refuse connections without a token', () => {
+    let error;
+
+    authenticateSocket({ handshake: { auth: {}, headers: {} } }, (err) => { error = err; });
+
+    assert(error instanceof Error);
+    assert.strictEqual(error.message, 'Authentication required');
+  });
+});
@@ -0,0 +1,121 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  PERMISSIONS,
+  hasPermission,
+  getPermissions,
+  requirePermission,
+  requireSession,
+  authorizeSocket
+} from '../../src/middleware/permissions.js';
+
+/**
+ * Runs a permission middleware for a user role
+ * @param {string} permission - Permission to require
+ * @param {string} [role] - Role of the signed-in user
+ * @returns {Object} Argument passed to next (undefined when allowed)
+ */
+const runMiddleware = (permission, role) => {
+  let nextArg = 'not called';
+  const req = role ? { user: { id: 'user-1', role } } : {};
+
+  requirePermission(permission)(req, {}, (arg) => { nextArg = arg; });
+  return nextArg;
+};
+
+describe('Permission Middleware Tests', () => {
+  test('viewers should only read', () => {
+    assert.deepStrictEqual(getPermissions('viewer'), ['tasks:read', 'analytics:read']);
+  });
+
+  test('members should also create and update tasks', () => {
+    assert(hasPermission('member', 'tasks:write'));
+    assert(!hasPermission('member', 'tasks:delete'));
+    assert(!hasPermission('member', 'exports:create'));
+  });
+
+  test('managers should delete, export and audit but not administer', () => {
+    assert(hasPermission('manager', 'tasks:delete'));
+    assert(hasPermission('manager', 'exports:read'));
+    assert(hasPermission('manager', 'audit:read'));
+    assert(!hasPermission('member', 'audit:read'));
+    assert(!hasPermission('manager', 'admin:cleanup'));
+    assert(!hasPermission('manager', 'users:manage'));
+  });
+
+  test('admins should have every permission', () => {
+    assert.deepStrictEqual(getPermissions('admin'), Object.keys(PERMISSIONS));
+  });
+
+  test('unknown roles and permissions should be denied', () => {
+    assert.strictEqual(hasPermission('owner', 'tasks:read'), false);
+    assert.strictEqual(hasPermission(undefined, 'tasks:read'), false);
+    assert.strictEqual(hasPermission('admin', 'tasks:archive'), false);
+  });
+
+  test('requirePermission should call next without an error when allowed', () => {
+    assert.strictEqual(runMiddleware('tasks:delete', 'manager'), undefined);
+  });
+
+  test('requirePermission should pass a 403 error to next when denied', () => {
+    const error = runMiddleware('tasks:delete', 'member');
+
+    assert(error instanceof Error);
+    assert.strictEqual(error.statusCode, 403);
+    assert.match(error.message, /tasks:delete/);
+  });
+
+  test('requirePermission should deny requests without a user', () => {
+    assert.strictEqual(runMiddleware('tasks:read').statusCode, 403);
+  });
+
+  test('requirePermission should throw for unknown permissions', () => {
+    assert.throws(() => requirePermission('tasks:archive'), /Unknown permission/);
+  });
+
+  test('requirePermission should also require the scope for API tokens', () => {
+    const req = { user: { id: 'user-1', role: 'admin' }, apiToken: { id: 'token-1', scopes: ['tasks:read'] } };
+    const results = [];
+
+    requirePermission('tasks:read')(req, {}, (arg) => results.push(arg));
+    requirePermission('tasks:write')(req, {}, (arg) => results.push(arg));
+
+    assert.strictEqual(results[0], undefined);
+    assert.strictEqual(results[1].statusCode, 403);
+    assert.match(results[1].message, /API token lacks the tasks:write scope/);
+  });
+
+  test('requirePermission should not let a scope exceed the role', () => {
+    const req = { user: { id: 'user-1', role: 'viewer' }, apiToken: { id: 'token-1', scopes: ['tasks:write'] } };
+    let nextArg;
+
+    requirePermission('tasks:write')(req, {}, (arg) => { nextArg = arg; });
+
+    assert.match(nextArg.message, /requires tasks:write permission/);
+  });
+
+  test('requireSession should refuse API tokens', () => {
+    const results = [];
+
+    requireSession({ user: { id: 'user-1', role: 'admin' } }, {}, (arg) => results.push(arg));
+    requireSession({ user: { id: 'user-1', role: 'admin' }, apiToken: { scopes: [] } }, {}, (arg) => results.push(arg));
+
+    assert.strictEqual(results[0], undefined);
+    assert.strictEqual(results[1].statusCode, 403);
+  });
+
+  test('authorizeSocket should emit permission-denied when denied', () => {
+    const emitted = [];
+    const socket = {
+      user: { id: 'user-1', role: 'viewer' },
+      emit: (event, data) => emitted.push({ event, data })
+    };
+
+    assert.strictEqual(authorizeSocket(socket, 'exports:read', 'join-exports'), false);
+    assert.strictEqual(emitted[0].event, 'permission-denied');
+    assert.strictEqual(emitted[0].data.event, 'join-exports');
+
+    assert.strictEqual(authorizeSocket(socket, 'analytics:read', 'join-analytics'), true);
+    assert.strictEqual(emitted.length, 1);
+  });
+});
@@ -0,0 +1,52 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { requireWorkspace, authorizeSocketWorkspace, WORKSPACE_HEADER } from '../../src/middleware/workspace.js';
+
+/**
+ * Runs requireWorkspace with a given header value
+ * @param {string} [workspaceId] - Value of the workspace header
+ * @returns {Object} Response status and body, and whether next was called
+ */
+const runMiddleware = (workspaceId) => {
+  const result = { status: null, body: null, nextCalled: false };
+  const req = {
+    user: { id: 'user-1', role: 'member' },
+    get: (name) => (name === WORKSPACE_HEADER ? workspaceId : undefined)
+  };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; }
+  };
+
+  requireWorkspace(req, res, () => { result.nextCalled = true; });
+  return result;
+};
+
+describe('Workspace Middleware Tests', () => {
+  test('requireWorkspace should reject requests without the header', () => {
+    const result = runMiddleware(undefined);
+
+    assert.strictEqual(result.status, 400);
+    assert.match(result.body.message, /X-Workspace-Id header is required/);
+    assert.strictEqual(result.nextCalled, false);
+  });
+
+  test('requireWorkspace should reject malformed workspace IDs', () => {
+    const result = runMiddleware('not-an-id');
+
+    assert.strictEqual(result.status, 400);
+    assert.strictEqual(result.body.message, 'Invalid workspace ID format');
+    assert.strictEqual(result.nextCalled, false);
+  });
+
+  test('authorizeSocketWorkspace should require a workspace in the handshake', () => {
+    let nextArg;
+    const socket = { handshake: { auth: {} }, user: { id: 'user-1' } };
+
+    authorizeSocketWorkspace(socket, (arg) => { nextArg = arg; });
+
+    assert(nextArg instanceof Error);
+    assert.strictEqual(nextArg.message, 'Workspace required');
+    assert.strictEqual(socket.workspaceId, undefined);
+  });
+});
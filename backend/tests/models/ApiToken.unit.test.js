@@ -0,0 +1,59 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+
+import ApiToken from '../../src/models/ApiToken.js';
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+/**
+ * Builds a valid token document
+ * @param {Object} [overrides] - Fields to override
+ * @returns {Object} ApiToken document
+ */
+const buildToken = (overrides = {}) => new ApiToken({
+  userId: USER_ID,
+  name: 'Nightly export',
+  tokenHash: 'hash',
+  prefix: 'tat_abcdefgh',
+  scopes: ['tasks:read'],
+  expiresAt: new Date('2030-01-01T00:00:00Z'),
+  ...overrides
+});
+
+describe('ApiToken Model Unit Tests', () => {
+  test('should be a mongoose model', () => {
+    assert(ApiToken);
+    assert(ApiToken.modelName === 'ApiToken');
+    assert(ApiToken.schema instanceof mongoose.Schema);
+  });
+
+  test('should store a unique hash that is not selected by default', () => {
+    const hashPath = ApiToken.schema.paths.tokenHash;
+
+    assert.strictEqual(hashPath.options.unique, true);
+    assert.strictEqual(hashPath.options.select, false);
+  });
+
+  test('should leave the hash out of JSON', () => {
+    const json = buildToken().toJSON();
+
+    assert.strictEqual(json.tokenHash, undefined);
+    assert.strictEqual(json.prefix, 'tat_abcdefgh');
+  });
+
+  test('should start active and unused', () => {
+    const token = buildToken();
+
+    assert.strictEqual(token.validateSync(), undefined);
+    assert.strictEqual(token.lastUsedAt, null);
+    assert.strictEqual(token.revokedAt, null);
+  });
+
+  test('should require at least one scope and an expiry', () => {
+    const error = buildToken({ scopes: [], expiresAt: undefined }).validateSync();
+
+    assert(error.errors.scopes);
+    assert(error.errors.expiresAt);
+  });
+});
@@ -0,0 +1,52 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+
+import AuditLog, { AUDIT_ACTIONS } from '../../src/models/AuditLog.js';
+
+const workspaceId = '507f1f77bcf86cd799439011';
+
+describe('AuditLog Model Unit Tests', () => {
+  test('should be a mongoose model', () => {
+    assert(AuditLog);
+    assert(AuditLog.modelName === 'AuditLog');
+    assert(AuditLog.schema instanceof mongoose.Schema);
+  });
+
+  test('should default to a system entry without an actor or IP', () => {
+    const entry = new AuditLog({ workspaceId, action: 'export.cleanup', targetType: 'export' });
+
+    assert.strictEqual(entry.validateSync(), undefined);
+    assert.strictEqual(entry.actorId, null);
+    assert.strictEqual(entry.actorName, 'System');
+    assert.strictEqual(entry.ip, null);
+    assert.strictEqual(entry.targetId, null);
+  });
+
+  test('should only accept known actions', () => {
+    assert(AUDIT_ACTIONS.includes('task.delete'));
+
+    const error = new AuditLog({ workspaceId, action: 'task.archive', targetType: 'task' }).validateSync();
+    assert(error.errors.action);
+  });
+
+  test('should not track updates', () => {
+    assert.strictEqual(AuditLog.schema.paths.updatedAt, undefined);
+    assert(AuditLog.schema.paths.createdAt);
+  });
+
+  test('should refuse to update or delete entries', async () => {
+    await assert.rejects(AuditLog.updateOne({}, { actorName: 'Someone else' }), /cannot be changed/);
+    await assert.rejects(AuditLog.findOneAndUpdate({}, { ip: null }), /cannot be changed/);
+    await assert.rejects(AuditLog.deleteMany({}), /cannot be changed/);
+    await assert.rejects(AuditLog.findOneAndDelete({}), /cannot be changed/);
+  });
+
+  test('should refuse to save an existing entry again', async () => {
+    const entry = new AuditLog({ workspaceId, action: 'task.create', targetType: 'task' });
+    entry.isNew = false;
+
+    await assert.rejects(entry.save(), /cannot be changed/);
+    await assert.rejects(entry.deleteOne(), /cannot be changed/);
+  });
+});
@@ -0,0 +1,29 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+
+import Notification from '../../src/models/Notification.js';
+
+describe('Notification Model Unit Tests', () => {
+  test('should be a mongoose model', () => {
+    assert(Notification);
+    assert(Notification.modelName === 'Notification');
+    assert(Notification.schema instanceof mongoose.Schema);
+  });
+
+  test('should default to a general info notification', () => {
+    const notification = new Notification({ message: 'Hello' });
+
+    assert.strictEqual(notification.type, 'info');
+    assert.strictEqual(notification.kind, 'general');
+    assert.strictEqual(notification.taskId, null);
+  });
+
+  test('should store each dedupe key at most once', () => {
+    const indexes = Notification.schema.indexes();
+    const dedupeIndex = indexes.find(idx => idx[0].dedupeKey === 1);
+
+    assert(dedupeIndex, 'Should have index on dedupeKey');
+    assert.strictEqual(dedupeIndex[1].unique, true);
+  });
+});
@@ -0,0 +1,43 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+
+import Project from '../../src/models/Project.js';
+
+describe('Project Model Unit Tests', () => {
+  test('should be a mongoose model', () => {
+    assert(Project);
+    assert(Project.modelName === 'Project');
+    assert(Project.schema instanceof mongoose.Schema);
+  });
+
+  test('should have a required name unique per workspace', () => {
+    const namePath = Project.schema.paths.name;
+
+    assert.strictEqual(namePath.isRequired, true);
+    assert.strictEqual(namePath.options.maxlength, 100);
+
+    const compound = Project.schema.indexes().find(([fields]) => fields.workspaceId === 1 && fields.name === 1);
+    assert(compound, 'expected a workspaceId + name index');
+    assert.strictEqual(compound[1].unique, true);
+    assert.strictEqual(namePath.options.unique, undefined);
+  });
+
+  test('should default to an active project with the primary color', () => {
+    const project = new Project({ name: 'Website' });
+
+    assert.strictEqual(project.archived, false);
+    assert.strictEqual(project.color, '#1976D2');
+  });
+
+  test('should reject colors that are not hex codes', () => {
+    const error = new Project({ name: 'Website', color: 'blue' }).validateSync();
+
+    assert(error);
+    assert(error.errors.color);
+  });
+
+  test('should have timestamps enabled', () => {
+    assert(Project.schema.options.timestamps === true);
+  });
+});
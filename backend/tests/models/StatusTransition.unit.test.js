@@ -0,0 +1,61 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+
+import StatusTransition from '../../src/models/StatusTransition.js';
+
+describe('StatusTransition Model Unit Tests', () => {
+  test('should be a mongoose model', () => {
+    assert(StatusTransition);
+    assert(StatusTransition.modelName === 'StatusTransition');
+    assert(StatusTransition.schema instanceof mongoose.Schema);
+  });
+
+  test('should have correct schema structure', () => {
+    const paths = StatusTransition.schema.paths;
+
+    assert(paths.taskId.isRequired === true);
+    assert(paths.taskId.instance === 'ObjectId');
+    assert(paths.workspaceId.isRequired === true);
+    assert(paths.toStatus.isRequired === true);
+    assert(paths.toStatus.enumValues.includes('in-progress'));
+    assert(paths.fromStatus.defaultValue === null);
+    assert(paths.source.enumValues.includes('bulk'));
+  });
+
+  test('should allow null fromStatus for created tasks', () => {
+    const transition = new StatusTransition({
+      taskId: new mongoose.Types.ObjectId(),
+      workspaceId: new mongoose.Types.ObjectId(),
+      fromStatus: null,
+      toStatus: 'pending',
+      source: 'create'
+    });
+
+    const error = transition.validateSync();
+    assert.strictEqual(error, undefined);
+  });
+
+  test('should reject unknown statuses', () => {
+    const transition = new StatusTransition({
+      taskId: new mongoose.Types.ObjectId(),
+      toStatus: 'archived'
+    });
+
+    const error = transition.validateSync();
+    assert(error.errors.toStatus);
+  });
+
+  test('should have timeline index defined', () => {
+    const indexes = StatusTransition.schema.indexes();
+    const timelineIndex = indexes.find(idx =>
+      idx[0].taskId === 1 && idx[0].changedAt === 1
+    );
+    assert(timelineIndex, 'Should have compound index on taskId and changedAt');
+  });
+
+  test('should not index taskId on its own', () => {
+    assert.strictEqual(StatusTransition.schema.path('taskId').options.index, undefined);
+    assert(!StatusTransition.schema.indexes().some(idx => Object.keys(idx[0]).join() === 'taskId'));
+  });
+});
@@ -0,0 +1,38 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+
+import Tag, { TAG_NAME_PATTERN, DEFAULT_TAG_COLOR } from '../../src/models/Tag.js';
+
+describe('Tag Model Unit Tests', () => {
+  test('should be a mongoose model', () => {
+    assert(Tag);
+    assert(Tag.modelName === 'Tag');
+    assert(Tag.schema instanceof mongoose.Schema);
+  });
+
+  test('should have a lowercase name unique per workspace', () => {
+    const namePath = Tag.schema.paths.name;
+
+    assert.strictEqual(namePath.isRequired, true);
+    assert.strictEqual(namePath.options.lowercase, true);
+
+    const compound = Tag.schema.indexes().find(([fields]) => fields.workspaceId === 1 && fields.name === 1);
+    assert(compound, 'expected a workspaceId + name index');
+    assert.strictEqual(compound[1].unique, true);
+    assert.strictEqual(namePath.options.unique, undefined);
+  });
+
+  test('should default to the neutral tag color', () => {
+    const tag = new Tag({ name: 'backend' });
+    assert.strictEqual(tag.color, DEFAULT_TAG_COLOR);
+  });
+
+  test('should only accept simple tag names', () => {
+    assert(TAG_NAME_PATTERN.test('ui-review'));
+    assert(TAG_NAME_PATTERN.test('q3_2024'));
+    assert(!TAG_NAME_PATTERN.test('-leading-dash'));
+    assert(!TAG_NAME_PATTERN.test('has space'));
+    assert(!TAG_NAME_PATTERN.test('a'.repeat(31)));
+  });
+});
@@ -5,6 +5,13 @@ import mongoose from 'mongoose';
 // Import Task model
 import Task from '../../src/models/Task.js';
 
+/**
+ * Runs the Task model's pre middleware for an operation without touching the database
+ */
+const runPreHooks = (operation, target) => new Promise((resolve, reject) => {
+  Task.hooks.execPre(operation, target, [], error => error ? reject(error) : resolve());
+});
+
 describe('Task Model Unit Tests', () => {
   test('should be a mongoose model', () => {
     assert(Task);
@@ -125,4 +132,118 @@ describe('Task Model Unit Tests', () => {
     assert(schema.paths.estimatedTime.options.min === 0);
     assert(schema.paths.actualTime.options.min === 0);
   });
-});
\ No newline at end of file
+
+  test('should have optional dueDate defaulting to null', () => {
+    const dueDatePath = Task.schema.paths.dueDate;
+
+    assert(dueDatePath);
+    assert.strictEqual(dueDatePath.instance, 'Date');
+    assert.strictEqual(dueDatePath.defaultValue, null);
+  });
+
+  test('isOverdue should only flag open tasks past their due date', () => {
+    const now = new Date('2024-01-10T12:00:00Z');
+    const past = new Date('2024-01-09T12:00:00Z');
+    const future = new Date('2024-01-11T12:00:00Z');
+
+    assert.strictEqual(new Task({ title: 'Test', dueDate: past }).isOverdue(now), true);
+    assert.strictEqual(new Task({ title: 'Test', dueDate: future }).isOverdue(now), false);
+    assert.strictEqual(new Task({ title: 'Test' }).isOverdue(now), false);
+    assert.strictEqual(
+      new Task({ title: 'Test', status: 'completed', dueDate: past }).isOverdue(now),
+      false
+    );
+  });
+
+  test('overdueCondition should match open tasks due before now', () => {
+    const now = new Date('2024-01-10T12:00:00Z');
+
+    assert.deepStrictEqual(Task.overdueCondition(now), {
+      status: { $ne: 'completed' },
+      dueDate: { $lt: now }
+    });
+  });
+
+  test('should default deletedAt and deletedBy to null', () => {
+    const task = new Task({ title: 'Test' });
+
+    assert.strictEqual(task.deletedAt, null);
+    assert.strictEqual(task.deletedBy, null);
+  });
+
+  test('reads should skip trashed tasks unless the filter names deletedAt', async () => {
+    const list = Task.find({ status: 'pending' });
+    await runPreHooks('find', list);
+    assert.deepStrictEqual(list.getFilter(), { status: 'pending', deletedAt: null });
+
+    const trash = Task.find({ deletedAt: { $ne: null } });
+    await runPreHooks('find', trash);
+    assert.deepStrictEqual(trash.getFilter(), { deletedAt: { $ne: null } });
+  });
+
+  test('aggregations should skip trashed tasks unless the first stage matches on deletedAt', async () => {
+    const stats = Task.aggregate([{ $group: { _id: '$status' } }]);
+    await runPreHooks('aggregate', stats);
+    assert.deepStrictEqual(stats.pipeline()[0], { $match: { deletedAt: null } });
+
+    const trash = Task.aggregate([{ $match: { deletedAt: { $ne: null } } }]);
+    await runPreHooks('aggregate', trash);
+    assert.strictEqual(trash.pipeline().length, 1);
+  });
+
+  test('should start new tasks at version 1', () => {
+    const versionPath = Task.schema.paths.version;
+
+    assert.strictEqual(new Task({ title: 'Test' }).version, 1);
+    assert.strictEqual(versionPath.options.min, 1);
+  });
+
+  test('versionCondition should treat unversioned tasks as version 1', () => {
+    assert.deepStrictEqual(Task.versionCondition(1), { version: { $in: [1, null] } });
+    assert.deepStrictEqual(Task.versionCondition(4), { version: 4 });
+  });
+
+  test('should start new tasks at the top level without auto-completion', () => {
+    const task = new Task({ title: 'Test' });
+
+    assert.strictEqual(task.parentId, null);
+    assert.strictEqual(task.autoComplete, false);
+    assert.strictEqual(Task.schema.paths.parentId.options.ref, 'Task');
+  });
+
+  test('should start new tasks without blockers', () => {
+    assert.deepStrictEqual([...new Task({ title: 'Test' }).blockedBy], []);
+  });
+
+  test('should start new tasks as one-off tasks', () => {
+    const task = new Task({ title: 'Test' });
+
+    assert.strictEqual(task.recurrence, null);
+    assert.strictEqual(task.recurrenceSeriesId, null);
+    assert.strictEqual(task.nextOccurrenceAt, null);
+  });
+
+  test('should store recurrence rules with their defaults', () => {
+    const task = new Task({ title: 'Test', recurrence: { frequency: 'weekly', byWeekday: ['MO'] } });
+
+    assert.strictEqual(task.recurrence.interval, 1);
+    assert.strictEqual(task.recurrence.timezone, 'UTC');
+    assert.deepStrictEqual([...task.recurrence.byWeekday], ['MO']);
+  });
+
+  test('should keep checklist items in order with their own IDs', () => {
+    const task = new Task({ title: 'Test', checklist: [{ text: ' Write tests ' }, { text: 'Update docs', done: true }] });
+
+    assert.deepStrictEqual(task.checklist.map(item => item.text), ['Write tests', 'Update docs']);
+    assert.strictEqual(task.checklist[0].done, false);
+    assert.strictEqual(task.checklist[0].doneAt, null);
+    assert(task.checklist[0]._id);
+  });
+
+  test('should require checklist item text', () => {
+    const error = new Task({ title: 'Test', checklist: [{ text: '' }] }).validateSync();
+
+    assert(error);
+    assert(error.errors['checklist.0.text']);
+  });
+});
@@ -0,0 +1,47 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+
+import TaskRevision from '../../src/models/TaskRevision.js';
+
+describe('TaskRevision Model Unit Tests', () => {
+  test('should be a mongoose model', () => {
+    assert(TaskRevision);
+    assert(TaskRevision.modelName === 'TaskRevision');
+    assert(TaskRevision.schema instanceof mongoose.Schema);
+  });
+
+  test('should require the workspace, task, revision number and changes', () => {
+    const error = new TaskRevision({}).validateSync();
+
+    for (const field of ['workspaceId', 'taskId', 'revision', 'changes']) {
+      assert(error.errors[field], `${field} should be required`);
+    }
+  });
+
+  test('should number revisions from 1', () => {
+    const revision = new TaskRevision({
+      workspaceId: new mongoose.Types.ObjectId(),
+      taskId: new mongoose.Types.ObjectId(),
+      revision: 0,
+      changes: { title: { from: 'A', to: 'B' } }
+    });
+
+    assert(revision.validateSync().errors.revision);
+  });
+
+  test('should default to no actor and no revert', () => {
+    const revision = new TaskRevision({ changes: {} });
+
+    assert.strictEqual(revision.actorId, null);
+    assert.strictEqual(revision.actorName, 'System');
+    assert.strictEqual(revision.revertedTo, null);
+  });
+
+  test('should keep revision numbers unique per task', () => {
+    const index = TaskRevision.schema.indexes().find(([fields]) => fields.taskId === 1 && fields.revision === -1);
+
+    assert(index);
+    assert.strictEqual(index[1].unique, true);
+  });
+});
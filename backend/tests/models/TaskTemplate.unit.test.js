@@ -0,0 +1,44 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+
+import TaskTemplate from '../../src/models/TaskTemplate.js';
+
+describe('TaskTemplate Model Unit Tests', () => {
+  test('should be a mongoose model', () => {
+    assert(TaskTemplate);
+    assert(TaskTemplate.modelName === 'TaskTemplate');
+    assert(TaskTemplate.schema instanceof mongoose.Schema);
+  });
+
+  test('should have a required name unique per workspace', () => {
+    const namePath = TaskTemplate.schema.paths.name;
+
+    assert.strictEqual(namePath.isRequired, true);
+    assert.strictEqual(namePath.options.maxlength, 100);
+
+    const compound = TaskTemplate.schema.indexes().find(([fields]) => fields.workspaceId === 1 && fields.name === 1);
+    assert(compound, 'expected a workspaceId + name index');
+    assert.strictEqual(compound[1].unique, true);
+  });
+
+  test('should default to a medium priority one-off task without a due date', () => {
+    const template = new TaskTemplate({ name: 'Bug', title: 'Fix {{area}}' });
+
+    assert.strictEqual(template.priority, 'medium');
+    assert.strictEqual(template.dueInDays, null);
+    assert.strictEqual(template.recurrence, null);
+    assert.deepStrictEqual([...template.tags], []);
+  });
+
+  test('should require a title for created tasks', () => {
+    const error = new TaskTemplate({ name: 'Bug' }).validateSync();
+
+    assert(error);
+    assert(error.errors.title);
+  });
+
+  test('should have timestamps enabled', () => {
+    assert(TaskTemplate.schema.options.timestamps === true);
+  });
+});
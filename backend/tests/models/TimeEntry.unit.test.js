@@ -0,0 +1,58 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+
+import TimeEntry from '../../src/models/TimeEntry.js';
+
+describe('TimeEntry Model Unit Tests', () => {
+  test('should be a mongoose model', () => {
+    assert(TimeEntry);
+    assert(TimeEntry.modelName === 'TimeEntry');
+    assert(TimeEntry.schema instanceof mongoose.Schema);
+  });
+
+  test('should default to a running timer', () => {
+    const entry = new TimeEntry({ taskId: new mongoose.Types.ObjectId() });
+
+    assert.strictEqual(entry.running, true);
+    assert.strictEqual(entry.stoppedAt, null);
+    assert.strictEqual(entry.duration, 0);
+  });
+
+  test('should allow only one running timer per task', () => {
+    const indexes = TimeEntry.schema.indexes();
+    const runningIndex = indexes.find(idx =>
+      idx[0].taskId === 1 && idx[1].unique === true
+    );
+
+    assert(runningIndex, 'Should have unique index on running timers');
+    assert.deepStrictEqual(runningIndex[1].partialFilterExpression, { running: true });
+  });
+
+  test('should not give taskId a second index with the same key', () => {
+    const taskIdIndexes = TimeEntry.schema.indexes().filter(idx =>
+      Object.keys(idx[0]).length === 1 && idx[0].taskId === 1
+    );
+
+    assert.strictEqual(taskIdIndexes.length, 1);
+  });
+
+  test('should calculate duration in whole minutes', () => {
+    const entry = new TimeEntry({
+      taskId: new mongoose.Types.ObjectId(),
+      startedAt: new Date('2024-01-01T10:00:00Z'),
+      stoppedAt: new Date('2024-01-01T10:45:40Z')
+    });
+
+    assert.strictEqual(entry.calculateDuration(), 46);
+  });
+
+  test('should measure running timers up to the given time', () => {
+    const entry = new TimeEntry({
+      taskId: new mongoose.Types.ObjectId(),
+      startedAt: new Date('2024-01-01T10:00:00Z')
+    });
+
+    assert.strictEqual(entry.calculateDuration(new Date('2024-01-01T11:30:00Z')), 90);
+  });
+});
@@ -0,0 +1,61 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+
+import User, { EMAIL_PATTERN, ROLES } from '../../src/models/User.js';
+
+describe('User Model Unit Tests', () => {
+  test('should be a mongoose model', () => {
+    assert(User);
+    assert(User.modelName === 'User');
+    assert(User.schema instanceof mongoose.Schema);
+  });
+
+  test('should have a unique lowercase email', () => {
+    const emailPath = User.schema.paths.email;
+
+    assert.strictEqual(emailPath.isRequired, true);
+    assert.strictEqual(emailPath.options.unique, true);
+    assert.strictEqual(emailPath.options.lowercase, true);
+  });
+
+  test('should not select the password hash by default', () => {
+    assert.strictEqual(User.schema.paths.passwordHash.options.select, false);
+  });
+
+  test('should leave the password hash out of JSON', () => {
+    const user = new User({ email: 'Ada@Example.com', name: 'Ada', passwordHash: 'hash' });
+    const json = user.toJSON();
+
+    assert.strictEqual(json.email, 'ada@example.com');
+    assert.strictEqual(json.passwordHash, undefined);
+  });
+
+  test('should default to the member role', () => {
+    const rolePath = User.schema.paths.role;
+
+    assert.deepStrictEqual(rolePath.enumValues, ROLES);
+    assert.strictEqual(new User({ email: 'ada@example.com', name: 'Ada', passwordHash: 'hash' }).role, 'member');
+  });
+
+  test('should reject unknown roles', () => {
+    const user = new User({ email: 'ada@example.com', name: 'Ada', passwordHash: 'hash', role: 'owner' });
+    const error = user.validateSync();
+
+    assert(error.errors.role);
+  });
+
+  test('should only accept plausible email addresses', () => {
+    assert(EMAIL_PATTERN.test('ada@example.com'));
+    assert(!EMAIL_PATTERN.test('ada@example'));
+    assert(!EMAIL_PATTERN.test('ada example@example.com'));
+  });
+
+  test('should allow only one first account', () => {
+    const index = User.schema.indexes().find(idx => idx[0].firstAccount === 1);
+
+    assert(index, 'Should have a unique index on firstAccount');
+    assert.strictEqual(index[1].unique, true);
+    assert.deepStrictEqual(index[1].partialFilterExpression, { firstAccount: true });
+  });
+});
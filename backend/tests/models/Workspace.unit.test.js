@@ -0,0 +1,35 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+
+import Workspace from '../../src/models/Workspace.js';
+
+describe('Workspace Model Unit Tests', () => {
+  test('should be a mongoose model', () => {
+    assert(Workspace);
+    assert(Workspace.modelName === 'Workspace');
+    assert(Workspace.schema instanceof mongoose.Schema);
+  });
+
+  test('should require a name of at most 100 characters', () => {
+    assert(new Workspace({}).validateSync().errors.name);
+    assert(new Workspace({ name: 'x'.repeat(101) }).validateSync().errors.name);
+    assert.strictEqual(new Workspace({ name: 'Team' }).validateSync(), undefined);
+  });
+
+  test('should start without members', () => {
+    const workspace = new Workspace({ name: 'Team' });
+
+    assert.deepStrictEqual([...workspace.members], []);
+    assert.strictEqual(workspace.createdBy, null);
+  });
+
+  test('hasMember should compare user IDs as strings', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const workspace = new Workspace({ name: 'Team', members: [userId] });
+
+    assert.strictEqual(workspace.hasMember(String(userId)), true);
+    assert.strictEqual(workspace.hasMember(userId), true);
+    assert.strictEqual(workspace.hasMember(String(new mongoose.Types.ObjectId())), false);
+  });
+});
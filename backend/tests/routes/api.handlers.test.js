@@ -165,10 +165,10 @@ describe('API Route Handlers Tests', () => {
     const { id } = req.params;
     assert.strictEqual(id, 'task123');
 
-    // Simulate successful deletion response
+    // Simulate moving the task to the trash
     res.json({
       success: true,
-      message: 'Task deleted successfully'
+      message: 'Task moved to trash'
     });
 
     assert.strictEqual(res.json.mock.calls.length, 1);
@@ -61,6 +61,15 @@ describe('API Routes Unit Tests', () => {
     assert(analyticsRoute, 'Should have GET /analytics route');
   });
 
+  test('should guard every route except health with a permission check', () => {
+    const unguarded = router.stack
+      .filter(layer => layer.route && layer.route.path !== '/health')
+      .filter(layer => layer.route.stack.length < 2)
+      .map(layer => layer.route.path);
+
+    assert.deepStrictEqual(unguarded, []);
+  });
+
   test('should set socket handlers correctly', () => {
     const mockHandlers = {
       broadcastTaskUpdate: (action, task) => ({ action, task }),
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Unit tests for task update routes through the real router, with the database mocked
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import request from 'supertest';
+import express from 'express';
+import mongoose from 'mongoose';
+import router from '../../src/routes/api.js';
+import Task from '../../src/models/Task.js';
+import AuthService from '../../src/services/authService.js';
+import WorkspaceService from '../../src/services/workspaceService.js';
+import TaskRevisionService from '../../src/services/taskRevisionService.js';
+import AuditService from '../../src/services/auditService.js';
+import AnalyticsService from '../../src/services/analyticsService.js';
+import SubtaskService from '../../src/services/subtaskService.js';
+import DependencyService from '../../src/services/dependencyService.js';
+import RecurrenceService from '../../src/services/recurrenceService.js';
+import TaskHistoryService from '../../src/services/taskHistoryService.js';
+import { redisClient } from '../../src/config/redis.js';
+
+const workspaceId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const taskId = new mongoose.Types.ObjectId();
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', router);
+  app.use((error, req, res, _next) => {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
+  });
+  return app;
+};
+
+const sendAs = (method, path, body) => request(createApp())[method](`/api/tasks/${taskId}${path}`)
+  .set('Authorization', 'Bearer test-token')
+  .set('X-Workspace-Id', String(workspaceId))
+  .send(body);
+
+const putTask = (body) => sendAs('put', '', body);
+
+describe('Task update routes', () => {
+  let existing;
+  let findOneAndUpdate;
+  let recordRevision;
+  let recordAudit;
+
+  beforeEach(() => {
+    existing = {
+      _id: taskId,
+      workspaceId,
+      title: 'Write report',
+      status: 'pending',
+      priority: 'medium',
+      actualTime: 30,
+      createdAt: new Date('2024-01-01T00:00:00Z'),
+      checklist: [{ _id: new mongoose.Types.ObjectId(), text: 'Outline', done: false }],
+      version: 1
+    };
+
+    mock.method(AuthService, 'verifyAccessToken', () => ({ id: String(userId), role: 'member' }));
+    mock.method(WorkspaceService, 'getWorkspaceForMember', async () => ({ _id: workspaceId, members: [] }));
+    mock.method(Task, 'findOne', () => ({ lean: async () => existing }));
+    findOneAndUpdate = mock.method(Task, 'findOneAndUpdate', async (filter, update) =>
+      new Task({ ...existing, ...update }));
+    mock.method(RecurrenceService, 'planUpdate', async () => ({ changes: {} }));
+    recordRevision = mock.method(TaskRevisionService, 'recordRevision', async () => null);
+    recordAudit = mock.method(AuditService, 'record', async () => null);
+    mock.method(AnalyticsService, 'invalidateCache', async () => {});
+    mock.method(SubtaskService, 'attachRollups', async (tasks) => tasks);
+    mock.method(DependencyService, 'attachBlocked', async (tasks) => tasks);
+    mock.method(redisClient, 'del', async () => 1);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('should not trash the task when the body sets deletedAt', async () => {
+    const response = await putTask({
+      title: 'Write the report',
+      deletedAt: new Date().toISOString(),
+      deletedBy: String(userId)
+    });
+
+    assert.strictEqual(response.status, 200);
+    const [, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.strictEqual(update.title, 'Write the report');
+    assert.strictEqual('deletedAt' in update, false);
+    assert.strictEqual('deletedBy' in update, false);
+    assert.strictEqual(response.body.data.deletedAt ?? null, null);
+  });
+
+  it('should ignore server-managed fields', async () => {
+    const response = await putTask({
+      priority: 'high',
+      completedAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      workspaceId: String(new mongoose.Types.ObjectId()),
+      version: 1
+    });
+
+    assert.strictEqual(response.status, 200);
+    const [, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.strictEqual(update.priority, 'high');
+    assert.strictEqual('completedAt' in update, false);
+    assert.strictEqual('createdAt' in update, false);
+    assert.strictEqual('workspaceId' in update, false);
+    assert.strictEqual(update.version, 2);
+  });
+
+  it('should still accept an edited actual time', async () => {
+    const response = await putTask({ actualTime: 45 });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(findOneAndUpdate.mock.calls[0].arguments[1].actualTime, 45);
+  });
+
+  it('should reject a negative actual time', async () => {
+    const response = await putTask({ actualTime: -5 });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.message, 'Actual time must be a non-negative number or null');
+    assert.strictEqual(findOneAndUpdate.mock.calls.length, 0);
+  });
+
+  it('should leave the checklist to its own endpoints', async () => {
+    const response = await putTask({
+      title: 'Write the report',
+      checklist: Array.from({ length: 60 }, (item, i) => ({ text: `Step ${i}` }))
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual('checklist' in findOneAndUpdate.mock.calls[0].arguments[1], false);
+    assert.strictEqual(response.body.data.checklist.length, 1);
+  });
+
+  it('should record a revision and an audit entry for checklist changes', async () => {
+    mock.method(Task, 'findOneAndUpdate', async (filter, { $push, ...update }) =>
+      new Task({ ...existing, ...update, checklist: [...existing.checklist, $push.checklist] }));
+
+    const response = await sendAs('post', '/checklist', { text: 'Draft' });
+
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(recordRevision.mock.calls.length, 1);
+    const [, , before, after] = recordRevision.mock.calls[0].arguments;
+    assert.strictEqual(before.checklist.length, 1);
+    assert.strictEqual(after.checklist.length, 2);
+
+    assert.strictEqual(recordAudit.mock.calls.length, 1);
+    const [, entry] = recordAudit.mock.calls[0].arguments;
+    assert.strictEqual(entry.action, 'task.update');
+    assert.strictEqual(String(entry.targetId), String(taskId));
+    assert.strictEqual(entry.before, before);
+  });
+
+  it('should send a completed recurring task as it is after the next instance was created', async () => {
+    const nextOccurrenceAt = new Date('2024-01-08T00:00:00Z');
+    existing.nextOccurrenceAt = nextOccurrenceAt;
+    const afterClaim = { ...existing, status: 'completed', nextOccurrenceAt: null, version: 3 };
+
+    // Reads with lean() are the edit; awaiting the query directly is the read after the claim
+    mock.method(Task, 'findOne', () => Object.assign(
+      Promise.resolve(new Task(afterClaim)),
+      { lean: async () => existing }
+    ));
+    mock.method(TaskHistoryService, 'recordTransition', async () => null);
+    mock.method(DependencyService, 'listDependents', async () => []);
+    const materializeNext = mock.method(RecurrenceService, 'materializeNext', async () =>
+      new Task({ workspaceId, title: 'Write report', dueDate: nextOccurrenceAt }));
+
+    const response = await putTask({ status: 'completed', version: 1 });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(materializeNext.mock.calls.length, 1);
+    assert.strictEqual(response.headers.etag, '"3"');
+    assert.strictEqual(response.body.data.version, 3);
+    assert.strictEqual(response.body.data.nextOccurrenceAt, null);
+  });
+});
@@ -14,6 +14,9 @@ describe('Analytics Service Unit Tests', () => {
     assert(typeof AnalyticsService.getTasksCreatedToday === 'function');
     assert(typeof AnalyticsService.getTasksCompletedToday === 'function');
     assert(typeof AnalyticsService.getRecentActivity === 'function');
+    assert(typeof AnalyticsService.getOverdueByPriority === 'function');
+    assert(typeof AnalyticsService.getOnTimeCompletionRate === 'function');
+    assert(typeof AnalyticsService.getTasksByTag === 'function');
     assert(typeof AnalyticsService.getTaskCreationRate === 'function');
     assert(typeof AnalyticsService.invalidateCache === 'function');
     assert(typeof AnalyticsService.fixCompletedTasksData === 'function');
@@ -30,6 +33,9 @@ describe('Analytics Service Unit Tests', () => {
       'getTasksCreatedToday',
       'getTasksCompletedToday',
       'getRecentActivity',
+      'getOverdueByPriority',
+      'getOnTimeCompletionRate',
+      'getTasksByTag',
       'getTaskCreationRate',
       'invalidateCache',
       'fixCompletedTasksData'
@@ -66,4 +72,257 @@ describe('Analytics Service Unit Tests', () => {
     assert(methodNames.includes('invalidateCache'));
     assert(methodNames.includes('fixCompletedTasksData'));
   });
-});
\ No newline at end of file
+});
+describe('Analytics Service Flow Helpers', () => {
+  test('should calculate nearest-rank percentiles', () => {
+    const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    const result = AnalyticsService.calculatePercentiles(values);
+
+    assert.deepStrictEqual(result, { p50: 5, p75: 8, p85: 9, p95: 10 });
+  });
+
+  test('should not be skewed by a single outlier at p50', () => {
+    const values = [2, 3, 3, 4, 2000];
+    const result = AnalyticsService.calculatePercentiles(values);
+
+    assert.strictEqual(result.p50, 3);
+    assert.strictEqual(result.p95, 2000);
+  });
+
+  test('should return null percentiles for no values', () => {
+    const result = AnalyticsService.calculatePercentiles([]);
+    assert.deepStrictEqual(result, { p50: null, p75: null, p85: null, p95: null });
+  });
+
+  test('should bucket durations into histogram', () => {
+    const histogram = AnalyticsService.buildHistogram([1, 5, 30, 30, 400]);
+    const counts = Object.fromEntries(histogram.map(bucket => [bucket.label, bucket.count]));
+
+    assert.strictEqual(counts['< 4h'], 1);
+    assert.strictEqual(counts['4-8h'], 1);
+    assert.strictEqual(counts['1-2d'], 2);
+    assert.strictEqual(counts['> 2w'], 1);
+    assert.strictEqual(histogram.reduce((sum, bucket) => sum + bucket.count, 0), 5);
+  });
+});
+
+describe('Analytics Service Trend Helpers', () => {
+  const snapshots = [
+    { date: new Date('2024-01-01T00:00:00Z'), backlog: 10, tasksCreated: 2, tasksByStatus: { 'in-progress': 3 } },
+    { date: new Date('2024-01-02T00:00:00Z'), backlog: 12, tasksCreated: 4, tasksByStatus: { 'in-progress': 5 } },
+    { date: new Date('2024-01-08T00:00:00Z'), backlog: 7, tasksCreated: 1, tasksByStatus: { 'in-progress': 2 } }
+  ];
+
+  test('should expose trend metric names', () => {
+    const names = AnalyticsService.getTrendMetricNames();
+    assert(names.includes('completionRate'));
+    assert(names.includes('backlog'));
+  });
+
+  test('should return one point per day for daily interval', () => {
+    const points = AnalyticsService.groupSnapshots(snapshots, 'backlog', 'day');
+    assert.deepStrictEqual(points, [
+      { date: '2024-01-01', value: 10 },
+      { date: '2024-01-02', value: 12 },
+      { date: '2024-01-08', value: 7 }
+    ]);
+  });
+
+  test('should keep the last level value within a week', () => {
+    const points = AnalyticsService.groupSnapshots(snapshots, 'backlog', 'week');
+    assert.deepStrictEqual(points, [
+      { date: '2024-01-01', value: 12 },
+      { date: '2024-01-08', value: 7 }
+    ]);
+  });
+
+  test('should sum daily counts within a month', () => {
+    const points = AnalyticsService.groupSnapshots(snapshots, 'tasksCreated', 'month');
+    assert.deepStrictEqual(points, [{ date: '2024-01-01', value: 7 }]);
+  });
+
+  test('should read nested status counts', () => {
+    const points = AnalyticsService.groupSnapshots(snapshots, 'inProgress', 'day');
+    assert.deepStrictEqual(points.map(point => point.value), [3, 5, 2]);
+  });
+
+  test('should start weeks on Monday', () => {
+    const sunday = new Date('2024-01-07T15:00:00Z');
+    const start = AnalyticsService.getPeriodStart(sunday, 'week');
+    assert.strictEqual(start.toISOString(), '2024-01-01T00:00:00.000Z');
+  });
+});
+
+describe('Analytics Service Burndown Helpers', () => {
+  const from = new Date('2024-01-01T00:00:00Z');
+  const to = new Date('2024-01-03T23:59:59Z');
+
+  test('should track scope, completed and remaining per day', () => {
+    const tasks = [
+      { _id: 'a', createdAt: new Date('2023-12-30T00:00:00Z'), completedAt: new Date('2024-01-02T10:00:00Z'), estimatedTime: 120 },
+      { _id: 'b', createdAt: new Date('2023-12-31T00:00:00Z'), completedAt: null, estimatedTime: 60 },
+      { _id: 'c', createdAt: new Date('2024-01-03T08:00:00Z'), completedAt: null, estimatedTime: 30 }
+    ];
+
+    const points = AnalyticsService.buildBurndownSeries(tasks, new Map(), { from, to, unit: 'tasks' });
+
+    assert.deepStrictEqual(points.map(point => point.date), ['2024-01-01', '2024-01-02', '2024-01-03']);
+    assert.deepStrictEqual(points.map(point => point.scope), [2, 2, 3]);
+    assert.deepStrictEqual(points.map(point => point.completed), [0, 1, 1]);
+    assert.deepStrictEqual(points.map(point => point.remaining), [2, 1, 2]);
+    assert.deepStrictEqual(points.map(point => point.ideal), [2, 1, 0]);
+  });
+
+  test('should weight by estimated hours', () => {
+    const tasks = [
+      { _id: 'a', createdAt: new Date('2023-12-30T00:00:00Z'), completedAt: null, estimatedTime: 90 },
+      { _id: 'b', createdAt: new Date('2023-12-30T00:00:00Z'), completedAt: null }
+    ];
+
+    const points = AnalyticsService.buildBurndownSeries(tasks, new Map(), { from, to, unit: 'estimatedTime' });
+
+    assert.strictEqual(points[0].scope, 1.5);
+  });
+
+  test('should prefer status history so reopened tasks count as remaining', () => {
+    const tasks = [
+      { _id: 'a', createdAt: new Date('2023-12-30T00:00:00Z'), completedAt: null }
+    ];
+    const history = new Map([
+      ['a', [
+        { toStatus: 'pending', changedAt: new Date('2023-12-30T00:00:00Z') },
+        { toStatus: 'completed', changedAt: new Date('2024-01-01T12:00:00Z') },
+        { toStatus: 'in-progress', changedAt: new Date('2024-01-02T12:00:00Z') }
+      ]]
+    ]);
+
+    const points = AnalyticsService.buildBurndownSeries(tasks, history, { from, to, unit: 'tasks' });
+
+    assert.deepStrictEqual(points.map(point => point.completed), [1, 0, 0]);
+  });
+});
+
+describe('Analytics Service Status Reconstruction', () => {
+  const task = {
+    status: 'in-progress',
+    createdAt: new Date('2024-01-01T00:00:00Z'),
+    updatedAt: new Date('2024-01-03T00:00:00Z'),
+    completedAt: null
+  };
+
+  test('should return null before the task existed', () => {
+    const time = new Date('2023-12-31T00:00:00Z').getTime();
+    assert.strictEqual(AnalyticsService.getStatusAt(task, [], time), null);
+  });
+
+  test('should follow status history when available', () => {
+    const history = [
+      { toStatus: 'pending', changedAt: new Date('2024-01-01T00:00:00Z') },
+      { toStatus: 'in-progress', changedAt: new Date('2024-01-02T00:00:00Z') }
+    ];
+
+    assert.strictEqual(AnalyticsService.getStatusAt(task, history, new Date('2024-01-01T12:00:00Z').getTime()), 'pending');
+    assert.strictEqual(AnalyticsService.getStatusAt(task, history, new Date('2024-01-02T12:00:00Z').getTime()), 'in-progress');
+  });
+
+  test('should approximate from timestamps without history', () => {
+    assert.strictEqual(AnalyticsService.getStatusAt(task, undefined, new Date('2024-01-02T00:00:00Z').getTime()), 'pending');
+    assert.strictEqual(AnalyticsService.getStatusAt(task, undefined, new Date('2024-01-04T00:00:00Z').getTime()), 'in-progress');
+
+    const completed = { ...task, status: 'completed', completedAt: new Date('2024-01-05T00:00:00Z') };
+    assert.strictEqual(AnalyticsService.getStatusAt(completed, undefined, new Date('2024-01-06T00:00:00Z').getTime()), 'completed');
+  });
+});
+
+describe('Analytics Service Estimate Report', () => {
+  const tasks = [
+    { _id: '1', title: 'Accurate', priority: 'low', estimatedTime: 60, actualTime: 60, completedAt: new Date('2024-01-02T00:00:00Z') },
+    { _id: '2', title: 'Way over', priority: 'high', estimatedTime: 60, actualTime: 240, completedAt: new Date('2024-01-03T00:00:00Z') },
+    { _id: '3', title: 'Padded', priority: 'high', estimatedTime: 120, actualTime: 60, completedAt: new Date('2024-01-09T00:00:00Z') },
+    { _id: '4', title: 'Close', priority: 'medium', estimatedTime: 100, actualTime: 110, completedAt: new Date('2024-01-10T00:00:00Z') }
+  ];
+
+  test('should summarize accuracy rates', () => {
+    const report = AnalyticsService.buildEstimateReport(tasks);
+
+    assert.strictEqual(report.summary.count, 4);
+    assert.strictEqual(report.summary.accurateRate, 50);
+    assert.strictEqual(report.summary.underestimatedRate, 25);
+    assert.strictEqual(report.summary.overestimatedRate, 25);
+    assert.strictEqual(report.summary.medianRatio, 1);
+  });
+
+  test('should break down by priority', () => {
+    const report = AnalyticsService.buildEstimateReport(tasks);
+
+    assert.strictEqual(report.byPriority.high.count, 2);
+    assert.strictEqual(report.byPriority.high.underestimatedRate, 50);
+    assert.strictEqual(report.byPriority.low.accurateRate, 100);
+  });
+
+  test('should group trend by week and rank worst estimates', () => {
+    const report = AnalyticsService.buildEstimateReport(tasks, { limit: 2 });
+
+    assert.deepStrictEqual(report.trend.map(point => point.date), ['2024-01-01', '2024-01-08']);
+    assert.deepStrictEqual(report.worstEstimated.map(task => task.title), ['Way over', 'Padded']);
+    assert.strictEqual(report.worstEstimated[0].ratio, 4);
+  });
+
+  test('should fill ratio distribution buckets', () => {
+    const report = AnalyticsService.buildEstimateReport(tasks);
+    const counts = Object.fromEntries(report.distribution.map(bucket => [bucket.label, bucket.count]));
+
+    assert.strictEqual(counts['0.5-0.8x'], 1);
+    assert.strictEqual(counts['0.8-1.2x'], 2);
+    assert.strictEqual(counts['> 2x'], 1);
+  });
+});
+
+describe('Analytics Service Workload Report', () => {
+  const users = [
+    { _id: 'u1', name: 'Ada', email: 'ada@example.com' },
+    { _id: 'u2', name: 'Grace', email: 'grace@example.com' }
+  ];
+  const groups = [
+    { _id: 'u1', total: 4, completed: 3, openTasks: 1, inProgress: 1, overdue: 0, estimatedMinutes: 90 },
+    { _id: 'u2', total: 5, completed: 1, openTasks: 4, inProgress: 2, overdue: 1, estimatedMinutes: 600 },
+    { _id: 'u3', total: 1, completed: 0, openTasks: 1, inProgress: 0, overdue: 0, estimatedMinutes: 0 }
+  ];
+
+  test('should list the busiest assignee first', () => {
+    const report = AnalyticsService.buildWorkloadReport(groups, users);
+
+    assert.deepStrictEqual(report.assignees.map(item => item.userId), ['u2', 'u1', 'u3']);
+  });
+
+  test('should convert estimates to hours and compute completion rates', () => {
+    const [grace, ada] = AnalyticsService.buildWorkloadReport(groups, users).assignees;
+
+    assert.strictEqual(grace.estimatedHours, 10);
+    assert.strictEqual(grace.completionRate, 20);
+    assert.strictEqual(grace.overdue, 1);
+    assert.strictEqual(ada.estimatedHours, 1.5);
+    assert.strictEqual(ada.completionRate, 75);
+    assert.strictEqual(ada.email, 'ada@example.com');
+  });
+
+  test('should label users that no longer exist', () => {
+    const unknown = AnalyticsService.buildWorkloadReport(groups, users).assignees[2];
+
+    assert.strictEqual(unknown.name, 'Unknown user');
+    assert.strictEqual(unknown.email, null);
+  });
+
+  test('should summarize unassigned open work', () => {
+    const report = AnalyticsService.buildWorkloadReport([], [], {
+      openTasks: 3,
+      inProgress: 1,
+      overdue: 2,
+      estimatedMinutes: 45
+    });
+
+    assert.deepStrictEqual(report.assignees, []);
+    assert.deepStrictEqual(report.unassigned, { openTasks: 3, inProgress: 1, overdue: 2, estimatedHours: 0.8 });
+    assert.strictEqual(AnalyticsService.buildWorkloadReport([], []).unassigned.openTasks, 0);
+  });
+});
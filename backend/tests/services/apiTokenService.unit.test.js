@@ -0,0 +1,66 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import ApiTokenService, {
+  API_TOKEN_PREFIX,
+  MAX_TOKEN_LIFETIME_DAYS
+} from '../../src/services/apiTokenService.js';
+
+describe('API Token Service Unit Tests', () => {
+  test('generateSecret should create distinct prefixed secrets', () => {
+    const first = ApiTokenService.generateSecret();
+    const second = ApiTokenService.generateSecret();
+
+    assert(first.startsWith(API_TOKEN_PREFIX));
+    assert(first.length > 40);
+    assert.notStrictEqual(first, second);
+  });
+
+  test('isApiToken should tell API tokens from JWTs', () => {
+    assert.strictEqual(ApiTokenService.isApiToken(ApiTokenService.generateSecret()), true);
+    assert.strictEqual(ApiTokenService.isApiToken('eyJhbGciOiJIUzI1NiJ9.e30.sig'), false);
+    assert.strictEqual(ApiTokenService.isApiToken(undefined), false);
+  });
+
+  test('hashSecret should be a stable SHA-256 digest', () => {
+    const hash = ApiTokenService.hashSecret('tat_secret');
+
+    assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.strictEqual(hash, ApiTokenService.hashSecret('tat_secret'));
+    assert.notStrictEqual(hash, ApiTokenService.hashSecret('tat_other'));
+  });
+
+  test('validateTokenInput should accept scopes granted by the role', () => {
+    const input = { name: 'CI', scopes: ['tasks:read', 'tasks:write'], expiresInDays: 30 };
+
+    assert.strictEqual(ApiTokenService.validateTokenInput(input, 'member'), null);
+    assert.strictEqual(ApiTokenService.validateTokenInput({ name: 'CI', scopes: ['tasks:read'] }, 'viewer'), null);
+  });
+
+  test('validateTokenInput should reject a missing name or scopes', () => {
+    assert.match(ApiTokenService.validateTokenInput({ scopes: ['tasks:read'] }, 'admin'), /Name is required/);
+    assert.match(ApiTokenService.validateTokenInput({ name: 'CI', scopes: [] }, 'admin'), /At least one scope/);
+  });
+
+  test('validateTokenInput should reject unknown scopes', () => {
+    const error = ApiTokenService.validateTokenInput({ name: 'CI', scopes: ['tasks:archive'] }, 'admin');
+
+    assert.strictEqual(error, 'Unknown scope: tasks:archive');
+  });
+
+  test('validateTokenInput should not grant more than the role has', () => {
+    const error = ApiTokenService.validateTokenInput({ name: 'Exports', scopes: ['exports:create'] }, 'member');
+
+    assert.match(error, /does not grant the exports:create scope/);
+  });
+
+  test('validateTokenInput should bound the expiry', () => {
+    const input = { name: 'CI', scopes: ['tasks:read'] };
+
+    assert.match(ApiTokenService.validateTokenInput({ ...input, expiresInDays: 0 }, 'viewer'), /Expiry/);
+    assert.match(
+      ApiTokenService.validateTokenInput({ ...input, expiresInDays: MAX_TOKEN_LIFETIME_DAYS + 1 }, 'viewer'),
+      /Expiry/
+    );
+    assert.match(ApiTokenService.validateTokenInput({ ...input, expiresInDays: 1.5 }, 'viewer'), /Expiry/);
+  });
+});
@@ -0,0 +1,95 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+import AuditService from '../../src/services/auditService.js';
+import Task from '../../src/models/Task.js';
+
+const workspaceId = '507f1f77bcf86cd799439011';
+
+describe('Audit Service Unit Tests', () => {
+  test('requestContext should capture the actor, token and IP', () => {
+    const context = AuditService.requestContext({
+      workspace: { _id: workspaceId },
+      user: { id: 'user-1', name: 'Ada', email: 'ada@example.com' },
+      apiToken: { id: 'token-1' },
+      ip: '10.0.0.7'
+    });
+
+    assert.deepStrictEqual(context, {
+      workspaceId,
+      actorId: 'user-1',
+      actorName: 'Ada',
+      actorEmail: 'ada@example.com',
+      apiTokenId: 'token-1',
+      ip: '10.0.0.7'
+    });
+  });
+
+  test('systemContext should have no actor', () => {
+    const context = AuditService.systemContext(workspaceId);
+
+    assert.strictEqual(context.actorId, null);
+    assert.strictEqual(context.actorName, 'System');
+    assert.strictEqual(context.ip, null);
+  });
+
+  test('snapshot should drop bookkeeping fields from documents', () => {
+    const task = new Task({ title: 'Write docs', workspaceId });
+    const snapshot = AuditService.snapshot(task);
+
+    assert.strictEqual(snapshot.title, 'Write docs');
+    assert.strictEqual(snapshot._id, undefined);
+    assert.strictEqual(snapshot.workspaceId, undefined);
+    assert.strictEqual(AuditService.snapshot(null), null);
+  });
+
+  test('diff should keep only changed fields', () => {
+    const changes = AuditService.diff(
+      { title: 'Write docs', status: 'pending', tags: ['docs'], updatedAt: new Date(1), version: 1 },
+      { title: 'Write docs', status: 'completed', tags: ['docs', 'urgent'], updatedAt: new Date(2), version: 2 }
+    );
+
+    assert.deepStrictEqual(changes, {
+      before: { status: 'pending', tags: ['docs'] },
+      after: { status: 'completed', tags: ['docs', 'urgent'] }
+    });
+  });
+
+  test('diff should record removed fields as null', () => {
+    const changes = AuditService.diff({ dueDate: '2026-01-01' }, {});
+
+    assert.deepStrictEqual(changes, { before: { dueDate: '2026-01-01' }, after: { dueDate: null } });
+  });
+
+  test('diff should keep the whole document for creations and deletions', () => {
+    assert.deepStrictEqual(AuditService.diff(null, { title: 'New' }), { before: null, after: { title: 'New' } });
+    assert.deepStrictEqual(AuditService.diff({ title: 'Gone' }, null), { before: { title: 'Gone' }, after: null });
+  });
+
+  test('validateFilters should reject unknown actions and malformed IDs and dates', () => {
+    assert.strictEqual(AuditService.validateFilters({}), null);
+    assert.strictEqual(AuditService.validateFilters({ action: 'task.delete', targetType: 'task' }), null);
+    assert.match(AuditService.validateFilters({ action: 'task.archive' }), /Action must be one of/);
+    assert.match(AuditService.validateFilters({ targetType: 'project' }), /Target type must be one of/);
+    assert.strictEqual(AuditService.validateFilters({ actorId: 'me' }), 'Invalid actor ID format');
+    assert.strictEqual(AuditService.validateFilters({ targetId: 'x' }), 'Invalid target ID format');
+    assert.strictEqual(AuditService.validateFilters({ from: 'soon' }), 'Invalid from format');
+    assert.strictEqual(
+      AuditService.validateFilters({ from: '2026-02-01', to: '2026-01-01' }),
+      'from must be before to'
+    );
+  });
+
+  test('buildQuery should always scope to the workspace', () => {
+    const query = AuditService.buildQuery(workspaceId, {
+      action: 'task.delete',
+      from: '2026-01-01',
+      to: '2026-01-31'
+    });
+
+    assert(query.workspaceId instanceof mongoose.Types.ObjectId);
+    assert.strictEqual(query.action, 'task.delete');
+    assert.deepStrictEqual(query.createdAt, { $gte: new Date('2026-01-01'), $lte: new Date('2026-01-31') });
+    assert.throws(() => AuditService.buildQuery(undefined), /workspace is required/);
+  });
+});
@@ -0,0 +1,157 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert';
+import jwt from 'jsonwebtoken';
+import AuthService, { MIN_PASSWORD_LENGTH } from '../../src/services/authService.js';
+import User from '../../src/models/User.js';
+import WorkspaceService from '../../src/services/workspaceService.js';
+import { redisClient } from '../../src/config/redis.js';
+
+/**
+ * Signs a token the way AuthService.issueTokens does
+ * @param {Object} payload - Token claims
+ * @param {Object} [options={}] - jsonwebtoken sign options
+ * @returns {string} Signed token
+ */
+const signToken = (payload, options = {}) =>
+  jwt.sign(payload, AuthService.getSecret(), { subject: 'user-1', expiresIn: 60, ...options });
+
+describe('Auth Service Unit Tests', () => {
+  test('hashPassword should produce a hash that verifies only the same password', async () => {
+    const hash = await AuthService.hashPassword('correct horse');
+
+    assert.notStrictEqual(hash, 'correct horse');
+    assert.strictEqual(await AuthService.verifyPassword('correct horse', hash), true);
+    assert.strictEqual(await AuthService.verifyPassword('wrong horse', hash), false);
+  });
+
+  test('verifyAccessToken should return the user identity', () => {
+    const token = signToken({ type: 'access', email: 'ada@example.com', name: 'Ada', role: 'manager' });
+
+    assert.deepStrictEqual(AuthService.verifyAccessToken(token), {
+      id: 'user-1',
+      email: 'ada@example.com',
+      name: 'Ada',
+      role: 'manager'
+    });
+  });
+
+  test('verifyAccessToken should reject refresh tokens', () => {
+    const token = signToken({ type: 'refresh' }, { jwtid: 'abc' });
+
+    assert.throws(() => AuthService.verifyAccessToken(token), {
+      statusCode: 401,
+      message: 'Invalid token'
+    });
+  });
+
+  test('verifyAccessToken should report expired tokens', () => {
+    const token = signToken({ type: 'access' }, { expiresIn: -10 });
+
+    assert.throws(() => AuthService.verifyAccessToken(token), {
+      statusCode: 401,
+      message: 'Token expired'
+    });
+  });
+
+  test('verifyAccessToken should reject tokens signed with another secret', () => {
+    const token = jwt.sign({ type: 'access' }, 'someone-elses-secret', { subject: 'user-1' });
+
+    assert.throws(() => AuthService.verifyAccessToken(token), { statusCode: 401 });
+  });
+
+  test('issueTokens should use token lifetimes set after the service was loaded', async () => {
+    const setex = mock.method(redisClient, 'setex', async () => 'OK');
+    process.env.JWT_ACCESS_TTL_SECONDS = '120';
+    process.env.JWT_REFRESH_TTL_SECONDS = '3600';
+
+    try {
+      const tokens = await AuthService.issueTokens({ _id: 'user-1', email: 'ada@example.com', name: 'Ada', role: 'member' });
+      const access = jwt.decode(tokens.accessToken);
+      const refresh = jwt.decode(tokens.refreshToken);
+
+      assert.strictEqual(tokens.expiresIn, 120);
+      assert.strictEqual(access.exp - access.iat, 120);
+      assert.strictEqual(refresh.exp - refresh.iat, 3600);
+      assert.strictEqual(setex.mock.calls[0].arguments[1], 3600);
+    } finally {
+      delete process.env.JWT_ACCESS_TTL_SECONDS;
+      delete process.env.JWT_REFRESH_TTL_SECONDS;
+      setex.mock.restore();
+    }
+  });
+
+  test('getTokenTtls should fall back to 15 minutes and 7 days', () => {
+    assert.deepStrictEqual(AuthService.getTokenTtls(), { access: 15 * 60, refresh: 7 * 24 * 60 * 60 });
+  });
+
+  test('register should make only one of two simultaneous first registrations an admin', async () => {
+    let firstTaken = false;
+    mock.method(User, 'exists', async () => null);
+    const create = mock.method(User, 'create', async (fields) => {
+      if (fields.firstAccount) {
+        if (firstTaken) {
+          throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { firstAccount: 1 } });
+        }
+        firstTaken = true;
+      }
+      return new User(fields);
+    });
+    const provision = mock.method(WorkspaceService, 'provisionNewUser', async () => {});
+    mock.method(redisClient, 'setex', async () => 'OK');
+
+    try {
+      const [first, second] = await Promise.all([
+        AuthService.register({ email: 'ada@example.com', password: 'correct horse', name: 'Ada' }),
+        AuthService.register({ email: 'grace@example.com', password: 'correct horse', name: 'Grace' })
+      ]);
+
+      assert.deepStrictEqual([first.user.role, second.user.role].sort(), ['admin', 'member']);
+      assert.strictEqual(create.mock.calls.length, 3);
+      assert.deepStrictEqual(provision.mock.calls.map(call => call.arguments[1]).sort(), [false, true]);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  test('register should report a registered email as 409', async () => {
+    mock.method(User, 'exists', async () => ({ _id: 'someone' }));
+    mock.method(User, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { email: 1 } });
+    });
+
+    try {
+      await assert.rejects(
+        AuthService.register({ email: 'ada@example.com', password: 'correct horse', name: 'Ada' }),
+        { statusCode: 409, message: 'Email is already registered' }
+      );
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  test('validateCredentials should check email and password', () => {
+    assert.strictEqual(
+      AuthService.validateCredentials({ email: 'ada@example.com', password: 'x' }),
+      null
+    );
+    assert(AuthService.validateCredentials({ email: 'not-an-email', password: 'secret123' }));
+    assert(AuthService.validateCredentials({ email: 'ada@example.com' }));
+  });
+
+  test('validateCredentials should enforce password length and name on registration', () => {
+    const short = 'x'.repeat(MIN_PASSWORD_LENGTH - 1);
+
+    assert(AuthService.validateCredentials(
+      { email: 'ada@example.com', password: short, name: 'Ada' },
+      { requireName: true }
+    ));
+    assert(AuthService.validateCredentials(
+      { email: 'ada@example.com', password: 'secret123' },
+      { requireName: true }
+    ));
+    assert.strictEqual(AuthService.validateCredentials(
+      { email: 'ada@example.com', password: 'secret123', name: 'Ada' },
+      { requireName: true }
+    ), null);
+  });
+});
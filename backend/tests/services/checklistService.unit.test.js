@@ -0,0 +1,127 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import ChecklistService, { MAX_CHECKLIST_ITEMS } from '../../src/services/checklistService.js';
+import Task from '../../src/models/Task.js';
+
+const checklist = [
+  { _id: '507f1f77bcf86cd799439011', text: 'Write tests', done: true },
+  { _id: '507f1f77bcf86cd799439012', text: 'Update docs', done: false },
+  { _id: '507f1f77bcf86cd799439013', text: 'Tag release', done: false }
+];
+
+const workspaceId = '507f1f77bcf86cd799439001';
+const taskId = '507f1f77bcf86cd799439002';
+
+// Mocks reading a task and writing it back; writes only match the versions in acceptedVersions
+const mockTask = (task, acceptedVersions = [task.version]) => {
+  mock.method(Task, 'findOne', () => ({ lean: async () => ({ ...task }) }));
+  return mock.method(Task, 'findOneAndUpdate', async (filter, update) => {
+    const version = filter.version?.$in ? 1 : filter.version;
+    if (!acceptedVersions.includes(version)) return null;
+    task.version = version + 1;
+    return { _id: task._id, version: task.version, update };
+  });
+};
+
+describe('Checklist Service Unit Tests', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('normalizeText should trim text and reject empty or long text', () => {
+    assert.deepStrictEqual(ChecklistService.normalizeText('  Write tests '), { text: 'Write tests', error: null });
+    assert.match(ChecklistService.normalizeText('   ').error, /required/);
+    assert.match(ChecklistService.normalizeText('x'.repeat(201)).error, /200 characters/);
+    assert.match(ChecklistService.normalizeText(42).error, /required/);
+  });
+
+  test('getProgress should count done items', () => {
+    assert.deepStrictEqual(ChecklistService.getProgress(checklist), { done: 1, total: 3 });
+    assert.deepStrictEqual(ChecklistService.getProgress(undefined), { done: 0, total: 0 });
+  });
+
+  test('validateOrder should accept every item exactly once', () => {
+    const reversed = checklist.map(item => item._id).reverse();
+
+    assert.strictEqual(ChecklistService.validateOrder(checklist, reversed), null);
+  });
+
+  test('validateOrder should reject missing, repeated or unknown items', () => {
+    const [first, second, third] = checklist.map(item => item._id);
+
+    assert.match(ChecklistService.validateOrder(checklist, 'nope'), /array/);
+    assert.match(ChecklistService.validateOrder(checklist, [first, second]), /exactly once/);
+    assert.match(ChecklistService.validateOrder(checklist, [first, second, second]), /exactly once/);
+    assert.match(ChecklistService.validateOrder(checklist, [first, second, '507f1f77bcf86cd799439099']), /exactly once/);
+    assert.strictEqual(ChecklistService.validateOrder(checklist, [third, first, second]), null);
+  });
+
+  test('addItem should return the task before and after the change', async () => {
+    const update = mockTask({ _id: taskId, version: 4, checklist: [] });
+
+    const { before, task } = await ChecklistService.addItem(workspaceId, taskId, 'Write tests');
+
+    assert.strictEqual(before.version, 4);
+    assert.deepStrictEqual(before.checklist, []);
+    assert.strictEqual(task.version, 5);
+    assert.deepStrictEqual(update.mock.calls[0].arguments[1].$push, { checklist: { text: 'Write tests' } });
+  });
+
+  test('addItem should reject a full checklist with 409', async () => {
+    const full = Array.from({ length: MAX_CHECKLIST_ITEMS }, (item, i) => ({ _id: String(i), text: `Step ${i}` }));
+    const update = mockTask({ _id: taskId, version: 1, checklist: full });
+
+    await assert.rejects(
+      ChecklistService.addItem(workspaceId, taskId, 'One more'),
+      { statusCode: 409, message: `Checklists are limited to ${MAX_CHECKLIST_ITEMS} items` }
+    );
+    assert.strictEqual(update.mock.calls.length, 0);
+  });
+
+  test('changes should be worked out again when another edit got in first', async () => {
+    const task = { _id: taskId, version: 2, checklist };
+    const update = mockTask(task, [3]);
+    // The second read sees the task after the other edit
+    mock.method(Task, 'findOne', () => ({ lean: async () => ({ ...task, version: update.mock.calls.length + 2 }) }));
+
+    const { before } = await ChecklistService.removeItem(workspaceId, taskId, checklist[1]._id);
+
+    assert.strictEqual(update.mock.calls.length, 2);
+    assert.strictEqual(before.version, 3);
+  });
+
+  test('changes should give up with 409 when the task keeps changing', async () => {
+    mockTask({ _id: taskId, version: 2, checklist }, []);
+
+    await assert.rejects(
+      ChecklistService.removeItem(workspaceId, taskId, checklist[1]._id),
+      { statusCode: 409 }
+    );
+  });
+
+  test('updateItem should keep doneAt when ticking off an item that is already done', async () => {
+    const update = mockTask({ _id: taskId, version: 1, checklist });
+
+    await ChecklistService.updateItem(workspaceId, taskId, checklist[0]._id, { done: true, text: 'Write more tests' });
+
+    assert.deepStrictEqual(update.mock.calls[0].arguments[1].$set, { 'checklist.0.text': 'Write more tests' });
+  });
+
+  test('updateItem should return 404 for unknown items', async () => {
+    mockTask({ _id: taskId, version: 1, checklist });
+
+    await assert.rejects(
+      ChecklistService.updateItem(workspaceId, taskId, '507f1f77bcf86cd799439099', { done: true }),
+      { statusCode: 404, message: 'Checklist item not found' }
+    );
+  });
+
+  test('changes should return 404 for tasks outside the workspace', async () => {
+    mock.method(Task, 'findOne', () => ({ lean: async () => null }));
+
+    await assert.rejects(
+      ChecklistService.addItem(workspaceId, taskId, 'Write tests'),
+      { statusCode: 404, message: 'Task not found' }
+    );
+  });
+});
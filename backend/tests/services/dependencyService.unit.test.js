@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import DependencyService, { MAX_BLOCKERS_PER_TASK } from '../../src/services/dependencyService.js';
+
+const ids = Array.from({ length: MAX_BLOCKERS_PER_TASK + 1 }, (_, i) =>
+  `507f1f77bcf86cd7994390${String(i).padStart(2, '0')}`);
+
+/**
+ * Builds a blocker lookup from a map of task ID to the IDs it waits for
+ * @param {Object} graph - Task ID to blocking task IDs
+ * @returns {Function} Lookup for wouldCreateCycle
+ */
+const lookup = (graph) => async (taskIds) => taskIds.flatMap(id => graph[id] || []);
+
+describe('Dependency Service Unit Tests', () => {
+  test('normalizeBlockers should de-duplicate and lowercase task IDs', () => {
+    const result = DependencyService.normalizeBlockers([ids[0], ids[0].toUpperCase(), ids[1]]);
+
+    assert.strictEqual(result.error, null);
+    assert.deepStrictEqual(result.blockedBy, [ids[0], ids[1]]);
+  });
+
+  test('normalizeBlockers should reject non-arrays and malformed IDs', () => {
+    assert.strictEqual(DependencyService.normalizeBlockers('abc').error, 'BlockedBy must be an array of task IDs');
+    assert.strictEqual(DependencyService.normalizeBlockers([1]).error, 'BlockedBy must be an array of task IDs');
+    assert.strictEqual(DependencyService.normalizeBlockers(['not-an-id']).error, 'Invalid blocking task ID format');
+  });
+
+  test('normalizeBlockers should cap the number of blockers', () => {
+    assert.match(DependencyService.normalizeBlockers(ids).error, /at most/);
+  });
+
+  test('validateBlockers should accept no blockers without querying', async () => {
+    assert.strictEqual(await DependencyService.validateBlockers(ids[9], ids[0], []), null);
+  });
+
+  test('validateBlockers should reject a task blocking itself', async () => {
+    assert.strictEqual(
+      await DependencyService.validateBlockers(ids[9], ids[0], [ids[0]]),
+      'A task cannot block itself'
+    );
+  });
+
+  test('wouldCreateCycle should detect direct and indirect cycles', async () => {
+    // C waits for B, B waits for A
+    const graph = { [ids[2]]: [ids[1]], [ids[1]]: [ids[0]] };
+
+    assert.strictEqual(await DependencyService.wouldCreateCycle(ids[0], [ids[1]], lookup(graph)), true);
+    assert.strictEqual(await DependencyService.wouldCreateCycle(ids[0], [ids[2]], lookup(graph)), true);
+  });
+
+  test('wouldCreateCycle should allow shared blockers', async () => {
+    // B and C both wait for A; D waiting for B and C is a diamond, not a cycle
+    const graph = { [ids[1]]: [ids[0]], [ids[2]]: [ids[0]] };
+
+    assert.strictEqual(await DependencyService.wouldCreateCycle(ids[3], [ids[1], ids[2]], lookup(graph)), false);
+  });
+
+  test('wouldCreateCycle should stop on cycles that do not involve the task', async () => {
+    const graph = { [ids[1]]: [ids[2]], [ids[2]]: [ids[1]] };
+
+    assert.strictEqual(await DependencyService.wouldCreateCycle(ids[0], [ids[1]], lookup(graph)), false);
+  });
+
+  test('attachBlocked should mark tasks without blockers as not blocked', async () => {
+    const [task] = await DependencyService.attachBlocked([{ _id: ids[0], blockedBy: [] }]);
+
+    assert.strictEqual(task.blocked, false);
+  });
+
+  test('notifyUnblocked should send nothing when no task was waiting', async () => {
+    assert.strictEqual(await DependencyService.notifyUnblocked({ _id: ids[0], title: 'A' }, []), 0);
+  });
+});
@@ -71,6 +71,63 @@ describe('ExportService', () => {
       });
     });
 
+    it('should build query with due date range', () => {
+      const filters = {
+        dueAfter: '2023-01-01',
+        dueBefore: '2023-01-31'
+      };
+      const query = ExportService.buildQueryFromFilters(filters);
+      assert.deepStrictEqual(query, {
+        dueDate: {
+          $gte: new Date('2023-01-01'),
+          $lte: new Date('2023-01-31')
+        }
+      });
+    });
+
+    it('should build query with overdue filter', () => {
+      const overdueQuery = ExportService.buildQueryFromFilters({ overdue: 'true' });
+      assert.strictEqual(overdueQuery.$and.length, 1);
+      assert.deepStrictEqual(overdueQuery.$and[0].status, { $ne: 'completed' });
+      assert(overdueQuery.$and[0].dueDate.$lt instanceof Date);
+
+      const onTrackQuery = ExportService.buildQueryFromFilters({ overdue: 'false' });
+      assert.strictEqual(onTrackQuery.$nor.length, 1);
+      assert.deepStrictEqual(onTrackQuery.$nor[0].status, { $ne: 'completed' });
+    });
+
+    it('should build query with tag filter', () => {
+      assert.deepStrictEqual(
+        ExportService.buildQueryFromFilters({ tags: 'backend,ui' }),
+        { tags: { $in: ['backend', 'ui'] } }
+      );
+      assert.deepStrictEqual(
+        ExportService.buildQueryFromFilters({ tags: ['backend', 'ui'], tagMode: 'all' }),
+        { tags: { $all: ['backend', 'ui'] } }
+      );
+    });
+
+    it('should build query with project filter', () => {
+      const query = ExportService.buildQueryFromFilters({ projectId: '507f1f77bcf86cd799439011' });
+      assert.strictEqual(String(query.projectId), '507f1f77bcf86cd799439011');
+
+      assert.deepStrictEqual(
+        ExportService.buildQueryFromFilters({ projectId: 'none' }),
+        { projectId: null }
+      );
+      assert.deepStrictEqual(ExportService.buildQueryFromFilters({ projectId: 'bogus' }), {});
+    });
+
+    it('should build query with assignee filters', () => {
+      const query = ExportService.buildQueryFromFilters({ assignee: '507f1f77bcf86cd799439011' });
+      assert.strictEqual(String(query.assignees), '507f1f77bcf86cd799439011');
+
+      assert.deepStrictEqual(
+        ExportService.buildQueryFromFilters({ unassigned: 'true' }),
+        { 'assignees.0': { $exists: false } }
+      );
+    });
+
     it('should build complex query with multiple filters', () => {
       const filters = {
         status: 'completed',
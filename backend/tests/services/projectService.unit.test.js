@@ -0,0 +1,36 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+import ProjectService from '../../src/services/projectService.js';
+
+describe('Project Service Unit Tests', () => {
+  test('isValidProjectFilter should accept project IDs and none', () => {
+    assert.strictEqual(ProjectService.isValidProjectFilter('507f1f77bcf86cd799439011'), true);
+    assert.strictEqual(ProjectService.isValidProjectFilter('none'), true);
+    assert.strictEqual(ProjectService.isValidProjectFilter('not-an-id'), false);
+  });
+
+  test('buildProjectScope should be empty when not scoped', () => {
+    assert.deepStrictEqual(ProjectService.buildProjectScope(undefined), {});
+    assert.deepStrictEqual(ProjectService.buildProjectScope(''), {});
+  });
+
+  test('buildProjectScope should match unassigned tasks for none', () => {
+    assert.deepStrictEqual(ProjectService.buildProjectScope('none'), { projectId: null });
+  });
+
+  test('buildProjectScope should cast project IDs for aggregation pipelines', () => {
+    const scope = ProjectService.buildProjectScope('507f1f77bcf86cd799439011');
+
+    assert(scope.projectId instanceof mongoose.Types.ObjectId);
+    assert.strictEqual(String(scope.projectId), '507f1f77bcf86cd799439011');
+  });
+
+  test('toConflictError should map duplicate names to 409', () => {
+    const conflict = ProjectService.toConflictError(Object.assign(new Error('dup'), { code: 11000 }));
+    assert.strictEqual(conflict.statusCode, 409);
+
+    const other = new Error('other');
+    assert.strictEqual(ProjectService.toConflictError(other), other);
+  });
+});
@@ -0,0 +1,162 @@
+import { test, describe, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+import RecurrenceService, { DEFAULT_RECURRENCE_LEAD_HOURS } from '../../src/services/recurrenceService.js';
+import Task from '../../src/models/Task.js';
+
+/**
+ * Builds a normalized rule, failing the test if it is invalid
+ * @param {Object} input - Rule fields
+ * @returns {Object} Normalized rule
+ */
+const rule = (input) => {
+  const { recurrence, error } = RecurrenceService.normalizeRule(input);
+  assert.strictEqual(error, null);
+  return recurrence;
+};
+
+const iso = date => date.toISOString();
+
+describe('Recurrence Service Unit Tests', () => {
+  afterEach(() => {
+    delete process.env.RECURRENCE_LEAD_HOURS;
+    mock.restoreAll();
+  });
+
+  test('getLeadHours should default and read RECURRENCE_LEAD_HOURS', () => {
+    assert.strictEqual(RecurrenceService.getLeadHours(), DEFAULT_RECURRENCE_LEAD_HOURS);
+
+    process.env.RECURRENCE_LEAD_HOURS = '0';
+    assert.strictEqual(RecurrenceService.getLeadHours(), 0);
+
+    process.env.RECURRENCE_LEAD_HOURS = 'soon';
+    assert.strictEqual(RecurrenceService.getLeadHours(), DEFAULT_RECURRENCE_LEAD_HOURS);
+  });
+
+  test('parseRRule and formatRRule should round-trip RRULE strings', () => {
+    const parsed = RecurrenceService.parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=10');
+
+    assert.deepStrictEqual(parsed, { frequency: 'weekly', interval: 2, byWeekday: ['MO', 'FR'], count: 10 });
+    assert.strictEqual(RecurrenceService.formatRRule(rule(parsed)), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=10');
+  });
+
+  test('parseRRule should read UNTIL dates and reject unsupported parts', () => {
+    assert.strictEqual(RecurrenceService.parseRRule('FREQ=DAILY;UNTIL=20240331').until, '2024-03-31T23:59:59Z');
+    assert.strictEqual(RecurrenceService.parseRRule('FREQ=DAILY;BYHOUR=9'), null);
+    assert.strictEqual(RecurrenceService.parseRRule('FREQ=DAILY;UNTIL=tomorrow'), null);
+  });
+
+  test('normalizeRule should accept RRULE strings and sort weekdays', () => {
+    const normalized = rule('FREQ=WEEKLY;BYDAY=FR,MO');
+
+    assert.deepStrictEqual(normalized.byWeekday, ['MO', 'FR']);
+    assert.strictEqual(normalized.interval, 1);
+    assert.strictEqual(normalized.timezone, 'UTC');
+  });
+
+  test('normalizeRule should reject invalid rules', () => {
+    const error = input => RecurrenceService.normalizeRule(input).error;
+
+    assert.match(error('sometimes'), /rule object or an RRULE string/);
+    assert.match(error({ frequency: 'yearly' }), /frequency must be one of/);
+    assert.match(error({ frequency: 'daily', interval: 0 }), /interval/);
+    assert.match(error({ frequency: 'daily', byWeekday: ['MO'] }), /only apply to weekly/);
+    assert.match(error({ frequency: 'weekly', byWeekday: ['XX'] }), /weekdays must be among/);
+    assert.match(error({ frequency: 'weekly', byMonthDay: 3 }), /only applies to monthly/);
+    assert.match(error({ frequency: 'monthly', count: 0 }), /count/);
+    assert.match(error({ frequency: 'monthly', until: 'never' }), /end must be a valid date/);
+    assert.match(error({ frequency: 'daily', timezone: 'Mars/Olympus' }), /IANA timezone/);
+    assert.strictEqual(error(null), null);
+  });
+
+  test('nextOccurrence should add days and weeks', () => {
+    const from = '2024-03-04T17:00:00Z';
+
+    assert.strictEqual(iso(RecurrenceService.nextOccurrence(rule({ frequency: 'daily', interval: 3 }), from)), '2024-03-07T17:00:00.000Z');
+    assert.strictEqual(iso(RecurrenceService.nextOccurrence(rule({ frequency: 'weekly' }), from)), '2024-03-11T17:00:00.000Z');
+  });
+
+  test('nextOccurrence should visit the listed weekdays before skipping ahead', () => {
+    const weekly = rule({ frequency: 'weekly', interval: 2, byWeekday: ['MO', 'TH'] });
+
+    // Monday -> Thursday of the same week -> Monday two weeks later
+    const thursday = RecurrenceService.nextOccurrence(weekly, '2024-03-04T17:00:00Z');
+    assert.strictEqual(iso(thursday), '2024-03-07T17:00:00.000Z');
+    assert.strictEqual(iso(RecurrenceService.nextOccurrence(weekly, thursday)), '2024-03-18T17:00:00.000Z');
+  });
+
+  test('nextOccurrence should count weekdays in the rule timezone', () => {
+    const weekly = rule({ frequency: 'weekly', byWeekday: ['MO', 'FR'], timezone: 'America/New_York' });
+
+    // Friday 23:59 in New York is already Saturday in UTC
+    assert.strictEqual(
+      iso(RecurrenceService.nextOccurrence(weekly, '2024-03-02T04:59:00Z')),
+      '2024-03-05T04:59:00.000Z'
+    );
+  });
+
+  test('nextOccurrence should keep the local time of day across DST changes', () => {
+    const daily = rule({ frequency: 'daily', timezone: 'Europe/Berlin' });
+
+    // 09:00 in Berlin is 08:00 UTC in winter and 07:00 UTC in summer
+    assert.strictEqual(
+      iso(RecurrenceService.nextOccurrence(daily, '2024-03-30T08:00:00Z')),
+      '2024-03-31T07:00:00.000Z'
+    );
+  });
+
+  test('nextOccurrence should clamp monthly dates to shorter months', () => {
+    const monthly = RecurrenceService.anchorRule(rule({ frequency: 'monthly' }), '2024-01-31T12:00:00Z');
+
+    assert.strictEqual(monthly.byMonthDay, 31);
+    const february = RecurrenceService.nextOccurrence(monthly, '2024-01-31T12:00:00Z');
+    assert.strictEqual(iso(february), '2024-02-29T12:00:00.000Z');
+    assert.strictEqual(iso(RecurrenceService.nextOccurrence(monthly, february)), '2024-03-31T12:00:00.000Z');
+  });
+
+  test('getNextOccurrenceAt should end series after their count or end date', () => {
+    const dueDate = new Date('2024-03-04T17:00:00Z');
+
+    assert.strictEqual(
+      RecurrenceService.getNextOccurrenceAt({ recurrence: rule({ frequency: 'daily', count: 3 }), dueDate, recurrenceIndex: 3 }),
+      null
+    );
+    assert.strictEqual(
+      RecurrenceService.getNextOccurrenceAt({ recurrence: rule({ frequency: 'daily', until: '2024-03-05T00:00:00Z' }), dueDate }),
+      null
+    );
+    assert.strictEqual(
+      iso(RecurrenceService.getNextOccurrenceAt({ recurrence: rule({ frequency: 'daily', count: 3 }), dueDate, recurrenceIndex: 2 })),
+      '2024-03-05T17:00:00.000Z'
+    );
+  });
+
+  test('getNextOccurrenceAt should skip tasks without a rule or due date', () => {
+    assert.strictEqual(RecurrenceService.getNextOccurrenceAt({ recurrence: null, dueDate: new Date() }), null);
+    assert.strictEqual(RecurrenceService.getNextOccurrenceAt({ recurrence: rule({ frequency: 'daily' }), dueDate: null }), null);
+  });
+
+  test('materializeNext should hand the claim back when the instance cannot be saved', async () => {
+    const nextOccurrenceAt = new Date('2024-01-08T09:00:00Z');
+    const claimed = {
+      _id: new mongoose.Types.ObjectId(),
+      workspaceId: new mongoose.Types.ObjectId(),
+      recurrenceSeriesId: new mongoose.Types.ObjectId(),
+      title: 'Water plants',
+      recurrence: rule({ frequency: 'weekly' }),
+      nextOccurrenceAt
+    };
+    mock.method(Task, 'findOneAndUpdate', () => ({ lean: async () => claimed }));
+    mock.method(Task.prototype, 'save', async () => {
+      throw new Error('connection lost');
+    });
+    const release = mock.method(Task, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await assert.rejects(RecurrenceService.materializeNext(claimed), { message: 'connection lost' });
+
+    assert.strictEqual(release.mock.calls.length, 1);
+    const [filter, update] = release.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { _id: claimed._id, nextOccurrenceAt: null });
+    assert.strictEqual(update.$set.nextOccurrenceAt, nextOccurrenceAt);
+  });
+});
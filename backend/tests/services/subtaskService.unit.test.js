@@ -0,0 +1,46 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+import SubtaskService from '../../src/services/subtaskService.js';
+
+describe('Subtask Service Unit Tests', () => {
+  test('isValidParentFilter should accept task IDs and none', () => {
+    assert.strictEqual(SubtaskService.isValidParentFilter('507f1f77bcf86cd799439011'), true);
+    assert.strictEqual(SubtaskService.isValidParentFilter('none'), true);
+    assert.strictEqual(SubtaskService.isValidParentFilter('not-an-id'), false);
+  });
+
+  test('buildParentScope should be empty when not scoped', () => {
+    assert.deepStrictEqual(SubtaskService.buildParentScope(undefined), {});
+    assert.deepStrictEqual(SubtaskService.buildParentScope(''), {});
+  });
+
+  test('buildParentScope should match top-level tasks for none', () => {
+    assert.deepStrictEqual(SubtaskService.buildParentScope('none'), { parentId: null });
+  });
+
+  test('buildParentScope should cast parent IDs', () => {
+    const scope = SubtaskService.buildParentScope('507f1f77bcf86cd799439011');
+
+    assert(scope.parentId instanceof mongoose.Types.ObjectId);
+    assert.strictEqual(String(scope.parentId), '507f1f77bcf86cd799439011');
+  });
+
+  test('validateParent should reject making a task its own parent', async () => {
+    const id = '507f1f77bcf86cd799439011';
+
+    assert.strictEqual(
+      await SubtaskService.validateParent('507f1f77bcf86cd799439012', id, id),
+      'A task cannot be its own parent'
+    );
+  });
+
+  test('attachRollups should not query for an empty page', async () => {
+    assert.deepStrictEqual(await SubtaskService.attachRollups([]), []);
+  });
+
+  test('shouldAutoComplete should skip parents that did not ask for it or are done', async () => {
+    assert.strictEqual(await SubtaskService.shouldAutoComplete({ autoComplete: false, status: 'pending' }), false);
+    assert.strictEqual(await SubtaskService.shouldAutoComplete({ autoComplete: true, status: 'completed' }), false);
+  });
+});
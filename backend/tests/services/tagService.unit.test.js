@@ -0,0 +1,34 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import TagService, { MAX_TAGS_PER_TASK } from '../../src/services/tagService.js';
+
+describe('Tag Service Unit Tests', () => {
+  test('normalizeTags should trim, lowercase and de-duplicate', () => {
+    const result = TagService.normalizeTags([' Backend ', 'backend', 'UI']);
+
+    assert.deepStrictEqual(result, { tags: ['backend', 'ui'], error: null });
+  });
+
+  test('normalizeTags should reject non-arrays and invalid names', () => {
+    assert(TagService.normalizeTags('backend').error);
+    assert(TagService.normalizeTags([42]).error);
+    assert(TagService.normalizeTags(['two words']).error);
+  });
+
+  test('normalizeTags should cap the number of tags per task', () => {
+    const tags = Array.from({ length: MAX_TAGS_PER_TASK + 1 }, (_, i) => `tag-${i}`);
+    assert(TagService.normalizeTags(tags).error);
+  });
+
+  test('parseTagFilter should accept comma-separated strings and arrays', () => {
+    assert.deepStrictEqual(TagService.parseTagFilter('Backend, ui,,ui'), ['backend', 'ui']);
+    assert.deepStrictEqual(TagService.parseTagFilter(['design']), ['design']);
+    assert.deepStrictEqual(TagService.parseTagFilter(''), []);
+    assert.deepStrictEqual(TagService.parseTagFilter(undefined), []);
+  });
+
+  test('buildTagCondition should support any and all semantics', () => {
+    assert.deepStrictEqual(TagService.buildTagCondition(['a', 'b']), { $in: ['a', 'b'] });
+    assert.deepStrictEqual(TagService.buildTagCondition(['a', 'b'], 'all'), { $all: ['a', 'b'] });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+import TaskHistoryService from '../../src/services/taskHistoryService.js';
+import StatusTransition from '../../src/models/StatusTransition.js';
+
+const workspaceId = new mongoose.Types.ObjectId();
+const taskId = new mongoose.Types.ObjectId();
+
+describe('TaskHistoryService', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('buildTimeline', () => {
+    it('should return an empty timeline for no transitions', () => {
+      const timeline = TaskHistoryService.buildTimeline([]);
+      assert.deepStrictEqual(timeline.transitions, []);
+      assert.deepStrictEqual(timeline.timeInStatus, {
+        pending: 0,
+        'in-progress': 0,
+        completed: 0
+      });
+    });
+
+    it('should measure how long each status lasted', () => {
+      const transitions = [
+        { fromStatus: null, toStatus: 'pending', changedAt: new Date('2024-01-01T10:00:00Z'), source: 'create' },
+        { fromStatus: 'pending', toStatus: 'in-progress', changedAt: new Date('2024-01-01T12:00:00Z'), source: 'update' },
+        { fromStatus: 'in-progress', toStatus: 'completed', changedAt: new Date('2024-01-01T15:00:00Z'), source: 'update' }
+      ];
+      const now = new Date('2024-01-01T16:00:00Z');
+
+      const timeline = TaskHistoryService.buildTimeline(transitions, now);
+
+      assert.strictEqual(timeline.transitions.length, 3);
+      assert.strictEqual(timeline.transitions[0].durationMs, 2 * 60 * 60 * 1000);
+      assert.strictEqual(timeline.transitions[1].durationMs, 3 * 60 * 60 * 1000);
+      assert.strictEqual(timeline.transitions[2].durationMs, 60 * 60 * 1000);
+      assert.strictEqual(timeline.transitions[2].current, true);
+      assert.strictEqual(timeline.transitions[0].current, false);
+      assert.strictEqual(timeline.timeInStatus.pending, 2 * 60 * 60 * 1000);
+      assert.strictEqual(timeline.timeInStatus['in-progress'], 3 * 60 * 60 * 1000);
+    });
+
+    it('should accumulate time for statuses entered more than once', () => {
+      const transitions = [
+        { fromStatus: null, toStatus: 'pending', changedAt: new Date('2024-01-01T00:00:00Z') },
+        { fromStatus: 'pending', toStatus: 'in-progress', changedAt: new Date('2024-01-01T01:00:00Z') },
+        { fromStatus: 'in-progress', toStatus: 'pending', changedAt: new Date('2024-01-01T02:00:00Z') },
+        { fromStatus: 'pending', toStatus: 'in-progress', changedAt: new Date('2024-01-01T04:00:00Z') }
+      ];
+      const now = new Date('2024-01-01T05:00:00Z');
+
+      const timeline = TaskHistoryService.buildTimeline(transitions, now);
+
+      assert.strictEqual(timeline.timeInStatus.pending, 3 * 60 * 60 * 1000);
+      assert.strictEqual(timeline.timeInStatus['in-progress'], 2 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('recordTransition', () => {
+    it('should skip transitions that do not change status', async () => {
+      const result = await TaskHistoryService.recordTransition(workspaceId, taskId, 'pending', 'pending');
+      assert.strictEqual(result, null);
+    });
+
+    it('should record the workspace of the task', async () => {
+      const create = mock.method(StatusTransition, 'create', async (fields) => fields);
+
+      await TaskHistoryService.recordTransition(workspaceId, taskId, 'pending', 'completed');
+
+      assert.strictEqual(create.mock.calls[0].arguments[0].workspaceId, workspaceId);
+      assert.strictEqual(create.mock.calls[0].arguments[0].taskId, taskId);
+    });
+  });
+
+  describe('getTaskHistory', () => {
+    it('should only read transitions of the workspace', async () => {
+      const find = mock.method(StatusTransition, 'find', () => ({
+        sort: () => ({ lean: async () => [] })
+      }));
+
+      await TaskHistoryService.getTaskHistory(workspaceId, taskId);
+
+      assert.deepStrictEqual(find.mock.calls[0].arguments[0], { workspaceId, taskId });
+    });
+  });
+
+  describe('recordBulkTransitions', () => {
+    it('should skip writing when there are no changes', async () => {
+      const result = await TaskHistoryService.recordBulkTransitions([
+        { taskId: 'abc', fromStatus: 'completed', toStatus: 'completed' }
+      ]);
+      assert.deepStrictEqual(result, []);
+    });
+  });
+});
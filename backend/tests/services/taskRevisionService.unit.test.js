@@ -0,0 +1,98 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert';
+import TaskRevisionService, { TRACKED_FIELDS } from '../../src/services/taskRevisionService.js';
+import TaskRevision from '../../src/models/TaskRevision.js';
+
+const workspaceId = '507f1f77bcf86cd799439011';
+
+/**
+ * Stubs TaskRevision reads with a fixed set of revisions
+ */
+const stubRevisions = (revisions) => {
+  const exists = mock.method(TaskRevision, 'exists', async (query) =>
+    revisions.some(item => item.revision === query.revision)
+  );
+  const find = mock.method(TaskRevision, 'find', (query) => ({
+    sort: () => ({
+      lean: async () => revisions
+        .filter(item => item.revision > query.revision.$gt)
+        .sort((a, b) => b.revision - a.revision)
+    })
+  }));
+
+  return () => {
+    exists.mock.restore();
+    find.mock.restore();
+  };
+};
+
+describe('Task Revision Service Unit Tests', () => {
+  test('should track edits to the fields users change', () => {
+    for (const field of ['title', 'description', 'priority', 'estimatedTime', 'status', 'checklist']) {
+      assert(TRACKED_FIELDS.includes(field), `${field} should be tracked`);
+    }
+    assert(!TRACKED_FIELDS.includes('updatedAt'));
+  });
+
+  test('diffFields should keep only changed tracked fields', () => {
+    const changes = TaskRevisionService.diffFields(
+      { title: 'Draft', priority: 'low', tags: ['a'], updatedAt: new Date('2024-01-01') },
+      { title: 'Draft', priority: 'high', tags: ['a', 'b'], updatedAt: new Date('2024-01-02') }
+    );
+
+    assert.deepStrictEqual(changes, {
+      priority: { from: 'low', to: 'high' },
+      tags: { from: ['a'], to: ['a', 'b'] }
+    });
+  });
+
+  test('diffFields should store dates as ISO strings and missing values as null', () => {
+    const changes = TaskRevisionService.diffFields(
+      { dueDate: null },
+      { dueDate: new Date('2024-03-01T17:00:00Z'), description: 'Notes' }
+    );
+
+    assert.deepStrictEqual(changes, {
+      dueDate: { from: null, to: '2024-03-01T17:00:00.000Z' },
+      description: { from: null, to: 'Notes' }
+    });
+  });
+
+  test('buildRevertUpdate should undo every later revision', async () => {
+    const restore = stubRevisions([
+      { revision: 1, changes: { title: { from: null, to: 'First' }, priority: { from: null, to: 'low' } } },
+      { revision: 2, changes: { title: { from: 'First', to: 'Second' } } },
+      { revision: 3, changes: { title: { from: 'Second', to: 'Third' }, priority: { from: 'low', to: 'high' } } }
+    ]);
+
+    const task = { _id: 'task-1', title: 'Third', priority: 'high' };
+    const toFirst = await TaskRevisionService.buildRevertUpdate(workspaceId, task, 1);
+    const toSecond = await TaskRevisionService.buildRevertUpdate(workspaceId, task, 2);
+    restore();
+
+    assert.deepStrictEqual(toFirst, { title: 'First', priority: 'low' });
+    assert.deepStrictEqual(toSecond, { title: 'Second', priority: 'low' });
+  });
+
+  test('buildRevertUpdate should skip fields that already match', async () => {
+    const restore = stubRevisions([
+      { revision: 1, changes: { title: { from: null, to: 'Same' } } },
+      { revision: 2, changes: { title: { from: 'Same', to: 'Other' } } },
+      { revision: 3, changes: { title: { from: 'Other', to: 'Same' } } }
+    ]);
+
+    const updates = await TaskRevisionService.buildRevertUpdate(workspaceId, { _id: 'task-1', title: 'Same' }, 1);
+    restore();
+
+    assert.deepStrictEqual(updates, {});
+  });
+
+  test('buildRevertUpdate should return null for unknown revisions', async () => {
+    const restore = stubRevisions([{ revision: 1, changes: {} }]);
+
+    const updates = await TaskRevisionService.buildRevertUpdate(workspaceId, { _id: 'task-1' }, 5);
+    restore();
+
+    assert.strictEqual(updates, null);
+  });
+});
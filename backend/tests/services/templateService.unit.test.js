@@ -0,0 +1,104 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import TemplateService from '../../src/services/templateService.js';
+
+const now = new Date('2024-03-15T12:00:00Z');
+
+describe('Template Service Unit Tests', () => {
+  test('extractVariables should list each variable once, without built-ins', () => {
+    const variables = TemplateService.extractVariables({
+      title: 'Onboard {{customer}} ({{ plan }})',
+      description: 'Kick-off with {{customer}} on {{date}}'
+    });
+
+    assert.deepStrictEqual(variables, ['customer', 'plan']);
+  });
+
+  test('normalizeTemplate should require a name and title unless partial', () => {
+    assert.match(TemplateService.normalizeTemplate({ title: 'Fix it' }).error, /name is required/);
+    assert.match(TemplateService.normalizeTemplate({ name: 'Bug' }).error, /title is required/);
+
+    const { template, error } = TemplateService.normalizeTemplate({ priority: 'high' }, { partial: true });
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(template, { priority: 'high' });
+  });
+
+  test('normalizeTemplate should normalize tags and recurrence rules', () => {
+    const { template, error } = TemplateService.normalizeTemplate({
+      name: ' Backup ',
+      title: 'Backup {{system}}',
+      tags: ['Maintenance', 'maintenance'],
+      dueInDays: 1,
+      recurrence: 'FREQ=WEEKLY;BYDAY=MO'
+    });
+
+    assert.strictEqual(error, null);
+    assert.strictEqual(template.name, 'Backup');
+    assert.deepStrictEqual(template.tags, ['maintenance']);
+    assert.deepStrictEqual(template.recurrence.byWeekday, ['MO']);
+  });
+
+  test('normalizeTemplate should reject invalid fields', () => {
+    const error = body => TemplateService.normalizeTemplate({ name: 'Bug', title: 'Fix', ...body }).error;
+
+    assert.match(error({ priority: 'urgent' }), /Priority/);
+    assert.match(error({ estimatedTime: -1 }), /Estimated time/);
+    assert.match(error({ projectId: 'nope' }), /project ID/);
+    assert.match(error({ dueInDays: 400 }), /DueInDays/);
+    assert.match(error({ recurrence: { frequency: 'yearly' } }), /frequency/);
+  });
+
+  test('validateRecurrence should require a due date offset for recurring templates', () => {
+    assert.match(TemplateService.validateRecurrence({ recurrence: { frequency: 'weekly' }, dueInDays: null }), /dueInDays/);
+    assert.strictEqual(TemplateService.validateRecurrence({ recurrence: { frequency: 'weekly' }, dueInDays: 0 }), null);
+    assert.strictEqual(TemplateService.validateRecurrence({ recurrence: null }), null);
+  });
+
+  test('normalizeVariables should accept an object of strings', () => {
+    assert.deepStrictEqual(TemplateService.normalizeVariables({ customer: ' Acme ' }).variables, { customer: 'Acme' });
+    assert.match(TemplateService.normalizeVariables(['Acme']).error, /object of strings/);
+    assert.match(TemplateService.normalizeVariables({ customer: 3 }).error, /object of strings/);
+    assert.match(TemplateService.normalizeVariables({ customer: 'x'.repeat(201) }).error, /200 characters/);
+  });
+
+  test('buildTask should fill in variables and the due date', () => {
+    const { task, error } = TemplateService.buildTask({
+      title: 'Onboard {{customer}}',
+      description: 'Created {{date}} for {{ customer }}',
+      priority: 'high',
+      tags: ['customer-facing'],
+      dueInDays: 3
+    }, { customer: 'Acme' }, now);
+
+    assert.strictEqual(error, null);
+    assert.strictEqual(task.title, 'Onboard Acme');
+    assert.strictEqual(task.description, 'Created 2024-03-15 for Acme');
+    assert.strictEqual(task.priority, 'high');
+    assert.strictEqual(task.dueDate.toISOString(), '2024-03-18T12:00:00.000Z');
+    assert.strictEqual(task.recurrence, null);
+  });
+
+  test('buildTask should report missing variables', () => {
+    const { task, error } = TemplateService.buildTask({ title: 'Onboard {{customer}} on {{plan}}' }, { plan: '' }, now);
+
+    assert.strictEqual(task, null);
+    assert.strictEqual(error, 'Missing template variables: customer, plan');
+  });
+
+  test('getStarterTemplates should build one template per sample task', () => {
+    const starters = TemplateService.getStarterTemplates();
+    const backup = starters.find(template => template.name === 'Backup production database');
+
+    assert.strictEqual(starters.length, 40);
+    assert.strictEqual(new Set(starters.map(template => template.name)).size, 40);
+    assert.deepStrictEqual(backup.tags, ['maintenance']);
+    assert.strictEqual(backup.recurrence.frequency, 'weekly');
+    assert.strictEqual(backup.dueInDays, 1);
+  });
+
+  test('toConflictError should map duplicate names to 409', () => {
+    const conflict = TemplateService.toConflictError(Object.assign(new Error('dup'), { code: 11000 }));
+    assert.strictEqual(conflict.statusCode, 409);
+    assert.strictEqual(conflict.message, 'Template name already exists');
+  });
+});
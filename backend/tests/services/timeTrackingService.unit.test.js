@@ -0,0 +1,74 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+import TimeTrackingService from '../../src/services/timeTrackingService.js';
+import Task from '../../src/models/Task.js';
+import TimeEntry from '../../src/models/TimeEntry.js';
+
+const workspaceId = new mongoose.Types.ObjectId();
+const taskId = new mongoose.Types.ObjectId();
+
+describe('Time Tracking Service Unit Tests', () => {
+  let running;
+
+  // Stands in for the unique partial index: one running entry per task
+  beforeEach(() => {
+    running = null;
+
+    mock.method(Task, 'exists', async () => ({ _id: taskId }));
+    mock.method(TimeEntry, 'create', async (fields) => {
+      if (running) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      running = new TimeEntry({ ...fields, startedAt: new Date(Date.now() - 25 * 60 * 1000) });
+      return running;
+    });
+    mock.method(TimeEntry, 'findOneAndUpdate', async (filter, update) => {
+      if (!running) return null;
+      const entry = running;
+      running = null;
+      return Object.assign(entry, update);
+    });
+    mock.method(TimeEntry.prototype, 'save', async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('startTimer should reject a second timer for the same task with 409', async () => {
+    await TimeTrackingService.startTimer(workspaceId, taskId);
+
+    await assert.rejects(
+      TimeTrackingService.startTimer(workspaceId, taskId),
+      { statusCode: 409, message: 'Timer already running for this task' }
+    );
+  });
+
+  test('startTimer should return 404 for tasks outside the workspace', async () => {
+    mock.method(Task, 'exists', async () => null);
+
+    await assert.rejects(
+      TimeTrackingService.startTimer(workspaceId, taskId),
+      { statusCode: 404, message: 'Task not found' }
+    );
+  });
+
+  test('stopTimer should add the tracked time to actualTime once', async () => {
+    const updateTask = mock.method(Task, 'findOneAndUpdate', async () => ({ _id: taskId, actualTime: 25 }));
+    await TimeTrackingService.startTimer(workspaceId, taskId);
+
+    const { entry } = await TimeTrackingService.stopTimer(workspaceId, taskId);
+    await assert.rejects(
+      TimeTrackingService.stopTimer(workspaceId, taskId),
+      { statusCode: 409, message: 'No running timer for this task' }
+    );
+
+    assert.strictEqual(entry.running, false);
+    assert.strictEqual(entry.duration, 25);
+    assert.strictEqual(updateTask.mock.calls.length, 1);
+    assert.deepStrictEqual(updateTask.mock.calls[0].arguments[1].$inc, { actualTime: 25, version: 1 });
+  });
+});
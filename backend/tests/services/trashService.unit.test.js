@@ -0,0 +1,43 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import TrashService, { DEFAULT_TRASH_RETENTION_DAYS } from '../../src/services/trashService.js';
+
+describe('Trash Service Unit Tests', () => {
+  afterEach(() => {
+    delete process.env.TRASH_RETENTION_DAYS;
+  });
+
+  test('getRetentionDays should default to 30 days', () => {
+    assert.strictEqual(DEFAULT_TRASH_RETENTION_DAYS, 30);
+    assert.strictEqual(TrashService.getRetentionDays(), 30);
+  });
+
+  test('getRetentionDays should read TRASH_RETENTION_DAYS', () => {
+    process.env.TRASH_RETENTION_DAYS = '7';
+    assert.strictEqual(TrashService.getRetentionDays(), 7);
+  });
+
+  test('getRetentionDays should ignore invalid TRASH_RETENTION_DAYS values', () => {
+    for (const value of ['abc', '0', '-5']) {
+      process.env.TRASH_RETENTION_DAYS = value;
+      assert.strictEqual(TrashService.getRetentionDays(), 30);
+    }
+  });
+
+  test('getPurgeDate should add the retention period to the deletion date', () => {
+    assert.strictEqual(
+      TrashService.getPurgeDate('2024-03-01T10:00:00.000Z', 30).toISOString(),
+      '2024-03-31T10:00:00.000Z'
+    );
+    assert.strictEqual(
+      TrashService.getPurgeDate(new Date('2024-03-01T10:00:00.000Z'), 1).toISOString(),
+      '2024-03-02T10:00:00.000Z'
+    );
+  });
+
+  test('should expose trash operations', () => {
+    for (const method of ['trashTask', 'restoreTask', 'listTrash', 'purgeTask', 'purgeExpired']) {
+      assert.strictEqual(typeof TrashService[method], 'function', `${method} should be a function`);
+    }
+  });
+});
@@ -0,0 +1,60 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+import UserService, { MAX_ASSIGNEES_PER_TASK } from '../../src/services/userService.js';
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+describe('User Service Unit Tests', () => {
+  test('isValidAssigneeFilter should only accept user IDs', () => {
+    assert.strictEqual(UserService.isValidAssigneeFilter(USER_ID), true);
+    assert.strictEqual(UserService.isValidAssigneeFilter('none'), false);
+  });
+
+  test('buildAssigneeScope should be empty when not filtered', () => {
+    assert.deepStrictEqual(UserService.buildAssigneeScope({}), {});
+    assert.deepStrictEqual(UserService.buildAssigneeScope({ unassigned: 'false' }), {});
+    assert.deepStrictEqual(UserService.buildAssigneeScope({ assignee: 'bogus' }), {});
+  });
+
+  test('buildAssigneeScope should match tasks without assignees', () => {
+    const expected = { 'assignees.0': { $exists: false } };
+
+    assert.deepStrictEqual(UserService.buildAssigneeScope({ unassigned: 'true' }), expected);
+    assert.deepStrictEqual(UserService.buildAssigneeScope({ unassigned: true }), expected);
+  });
+
+  test('buildAssigneeScope should cast user IDs for aggregation pipelines', () => {
+    const scope = UserService.buildAssigneeScope({ assignee: USER_ID });
+
+    assert(scope.assignees instanceof mongoose.Types.ObjectId);
+    assert.strictEqual(String(scope.assignees), USER_ID);
+  });
+
+  test('normalizeAssignees should de-duplicate IDs', () => {
+    const result = UserService.normalizeAssignees([USER_ID, USER_ID.toUpperCase()]);
+
+    assert.strictEqual(result.error, null);
+    assert.deepStrictEqual(result.assignees, [USER_ID]);
+  });
+
+  test('normalizeAssignees should reject invalid input', () => {
+    assert.match(UserService.normalizeAssignees('abc').error, /array of user IDs/);
+    assert.match(UserService.normalizeAssignees(['abc']).error, /Invalid assignee ID/);
+
+    const tooMany = Array.from({ length: MAX_ASSIGNEES_PER_TASK + 1 }, (_, i) =>
+      i.toString(16).padStart(24, '0')
+    );
+    assert.match(UserService.normalizeAssignees(tooMany).error, /at most/);
+  });
+
+  test('validateAssignees should accept an empty list without a lookup', async () => {
+    assert.strictEqual(await UserService.validateAssignees([]), null);
+  });
+
+  test('getAssigneeDirectory should skip the lookup when nothing is assigned', async () => {
+    const directory = await UserService.getAssigneeDirectory([{ assignees: [] }, {}]);
+
+    assert.strictEqual(directory.size, 0);
+  });
+});
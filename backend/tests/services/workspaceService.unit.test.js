@@ -0,0 +1,25 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import mongoose from 'mongoose';
+import WorkspaceService from '../../src/services/workspaceService.js';
+
+describe('Workspace Service Unit Tests', () => {
+  test('isValidWorkspaceId should only accept ObjectId strings', () => {
+    assert.strictEqual(WorkspaceService.isValidWorkspaceId('507f1f77bcf86cd799439011'), true);
+    assert.strictEqual(WorkspaceService.isValidWorkspaceId('not-an-id'), false);
+    assert.strictEqual(WorkspaceService.isValidWorkspaceId(undefined), false);
+    assert.strictEqual(WorkspaceService.isValidWorkspaceId(42), false);
+  });
+
+  test('buildWorkspaceScope should cast workspace IDs for aggregation pipelines', () => {
+    const scope = WorkspaceService.buildWorkspaceScope('507f1f77bcf86cd799439011');
+
+    assert(scope.workspaceId instanceof mongoose.Types.ObjectId);
+    assert.strictEqual(String(scope.workspaceId), '507f1f77bcf86cd799439011');
+  });
+
+  test('buildWorkspaceScope should refuse to build an unscoped query', () => {
+    assert.throws(() => WorkspaceService.buildWorkspaceScope(undefined), /workspace is required/);
+    assert.throws(() => WorkspaceService.buildWorkspaceScope(''), /workspace is required/);
+  });
+});
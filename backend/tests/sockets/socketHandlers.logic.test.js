@@ -111,6 +111,7 @@ describe('Socket Handlers Logic Tests', () => {
       const updateData = {
         action,
         task,
+        version: task.version,
         timestamp: new Date().toISOString()
       };
       
@@ -127,11 +128,12 @@ describe('Socket Handlers Logic Tests', () => {
       return updateData;
     };
 
-    const testTask = { _id: 'task-123', title: 'Test Task', status: 'completed' };
+    const testTask = { _id: 'task-123', title: 'Test Task', status: 'completed', version: 3 };
     const result = broadcastTaskUpdate('updated', testTask);
 
     assert.strictEqual(result.action, 'updated');
     assert.strictEqual(result.task.title, 'Test Task');
+    assert.strictEqual(result.version, 3);
     assert(typeof result.timestamp === 'string');
     
     assert.strictEqual(mockIo.emit.mock.calls.length, 1);
@@ -5,6 +5,18 @@
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001'
 
+/**
+ * localStorage key holding the access and refresh tokens
+ * @type {string}
+ */
+const TOKEN_STORAGE_KEY = 'authTokens'
+
+/**
+ * localStorage key remembering the selected workspace between visits
+ * @type {string}
+ */
+const WORKSPACE_STORAGE_KEY = 'currentWorkspaceId'
+
 /**
  * HTTP client for communicating with the task management API
  * @class ApiClient
@@ -15,24 +27,128 @@ class ApiClient {
    */
   constructor() {
     this.baseURL = `${API_BASE_URL}/api`
+    this.tokens = JSON.parse(
+      window.localStorage.getItem(TOKEN_STORAGE_KEY) || 'null'
+    )
+    this.workspaceId =
+      window.localStorage.getItem(WORKSPACE_STORAGE_KEY) || null
+    this.refreshPromise = null
+    this.onAuthFailure = null
+  }
+
+  /**
+   * Stores the token pair from login, registration or refresh
+   * @param {Object} tokens - Tokens (accessToken, refreshToken)
+   */
+  setTokens({ accessToken, refreshToken }) {
+    this.tokens = { accessToken, refreshToken }
+    window.localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(this.tokens))
+  }
+
+  /**
+   * Forgets the stored tokens
+   */
+  clearTokens() {
+    this.tokens = null
+    window.localStorage.removeItem(TOKEN_STORAGE_KEY)
+  }
+
+  /**
+   * Returns the current access token
+   * @returns {string|null} Access token, or null when signed out
+   */
+  getAccessToken() {
+    return this.tokens?.accessToken || null
+  }
+
+  /**
+   * Selects the workspace requests act on and remembers it
+   * @param {string|null} id - Workspace ID, or null to clear the selection
+   */
+  setWorkspaceId(id) {
+    this.workspaceId = id || null
+
+    if (this.workspaceId) {
+      window.localStorage.setItem(WORKSPACE_STORAGE_KEY, this.workspaceId)
+    } else {
+      window.localStorage.removeItem(WORKSPACE_STORAGE_KEY)
+    }
+  }
+
+  /**
+   * Returns the selected workspace
+   * @returns {string|null} Workspace ID, or null when none is selected
+   */
+  getWorkspaceId() {
+    return this.workspaceId
+  }
+
+  /**
+   * Builds the Authorization and X-Workspace-Id headers for the current session
+   * @returns {Object} Headers object (empty when signed out)
+   */
+  authHeaders() {
+    const token = this.getAccessToken()
+    const headers = token ? { Authorization: `Bearer ${token}` } : {}
+
+    if (this.workspaceId) {
+      headers['X-Workspace-Id'] = this.workspaceId
+    }
+
+    return headers
+  }
+
+  /**
+   * Exchanges the refresh token for a new token pair.
+   * Concurrent callers share one request because refresh tokens are single use.
+   * @async
+   * @returns {Promise<boolean>} True if the session was refreshed
+   */
+  async refreshTokens() {
+    if (!this.tokens?.refreshToken) return false
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.request(
+        '/auth/refresh',
+        { method: 'POST', body: { refreshToken: this.tokens.refreshToken } },
+        false
+      )
+        .then((response) => {
+          this.setTokens(response.data)
+          return true
+        })
+        .catch(() => {
+          this.clearTokens()
+          if (this.onAuthFailure) this.onAuthFailure()
+          return false
+        })
+        .finally(() => {
+          this.refreshPromise = null
+        })
+    }
+
+    return this.refreshPromise
   }
 
   /**
-   * Makes HTTP request to API endpoint with error handling
+   * Makes HTTP request to API endpoint with error handling.
+   * An expired access token is refreshed once and the request retried.
    * @async
    * @param {string} endpoint - API endpoint path
    * @param {Object} [options={}] - Fetch options
+   * @param {boolean} [retryOnUnauthorized=true] - Refresh and retry after a 401
    * @returns {Promise<Object>} API response data
-   * @throws {Error} Network or API errors
+   * @throws {Error} Network or API errors; API errors carry the HTTP status and any response data
    */
-  async request(endpoint, options = {}) {
+  async request(endpoint, options = {}, retryOnUnauthorized = true) {
     const url = `${this.baseURL}${endpoint}`
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...this.authHeaders(),
         ...options.headers
-      },
-      ...options
+      }
     }
 
     if (config.body && typeof config.body === 'object') {
@@ -41,12 +157,24 @@ class ApiClient {
 
     try {
       const response = await fetch(url, config)
+
+      if (
+        response.status === 401 &&
+        retryOnUnauthorized &&
+        (await this.refreshTokens())
+      ) {
+        return this.request(endpoint, options, false)
+      }
+
       const data = await response.json()
 
       if (!response.ok) {
-        throw new Error(
+        const error = new Error(
           data.message || `HTTP error! status: ${response.status}`
         )
+        error.status = response.status
+        error.data = data.data
+        throw error
       }
 
       return data
@@ -107,6 +235,152 @@ class ApiClient {
     return this.request(endpoint, { method: 'DELETE' })
   }
 
+  /**
+   * Signs in with email and password
+   * @async
+   * @param {Object} credentials - Credentials (email, password)
+   * @returns {Promise<Object>} Session response (user, accessToken, refreshToken)
+   */
+  async login(credentials) {
+    return this.request(
+      '/auth/login',
+      { method: 'POST', body: credentials },
+      false
+    )
+  }
+
+  /**
+   * Creates an account and signs in
+   * @async
+   * @param {Object} account - Account data (email, password, name)
+   * @returns {Promise<Object>} Session response (user, accessToken, refreshToken)
+   */
+  async register(account) {
+    return this.request(
+      '/auth/register',
+      { method: 'POST', body: account },
+      false
+    )
+  }
+
+  /**
+   * Revokes the refresh token and forgets the stored tokens
+   * @async
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    const refreshToken = this.tokens?.refreshToken
+    this.clearTokens()
+
+    if (refreshToken) {
+      await this.request(
+        '/auth/logout',
+        { method: 'POST', body: { refreshToken } },
+        false
+      )
+    }
+  }
+
+  /**
+   * Retrieves the signed-in user
+   * @async
+   * @returns {Promise<Object>} User response
+   */
+  async getCurrentUser() {
+    return this.get('/auth/me')
+  }
+
+  /**
+   * Retrieves the signed-in user's API tokens
+   * @async
+   * @returns {Promise<Object>} API tokens response
+   */
+  async getApiTokens() {
+    return this.get('/auth/tokens')
+  }
+
+  /**
+   * Creates an API token
+   * @async
+   * @param {Object} token - Token data (name, scopes, expiresInDays)
+   * @returns {Promise<Object>} Created token response, including the secret
+   */
+  async createApiToken(token) {
+    return this.post('/auth/tokens', token)
+  }
+
+  /**
+   * Revokes an API token
+   * @async
+   * @param {string} id - Token ID
+   * @returns {Promise<Object>} Revoked token response
+   */
+  async revokeApiToken(id) {
+    return this.delete(`/auth/tokens/${id}`)
+  }
+
+  /**
+   * Retrieves the workspaces the signed-in user belongs to
+   * @async
+   * @returns {Promise<Object>} Workspaces response
+   */
+  async getWorkspaces() {
+    return this.get('/workspaces')
+  }
+
+  /**
+   * Creates a workspace with the signed-in user as its first member (admins only)
+   * @async
+   * @param {Object} workspace - Workspace data (name)
+   * @returns {Promise<Object>} Created workspace response
+   */
+  async createWorkspace(workspace) {
+    return this.post('/workspaces', workspace)
+  }
+
+  /**
+   * Renames a workspace (admins only)
+   * @async
+   * @param {string} id - Workspace ID
+   * @param {Object} updates - Workspace update data (name)
+   * @returns {Promise<Object>} Updated workspace response
+   */
+  async updateWorkspace(id, updates) {
+    return this.put(`/workspaces/${id}`, updates)
+  }
+
+  /**
+   * Retrieves a workspace's members
+   * @async
+   * @param {string} id - Workspace ID
+   * @returns {Promise<Object>} Members response
+   */
+  async getWorkspaceMembers(id) {
+    return this.get(`/workspaces/${id}/members`)
+  }
+
+  /**
+   * Adds a user to a workspace by email (admins only)
+   * @async
+   * @param {string} id - Workspace ID
+   * @param {string} email - Email of the user to add
+   * @returns {Promise<Object>} Added member response
+   */
+  async addWorkspaceMember(id, email) {
+    return this.post(`/workspaces/${id}/members`, { email })
+  }
+
+  /**
+   * Removes a user from a workspace (admins only)
+   * @async
+   * @param {string} id - Workspace ID
+   * @param {string} userId - ID of the member to remove
+   * @returns {Promise<Object>} Removal confirmation response
+   */
+  async removeWorkspaceMember(id, userId) {
+    return this.delete(`/workspaces/${id}/members/${userId}`)
+  }
+
   /**
    * Retrieves tasks with optional filtering and pagination
    * @async
@@ -138,33 +412,388 @@ class ApiClient {
   }
 
   /**
-   * Updates an existing task
+   * Updates an existing task. With a version, the update is rejected with a 409
+   * (carrying the current task) if someone else changed the task since. Starting a
+   * blocked task is rejected with a 409 carrying its open blockers unless the
+   * updates include force: true.
    * @async
    * @param {string} id - Task ID
    * @param {Object} updates - Task update data
+   * @param {number} [version] - Task version the updates were made to
    * @returns {Promise<Object>} Updated task response
    */
-  async updateTask(id, updates) {
-    return this.put(`/tasks/${id}`, updates)
+  async updateTask(id, updates, version) {
+    return this.request(`/tasks/${id}`, {
+      method: 'PUT',
+      body: updates,
+      headers: version ? { 'If-Match': `"${version}"` } : {}
+    })
   }
 
   /**
-   * Deletes a task by ID
+   * Moves a task to the trash
    * @async
    * @param {string} id - Task ID
-   * @returns {Promise<Object>} Deletion confirmation response
+   * @returns {Promise<Object>} Trashed task response
    */
   async deleteTask(id) {
     return this.delete(`/tasks/${id}`)
   }
 
+  /**
+   * Retrieves trashed tasks, most recently deleted first
+   * @async
+   * @param {Object} [params={}] - Query parameters (page, limit)
+   * @returns {Promise<Object>} Paginated trashed tasks with their purge dates
+   */
+  async getTrash(params = {}) {
+    return this.get('/tasks/trash', params)
+  }
+
+  /**
+   * Takes a task back out of the trash
+   * @async
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Restored task response
+   */
+  async restoreTask(id) {
+    return this.post(`/tasks/${id}/restore`)
+  }
+
+  /**
+   * Permanently deletes a trashed task
+   * @async
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Deletion confirmation response
+   */
+  async purgeTask(id) {
+    return this.delete(`/tasks/trash/${id}`)
+  }
+
+  /**
+   * Retrieves projects with task counts
+   * @async
+   * @param {Object} [params={}] - Query parameters (includeArchived)
+   * @returns {Promise<Object>} Projects response
+   */
+  async getProjects(params = {}) {
+    return this.get('/projects', params)
+  }
+
+  /**
+   * Creates a new project
+   * @async
+   * @param {Object} project - Project data (name, description, color)
+   * @returns {Promise<Object>} Created project response
+   */
+  async createProject(project) {
+    return this.post('/projects', project)
+  }
+
+  /**
+   * Updates a project
+   * @async
+   * @param {string} id - Project ID
+   * @param {Object} updates - Project update data (name, description, color, archived)
+   * @returns {Promise<Object>} Updated project response
+   */
+  async updateProject(id, updates) {
+    return this.put(`/projects/${id}`, updates)
+  }
+
+  /**
+   * Deletes a project; its tasks become unassigned
+   * @async
+   * @param {string} id - Project ID
+   * @returns {Promise<Object>} Deletion confirmation response
+   */
+  async deleteProject(id) {
+    return this.delete(`/projects/${id}`)
+  }
+
+  /**
+   * Retrieves the tag registry with usage counts
+   * @async
+   * @returns {Promise<Object>} Tags response
+   */
+  async getTags() {
+    return this.get('/tags')
+  }
+
+  /**
+   * Registers a new tag
+   * @async
+   * @param {Object} tag - Tag data (name, color)
+   * @returns {Promise<Object>} Created tag response
+   */
+  async createTag(tag) {
+    return this.post('/tags', tag)
+  }
+
+  /**
+   * Renames or recolors a tag
+   * @async
+   * @param {string} id - Tag ID
+   * @param {Object} updates - Tag update data (name, color)
+   * @returns {Promise<Object>} Updated tag response
+   */
+  async updateTag(id, updates) {
+    return this.put(`/tags/${id}`, updates)
+  }
+
+  /**
+   * Deletes a tag and removes it from all tasks
+   * @async
+   * @param {string} id - Tag ID
+   * @returns {Promise<Object>} Deletion confirmation response
+   */
+  async deleteTag(id) {
+    return this.delete(`/tags/${id}`)
+  }
+
+  /**
+   * Retrieves task templates with the variables each asks for
+   * @async
+   * @returns {Promise<Object>} Templates response
+   */
+  async getTemplates() {
+    return this.get('/templates')
+  }
+
+  /**
+   * Creates a task template
+   * @async
+   * @param {Object} template - Template data (name, title, description, priority, tags, dueInDays, ...)
+   * @returns {Promise<Object>} Created template response
+   */
+  async createTemplate(template) {
+    return this.post('/templates', template)
+  }
+
+  /**
+   * Updates a task template
+   * @async
+   * @param {string} id - Template ID
+   * @param {Object} updates - Template update data
+   * @returns {Promise<Object>} Updated template response
+   */
+  async updateTemplate(id, updates) {
+    return this.put(`/templates/${id}`, updates)
+  }
+
+  /**
+   * Deletes a task template
+   * @async
+   * @param {string} id - Template ID
+   * @returns {Promise<Object>} Deletion confirmation response
+   */
+  async deleteTemplate(id) {
+    return this.delete(`/templates/${id}`)
+  }
+
+  /**
+   * Imports the starter templates the workspace does not have yet
+   * @async
+   * @returns {Promise<Object>} Numbers of templates imported and skipped
+   */
+  async importStarterTemplates() {
+    return this.post('/templates/starter')
+  }
+
+  /**
+   * Creates a task from a template
+   * @async
+   * @param {string} id - Template ID
+   * @param {Object} [options={}] - Variable values, and optional dueDate and projectId overrides
+   * @returns {Promise<Object>} Created task response
+   */
+  async createTaskFromTemplate(id, options = {}) {
+    return this.post(`/tasks/from-template/${id}`, options)
+  }
+
+  /**
+   * Adds an item to the end of a task's checklist
+   * @async
+   * @param {string} id - Task ID
+   * @param {string} text - Item text
+   * @returns {Promise<Object>} Updated task response
+   */
+  async addChecklistItem(id, text) {
+    return this.post(`/tasks/${id}/checklist`, { text })
+  }
+
+  /**
+   * Ticks off, reopens or renames a checklist item
+   * @async
+   * @param {string} id - Task ID
+   * @param {string} itemId - Checklist item ID
+   * @param {Object} changes - Item changes (done, text)
+   * @returns {Promise<Object>} Updated task response
+   */
+  async updateChecklistItem(id, itemId, changes) {
+    return this.put(`/tasks/${id}/checklist/${itemId}`, changes)
+  }
+
+  /**
+   * Removes an item from a task's checklist
+   * @async
+   * @param {string} id - Task ID
+   * @param {string} itemId - Checklist item ID
+   * @returns {Promise<Object>} Updated task response
+   */
+  async deleteChecklistItem(id, itemId) {
+    return this.delete(`/tasks/${id}/checklist/${itemId}`)
+  }
+
+  /**
+   * Puts a task's checklist items in a new order
+   * @async
+   * @param {string} id - Task ID
+   * @param {Array<string>} itemIds - Every checklist item ID in the new order
+   * @returns {Promise<Object>} Updated task response
+   */
+  async reorderChecklist(id, itemIds) {
+    return this.put(`/tasks/${id}/checklist/order`, { itemIds })
+  }
+
+  /**
+   * Retrieves a task's edit history, newest first
+   * @async
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Revisions response
+   */
+  async getTaskRevisions(id) {
+    return this.get(`/tasks/${id}/revisions`)
+  }
+
+  /**
+   * Brings a task back to how it was right after a revision
+   * @async
+   * @param {string} id - Task ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object>} Updated task response
+   */
+  async revertTask(id, revision) {
+    return this.post(`/tasks/${id}/revisions/${revision}/revert`)
+  }
+
+  /**
+   * Retrieves a task's subtasks
+   * @async
+   * @param {string} id - Parent task ID
+   * @returns {Promise<Object>} Subtasks response
+   */
+  async getSubtasks(id) {
+    return this.get(`/tasks/${id}/subtasks`)
+  }
+
+  /**
+   * Retrieves the tasks a task waits for and the tasks waiting for it
+   * @async
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Dependencies response (blockedBy, blocks)
+   */
+  async getTaskDependencies(id) {
+    return this.get(`/tasks/${id}/dependencies`)
+  }
+
+  /**
+   * Retrieves the workspace's dependency graph
+   * @async
+   * @returns {Promise<Object>} Graph response (nodes, edges)
+   */
+  async getDependencyGraph() {
+    return this.get('/dependencies')
+  }
+
+  /**
+   * Starts a timer for a task
+   * @async
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Running time entry response
+   */
+  async startTimer(id) {
+    return this.post(`/tasks/${id}/timer/start`)
+  }
+
+  /**
+   * Stops the running timer for a task
+   * @async
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Stopped entry and updated task response
+   */
+  async stopTimer(id) {
+    return this.post(`/tasks/${id}/timer/stop`)
+  }
+
+  /**
+   * Retrieves time entries for a task
+   * @async
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Time entries response
+   */
+  async getTimeEntries(id) {
+    return this.get(`/tasks/${id}/time-entries`)
+  }
+
   /**
    * Retrieves analytics and metrics data
    * @async
+   * @param {Object} [params={}] - Query parameters (projectId)
    * @returns {Promise<Object>} Analytics data
    */
-  async getAnalytics() {
-    return this.get('/analytics')
+  async getAnalytics(params = {}) {
+    return this.get('/analytics', params)
+  }
+
+  /**
+   * Retrieves the history of a metric from daily snapshots
+   * @async
+   * @param {Object} [params={}] - Query parameters (metric, from, to, interval)
+   * @returns {Promise<Object>} Trend series response
+   */
+  async getTrends(params = {}) {
+    return this.get('/analytics/trends', params)
+  }
+
+  /**
+   * Retrieves daily burndown/burnup data for a date range and task filters
+   * @async
+   * @param {Object} [params={}] - Query parameters (from, to, unit, task filters)
+   * @returns {Promise<Object>} Burndown points response
+   */
+  async getBurndown(params = {}) {
+    return this.get('/analytics/burndown', params)
+  }
+
+  /**
+   * Retrieves daily task counts per status for the cumulative flow diagram
+   * @async
+   * @param {Object} [params={}] - Query parameters (from, to, task filters)
+   * @returns {Promise<Object>} Cumulative flow points response
+   */
+  async getCumulativeFlow(params = {}) {
+    return this.get('/analytics/cumulative-flow', params)
+  }
+
+  /**
+   * Retrieves the estimation accuracy report
+   * @async
+   * @param {Object} [params={}] - Query parameters (from, to, limit)
+   * @returns {Promise<Object>} Estimate accuracy response
+   */
+  async getEstimateAccuracy(params = {}) {
+    return this.get('/analytics/estimates', params)
+  }
+
+  /**
+   * Retrieves open work and completion rate per assignee
+   * @async
+   * @param {Object} [params={}] - Query parameters (projectId)
+   * @returns {Promise<Object>} Workload response
+   */
+  async getWorkload(params = {}) {
+    return this.get('/analytics/workload', params)
   }
 
   /**
@@ -207,7 +836,11 @@ class ApiClient {
    */
   async downloadExport(id) {
     const url = `${this.baseURL}/exports/${id}/download`
-    const response = await fetch(url)
+    let response = await fetch(url, { headers: this.authHeaders() })
+
+    if (response.status === 401 && (await this.refreshTokens())) {
+      response = await fetch(url, { headers: this.authHeaders() })
+    }
 
     if (!response.ok) {
       throw new Error(`Download failed: ${response.statusText}`)
@@ -216,6 +849,35 @@ class ApiClient {
     return response.blob()
   }
 
+  /**
+   * Retrieves the workspace's audit log, newest first (managers and admins)
+   * @async
+   * @param {Object} [params={}] - Query parameters (page, limit, action, actorId, targetType, targetId, from, to)
+   * @returns {Promise<Object>} Paginated audit entries response
+   */
+  async getAuditLog(params = {}) {
+    return this.get('/audit', params)
+  }
+
+  /**
+   * Retrieves user accounts, e.g. to pick task assignees
+   * @async
+   * @returns {Promise<Object>} Users response
+   */
+  async getUsers() {
+    return this.get('/users')
+  }
+
+  /**
+   * Runs the export cleanup job now (admins only)
+   * @async
+   * @param {Object} [options={}] - Cleanup options (retentionDays, dryRun)
+   * @returns {Promise<Object>} Cleanup results response
+   */
+  async runExportCleanup(options = {}) {
+    return this.post('/admin/exports/cleanup', options)
+  }
+
   /**
    * Checks API health status
    * @async
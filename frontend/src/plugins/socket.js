@@ -4,15 +4,23 @@
  */
 
 import { io } from 'socket.io-client'
+import apiClient from '../api/client.js'
 
 /**
  * Socket.IO client instance configured for the task management backend
  * @type {Socket}
- * @description Configured with manual connection control and fallback transports
+ * @description Configured with manual connection control and fallback transports.
+ * The access token and workspace are read on every (re)connect so refreshed tokens
+ * are used, and switching workspaces only takes a reconnect.
  */
 const socket = io(import.meta.env.VITE_API_URL || 'http://localhost:3001', {
   autoConnect: false,
-  transports: ['websocket', 'polling']
+  transports: ['websocket', 'polling'],
+  auth: (cb) =>
+    cb({
+      token: apiClient.getAccessToken(),
+      workspaceId: apiClient.getWorkspaceId()
+    })
 })
 
 socket.on('connect', () => {
@@ -23,8 +31,13 @@ socket.on('disconnect', () => {
   console.log('🔌 Disconnected from server')
 })
 
-socket.on('connect_error', (error) => {
+socket.on('connect_error', async (error) => {
   console.error('❌ Connection error:', error)
+
+  // The server refuses expired tokens without retrying; refresh and reconnect
+  if (error.message === 'Token expired' && (await apiClient.refreshTokens())) {
+    socket.connect()
+  }
 })
 
 export default socket
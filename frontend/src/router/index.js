@@ -8,6 +8,13 @@ import Dashboard from '../views/Dashboard.vue'
 import Tasks from '../views/Tasks.vue'
 import Analytics from '../views/Analytics.vue'
 import Exports from '../views/Exports.vue'
+import ApiTokens from '../views/ApiTokens.vue'
+import Workspace from '../views/Workspace.vue'
+import Audit from '../views/Audit.vue'
+import Trash from '../views/Trash.vue'
+import Dependencies from '../views/Dependencies.vue'
+import Login from '../views/Login.vue'
+import { useAuthStore } from '../stores/authStore.js'
 
 /**
  * Application route definitions
@@ -25,6 +32,16 @@ const routes = [
     name: 'Tasks',
     component: Tasks
   },
+  {
+    path: '/trash',
+    name: 'Trash',
+    component: Trash
+  },
+  {
+    path: '/dependencies',
+    name: 'Dependencies',
+    component: Dependencies
+  },
   {
     path: '/analytics',
     name: 'Analytics',
@@ -34,6 +51,27 @@ const routes = [
     path: '/exports',
     name: 'Exports',
     component: Exports
+  },
+  {
+    path: '/tokens',
+    name: 'ApiTokens',
+    component: ApiTokens
+  },
+  {
+    path: '/workspace',
+    name: 'Workspace',
+    component: Workspace
+  },
+  {
+    path: '/audit',
+    name: 'Audit',
+    component: Audit
+  },
+  {
+    path: '/login',
+    name: 'Login',
+    component: Login,
+    meta: { public: true }
   }
 ]
 
@@ -47,4 +85,17 @@ const router = createRouter({
   routes
 })
 
+// Send signed-out users to the login page and signed-in users away from it
+router.beforeEach((to) => {
+  const authStore = useAuthStore()
+
+  if (!to.meta.public && !authStore.isAuthenticated) {
+    return { name: 'Login', query: { redirect: to.fullPath } }
+  }
+
+  if (to.name === 'Login' && authStore.isAuthenticated) {
+    return { path: '/' }
+  }
+})
+
 export default router
@@ -7,6 +7,7 @@ import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
 import apiClient from '../api/client.js'
 import socket from '../plugins/socket.js'
+import { useProjectStore } from './projectStore.js'
 
 /**
  * Pinia store for analytics data, notifications, and real-time Socket.IO updates
@@ -14,6 +15,8 @@ import socket from '../plugins/socket.js'
  * @returns {Object} Analytics store with reactive state and methods
  */
 export const useAnalyticsStore = defineStore('analytics', () => {
+  const projectStore = useProjectStore()
+
   const analytics = ref({
     totalTasks: 0,
     tasksByStatus: { pending: 0, 'in-progress': 0, completed: 0 },
@@ -22,10 +25,23 @@ export const useAnalyticsStore = defineStore('analytics', () => {
     averageCompletionTime: 0,
     tasksCreatedToday: 0,
     tasksCompletedToday: 0,
+    overdueTasks: 0,
+    overdueByPriority: { low: 0, medium: 0, high: 0 },
+    onTimeCompletionRate: 0,
+    tasksByTag: [],
     recentActivity: [],
     lastUpdated: null
   })
 
+  const trends = ref({})
+  const trendInterval = ref('day')
+  const burndown = ref({ unit: 'tasks', points: [] })
+  const cumulativeFlow = ref([])
+  const estimateAccuracy = ref(null)
+  const workload = ref({ assignees: [], unassigned: null })
+  // Count only tasks without subtasks, so a parent and its subtasks aren't counted twice
+  const leafOnly = ref(false)
+
   const loading = ref(false)
   const error = ref(null)
   const notifications = ref([])
@@ -68,7 +84,7 @@ export const useAnalyticsStore = defineStore('analytics', () => {
   ])
 
   /**
-   * Fetches analytics data from API
+   * Fetches analytics data from API, scoped to the selected project
    * @async
    * @function fetchAnalytics
    * @returns {Promise<void>}
@@ -78,7 +94,10 @@ export const useAnalyticsStore = defineStore('analytics', () => {
     error.value = null
 
     try {
-      const response = await apiClient.getAnalytics()
+      const response = await apiClient.getAnalytics({
+        ...projectStore.scopeParams,
+        ...(leafOnly.value ? { leafOnly: 'true' } : {})
+      })
       analytics.value = response.data
     } catch (err) {
       error.value = err.message
@@ -88,6 +107,124 @@ export const useAnalyticsStore = defineStore('analytics', () => {
     }
   }
 
+  /**
+   * Switches between counting all tasks and only tasks without subtasks, and refetches
+   * @function setLeafOnly
+   * @param {boolean} value - Whether to count only tasks without subtasks
+   */
+  function setLeafOnly(value) {
+    leafOnly.value = value
+    fetchAnalytics()
+  }
+
+  /**
+   * Fetches trend series for the given metrics at the current interval
+   * @async
+   * @function fetchTrends
+   * @param {Array<string>} metrics - Metric names (e.g. completionRate, backlog)
+   * @param {Object} [params={}] - Extra query parameters (from, to)
+   * @returns {Promise<void>}
+   */
+  async function fetchTrends(metrics, params = {}) {
+    try {
+      const responses = await Promise.all(
+        metrics.map((metric) =>
+          apiClient.getTrends({
+            metric,
+            interval: trendInterval.value,
+            ...params
+          })
+        )
+      )
+
+      responses.forEach((response) => {
+        trends.value = {
+          ...trends.value,
+          [response.data.metric]: response.data.points
+        }
+      })
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching trends:', err)
+    }
+  }
+
+  /**
+   * Fetches daily burndown/burnup data
+   * @async
+   * @function fetchBurndown
+   * @param {Object} [params={}] - Query parameters (from, to, unit, task filters)
+   * @returns {Promise<void>}
+   */
+  async function fetchBurndown(params = {}) {
+    try {
+      const response = await apiClient.getBurndown({
+        ...projectStore.scopeParams,
+        ...params
+      })
+      burndown.value = response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching burndown:', err)
+    }
+  }
+
+  /**
+   * Fetches daily status counts for the cumulative flow diagram
+   * @async
+   * @function fetchCumulativeFlow
+   * @param {Object} [params={}] - Query parameters (from, to, task filters)
+   * @returns {Promise<void>}
+   */
+  async function fetchCumulativeFlow(params = {}) {
+    try {
+      const response = await apiClient.getCumulativeFlow({
+        ...projectStore.scopeParams,
+        ...params
+      })
+      cumulativeFlow.value = response.data.points
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching cumulative flow:', err)
+    }
+  }
+
+  /**
+   * Fetches the estimation accuracy report
+   * @async
+   * @function fetchEstimateAccuracy
+   * @param {Object} [params={}] - Query parameters (from, to, limit)
+   * @returns {Promise<void>}
+   */
+  async function fetchEstimateAccuracy(params = {}) {
+    try {
+      const response = await apiClient.getEstimateAccuracy({
+        ...projectStore.scopeParams,
+        ...params
+      })
+      estimateAccuracy.value = response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching estimate accuracy:', err)
+    }
+  }
+
+  /**
+   * Fetches open work and completion rate per assignee
+   * @async
+   * @function fetchWorkload
+   * @returns {Promise<void>}
+   */
+  async function fetchWorkload() {
+    try {
+      const response = await apiClient.getWorkload(projectStore.scopeParams)
+      workload.value = response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching workload:', err)
+    }
+  }
+
   /**
    * Updates analytics data with new values
    * @function updateAnalytics
@@ -151,7 +288,12 @@ export const useAnalyticsStore = defineStore('analytics', () => {
     })
 
     socket.on('analytics-update', (data) => {
-      updateAnalytics(data)
+      // Broadcasts carry global metrics; project and leaf-only views refetch their own
+      if (projectStore.currentProjectId || leafOnly.value) {
+        fetchAnalytics()
+      } else {
+        updateAnalytics(data)
+      }
     })
 
     socket.on('analytics-error', (error) => {
@@ -211,6 +353,13 @@ export const useAnalyticsStore = defineStore('analytics', () => {
 
   return {
     analytics,
+    trends,
+    trendInterval,
+    burndown,
+    cumulativeFlow,
+    estimateAccuracy,
+    workload,
+    leafOnly,
     loading,
     error,
     notifications,
@@ -218,6 +367,12 @@ export const useAnalyticsStore = defineStore('analytics', () => {
     statusData,
     priorityData,
     fetchAnalytics,
+    setLeafOnly,
+    fetchTrends,
+    fetchBurndown,
+    fetchCumulativeFlow,
+    fetchEstimateAccuracy,
+    fetchWorkload,
     updateAnalytics,
     addNotification,
     removeNotification,
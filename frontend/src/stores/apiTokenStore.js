@@ -0,0 +1,103 @@
+/**
+ * @fileoverview API token store for the signed-in user's personal access tokens
+ * @module stores/apiTokenStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import apiClient from '../api/client.js'
+
+/**
+ * Pinia store for personal API tokens
+ * @function useApiTokenStore
+ * @returns {Object} API token store with reactive state and methods
+ */
+export const useApiTokenStore = defineStore('apiTokens', () => {
+  const tokens = ref([])
+  const loading = ref(false)
+  const error = ref(null)
+
+  /**
+   * Checks whether a token is past its expiry
+   * @function isExpired
+   * @param {Object} token - API token
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {boolean} True if the token no longer works
+   */
+  function isExpired(token, now = new Date()) {
+    return new Date(token.expiresAt) <= now
+  }
+
+  /**
+   * Fetches the user's API tokens
+   * @async
+   * @function fetchTokens
+   * @returns {Promise<void>}
+   */
+  async function fetchTokens() {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.getApiTokens()
+      tokens.value = response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching API tokens:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Creates an API token. The returned secret is not kept in the store.
+   * @async
+   * @function createToken
+   * @param {Object} tokenData - Token data (name, scopes, expiresInDays)
+   * @returns {Promise<string>} Token secret, shown to the user once
+   */
+  async function createToken(tokenData) {
+    error.value = null
+
+    try {
+      const response = await apiClient.createApiToken(tokenData)
+      const { secret, ...token } = response.data
+      tokens.value = [token, ...tokens.value]
+      return secret
+    } catch (err) {
+      error.value = err.message
+      console.error('Error creating API token:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Revokes an API token
+   * @async
+   * @function revokeToken
+   * @param {string} id - Token ID
+   * @returns {Promise<void>}
+   */
+  async function revokeToken(id) {
+    error.value = null
+
+    try {
+      await apiClient.revokeApiToken(id)
+      tokens.value = tokens.value.filter((token) => token._id !== id)
+    } catch (err) {
+      error.value = err.message
+      console.error('Error revoking API token:', err)
+      throw err
+    }
+  }
+
+  return {
+    tokens,
+    loading,
+    error,
+    isExpired,
+    fetchTokens,
+    createToken,
+    revokeToken
+  }
+})
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Audit store for browsing the workspace's audit log
+ * @module stores/auditStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import apiClient from '../api/client.js'
+
+/**
+ * Actions the audit log records, with labels for display
+ * @type {Array<Object>}
+ */
+export const AUDIT_ACTIONS = [
+  { value: 'task.create', title: 'Task created' },
+  { value: 'task.update', title: 'Task updated' },
+  { value: 'task.delete', title: 'Task deleted' },
+  { value: 'task.restore', title: 'Task restored' },
+  { value: 'task.purge', title: 'Task permanently deleted' },
+  { value: 'export.create', title: 'Export created' },
+  { value: 'export.download', title: 'Export downloaded' },
+  { value: 'export.cleanup', title: 'Exports cleaned up' }
+]
+
+/**
+ * Pinia store for audit entries with filters and pagination
+ * @function useAuditStore
+ * @returns {Object} Audit store with reactive state and methods
+ */
+export const useAuditStore = defineStore('audit', () => {
+  const entries = ref([])
+  const loading = ref(false)
+  const error = ref(null)
+  const filters = ref({
+    action: '',
+    targetId: '',
+    from: '',
+    to: ''
+  })
+  const pagination = ref({
+    page: 1,
+    limit: 20,
+    total: 0,
+    pages: 0
+  })
+
+  /**
+   * Returns the display label for an action
+   * @function getActionLabel
+   * @param {string} action - Action, e.g. 'task.delete'
+   * @returns {string} Label, or the action itself if unknown
+   */
+  function getActionLabel(action) {
+    return AUDIT_ACTIONS.find((item) => item.value === action)?.title || action
+  }
+
+  /**
+   * Fetches a page of audit entries using the current filters
+   * @async
+   * @function fetchEntries
+   * @returns {Promise<void>}
+   */
+  async function fetchEntries() {
+    loading.value = true
+    error.value = null
+
+    try {
+      const { from, to, ...rest } = filters.value
+      // Empty filters are left out rather than sent as blank values
+      const activeFilters = Object.fromEntries(
+        Object.entries(rest).filter(([, value]) => value)
+      )
+      // Dates are picked as local days; 'to' includes the whole day
+      if (from) activeFilters.from = new Date(`${from}T00:00:00`).toISOString()
+      if (to) activeFilters.to = new Date(`${to}T23:59:59.999`).toISOString()
+      const response = await apiClient.getAuditLog({
+        page: pagination.value.page,
+        limit: pagination.value.limit,
+        ...activeFilters
+      })
+
+      entries.value = response.data.entries
+      pagination.value = response.data.pagination
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching audit log:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Updates filters and refetches from the first page
+   * @function updateFilters
+   * @param {Object} newFilters - Filter values to change
+   */
+  function updateFilters(newFilters) {
+    filters.value = { ...filters.value, ...newFilters }
+    pagination.value.page = 1
+    fetchEntries()
+  }
+
+  /**
+   * Sets the page and refetches
+   * @function setPage
+   * @param {number} page - Page number
+   */
+  function setPage(page) {
+    pagination.value.page = page
+    fetchEntries()
+  }
+
+  return {
+    entries,
+    loading,
+    error,
+    filters,
+    pagination,
+    getActionLabel,
+    fetchEntries,
+    updateFilters,
+    setPage
+  }
+})
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Auth store for the signed-in user and session lifecycle
+ * @module stores/authStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import apiClient from '../api/client.js'
+
+/**
+ * localStorage key holding the signed-in user
+ * @type {string}
+ */
+const USER_STORAGE_KEY = 'authUser'
+
+/**
+ * Pinia store for authentication: sign in, registration, sign out and the current user
+ * @function useAuthStore
+ * @returns {Object} Auth store with reactive state and methods
+ */
+export const useAuthStore = defineStore('auth', () => {
+  // A remembered user only counts while the API client still holds tokens
+  const user = ref(
+    apiClient.getAccessToken()
+      ? JSON.parse(window.localStorage.getItem(USER_STORAGE_KEY) || 'null')
+      : null
+  )
+  const loading = ref(false)
+  const error = ref(null)
+
+  const isAuthenticated = computed(() => !!user.value)
+  const role = computed(() => user.value?.role || null)
+
+  /**
+   * Checks whether the signed-in user's role grants a permission.
+   * Permissions come from the server with the user, e.g. 'tasks:delete'.
+   * @function can
+   * @param {string} permission - Permission name
+   * @returns {boolean} True if the user has the permission
+   */
+  function can(permission) {
+    return !!user.value?.permissions?.includes(permission)
+  }
+
+  /**
+   * Stores a session returned by login, registration or refresh
+   * @function setSession
+   * @param {Object} session - Session data (user, accessToken, refreshToken)
+   */
+  function setSession(session) {
+    apiClient.setTokens(session)
+    user.value = session.user
+    window.localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(session.user))
+  }
+
+  /**
+   * Forgets the signed-in user and tokens
+   * @function clearSession
+   */
+  function clearSession() {
+    apiClient.clearTokens()
+    user.value = null
+    window.localStorage.removeItem(USER_STORAGE_KEY)
+  }
+
+  /**
+   * Signs in with email and password
+   * @async
+   * @function login
+   * @param {Object} credentials - Credentials (email, password)
+   * @returns {Promise<Object>} Signed-in user
+   */
+  async function login(credentials) {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.login(credentials)
+      setSession(response.data)
+      return response.data.user
+    } catch (err) {
+      error.value = err.message
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Creates an account and signs in
+   * @async
+   * @function register
+   * @param {Object} account - Account data (email, password, name)
+   * @returns {Promise<Object>} Signed-in user
+   */
+  async function register(account) {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.register(account)
+      setSession(response.data)
+      return response.data.user
+    } catch (err) {
+      error.value = err.message
+      throw err
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Signs out; the session is cleared locally even if revoking it fails
+   * @async
+   * @function logout
+   * @returns {Promise<void>}
+   */
+  async function logout() {
+    try {
+      await apiClient.logout()
+    } catch (err) {
+      console.error('Error logging out:', err)
+    } finally {
+      clearSession()
+    }
+  }
+
+  /**
+   * Refreshes the signed-in user's profile
+   * @async
+   * @function fetchCurrentUser
+   * @returns {Promise<void>}
+   */
+  async function fetchCurrentUser() {
+    try {
+      const response = await apiClient.getCurrentUser()
+      user.value = response.data
+      window.localStorage.setItem(
+        USER_STORAGE_KEY,
+        JSON.stringify(response.data)
+      )
+    } catch (err) {
+      console.error('Error fetching current user:', err)
+    }
+  }
+
+  // Sign out locally when the API client can no longer refresh the session
+  apiClient.onAuthFailure = clearSession
+
+  return {
+    user,
+    loading,
+    error,
+    isAuthenticated,
+    role,
+    can,
+    login,
+    register,
+    logout,
+    fetchCurrentUser,
+    clearSession
+  }
+})
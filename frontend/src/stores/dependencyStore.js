@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Dependency store for the workspace's blocks/blocked-by graph
+ * @module stores/dependencyStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import apiClient from '../api/client.js'
+import socket from '../plugins/socket.js'
+
+/**
+ * Pinia store for task dependencies
+ * @function useDependencyStore
+ * @returns {Object} Dependency store with reactive state and methods
+ */
+export const useDependencyStore = defineStore('dependencies', () => {
+  // Tasks that block or wait for others, and links from blocking to waiting task
+  const nodes = ref([])
+  const edges = ref([])
+  const loading = ref(false)
+  const error = ref(null)
+
+  /**
+   * Fetches the workspace's dependency graph
+   * @async
+   * @function fetchGraph
+   * @returns {Promise<void>}
+   */
+  async function fetchGraph() {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.getDependencyGraph()
+      nodes.value = response.data.nodes
+      edges.value = response.data.edges
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching dependency graph:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Fetches the tasks a task waits for and the tasks waiting for it
+   * @async
+   * @function fetchDependencies
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object>} blockedBy and blocks
+   */
+  async function fetchDependencies(taskId) {
+    try {
+      const response = await apiClient.getTaskDependencies(taskId)
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching task dependencies:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Checks whether a task's blockers are the ones the graph links it to
+   * @function hasSameBlockers
+   * @param {Object} task - Task data
+   * @returns {boolean} True if the graph's links to the task are unchanged
+   */
+  function hasSameBlockers(task) {
+    if (!task.blockedBy) return true
+
+    const linked = edges.value
+      .filter((edge) => edge.to === task._id)
+      .map((edge) => edge.from)
+    return (
+      linked.length === task.blockedBy.length &&
+      linked.every((id) => task.blockedBy.includes(id))
+    )
+  }
+
+  /**
+   * Handles real-time task updates: status and title changes are patched into
+   * the graph, anything that changes its links reloads it
+   * @function handleTaskUpdate
+   * @param {Object} data - Task update data
+   */
+  function handleTaskUpdate(data) {
+    const { action, task } = data
+    const node = nodes.value.find((n) => n._id === task._id)
+
+    if (action === 'updated' && node && hasSameBlockers(task)) {
+      Object.assign(node, {
+        title: task.title,
+        status: task.status,
+        blocked: task.blocked ?? node.blocked
+      })
+      return
+    }
+
+    if (node || task.blockedBy?.length > 0) {
+      fetchGraph()
+    }
+  }
+
+  /**
+   * Sets up Socket.IO event listeners
+   * @function initializeSocketListeners
+   */
+  function initializeSocketListeners() {
+    socket.on('task-update', handleTaskUpdate)
+  }
+
+  /**
+   * Removes Socket.IO event listeners
+   * @function cleanup
+   */
+  function cleanup() {
+    socket.off('task-update', handleTaskUpdate)
+  }
+
+  return {
+    nodes,
+    edges,
+    loading,
+    error,
+    fetchGraph,
+    fetchDependencies,
+    handleTaskUpdate,
+    initializeSocketListeners,
+    cleanup
+  }
+})
@@ -7,6 +7,7 @@ import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
 import apiClient from '../api/client.js'
 import socket from '../plugins/socket.js'
+import { useAuthStore } from './authStore.js'
 
 /**
  * Pinia store for export management with real-time updates
@@ -14,6 +15,8 @@ import socket from '../plugins/socket.js'
  * @returns {Object} Export store with reactive state and methods
  */
 export const useExportStore = defineStore('exports', () => {
+  const authStore = useAuthStore()
+
   const exports = ref([])
   const loading = ref(false)
   const error = ref(null)
@@ -148,7 +151,11 @@ export const useExportStore = defineStore('exports', () => {
 
       // Create download link
       const url = `/api/exports/${exportId}/download`
-      const response = await fetch(url)
+      let response = await fetch(url, { headers: apiClient.authHeaders() })
+
+      if (response.status === 401 && (await apiClient.refreshTokens())) {
+        response = await fetch(url, { headers: apiClient.authHeaders() })
+      }
 
       if (!response.ok) {
         const errorData = await response
@@ -263,11 +270,35 @@ export const useExportStore = defineStore('exports', () => {
   }
 
   /**
-   * Sets up Socket.IO event listeners
+   * Runs the export cleanup job now and reloads the history (admins only)
+   * @async
+   * @function runCleanup
+   * @param {Object} [options={}] - Cleanup options (retentionDays, dryRun)
+   * @returns {Promise<Object>} Cleanup results
+   */
+  async function runCleanup(options = {}) {
+    error.value = null
+
+    try {
+      const response = await apiClient.runExportCleanup(options)
+      await fetchExports()
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error running export cleanup:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Sets up Socket.IO event listeners. Only users allowed to manage exports
+   * join the exports room.
    * @function initializeSocketListeners
    */
   function initializeSocketListeners() {
-    socket.emit('join-exports')
+    if (authStore.can('exports:read')) {
+      socket.emit('join-exports')
+    }
     socket.on('export-update', handleExportUpdate)
   }
 
@@ -360,6 +391,7 @@ export const useExportStore = defineStore('exports', () => {
     createExport,
     fetchExports,
     downloadExport,
+    runCleanup,
     setPage,
     handleExportUpdate,
     initializeSocketListeners,
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Project store for the project list and the selected project scope
+ * @module stores/projectStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import apiClient from '../api/client.js'
+
+/**
+ * localStorage key remembering the selected project between visits
+ * @type {string}
+ */
+const CURRENT_PROJECT_KEY = 'currentProjectId'
+
+/**
+ * Pinia store for projects and the project the task list and analytics are scoped to
+ * @function useProjectStore
+ * @returns {Object} Project store with reactive state and methods
+ */
+export const useProjectStore = defineStore('projects', () => {
+  const projects = ref([])
+  const currentProjectId = ref(
+    window.localStorage.getItem(CURRENT_PROJECT_KEY) || ''
+  )
+  const loading = ref(false)
+  const error = ref(null)
+
+  const activeProjects = computed(() =>
+    projects.value.filter((project) => !project.archived)
+  )
+
+  const currentProject = computed(
+    () =>
+      projects.value.find(
+        (project) => project._id === currentProjectId.value
+      ) || null
+  )
+
+  // Query parameters limiting API calls to the selected project
+  const scopeParams = computed(() =>
+    currentProjectId.value ? { projectId: currentProjectId.value } : {}
+  )
+
+  /**
+   * Selects the project to scope tasks and analytics to and remembers it
+   * @function setCurrentProject
+   * @param {string} id - Project ID, 'none' for unassigned tasks, or '' for all tasks
+   */
+  function setCurrentProject(id) {
+    currentProjectId.value = id || ''
+
+    if (currentProjectId.value) {
+      window.localStorage.setItem(CURRENT_PROJECT_KEY, currentProjectId.value)
+    } else {
+      window.localStorage.removeItem(CURRENT_PROJECT_KEY)
+    }
+  }
+
+  /**
+   * Fetches projects, including archived ones so their tasks can still be labelled
+   * @async
+   * @function fetchProjects
+   * @returns {Promise<void>}
+   */
+  async function fetchProjects() {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.getProjects({ includeArchived: true })
+      projects.value = response.data
+
+      // Drop a remembered project that no longer exists
+      const id = currentProjectId.value
+      if (id && id !== 'none' && !currentProject.value) {
+        setCurrentProject('')
+      }
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching projects:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Creates a project
+   * @async
+   * @function createProject
+   * @param {Object} projectData - Project data (name, description, color)
+   * @returns {Promise<Object>} Created project
+   */
+  async function createProject(projectData) {
+    error.value = null
+
+    try {
+      const response = await apiClient.createProject(projectData)
+      projects.value = [
+        ...projects.value,
+        { ...response.data, taskCount: 0, openTaskCount: 0 }
+      ].sort((a, b) => a.name.localeCompare(b.name))
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error creating project:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Updates a project
+   * @async
+   * @function updateProject
+   * @param {string} id - Project ID
+   * @param {Object} updates - Fields to change (name, description, color, archived)
+   * @returns {Promise<Object>} Updated project
+   */
+  async function updateProject(id, updates) {
+    error.value = null
+
+    try {
+      const response = await apiClient.updateProject(id, updates)
+      projects.value = projects.value.map((project) =>
+        project._id === id ? { ...project, ...response.data } : project
+      )
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error updating project:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Deletes a project; its tasks become unassigned
+   * @async
+   * @function deleteProject
+   * @param {string} id - Project ID
+   * @returns {Promise<void>}
+   */
+  async function deleteProject(id) {
+    error.value = null
+
+    try {
+      await apiClient.deleteProject(id)
+      projects.value = projects.value.filter((project) => project._id !== id)
+
+      if (currentProjectId.value === id) {
+        setCurrentProject('')
+      }
+    } catch (err) {
+      error.value = err.message
+      console.error('Error deleting project:', err)
+      throw err
+    }
+  }
+
+  return {
+    projects,
+    currentProjectId,
+    loading,
+    error,
+    activeProjects,
+    currentProject,
+    scopeParams,
+    setCurrentProject,
+    fetchProjects,
+    createProject,
+    updateProject,
+    deleteProject
+  }
+})
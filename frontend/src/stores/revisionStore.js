@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Revision store for a task's field-level edit history
+ * @module stores/revisionStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import apiClient from '../api/client.js'
+
+/**
+ * Labels for the task fields revisions track
+ * @type {Object<string, string>}
+ */
+export const REVISION_FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  estimatedTime: 'Estimated time',
+  actualTime: 'Actual time',
+  dueDate: 'Due date',
+  reminderAt: 'Reminder',
+  tags: 'Tags',
+  projectId: 'Project',
+  assignees: 'Assignees',
+  parentId: 'Parent task',
+  autoComplete: 'Auto-complete',
+  blockedBy: 'Blocked by',
+  recurrence: 'Repeats',
+  checklist: 'Checklist'
+}
+
+/**
+ * Pinia store for the revisions of the task being edited
+ * @function useRevisionStore
+ * @returns {Object} Revision store with reactive state and methods
+ */
+export const useRevisionStore = defineStore('revisions', () => {
+  const taskId = ref(null)
+  const revisions = ref([])
+  const loading = ref(false)
+  const error = ref(null)
+
+  /**
+   * Fetches a task's revisions, newest first
+   * @async
+   * @function fetchRevisions
+   * @param {string} id - Task ID
+   * @returns {Promise<void>}
+   */
+  async function fetchRevisions(id) {
+    if (taskId.value !== id) {
+      revisions.value = []
+    }
+    taskId.value = id
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.getTaskRevisions(id)
+      // Ignore a slow response for a task that is no longer shown
+      if (taskId.value === id) {
+        revisions.value = response.data
+      }
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching task revisions:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  return {
+    taskId,
+    revisions,
+    loading,
+    error,
+    fetchRevisions
+  }
+})
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Tag store for the tag registry used by task labels
+ * @module stores/tagStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import apiClient from '../api/client.js'
+
+/**
+ * Color used for tags missing from the registry
+ * @type {string}
+ */
+const FALLBACK_TAG_COLOR = '#607D8B'
+
+/**
+ * Pinia store for registered tags and their colors
+ * @function useTagStore
+ * @returns {Object} Tag store with reactive state and methods
+ */
+export const useTagStore = defineStore('tags', () => {
+  const tags = ref([])
+  const loading = ref(false)
+  const error = ref(null)
+
+  const tagNames = computed(() => tags.value.map((tag) => tag.name))
+
+  const colorsByName = computed(() =>
+    Object.fromEntries(tags.value.map((tag) => [tag.name, tag.color]))
+  )
+
+  /**
+   * Returns the display color for a tag
+   * @function getColor
+   * @param {string} name - Tag name
+   * @returns {string} Hex color
+   */
+  function getColor(name) {
+    return colorsByName.value[name] || FALLBACK_TAG_COLOR
+  }
+
+  /**
+   * Fetches the tag registry
+   * @async
+   * @function fetchTags
+   * @returns {Promise<void>}
+   */
+  async function fetchTags() {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.getTags()
+      tags.value = response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching tags:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Registers a new tag
+   * @async
+   * @function createTag
+   * @param {Object} tagData - Tag data (name, color)
+   * @returns {Promise<Object>} Created tag
+   */
+  async function createTag(tagData) {
+    error.value = null
+
+    try {
+      const response = await apiClient.createTag(tagData)
+      tags.value = [...tags.value, { ...response.data, count: 0 }].sort(
+        (a, b) => a.name.localeCompare(b.name)
+      )
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error creating tag:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Updates a tag's name or color
+   * @async
+   * @function updateTag
+   * @param {string} id - Tag ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} Updated tag
+   */
+  async function updateTag(id, updates) {
+    error.value = null
+
+    try {
+      const response = await apiClient.updateTag(id, updates)
+      tags.value = tags.value.map((tag) =>
+        tag._id === id ? { ...tag, ...response.data } : tag
+      )
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error updating tag:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Deletes a tag
+   * @async
+   * @function deleteTag
+   * @param {string} id - Tag ID
+   * @returns {Promise<void>}
+   */
+  async function deleteTag(id) {
+    error.value = null
+
+    try {
+      await apiClient.deleteTag(id)
+      tags.value = tags.value.filter((tag) => tag._id !== id)
+    } catch (err) {
+      error.value = err.message
+      console.error('Error deleting tag:', err)
+      throw err
+    }
+  }
+
+  return {
+    tags,
+    loading,
+    error,
+    tagNames,
+    getColor,
+    fetchTags,
+    createTag,
+    updateTag,
+    deleteTag
+  }
+})
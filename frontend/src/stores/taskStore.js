@@ -7,6 +7,7 @@ import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
 import apiClient from '../api/client.js'
 import socket from '../plugins/socket.js'
+import { useProjectStore } from './projectStore.js'
 
 /**
  * Pinia store for task management with pagination, filtering, and real-time updates
@@ -14,9 +15,14 @@ import socket from '../plugins/socket.js'
  * @returns {Object} Task store with reactive state and methods
  */
 export const useTaskStore = defineStore('tasks', () => {
+  const projectStore = useProjectStore()
+
   const tasks = ref([])
+  // Subtasks of expanded parents, by parent ID; the list itself holds top-level tasks
+  const subtasks = ref({})
   const loading = ref(false)
   const error = ref(null)
+  const tagFacets = ref([])
   const pagination = ref({
     page: 1,
     limit: 10,
@@ -32,6 +38,15 @@ export const useTaskStore = defineStore('tasks', () => {
     dateTo: '',
     completedDateFrom: '',
     completedDateTo: '',
+    dueAfter: '',
+    dueBefore: '',
+    overdue: '',
+    tags: [],
+    tagMode: 'any',
+    assignee: '',
+    unassigned: '',
+    parentId: 'none',
+    blocked: '',
     sortBy: 'createdAt',
     sortOrder: 'desc'
   })
@@ -80,17 +95,24 @@ export const useTaskStore = defineStore('tasks', () => {
         page: pagination.value.page,
         limit: pagination.value.limit,
         ...filters.value,
+        ...projectStore.scopeParams,
         ...params
       }
 
       Object.keys(queryParams).forEach((key) => {
-        if (!queryParams[key]) delete queryParams[key]
+        const value = queryParams[key]
+        if (!value || (Array.isArray(value) && value.length === 0)) {
+          delete queryParams[key]
+        }
       })
 
+      if (!queryParams.tags) delete queryParams.tagMode
+
       const response = await apiClient.getTasks(queryParams)
 
       tasks.value = response.data.tasks
       pagination.value = response.data.pagination
+      tagFacets.value = response.data.facets?.tags || []
     } catch (err) {
       error.value = err.message
       console.error('Error fetching tasks:', err)
@@ -99,6 +121,25 @@ export const useTaskStore = defineStore('tasks', () => {
     }
   }
 
+  /**
+   * Fetches a task's subtasks into the subtasks map
+   * @async
+   * @function fetchSubtasks
+   * @param {string} parentId - Parent task ID
+   * @returns {Promise<Array>} Subtasks
+   */
+  async function fetchSubtasks(parentId) {
+    try {
+      const response = await apiClient.getSubtasks(parentId)
+      subtasks.value[parentId] = response.data
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching subtasks:', err)
+      throw err
+    }
+  }
+
   /**
    * Fetches a single task by ID
    * @async
@@ -135,9 +176,7 @@ export const useTaskStore = defineStore('tasks', () => {
 
     try {
       const response = await apiClient.createTask(taskData)
-
-      tasks.value.unshift(response.data)
-      pagination.value.total++
+      addTask(response.data)
 
       return response.data
     } catch (err) {
@@ -150,27 +189,55 @@ export const useTaskStore = defineStore('tasks', () => {
   }
 
   /**
-   * Updates an existing task
+   * Creates a task from a template, filling in its variables
+   * @async
+   * @function createTaskFromTemplate
+   * @param {string} templateId - Template ID
+   * @param {Object} [options={}] - Variable values, and optional dueDate and projectId overrides
+   * @returns {Promise<Object>} Created task
+   */
+  async function createTaskFromTemplate(templateId, options = {}) {
+    error.value = null
+
+    try {
+      const response = await apiClient.createTaskFromTemplate(
+        templateId,
+        options
+      )
+      addTask(response.data)
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error creating task from template:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Updates an existing task. With a version, a task changed since by someone else
+   * fails with status 409 and the current task as the error's data, which also
+   * replaces the stale copy in the list. Starting a blocked task without force
+   * fails with status 409 and the open blockers as the error's data.
    * @async
    * @function updateTask
    * @param {string} id - Task ID
    * @param {Object} updates - Update data
+   * @param {number} [version] - Task version the updates were made to
    * @returns {Promise<Object>} Updated task
    */
-  async function updateTask(id, updates) {
+  async function updateTask(id, updates, version) {
     loading.value = true
     error.value = null
 
     try {
-      const response = await apiClient.updateTask(id, updates)
-
-      const index = tasks.value.findIndex((task) => task._id === id)
-      if (index !== -1) {
-        tasks.value[index] = response.data
-      }
+      const response = await apiClient.updateTask(id, updates, version)
+      replaceTask(response.data)
 
       return response.data
     } catch (err) {
+      if (err.status === 409 && err.data?._id) {
+        replaceTask(err.data)
+      }
       error.value = err.message
       console.error('Error updating task:', err)
       throw err
@@ -180,7 +247,113 @@ export const useTaskStore = defineStore('tasks', () => {
   }
 
   /**
-   * Deletes a task by ID
+   * Brings a task back to how it was right after a revision
+   * @async
+   * @function revertTask
+   * @param {string} id - Task ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object>} Updated task
+   */
+  async function revertTask(id, revision) {
+    error.value = null
+
+    try {
+      const response = await apiClient.revertTask(id, revision)
+      replaceTask(response.data)
+
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error reverting task:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Runs a checklist change and shows the task it returns
+   * @async
+   * @function changeChecklist
+   * @param {Function} request - API call resolving to the updated task response
+   * @param {string} action - What was being changed, for the error log
+   * @returns {Promise<Object>} Updated task
+   */
+  async function changeChecklist(request, action) {
+    error.value = null
+
+    try {
+      const response = await request()
+      replaceTask(response.data)
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error(`Error ${action}:`, err)
+      throw err
+    }
+  }
+
+  /**
+   * Adds an item to the end of a task's checklist
+   * @async
+   * @function addChecklistItem
+   * @param {string} id - Task ID
+   * @param {string} text - Item text
+   * @returns {Promise<Object>} Updated task
+   */
+  function addChecklistItem(id, text) {
+    return changeChecklist(
+      () => apiClient.addChecklistItem(id, text),
+      'adding checklist item'
+    )
+  }
+
+  /**
+   * Ticks off, reopens or renames a checklist item
+   * @async
+   * @function updateChecklistItem
+   * @param {string} id - Task ID
+   * @param {string} itemId - Checklist item ID
+   * @param {Object} changes - Item changes (done, text)
+   * @returns {Promise<Object>} Updated task
+   */
+  function updateChecklistItem(id, itemId, changes) {
+    return changeChecklist(
+      () => apiClient.updateChecklistItem(id, itemId, changes),
+      'updating checklist item'
+    )
+  }
+
+  /**
+   * Removes an item from a task's checklist
+   * @async
+   * @function deleteChecklistItem
+   * @param {string} id - Task ID
+   * @param {string} itemId - Checklist item ID
+   * @returns {Promise<Object>} Updated task
+   */
+  function deleteChecklistItem(id, itemId) {
+    return changeChecklist(
+      () => apiClient.deleteChecklistItem(id, itemId),
+      'removing checklist item'
+    )
+  }
+
+  /**
+   * Puts a task's checklist items in a new order
+   * @async
+   * @function reorderChecklist
+   * @param {string} id - Task ID
+   * @param {Array<string>} itemIds - Every checklist item ID in the new order
+   * @returns {Promise<Object>} Updated task
+   */
+  function reorderChecklist(id, itemIds) {
+    return changeChecklist(
+      () => apiClient.reorderChecklist(id, itemIds),
+      'reordering checklist'
+    )
+  }
+
+  /**
+   * Moves a task to the trash
    * @async
    * @function deleteTask
    * @param {string} id - Task ID
@@ -192,12 +365,7 @@ export const useTaskStore = defineStore('tasks', () => {
 
     try {
       await apiClient.deleteTask(id)
-
-      const index = tasks.value.findIndex((task) => task._id === id)
-      if (index !== -1) {
-        tasks.value.splice(index, 1)
-        pagination.value.total--
-      }
+      removeTask(id)
     } catch (err) {
       error.value = err.message
       console.error('Error deleting task:', err)
@@ -207,6 +375,110 @@ export const useTaskStore = defineStore('tasks', () => {
     }
   }
 
+  /**
+   * Takes a task back out of the trash, e.g. to undo a deletion
+   * @async
+   * @function restoreTask
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Restored task
+   */
+  async function restoreTask(id) {
+    error.value = null
+
+    try {
+      const response = await apiClient.restoreTask(id)
+      addTask(response.data)
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error restoring task:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Finds the list a shown task is in: the top-level list or its parent's subtasks
+   * @function findList
+   * @param {string} id - Task ID
+   * @returns {Array|null} List holding the task, or null if it isn't shown
+   */
+  function findList(id) {
+    return (
+      [tasks.value, ...Object.values(subtasks.value)].find((list) =>
+        list.some((t) => t._id === id)
+      ) || null
+    )
+  }
+
+  /**
+   * Replaces a shown task with a newer copy; older copies, e.g. from a socket
+   * event that arrives late, are ignored. Copies without a rollup or blocked state
+   * keep the shown ones, and a subtask moved to another parent moves along.
+   * @function replaceTask
+   * @param {Object} task - Task data
+   */
+  function replaceTask(task) {
+    const list = findList(task._id)
+    if (!list) return
+
+    const index = list.findIndex((t) => t._id === task._id)
+    if ((task.version || 1) < (list[index].version || 1)) return
+
+    const parentChanged =
+      (list[index].parentId || null) !== (task.parentId || null)
+    if (parentChanged) {
+      removeTask(task._id)
+      addTask(task)
+    } else {
+      list[index] = {
+        rollup: list[index].rollup,
+        blocked: list[index].blocked,
+        ...task
+      }
+    }
+  }
+
+  /**
+   * Adds a task unless it is already shown: top-level tasks to the top of the
+   * list, subtasks to their parent's subtasks if those are loaded
+   * @function addTask
+   * @param {Object} task - Task data
+   */
+  function addTask(task) {
+    if (task.parentId) {
+      const list = subtasks.value[task.parentId]
+      if (list && !list.find((t) => t._id === task._id)) {
+        list.push(task)
+      }
+      return
+    }
+
+    if (!tasks.value.find((t) => t._id === task._id)) {
+      tasks.value.unshift(task)
+      pagination.value.total++
+    }
+  }
+
+  /**
+   * Removes a task from the list or its parent's subtasks
+   * @function removeTask
+   * @param {string} id - Task ID
+   */
+  function removeTask(id) {
+    const index = tasks.value.findIndex((t) => t._id === id)
+    if (index !== -1) {
+      tasks.value.splice(index, 1)
+      pagination.value.total--
+    }
+
+    for (const list of Object.values(subtasks.value)) {
+      const subtaskIndex = list.findIndex((t) => t._id === id)
+      if (subtaskIndex !== -1) {
+        list.splice(subtaskIndex, 1)
+      }
+    }
+  }
+
   /**
    * Updates task filters and refetches data
    * @function updateFilters
@@ -238,26 +510,15 @@ export const useTaskStore = defineStore('tasks', () => {
 
     switch (action) {
       case 'created':
-        if (!tasks.value.find((t) => t._id === task._id)) {
-          tasks.value.unshift(task)
-          pagination.value.total++
-        }
+      case 'restored':
+        addTask(task)
         break
-      case 'updated': {
-        const index = tasks.value.findIndex((t) => t._id === task._id)
-        if (index !== -1) {
-          tasks.value[index] = task
-        }
+      case 'updated':
+        replaceTask(task)
         break
-      }
-      case 'deleted': {
-        const deleteIndex = tasks.value.findIndex((t) => t._id === task._id)
-        if (deleteIndex !== -1) {
-          tasks.value.splice(deleteIndex, 1)
-          pagination.value.total--
-        }
+      case 'deleted':
+        removeTask(task._id)
         break
-      }
     }
   }
 
@@ -279,10 +540,12 @@ export const useTaskStore = defineStore('tasks', () => {
 
   return {
     tasks,
+    subtasks,
     loading,
     error,
     pagination,
     filters,
+    tagFacets,
     pendingTasks,
     inProgressTasks,
     completedTasks,
@@ -290,10 +553,18 @@ export const useTaskStore = defineStore('tasks', () => {
     tasksByStatus,
     tasksByPriority,
     fetchTasks,
+    fetchSubtasks,
     getTask,
     createTask,
+    createTaskFromTemplate,
     updateTask,
+    revertTask,
+    addChecklistItem,
+    updateChecklistItem,
+    deleteChecklistItem,
+    reorderChecklist,
     deleteTask,
+    restoreTask,
     updateFilters,
     setPage,
     handleTaskUpdate,
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Template store for reusable task templates
+ * @module stores/templateStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import apiClient from '../api/client.js'
+
+/**
+ * Pinia store for the workspace's task templates
+ * @function useTemplateStore
+ * @returns {Object} Template store with reactive state and methods
+ */
+export const useTemplateStore = defineStore('templates', () => {
+  const templates = ref([])
+  const loading = ref(false)
+  const error = ref(null)
+
+  /**
+   * Keeps templates sorted by name, as the API returns them
+   * @function sortByName
+   * @param {Array<Object>} list - Templates
+   * @returns {Array<Object>} Sorted templates
+   */
+  function sortByName(list) {
+    return [...list].sort((a, b) => a.name.localeCompare(b.name))
+  }
+
+  /**
+   * Fetches the workspace's templates
+   * @async
+   * @function fetchTemplates
+   * @returns {Promise<void>}
+   */
+  async function fetchTemplates() {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.getTemplates()
+      templates.value = response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching templates:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Creates a template
+   * @async
+   * @function createTemplate
+   * @param {Object} templateData - Template data
+   * @returns {Promise<Object>} Created template
+   */
+  async function createTemplate(templateData) {
+    error.value = null
+
+    try {
+      const response = await apiClient.createTemplate(templateData)
+      templates.value = sortByName([...templates.value, response.data])
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error creating template:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Updates a template
+   * @async
+   * @function updateTemplate
+   * @param {string} id - Template ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} Updated template
+   */
+  async function updateTemplate(id, updates) {
+    error.value = null
+
+    try {
+      const response = await apiClient.updateTemplate(id, updates)
+      templates.value = sortByName(
+        templates.value.map((template) =>
+          template._id === id ? response.data : template
+        )
+      )
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error updating template:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Deletes a template
+   * @async
+   * @function deleteTemplate
+   * @param {string} id - Template ID
+   * @returns {Promise<void>}
+   */
+  async function deleteTemplate(id) {
+    error.value = null
+
+    try {
+      await apiClient.deleteTemplate(id)
+      templates.value = templates.value.filter(
+        (template) => template._id !== id
+      )
+    } catch (err) {
+      error.value = err.message
+      console.error('Error deleting template:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Imports the starter templates the workspace does not have yet, then reloads the list
+   * @async
+   * @function importStarterTemplates
+   * @returns {Promise<Object>} Numbers of templates imported and skipped
+   */
+  async function importStarterTemplates() {
+    error.value = null
+
+    try {
+      const response = await apiClient.importStarterTemplates()
+      await fetchTemplates()
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error importing starter templates:', err)
+      throw err
+    }
+  }
+
+  return {
+    templates,
+    loading,
+    error,
+    fetchTemplates,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    importStarterTemplates
+  }
+})
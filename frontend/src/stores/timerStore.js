@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Timer store for task time tracking sessions and real-time timer state
+ * @module stores/timerStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import apiClient from '../api/client.js'
+import socket from '../plugins/socket.js'
+
+/**
+ * Pinia store for running task timers and time entries
+ * @function useTimerStore
+ * @returns {Object} Timer store with reactive state and methods
+ */
+export const useTimerStore = defineStore('timers', () => {
+  const runningTimers = ref({})
+  const timeEntries = ref({})
+  const error = ref(null)
+
+  /**
+   * Checks whether a task has a running timer
+   * @function isRunning
+   * @param {string} taskId - Task ID
+   * @returns {boolean} True if a timer is running
+   */
+  function isRunning(taskId) {
+    return !!runningTimers.value[taskId]
+  }
+
+  /**
+   * Starts a timer for a task
+   * @async
+   * @function startTimer
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object>} Running time entry
+   */
+  async function startTimer(taskId) {
+    error.value = null
+
+    try {
+      const response = await apiClient.startTimer(taskId)
+      runningTimers.value = { ...runningTimers.value, [taskId]: response.data }
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error starting timer:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Stops the running timer for a task
+   * @async
+   * @function stopTimer
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object>} Stopped entry and updated task
+   */
+  async function stopTimer(taskId) {
+    error.value = null
+
+    try {
+      const response = await apiClient.stopTimer(taskId)
+      removeRunning(taskId)
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error stopping timer:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Fetches time entries for a task
+   * @async
+   * @function fetchTimeEntries
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Array>} Time entries, newest first
+   */
+  async function fetchTimeEntries(taskId) {
+    try {
+      const response = await apiClient.getTimeEntries(taskId)
+      timeEntries.value = {
+        ...timeEntries.value,
+        [taskId]: response.data.entries
+      }
+      return response.data.entries
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching time entries:', err)
+      return []
+    }
+  }
+
+  /**
+   * Removes a task from the running timers map
+   * @function removeRunning
+   * @param {string} taskId - Task ID
+   */
+  function removeRunning(taskId) {
+    const next = { ...runningTimers.value }
+    delete next[taskId]
+    runningTimers.value = next
+  }
+
+  /**
+   * Handles real-time timer start/stop events from Socket.IO
+   * @function handleTimerUpdate
+   * @param {Object} data - Timer update data
+   */
+  function handleTimerUpdate(data) {
+    const { action, taskId, entry } = data
+
+    if (action === 'started') {
+      runningTimers.value = { ...runningTimers.value, [taskId]: entry }
+    } else if (action === 'stopped') {
+      removeRunning(taskId)
+      if (timeEntries.value[taskId]) {
+        fetchTimeEntries(taskId)
+      }
+    }
+  }
+
+  /**
+   * Replaces running timers with the server's current state
+   * @function handleTimerState
+   * @param {Array} entries - Running time entries
+   */
+  function handleTimerState(entries) {
+    runningTimers.value = Object.fromEntries(
+      entries.map((entry) => [entry.taskId, entry])
+    )
+  }
+
+  /**
+   * Requests the running timers from the server
+   * @function requestTimers
+   */
+  function requestTimers() {
+    socket.emit('request-timers')
+  }
+
+  /**
+   * Sets up Socket.IO event listeners
+   * @function initializeSocketListeners
+   */
+  function initializeSocketListeners() {
+    socket.on('timer-update', handleTimerUpdate)
+    socket.on('timer-state', handleTimerState)
+    socket.on('connect', requestTimers)
+    requestTimers()
+  }
+
+  /**
+   * Removes Socket.IO event listeners
+   * @function cleanup
+   */
+  function cleanup() {
+    socket.off('timer-update', handleTimerUpdate)
+    socket.off('timer-state', handleTimerState)
+    socket.off('connect', requestTimers)
+  }
+
+  return {
+    runningTimers,
+    timeEntries,
+    error,
+    isRunning,
+    startTimer,
+    stopTimer,
+    fetchTimeEntries,
+    handleTimerUpdate,
+    handleTimerState,
+    initializeSocketListeners,
+    cleanup
+  }
+})
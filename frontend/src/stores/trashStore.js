@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Trash store for browsing, restoring and permanently deleting trashed tasks
+ * @module stores/trashStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import apiClient from '../api/client.js'
+
+/**
+ * Pinia store for the workspace's trashed tasks
+ * @function useTrashStore
+ * @returns {Object} Trash store with reactive state and methods
+ */
+export const useTrashStore = defineStore('trash', () => {
+  const tasks = ref([])
+  const loading = ref(false)
+  const error = ref(null)
+  const retentionDays = ref(null)
+  const pagination = ref({
+    page: 1,
+    limit: 20,
+    total: 0,
+    pages: 0
+  })
+
+  /**
+   * Fetches a page of trashed tasks
+   * @async
+   * @function fetchTrash
+   * @returns {Promise<void>}
+   */
+  async function fetchTrash() {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.getTrash({
+        page: pagination.value.page,
+        limit: pagination.value.limit
+      })
+
+      tasks.value = response.data.tasks
+      pagination.value = response.data.pagination
+      retentionDays.value = response.data.retentionDays
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching trash:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Drops a task from the list once it has left the trash
+   * @function removeFromList
+   * @param {string} id - Task ID
+   */
+  function removeFromList(id) {
+    const index = tasks.value.findIndex((task) => task._id === id)
+    if (index !== -1) {
+      tasks.value.splice(index, 1)
+      pagination.value.total--
+    }
+  }
+
+  /**
+   * Takes a task back out of the trash
+   * @async
+   * @function restoreTask
+   * @param {string} id - Task ID
+   * @returns {Promise<Object>} Restored task
+   */
+  async function restoreTask(id) {
+    error.value = null
+
+    try {
+      const response = await apiClient.restoreTask(id)
+      removeFromList(id)
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error restoring task:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Permanently deletes a trashed task
+   * @async
+   * @function purgeTask
+   * @param {string} id - Task ID
+   * @returns {Promise<void>}
+   */
+  async function purgeTask(id) {
+    error.value = null
+
+    try {
+      await apiClient.purgeTask(id)
+      removeFromList(id)
+    } catch (err) {
+      error.value = err.message
+      console.error('Error permanently deleting task:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Sets the page and refetches
+   * @function setPage
+   * @param {number} page - Page number
+   */
+  function setPage(page) {
+    pagination.value.page = page
+    fetchTrash()
+  }
+
+  return {
+    tasks,
+    loading,
+    error,
+    retentionDays,
+    pagination,
+    fetchTrash,
+    restoreTask,
+    purgeTask,
+    setPage
+  }
+})
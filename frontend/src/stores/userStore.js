@@ -0,0 +1,81 @@
+/**
+ * @fileoverview User store for the user directory used to pick and show task assignees
+ * @module stores/userStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import apiClient from '../api/client.js'
+
+/**
+ * Pinia store for user accounts
+ * @function useUserStore
+ * @returns {Object} User store with reactive state and methods
+ */
+export const useUserStore = defineStore('users', () => {
+  const users = ref([])
+  const loading = ref(false)
+  const error = ref(null)
+
+  const usersById = computed(() =>
+    Object.fromEntries(users.value.map((user) => [user._id, user]))
+  )
+
+  /**
+   * Returns a user by ID
+   * @function getUser
+   * @param {string} id - User ID
+   * @returns {Object|undefined} User, if known
+   */
+  function getUser(id) {
+    return usersById.value[id]
+  }
+
+  /**
+   * Returns initials for an avatar, e.g. "Ada Lovelace" -> "AL"
+   * @function getInitials
+   * @param {string} id - User ID
+   * @returns {string} Up to two initials, or "?" for unknown users
+   */
+  function getInitials(id) {
+    const name = getUser(id)?.name
+    if (!name) return '?'
+
+    return name
+      .split(/\s+/)
+      .filter(Boolean)
+      .slice(0, 2)
+      .map((part) => part[0].toUpperCase())
+      .join('')
+  }
+
+  /**
+   * Fetches the user directory
+   * @async
+   * @function fetchUsers
+   * @returns {Promise<void>}
+   */
+  async function fetchUsers() {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.getUsers()
+      users.value = response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching users:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  return {
+    users,
+    loading,
+    error,
+    getUser,
+    getInitials,
+    fetchUsers
+  }
+})
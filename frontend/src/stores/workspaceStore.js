@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Workspace store for the user's workspaces, the selected workspace and its members
+ * @module stores/workspaceStore
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import apiClient from '../api/client.js'
+
+/**
+ * Pinia store for workspaces. The selected workspace is kept by the API client,
+ * which sends it with every request and socket connection.
+ * @function useWorkspaceStore
+ * @returns {Object} Workspace store with reactive state and methods
+ */
+export const useWorkspaceStore = defineStore('workspaces', () => {
+  const workspaces = ref([])
+  const currentWorkspaceId = ref(apiClient.getWorkspaceId() || '')
+  const members = ref([])
+  const loading = ref(false)
+  const error = ref(null)
+
+  const currentWorkspace = computed(
+    () =>
+      workspaces.value.find(
+        (workspace) => workspace._id === currentWorkspaceId.value
+      ) || null
+  )
+
+  /**
+   * Selects the workspace all requests act on and remembers it
+   * @function setCurrentWorkspace
+   * @param {string} id - Workspace ID, or '' to clear the selection
+   */
+  function setCurrentWorkspace(id) {
+    currentWorkspaceId.value = id || ''
+    apiClient.setWorkspaceId(currentWorkspaceId.value)
+    members.value = []
+  }
+
+  /**
+   * Fetches the user's workspaces, falling back to the first one when the
+   * remembered workspace is gone or the user is no longer a member
+   * @async
+   * @function fetchWorkspaces
+   * @returns {Promise<void>}
+   */
+  async function fetchWorkspaces() {
+    loading.value = true
+    error.value = null
+
+    try {
+      const response = await apiClient.getWorkspaces()
+      workspaces.value = response.data
+
+      if (!currentWorkspace.value) {
+        setCurrentWorkspace(workspaces.value[0]?._id || '')
+      }
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching workspaces:', err)
+    } finally {
+      loading.value = false
+    }
+  }
+
+  /**
+   * Creates a workspace with the signed-in user as its first member
+   * @async
+   * @function createWorkspace
+   * @param {Object} workspaceData - Workspace data (name)
+   * @returns {Promise<Object>} Created workspace
+   */
+  async function createWorkspace(workspaceData) {
+    error.value = null
+
+    try {
+      const response = await apiClient.createWorkspace(workspaceData)
+      workspaces.value = [
+        ...workspaces.value,
+        { ...response.data, memberCount: 1 }
+      ].sort((a, b) => a.name.localeCompare(b.name))
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error creating workspace:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Renames a workspace
+   * @async
+   * @function renameWorkspace
+   * @param {string} id - Workspace ID
+   * @param {string} name - New name
+   * @returns {Promise<Object>} Updated workspace
+   */
+  async function renameWorkspace(id, name) {
+    error.value = null
+
+    try {
+      const response = await apiClient.updateWorkspace(id, { name })
+      workspaces.value = workspaces.value.map((workspace) =>
+        workspace._id === id
+          ? { ...workspace, name: response.data.name }
+          : workspace
+      )
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error renaming workspace:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Fetches the members of the selected workspace
+   * @async
+   * @function fetchMembers
+   * @returns {Promise<void>}
+   */
+  async function fetchMembers() {
+    if (!currentWorkspaceId.value) return
+    error.value = null
+
+    try {
+      const response = await apiClient.getWorkspaceMembers(
+        currentWorkspaceId.value
+      )
+      members.value = response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error fetching workspace members:', err)
+    }
+  }
+
+  /**
+   * Keeps the member count shown in the switcher in step with the member list
+   * @function syncMemberCount
+   */
+  function syncMemberCount() {
+    workspaces.value = workspaces.value.map((workspace) =>
+      workspace._id === currentWorkspaceId.value
+        ? { ...workspace, memberCount: members.value.length }
+        : workspace
+    )
+  }
+
+  /**
+   * Adds a user to the selected workspace by email
+   * @async
+   * @function addMember
+   * @param {string} email - Email of the user to add
+   * @returns {Promise<Object>} Added user
+   */
+  async function addMember(email) {
+    error.value = null
+
+    try {
+      const response = await apiClient.addWorkspaceMember(
+        currentWorkspaceId.value,
+        email
+      )
+      if (!members.value.some((member) => member._id === response.data._id)) {
+        members.value = [...members.value, response.data].sort((a, b) =>
+          a.name.localeCompare(b.name)
+        )
+        syncMemberCount()
+      }
+      return response.data
+    } catch (err) {
+      error.value = err.message
+      console.error('Error adding workspace member:', err)
+      throw err
+    }
+  }
+
+  /**
+   * Removes a user from the selected workspace
+   * @async
+   * @function removeMember
+   * @param {string} userId - ID of the member to remove
+   * @returns {Promise<void>}
+   */
+  async function removeMember(userId) {
+    error.value = null
+
+    try {
+      await apiClient.removeWorkspaceMember(currentWorkspaceId.value, userId)
+      members.value = members.value.filter((member) => member._id !== userId)
+      syncMemberCount()
+    } catch (err) {
+      error.value = err.message
+      console.error('Error removing workspace member:', err)
+      throw err
+    }
+  }
+
+  return {
+    workspaces,
+    currentWorkspaceId,
+    members,
+    loading,
+    error,
+    currentWorkspace,
+    setCurrentWorkspace,
+    fetchWorkspaces,
+    createWorkspace,
+    renameWorkspace,
+    fetchMembers,
+    addMember,
+    removeMember
+  }
+})
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Helpers for recurring task rules
+ * @module utils/recurrence
+ */
+
+/**
+ * Weekdays in RRULE order, starting on Monday
+ * @type {Array<{value: string, title: string}>}
+ */
+export const WEEKDAYS = [
+  { value: 'MO', title: 'Mon' },
+  { value: 'TU', title: 'Tue' },
+  { value: 'WE', title: 'Wed' },
+  { value: 'TH', title: 'Thu' },
+  { value: 'FR', title: 'Fri' },
+  { value: 'SA', title: 'Sat' },
+  { value: 'SU', title: 'Sun' }
+]
+
+const UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month'
+}
+
+/**
+ * Gets the RRULE weekday code of a date in the user's timezone
+ * @param {Date} date - Date
+ * @returns {string} Weekday code ('MO' to 'SU')
+ */
+export function weekdayOf(date) {
+  return WEEKDAYS[(date.getDay() + 6) % 7].value
+}
+
+/**
+ * Builds the rule a task gets when it is made recurring: weekly on its due date's weekday
+ * @param {Date} dueDate - Due date of the task
+ * @returns {Object} Recurrence rule
+ */
+export function defaultRule(dueDate) {
+  return {
+    frequency: 'weekly',
+    interval: 1,
+    byWeekday: [weekdayOf(dueDate)],
+    byMonthDay: null,
+    count: null,
+    until: null,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+  }
+}
+
+/**
+ * Describes a recurrence rule in words
+ * @param {Object|null} rule - Recurrence rule
+ * @returns {string} Description, e.g. "Every 2 weeks on Mon, Thu, 10 times"
+ * @example
+ * describeRecurrence({ frequency: 'monthly', interval: 1, byMonthDay: 15 })
+ * // 'Every month on day 15'
+ */
+export function describeRecurrence(rule) {
+  if (!rule) return 'Does not repeat'
+
+  const unit = UNITS[rule.frequency]
+  const interval = rule.interval || 1
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`
+
+  if (rule.frequency === 'weekly' && rule.byWeekday?.length) {
+    const days = WEEKDAYS.filter((day) => rule.byWeekday.includes(day.value))
+    text += ` on ${days.map((day) => day.title).join(', ')}`
+  }
+  if (rule.frequency === 'monthly' && rule.byMonthDay) {
+    text += ` on day ${rule.byMonthDay}`
+  }
+  if (rule.count) {
+    text += `, ${rule.count} times`
+  } else if (rule.until) {
+    // Date inputs give a plain date, which is a day in the user's timezone
+    const until = /^\d{4}-\d{2}-\d{2}$/.test(rule.until)
+      ? new Date(`${rule.until}T00:00`)
+      : new Date(rule.until)
+    text += `, until ${until.toLocaleDateString()}`
+  }
+
+  return text
+}
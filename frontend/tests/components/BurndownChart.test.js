@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import BurndownChart from '../../src/components/BurndownChart.vue'
+import TrendLineChart from '../../src/components/TrendLineChart.vue'
+
+const points = [
+  { date: '2024-01-01', scope: 4, completed: 0, remaining: 4, ideal: 4 },
+  { date: '2024-01-02', scope: 5, completed: 2, remaining: 3, ideal: 2 },
+  { date: '2024-01-03', scope: 5, completed: 4, remaining: 1, ideal: 0 }
+]
+
+describe('BurndownChart', () => {
+  it('plots remaining work against the ideal line by default', () => {
+    const wrapper = mount(BurndownChart, { props: { data: points } })
+    const series = wrapper.findComponent(TrendLineChart).props('series')
+
+    expect(series.map((line) => line.name)).toEqual(['Remaining', 'Ideal'])
+    expect(series[0].points.map((p) => p.value)).toEqual([4, 3, 1])
+    expect(series[1].dashed).toBe(true)
+  })
+
+  it('plots scope and completed work in burnup mode', () => {
+    const wrapper = mount(BurndownChart, {
+      props: { data: points, mode: 'burnup' }
+    })
+    const series = wrapper.findComponent(TrendLineChart).props('series')
+
+    expect(series.map((line) => line.name)).toEqual(['Scope', 'Completed'])
+    expect(series[1].points.map((p) => p.value)).toEqual([0, 2, 4])
+  })
+
+  it('labels hour values when measuring estimated time', () => {
+    const wrapper = mount(BurndownChart, {
+      props: { data: points, unit: 'estimatedTime' }
+    })
+
+    expect(wrapper.findComponent(TrendLineChart).props('unit')).toBe('h')
+  })
+})
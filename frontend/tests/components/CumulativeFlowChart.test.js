@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import CumulativeFlowChart from '../../src/components/CumulativeFlowChart.vue'
+
+describe('CumulativeFlowChart', () => {
+  const data = [
+    { date: '2024-01-01', pending: 5, 'in-progress': 1, completed: 0 },
+    { date: '2024-01-02', pending: 3, 'in-progress': 3, completed: 1 },
+    { date: '2024-01-03', pending: 2, 'in-progress': 4, completed: 2 }
+  ]
+
+  it('renders one stacked band per status', () => {
+    const wrapper = mount(CumulativeFlowChart, { props: { data } })
+
+    expect(wrapper.findAll('path.chart-band')).toHaveLength(3)
+    expect(wrapper.text()).toContain('Completed')
+    expect(wrapper.text()).toContain('In Progress')
+    expect(wrapper.text()).toContain('Pending')
+  })
+
+  it('scales the axis to the largest daily total', () => {
+    const wrapper = mount(CumulativeFlowChart, { props: { data } })
+
+    expect(wrapper.text()).toContain('8')
+    expect(wrapper.text()).toContain('2024-01-01')
+    expect(wrapper.text()).toContain('2024-01-03')
+  })
+
+  it('shows empty state without tasks', () => {
+    const wrapper = mount(CumulativeFlowChart, {
+      props: {
+        data: [
+          { date: '2024-01-01', pending: 0, 'in-progress': 0, completed: 0 }
+        ]
+      }
+    })
+
+    expect(wrapper.find('svg').exists()).toBe(false)
+    expect(wrapper.text()).toContain('No data available')
+  })
+})
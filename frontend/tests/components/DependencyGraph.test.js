@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import DependencyGraph from '../../src/components/DependencyGraph.vue'
+
+const nodes = [
+  { _id: 'a', title: 'Design', status: 'completed', blocked: false },
+  { _id: 'b', title: 'Build', status: 'in-progress', blocked: false },
+  { _id: 'c', title: 'Ship', status: 'pending', blocked: true }
+]
+
+describe('DependencyGraph', () => {
+  it('places each task one column right of the furthest task it waits for', () => {
+    const wrapper = mount(DependencyGraph, {
+      props: {
+        nodes,
+        edges: [
+          { from: 'a', to: 'b' },
+          { from: 'b', to: 'c' },
+          { from: 'a', to: 'c' }
+        ]
+      }
+    })
+
+    const columns = wrapper
+      .findAll('[data-testid="graph-node"]')
+      .map((node) => node.attributes('transform'))
+    expect(columns).toEqual([
+      'translate(16, 16)',
+      'translate(256, 16)',
+      'translate(496, 16)'
+    ])
+    expect(wrapper.findAll('[data-testid="graph-edge"]')).toHaveLength(3)
+  })
+
+  it('highlights links from unfinished blockers', () => {
+    const wrapper = mount(DependencyGraph, {
+      props: {
+        nodes,
+        edges: [
+          { from: 'a', to: 'b' },
+          { from: 'b', to: 'c' }
+        ]
+      }
+    })
+
+    const markers = wrapper
+      .findAll('[data-testid="graph-edge"]')
+      .map((edge) => edge.attributes('marker-end'))
+    expect(markers).toEqual(['url(#arrow-done)', 'url(#arrow-open)'])
+  })
+
+  it('emits the clicked task', async () => {
+    const wrapper = mount(DependencyGraph, {
+      props: { nodes, edges: [{ from: 'a', to: 'b' }] }
+    })
+
+    await wrapper.findAll('[data-testid="graph-node"]')[1].trigger('click')
+
+    expect(wrapper.emitted('select')[0][0]).toMatchObject({ _id: 'b' })
+  })
+})
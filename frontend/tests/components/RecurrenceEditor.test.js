@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { vuetify } from '../setup.js'
+import RecurrenceEditor from '../../src/components/RecurrenceEditor.vue'
+import { defaultRule, describeRecurrence } from '../../src/utils/recurrence.js'
+
+const mountEditor = (props) =>
+  mount(RecurrenceEditor, {
+    props,
+    global: {
+      plugins: [vuetify]
+    }
+  })
+
+describe('RecurrenceEditor', () => {
+  it('starts new rules weekly on the due date weekday', () => {
+    const rule = defaultRule(new Date('2024-03-07T00:00'))
+
+    expect(rule).toMatchObject({
+      frequency: 'weekly',
+      interval: 1,
+      byWeekday: ['TH'],
+      count: null,
+      until: null
+    })
+    expect(rule.timezone).toBeTruthy()
+  })
+
+  it('summarises the rule in words', () => {
+    const wrapper = mountEditor({
+      modelValue: {
+        frequency: 'weekly',
+        interval: 2,
+        byWeekday: ['MO', 'TH'],
+        count: 10
+      },
+      dueDate: '2024-03-04'
+    })
+
+    expect(wrapper.find('[data-testid="recurrence-summary"]').text()).toContain(
+      'Every 2 weeks on Mon, Thu, 10 times'
+    )
+  })
+
+  it('describes monthly rules and one-off tasks', () => {
+    expect(
+      describeRecurrence({ frequency: 'monthly', interval: 1, byMonthDay: 31 })
+    ).toBe('Every month on day 31')
+    expect(describeRecurrence(null)).toBe('Does not repeat')
+  })
+})
@@ -0,0 +1,64 @@
+import { describe, it, expect, vi } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { vuetify } from '../setup.js'
+import TaskChecklist from '../../src/components/TaskChecklist.vue'
+
+const taskStore = {
+  addChecklistItem: vi.fn(),
+  updateChecklistItem: vi.fn(),
+  deleteChecklistItem: vi.fn(),
+  reorderChecklist: vi.fn()
+}
+
+vi.mock('../../src/stores/taskStore.js', () => ({
+  useTaskStore: () => taskStore
+}))
+
+const task = {
+  _id: 't1',
+  version: 3,
+  checklist: [
+    { _id: 'a', text: 'Write tests', done: true },
+    { _id: 'b', text: 'Update docs', done: false }
+  ]
+}
+
+const mountChecklist = () =>
+  mount(TaskChecklist, {
+    props: { task },
+    global: {
+      plugins: [vuetify]
+    }
+  })
+
+describe('TaskChecklist', () => {
+  it('shows the items in order with their progress', () => {
+    const wrapper = mountChecklist()
+
+    const items = wrapper.findAll('[data-testid="checklist-item"]')
+    expect(items).toHaveLength(2)
+    expect(items[0].text()).toContain('Write tests')
+    expect(
+      wrapper.find('[data-testid="checklist-progress-label"]').text()
+    ).toBe('1 of 2 done')
+  })
+
+  it('reorders through the store and reports the changed task', async () => {
+    const reordered = {
+      ...task,
+      version: 4,
+      checklist: [task.checklist[1], task.checklist[0]]
+    }
+    taskStore.reorderChecklist.mockResolvedValue(reordered)
+    const wrapper = mountChecklist()
+
+    wrapper.vm.move(1, -1)
+    await flushPromises()
+
+    expect(taskStore.reorderChecklist).toHaveBeenCalledWith('t1', ['b', 'a'])
+    expect(wrapper.emitted('changed')[0]).toEqual([reordered])
+    expect(
+      wrapper.findAll('[data-testid="checklist-item"]')[0].text()
+    ).toContain('Update docs')
+  })
+})
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Tests for TaskTimer component
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { reactive } from 'vue'
+import { vuetify } from '../setup.js'
+import TaskTimer from '../../src/components/TaskTimer.vue'
+
+const mockTimerStore = reactive({
+  runningTimers: {},
+  isRunning: (taskId) => !!mockTimerStore.runningTimers[taskId],
+  startTimer: vi.fn(),
+  stopTimer: vi.fn()
+})
+
+vi.mock('../../src/stores/timerStore.js', () => ({
+  useTimerStore: () => mockTimerStore
+}))
+
+describe('TaskTimer', () => {
+  beforeEach(() => {
+    mockTimerStore.runningTimers = {}
+    mockTimerStore.startTimer.mockReset()
+    mockTimerStore.stopTimer.mockReset()
+  })
+
+  const createWrapper = (task) =>
+    mount(TaskTimer, {
+      props: { task },
+      global: {
+        plugins: [vuetify]
+      }
+    })
+
+  it('shows tracked time when no timer is running', () => {
+    const wrapper = createWrapper({ _id: 'task-1', actualTime: 95 })
+
+    expect(wrapper.find('.timer-label').text()).toBe('1h 35m tracked')
+  })
+
+  it('shows elapsed time while running', () => {
+    mockTimerStore.runningTimers = {
+      'task-1': { startedAt: new Date(Date.now() - 65000).toISOString() }
+    }
+
+    const wrapper = createWrapper({ _id: 'task-1', actualTime: 0 })
+
+    expect(wrapper.find('.timer-label').text()).toMatch(/^01:0[5-6]$/)
+  })
+
+  it('starts or stops the timer on click', async () => {
+    const wrapper = createWrapper({ _id: 'task-1', actualTime: 0 })
+
+    await wrapper.find('.v-btn').trigger('click')
+    expect(mockTimerStore.startTimer).toHaveBeenCalledWith('task-1')
+
+    mockTimerStore.runningTimers = {
+      'task-1': { startedAt: new Date().toISOString() }
+    }
+    mockTimerStore.stopTimer.mockResolvedValue({ task: { actualTime: 5 } })
+    await flushPromises()
+
+    await wrapper.find('.v-btn').trigger('click')
+    await flushPromises()
+    expect(mockTimerStore.stopTimer).toHaveBeenCalledWith('task-1')
+    expect(wrapper.emitted('stopped')).toHaveLength(1)
+  })
+})
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import TrendLineChart from '../../src/components/TrendLineChart.vue'
+
+describe('TrendLineChart', () => {
+  it('renders one line per series', () => {
+    const wrapper = mount(TrendLineChart, {
+      props: {
+        series: [
+          {
+            name: 'Completion Rate',
+            color: '#4CAF50',
+            points: [
+              { date: '2024-01-01', value: 40 },
+              { date: '2024-01-02', value: 55 }
+            ]
+          },
+          {
+            name: 'Target',
+            color: '#9E9E9E',
+            dashed: true,
+            points: [
+              { date: '2024-01-01', value: 50 },
+              { date: '2024-01-02', value: 50 }
+            ]
+          }
+        ]
+      }
+    })
+
+    const lines = wrapper.findAll('polyline')
+    expect(lines).toHaveLength(2)
+    expect(lines[1].attributes('stroke-dasharray')).toBe('6 4')
+  })
+
+  it('labels the first and last dates', () => {
+    const wrapper = mount(TrendLineChart, {
+      props: {
+        series: [
+          {
+            name: 'Backlog',
+            color: '#2196F3',
+            points: [
+              { date: '2024-01-01', value: 3 },
+              { date: '2024-01-05', value: 8 },
+              { date: '2024-01-09', value: 6 }
+            ]
+          }
+        ]
+      }
+    })
+
+    expect(wrapper.text()).toContain('2024-01-01')
+    expect(wrapper.text()).toContain('2024-01-09')
+    expect(wrapper.text()).not.toContain('2024-01-05')
+  })
+
+  it('shows empty state without points', () => {
+    const wrapper = mount(TrendLineChart, {
+      props: {
+        series: [{ name: 'Backlog', color: '#2196F3', points: [] }]
+      }
+    })
+
+    expect(wrapper.find('svg').exists()).toBe(false)
+    expect(wrapper.text()).toContain('No data available')
+  })
+})
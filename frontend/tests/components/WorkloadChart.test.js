@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import WorkloadChart from '../../src/components/WorkloadChart.vue'
+
+describe('WorkloadChart', () => {
+  const assignees = [
+    {
+      userId: 'u2',
+      name: 'Grace',
+      openTasks: 4,
+      inProgress: 1,
+      overdue: 2,
+      estimatedHours: 10,
+      completionRate: 20
+    },
+    {
+      userId: 'u1',
+      name: 'Ada',
+      openTasks: 2,
+      inProgress: 2,
+      overdue: 0,
+      estimatedHours: 1.5,
+      completionRate: 75
+    }
+  ]
+
+  it('renders one row per assignee with in-progress and not-started bars', () => {
+    const wrapper = mount(WorkloadChart, { props: { assignees } })
+
+    expect(wrapper.findAll('g.workload-row')).toHaveLength(2)
+    expect(wrapper.findAll('rect.chart-bar')).toHaveLength(4)
+    expect(wrapper.text()).toContain('Grace')
+    expect(wrapper.text()).toContain('4 open, 2 overdue · 20% done')
+    expect(wrapper.text()).toContain('2 open · 75% done')
+  })
+
+  it('scales bars to the busiest assignee', () => {
+    const wrapper = mount(WorkloadChart, { props: { assignees, width: 530 } })
+    const widths = wrapper
+      .findAll('rect.chart-bar')
+      .map((rect) => Number(rect.attributes('width')))
+
+    // 530 - 140 label - 190 summary leaves 200px for the busiest bar
+    expect(widths[0] + widths[1]).toBe(200)
+    expect(widths[2] + widths[3]).toBe(100)
+  })
+
+  it('shows estimated hours in hours mode', () => {
+    const wrapper = mount(WorkloadChart, {
+      props: { assignees, unit: 'hours' }
+    })
+
+    expect(wrapper.findAll('rect.chart-bar')).toHaveLength(2)
+    expect(wrapper.text()).toContain('10h, 2 overdue')
+    expect(wrapper.text()).toContain('Open estimated hours')
+  })
+
+  it('shows empty state without open work', () => {
+    const wrapper = mount(WorkloadChart, { props: { assignees: [] } })
+
+    expect(wrapper.find('svg').exists()).toBe(false)
+    expect(wrapper.text()).toContain('No assigned open work')
+  })
+})
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import apiClient from '../../src/api/client.js'
+import { useApiTokenStore } from '../../src/stores/apiTokenStore.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getApiTokens: vi.fn(),
+    createApiToken: vi.fn(),
+    revokeApiToken: vi.fn()
+  }
+}))
+
+describe('API Token Store', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+  })
+
+  it('should load tokens', async () => {
+    apiClient.getApiTokens.mockResolvedValue({
+      data: [{ _id: '1', name: 'CI', scopes: ['tasks:read'] }]
+    })
+    const apiTokenStore = useApiTokenStore()
+
+    await apiTokenStore.fetchTokens()
+
+    expect(apiTokenStore.tokens).toHaveLength(1)
+    expect(apiTokenStore.error).toBeNull()
+  })
+
+  it('should return the secret without keeping it', async () => {
+    apiClient.createApiToken.mockResolvedValue({
+      data: {
+        _id: '2',
+        name: 'Exports',
+        scopes: ['exports:create'],
+        secret: 'tat_secret'
+      }
+    })
+    const apiTokenStore = useApiTokenStore()
+    apiTokenStore.tokens = [{ _id: '1', name: 'CI' }]
+
+    const secret = await apiTokenStore.createToken({
+      name: 'Exports',
+      scopes: ['exports:create']
+    })
+
+    expect(secret).toBe('tat_secret')
+    expect(apiTokenStore.tokens.map((token) => token._id)).toEqual(['2', '1'])
+    expect(apiTokenStore.tokens[0].secret).toBeUndefined()
+  })
+
+  it('should drop revoked tokens', async () => {
+    apiClient.revokeApiToken.mockResolvedValue({ data: {} })
+    const apiTokenStore = useApiTokenStore()
+    apiTokenStore.tokens = [{ _id: '1' }, { _id: '2' }]
+
+    await apiTokenStore.revokeToken('1')
+
+    expect(apiClient.revokeApiToken).toHaveBeenCalledWith('1')
+    expect(apiTokenStore.tokens).toEqual([{ _id: '2' }])
+  })
+
+  it('should flag expired tokens', () => {
+    const apiTokenStore = useApiTokenStore()
+    const now = new Date('2026-06-01T00:00:00Z')
+
+    expect(
+      apiTokenStore.isExpired({ expiresAt: '2026-05-31T00:00:00Z' }, now)
+    ).toBe(true)
+    expect(
+      apiTokenStore.isExpired({ expiresAt: '2026-06-02T00:00:00Z' }, now)
+    ).toBe(false)
+  })
+})
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import apiClient from '../../src/api/client.js'
+import { useAuditStore } from '../../src/stores/auditStore.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getAuditLog: vi.fn()
+  }
+}))
+
+const page = (entries, pagination = {}) => ({
+  data: {
+    entries,
+    pagination: {
+      page: 1,
+      limit: 20,
+      total: entries.length,
+      pages: 1,
+      ...pagination
+    }
+  }
+})
+
+describe('Audit Store', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    setActivePinia(createPinia())
+  })
+
+  it('should load entries without sending empty filters', async () => {
+    apiClient.getAuditLog.mockResolvedValue(
+      page([{ _id: 'a1', action: 'task.delete' }])
+    )
+    const auditStore = useAuditStore()
+
+    await auditStore.fetchEntries()
+
+    expect(apiClient.getAuditLog).toHaveBeenCalledWith({ page: 1, limit: 20 })
+    expect(auditStore.entries).toHaveLength(1)
+    expect(auditStore.error).toBeNull()
+  })
+
+  it('should include the whole last day when filtering by date', async () => {
+    apiClient.getAuditLog.mockResolvedValue(page([]))
+    const auditStore = useAuditStore()
+    auditStore.filters.from = '2026-03-01'
+    auditStore.filters.to = '2026-03-31'
+
+    await auditStore.fetchEntries()
+
+    const params = apiClient.getAuditLog.mock.calls[0][0]
+    expect(new Date(params.from)).toEqual(new Date('2026-03-01T00:00:00'))
+    expect(new Date(params.to)).toEqual(new Date('2026-03-31T23:59:59.999'))
+  })
+
+  it('should go back to the first page when filters change', async () => {
+    apiClient.getAuditLog.mockResolvedValue(page([], { page: 3, pages: 5 }))
+    const auditStore = useAuditStore()
+    auditStore.setPage(3)
+
+    auditStore.updateFilters({ action: 'task.update' })
+
+    expect(apiClient.getAuditLog).toHaveBeenLastCalledWith({
+      page: 1,
+      limit: 20,
+      action: 'task.update'
+    })
+  })
+
+  it('should label known actions', () => {
+    const auditStore = useAuditStore()
+
+    expect(auditStore.getActionLabel('task.delete')).toBe('Task deleted')
+    expect(auditStore.getActionLabel('task.archive')).toBe('task.archive')
+  })
+
+  it('should keep the error when loading fails', async () => {
+    apiClient.getAuditLog.mockRejectedValue(new Error('Forbidden'))
+    const auditStore = useAuditStore()
+
+    await auditStore.fetchEntries()
+
+    expect(auditStore.error).toBe('Forbidden')
+  })
+})
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import apiClient from '../../src/api/client.js'
+import { useAuthStore } from '../../src/stores/authStore.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    login: vi.fn(),
+    register: vi.fn(),
+    logout: vi.fn(),
+    getCurrentUser: vi.fn(),
+    setTokens: vi.fn(),
+    clearTokens: vi.fn(),
+    getAccessToken: vi.fn(() => null),
+    onAuthFailure: null
+  }
+}))
+
+const session = {
+  user: {
+    _id: 'u1',
+    email: 'ada@example.com',
+    name: 'Ada',
+    role: 'member',
+    permissions: ['tasks:read', 'analytics:read', 'tasks:write']
+  },
+  accessToken: 'access',
+  refreshToken: 'refresh'
+}
+
+describe('Auth Store', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    window.localStorage.clear()
+    setActivePinia(createPinia())
+  })
+
+  it('should store the session after signing in', async () => {
+    apiClient.login.mockResolvedValue({ data: session })
+    const authStore = useAuthStore()
+
+    await authStore.login({ email: 'ada@example.com', password: 'secret123' })
+
+    expect(apiClient.setTokens).toHaveBeenCalledWith(session)
+    expect(authStore.isAuthenticated).toBe(true)
+    expect(authStore.user.name).toBe('Ada')
+  })
+
+  it('should expose the error when signing in fails', async () => {
+    apiClient.login.mockRejectedValue(new Error('Invalid email or password'))
+    const authStore = useAuthStore()
+
+    await expect(
+      authStore.login({ email: 'ada@example.com', password: 'wrong' })
+    ).rejects.toThrow()
+
+    expect(authStore.error).toBe('Invalid email or password')
+    expect(authStore.isAuthenticated).toBe(false)
+  })
+
+  it('should clear the session even if revoking it fails', async () => {
+    apiClient.register.mockResolvedValue({ data: session })
+    apiClient.logout.mockRejectedValue(new Error('Network error'))
+    const authStore = useAuthStore()
+    await authStore.register({ ...session.user, password: 'secret123' })
+
+    await authStore.logout()
+
+    expect(apiClient.clearTokens).toHaveBeenCalled()
+    expect(authStore.isAuthenticated).toBe(false)
+  })
+
+  it('should sign out when the API client cannot refresh the session', async () => {
+    apiClient.login.mockResolvedValue({ data: session })
+    const authStore = useAuthStore()
+    await authStore.login({ email: 'ada@example.com', password: 'secret123' })
+
+    apiClient.onAuthFailure()
+
+    expect(authStore.isAuthenticated).toBe(false)
+  })
+
+  it('should ignore a remembered user without tokens', () => {
+    window.localStorage.setItem('authUser', JSON.stringify(session.user))
+
+    expect(useAuthStore().isAuthenticated).toBe(false)
+  })
+
+  it('should check permissions granted by the user role', async () => {
+    apiClient.login.mockResolvedValue({ data: session })
+    const authStore = useAuthStore()
+
+    expect(authStore.can('tasks:read')).toBe(false)
+
+    await authStore.login({ email: 'ada@example.com', password: 'secret123' })
+
+    expect(authStore.role).toBe('member')
+    expect(authStore.can('tasks:write')).toBe(true)
+    expect(authStore.can('tasks:delete')).toBe(false)
+  })
+
+  it('should update permissions when the current user is refetched', async () => {
+    apiClient.login.mockResolvedValue({ data: session })
+    apiClient.getCurrentUser.mockResolvedValue({
+      data: {
+        ...session.user,
+        role: 'manager',
+        permissions: [...session.user.permissions, 'tasks:delete']
+      }
+    })
+    const authStore = useAuthStore()
+    await authStore.login({ email: 'ada@example.com', password: 'secret123' })
+
+    await authStore.fetchCurrentUser()
+
+    expect(authStore.can('tasks:delete')).toBe(true)
+  })
+})
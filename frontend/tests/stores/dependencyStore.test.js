@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import apiClient from '../../src/api/client.js'
+import { useDependencyStore } from '../../src/stores/dependencyStore.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getDependencyGraph: vi.fn(),
+    getTaskDependencies: vi.fn()
+  }
+}))
+
+// Mock the socket
+vi.mock('../../src/plugins/socket.js', () => ({
+  default: {
+    on: vi.fn(),
+    off: vi.fn(),
+    emit: vi.fn()
+  }
+}))
+
+const graph = {
+  data: {
+    nodes: [
+      { _id: 'a', title: 'Design', status: 'pending', blocked: false },
+      { _id: 'b', title: 'Build', status: 'pending', blocked: true }
+    ],
+    edges: [{ from: 'a', to: 'b' }]
+  }
+}
+
+describe('Dependency Store', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    setActivePinia(createPinia())
+  })
+
+  it('should load the dependency graph', async () => {
+    apiClient.getDependencyGraph.mockResolvedValue(graph)
+    const dependencyStore = useDependencyStore()
+
+    await dependencyStore.fetchGraph()
+
+    expect(dependencyStore.nodes).toHaveLength(2)
+    expect(dependencyStore.edges).toEqual([{ from: 'a', to: 'b' }])
+  })
+
+  it('should patch status changes into the graph without reloading', async () => {
+    apiClient.getDependencyGraph.mockResolvedValue(graph)
+    const dependencyStore = useDependencyStore()
+    await dependencyStore.fetchGraph()
+
+    dependencyStore.handleTaskUpdate({
+      action: 'updated',
+      task: {
+        _id: 'b',
+        title: 'Build',
+        status: 'in-progress',
+        blockedBy: ['a'],
+        blocked: true
+      }
+    })
+
+    expect(dependencyStore.nodes[1].status).toBe('in-progress')
+    expect(apiClient.getDependencyGraph).toHaveBeenCalledTimes(1)
+  })
+
+  it('should reload the graph when a task gets new blockers', async () => {
+    apiClient.getDependencyGraph.mockResolvedValue(graph)
+    const dependencyStore = useDependencyStore()
+    await dependencyStore.fetchGraph()
+
+    dependencyStore.handleTaskUpdate({
+      action: 'updated',
+      task: { _id: 'c', title: 'Ship', status: 'pending', blockedBy: ['b'] }
+    })
+
+    expect(apiClient.getDependencyGraph).toHaveBeenCalledTimes(2)
+  })
+})
@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import apiClient from '../../src/api/client.js'
+import { useProjectStore } from '../../src/stores/projectStore.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getProjects: vi.fn(),
+    createProject: vi.fn(),
+    updateProject: vi.fn(),
+    deleteProject: vi.fn()
+  }
+}))
+
+describe('Project Store', () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+    setActivePinia(createPinia())
+  })
+
+  it('should only scope requests when a project is selected', () => {
+    const projectStore = useProjectStore()
+
+    expect(projectStore.scopeParams).toEqual({})
+
+    projectStore.setCurrentProject('none')
+
+    expect(projectStore.scopeParams).toEqual({ projectId: 'none' })
+  })
+
+  it('should remember the selected project between visits', () => {
+    useProjectStore().setCurrentProject('p1')
+
+    setActivePinia(createPinia())
+
+    expect(useProjectStore().currentProjectId).toBe('p1')
+  })
+
+  it('should drop a remembered project that no longer exists', async () => {
+    apiClient.getProjects.mockResolvedValue({
+      data: [{ _id: 'p2', name: 'Mobile App', archived: false }]
+    })
+    const projectStore = useProjectStore()
+    projectStore.setCurrentProject('p1')
+
+    await projectStore.fetchProjects()
+
+    expect(projectStore.currentProjectId).toBe('')
+    expect(window.localStorage.getItem('currentProjectId')).toBeNull()
+  })
+
+  it('should hide archived projects from the active list', async () => {
+    apiClient.getProjects.mockResolvedValue({
+      data: [
+        { _id: 'p1', name: 'Legacy', archived: true },
+        { _id: 'p2', name: 'Mobile App', archived: false }
+      ]
+    })
+    const projectStore = useProjectStore()
+
+    await projectStore.fetchProjects()
+
+    expect(apiClient.getProjects).toHaveBeenCalledWith({
+      includeArchived: true
+    })
+    expect(projectStore.activeProjects.map((p) => p._id)).toEqual(['p2'])
+  })
+
+  it('should clear the selection when the selected project is deleted', async () => {
+    apiClient.deleteProject.mockResolvedValue({ success: true })
+    const projectStore = useProjectStore()
+    projectStore.projects = [{ _id: 'p1', name: 'Website', archived: false }]
+    projectStore.setCurrentProject('p1')
+
+    await projectStore.deleteProject('p1')
+
+    expect(projectStore.projects).toEqual([])
+    expect(projectStore.currentProjectId).toBe('')
+  })
+})
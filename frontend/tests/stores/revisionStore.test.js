@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import apiClient from '../../src/api/client.js'
+import { useRevisionStore } from '../../src/stores/revisionStore.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getTaskRevisions: vi.fn()
+  }
+}))
+
+describe('Revision Store', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    setActivePinia(createPinia())
+  })
+
+  it('should load a task revisions', async () => {
+    const revisions = [
+      {
+        _id: 'r2',
+        revision: 2,
+        changes: { priority: { from: 'low', to: 'high' } }
+      },
+      {
+        _id: 'r1',
+        revision: 1,
+        changes: { title: { from: null, to: 'Draft' } }
+      }
+    ]
+    apiClient.getTaskRevisions.mockResolvedValue({ data: revisions })
+    const revisionStore = useRevisionStore()
+
+    await revisionStore.fetchRevisions('task-1')
+
+    expect(apiClient.getTaskRevisions).toHaveBeenCalledWith('task-1')
+    expect(revisionStore.revisions).toEqual(revisions)
+    expect(revisionStore.error).toBeNull()
+  })
+
+  it('should drop a slow response for a task that is no longer shown', async () => {
+    let resolveFirst
+    apiClient.getTaskRevisions
+      .mockImplementationOnce(
+        () => new Promise((resolve) => (resolveFirst = resolve))
+      )
+      .mockResolvedValueOnce({ data: [{ _id: 'b1', revision: 1 }] })
+    const revisionStore = useRevisionStore()
+
+    const first = revisionStore.fetchRevisions('task-a')
+    await revisionStore.fetchRevisions('task-b')
+    resolveFirst({ data: [{ _id: 'a1', revision: 1 }] })
+    await first
+
+    expect(revisionStore.taskId).toBe('task-b')
+    expect(revisionStore.revisions).toEqual([{ _id: 'b1', revision: 1 }])
+  })
+})
@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import apiClient from '../../src/api/client.js'
+import { useTagStore } from '../../src/stores/tagStore.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getTags: vi.fn(),
+    createTag: vi.fn(),
+    updateTag: vi.fn(),
+    deleteTag: vi.fn()
+  }
+}))
+
+describe('Tag Store', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+  })
+
+  it('should load tags and expose their names', async () => {
+    apiClient.getTags.mockResolvedValue({
+      data: [
+        { _id: '1', name: 'backend', color: '#2196F3', count: 3 },
+        { _id: '2', name: 'ui', color: '#9C27B0', count: 1 }
+      ]
+    })
+    const tagStore = useTagStore()
+
+    await tagStore.fetchTags()
+
+    expect(tagStore.tagNames).toEqual(['backend', 'ui'])
+    expect(tagStore.getColor('ui')).toBe('#9C27B0')
+  })
+
+  it('should fall back to a neutral color for unknown tags', () => {
+    const tagStore = useTagStore()
+
+    expect(tagStore.getColor('missing')).toBe('#607D8B')
+  })
+
+  it('should keep tags sorted after creating one', async () => {
+    apiClient.createTag.mockResolvedValue({
+      data: { _id: '3', name: 'api', color: '#4CAF50' }
+    })
+    const tagStore = useTagStore()
+    tagStore.tags = [{ _id: '1', name: 'backend', color: '#2196F3' }]
+
+    await tagStore.createTag({ name: 'api' })
+
+    expect(tagStore.tagNames).toEqual(['api', 'backend'])
+  })
+})
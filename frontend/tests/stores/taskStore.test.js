@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { setActivePinia, createPinia } from 'pinia'
+import apiClient from '../../src/api/client.js'
 import { useTaskStore } from '../../src/stores/taskStore.js'
 
 // Mock the API client
@@ -8,8 +9,13 @@ vi.mock('../../src/api/client.js', () => ({
     getTasks: vi.fn(),
     getTask: vi.fn(),
     createTask: vi.fn(),
+    createTaskFromTemplate: vi.fn(),
     updateTask: vi.fn(),
-    deleteTask: vi.fn()
+    deleteTask: vi.fn(),
+    restoreTask: vi.fn(),
+    revertTask: vi.fn(),
+    updateChecklistItem: vi.fn(),
+    getSubtasks: vi.fn()
   }
 }))
 
@@ -94,4 +100,169 @@ describe('Task Store', () => {
       high: 2
     })
   })
+  it('should put a restored task back in the list once', async () => {
+    const taskStore = useTaskStore()
+    const task = { _id: '1', title: 'Restored', status: 'pending' }
+    apiClient.restoreTask.mockResolvedValue({ data: task })
+
+    await taskStore.restoreTask('1')
+    taskStore.handleTaskUpdate({ action: 'restored', task })
+
+    expect(apiClient.restoreTask).toHaveBeenCalledWith('1')
+    expect(taskStore.tasks).toEqual([task])
+    expect(taskStore.pagination.total).toBe(1)
+  })
+  it('should add a task created from a template to the list', async () => {
+    const taskStore = useTaskStore()
+    const task = { _id: '2', title: 'Onboard Acme', status: 'pending' }
+    apiClient.createTaskFromTemplate.mockResolvedValue({ data: task })
+
+    await taskStore.createTaskFromTemplate('t1', {
+      variables: { customer: 'Acme' }
+    })
+
+    expect(apiClient.createTaskFromTemplate).toHaveBeenCalledWith('t1', {
+      variables: { customer: 'Acme' }
+    })
+    expect(taskStore.tasks).toEqual([task])
+  })
+  it('should replace a reverted task in the list', async () => {
+    const taskStore = useTaskStore()
+    taskStore.tasks = [{ _id: '1', title: 'Changed' }]
+    apiClient.revertTask.mockResolvedValue({
+      data: { _id: '1', title: 'Original' }
+    })
+
+    const task = await taskStore.revertTask('1', 1)
+
+    expect(apiClient.revertTask).toHaveBeenCalledWith('1', 1)
+    expect(task.title).toBe('Original')
+    expect(taskStore.tasks[0].title).toBe('Original')
+  })
+  it('should show the task returned by a checklist change', async () => {
+    const taskStore = useTaskStore()
+    taskStore.tasks = [
+      {
+        _id: '1',
+        version: 2,
+        checklist: [{ _id: 'a', text: 'Write tests', done: false }]
+      }
+    ]
+    apiClient.updateChecklistItem.mockResolvedValue({
+      data: {
+        _id: '1',
+        version: 3,
+        checklist: [{ _id: 'a', text: 'Write tests', done: true }]
+      }
+    })
+
+    await taskStore.updateChecklistItem('1', 'a', { done: true })
+
+    expect(apiClient.updateChecklistItem).toHaveBeenCalledWith('1', 'a', {
+      done: true
+    })
+    expect(taskStore.tasks[0].checklist[0].done).toBe(true)
+    expect(taskStore.tasks[0].version).toBe(3)
+  })
+  it('should send the edited version with an update', async () => {
+    const taskStore = useTaskStore()
+    taskStore.tasks = [{ _id: '1', title: 'Old', version: 2 }]
+    apiClient.updateTask.mockResolvedValue({
+      data: { _id: '1', title: 'New', version: 3 }
+    })
+
+    await taskStore.updateTask('1', { title: 'New' }, 2)
+
+    expect(apiClient.updateTask).toHaveBeenCalledWith('1', { title: 'New' }, 2)
+    expect(taskStore.tasks[0]).toEqual({ _id: '1', title: 'New', version: 3 })
+  })
+  it('should keep the server copy when an update conflicts', async () => {
+    const taskStore = useTaskStore()
+    taskStore.tasks = [{ _id: '1', title: 'Old', version: 2 }]
+    const conflict = new Error('Task was changed by someone else')
+    conflict.status = 409
+    conflict.data = { _id: '1', title: 'Theirs', version: 3 }
+    apiClient.updateTask.mockRejectedValue(conflict)
+
+    await expect(
+      taskStore.updateTask('1', { title: 'Mine' }, 2)
+    ).rejects.toMatchObject({ status: 409, data: conflict.data })
+    expect(taskStore.tasks[0].title).toBe('Theirs')
+  })
+  it('should ignore socket updates older than the listed task', () => {
+    const taskStore = useTaskStore()
+    taskStore.tasks = [{ _id: '1', title: 'Newer', version: 4 }]
+
+    taskStore.handleTaskUpdate({
+      action: 'updated',
+      task: { _id: '1', title: 'Older', version: 3 }
+    })
+
+    expect(taskStore.tasks[0].title).toBe('Newer')
+  })
+  it('should list top-level tasks by default', () => {
+    const taskStore = useTaskStore()
+
+    expect(taskStore.filters.parentId).toBe('none')
+  })
+  it('should put new subtasks under their loaded parent', async () => {
+    const taskStore = useTaskStore()
+    taskStore.tasks = [{ _id: 'p1', title: 'Parent' }]
+    apiClient.getSubtasks.mockResolvedValue({
+      data: [{ _id: 's1', parentId: 'p1', title: 'First' }]
+    })
+
+    await taskStore.fetchSubtasks('p1')
+    taskStore.handleTaskUpdate({
+      action: 'created',
+      task: { _id: 's2', parentId: 'p1', title: 'Second' }
+    })
+
+    expect(apiClient.getSubtasks).toHaveBeenCalledWith('p1')
+    expect(taskStore.subtasks.p1.map((task) => task._id)).toEqual(['s1', 's2'])
+    expect(taskStore.tasks).toHaveLength(1)
+  })
+  it('should keep the shown rollup when an update carries none', () => {
+    const taskStore = useTaskStore()
+    const rollup = { total: 2, completed: 1, estimatedTime: 3 }
+    taskStore.tasks = [{ _id: 'p1', title: 'Parent', version: 1, rollup }]
+
+    taskStore.handleTaskUpdate({
+      action: 'updated',
+      task: { _id: 'p1', title: 'Renamed', version: 2 }
+    })
+
+    expect(taskStore.tasks[0].title).toBe('Renamed')
+    expect(taskStore.tasks[0].rollup).toEqual(rollup)
+  })
+  it('should keep the listed task when starting it is blocked', async () => {
+    const taskStore = useTaskStore()
+    taskStore.tasks = [{ _id: '1', status: 'pending', blocked: true }]
+    const blocked = new Error('Task is blocked by unfinished tasks')
+    blocked.status = 409
+    blocked.data = {
+      blockers: [{ _id: '2', title: 'Design', status: 'pending' }]
+    }
+    apiClient.updateTask.mockRejectedValue(blocked)
+
+    await expect(
+      taskStore.updateTask('1', { status: 'in-progress' }, 1)
+    ).rejects.toMatchObject({ status: 409, data: blocked.data })
+    expect(taskStore.tasks[0]).toEqual({
+      _id: '1',
+      status: 'pending',
+      blocked: true
+    })
+  })
+  it('should follow the blocked state of socket updates', () => {
+    const taskStore = useTaskStore()
+    taskStore.tasks = [{ _id: '1', title: 'Build', version: 1, blocked: true }]
+
+    taskStore.handleTaskUpdate({
+      action: 'updated',
+      task: { _id: '1', title: 'Build', version: 1, blocked: false }
+    })
+
+    expect(taskStore.tasks[0].blocked).toBe(false)
+  })
 })
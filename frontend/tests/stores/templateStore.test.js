@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import apiClient from '../../src/api/client.js'
+import { useTemplateStore } from '../../src/stores/templateStore.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getTemplates: vi.fn(),
+    createTemplate: vi.fn(),
+    updateTemplate: vi.fn(),
+    deleteTemplate: vi.fn(),
+    importStarterTemplates: vi.fn()
+  }
+}))
+
+describe('Template Store', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    vi.clearAllMocks()
+  })
+
+  it('should load templates with their variables', async () => {
+    apiClient.getTemplates.mockResolvedValue({
+      data: [{ _id: '1', name: 'Onboarding', variables: ['customer'] }]
+    })
+    const templateStore = useTemplateStore()
+
+    await templateStore.fetchTemplates()
+
+    expect(templateStore.templates[0].variables).toEqual(['customer'])
+    expect(templateStore.loading).toBe(false)
+  })
+
+  it('should keep templates sorted by name after creating and renaming', async () => {
+    const templateStore = useTemplateStore()
+    templateStore.templates = [{ _id: '1', name: 'Bug report' }]
+
+    apiClient.createTemplate.mockResolvedValue({
+      data: { _id: '2', name: 'Audit' }
+    })
+    await templateStore.createTemplate({ name: 'Audit', title: 'Audit' })
+    expect(templateStore.templates.map((t) => t.name)).toEqual([
+      'Audit',
+      'Bug report'
+    ])
+
+    apiClient.updateTemplate.mockResolvedValue({
+      data: { _id: '2', name: 'Security audit' }
+    })
+    await templateStore.updateTemplate('2', { name: 'Security audit' })
+    expect(templateStore.templates.map((t) => t.name)).toEqual([
+      'Bug report',
+      'Security audit'
+    ])
+  })
+
+  it('should reload templates after importing the starter set', async () => {
+    apiClient.importStarterTemplates.mockResolvedValue({
+      data: { imported: 40, skipped: 0 }
+    })
+    apiClient.getTemplates.mockResolvedValue({
+      data: [{ _id: '1', name: 'Backup production database', variables: [] }]
+    })
+    const templateStore = useTemplateStore()
+
+    const result = await templateStore.importStarterTemplates()
+
+    expect(result.imported).toBe(40)
+    expect(apiClient.getTemplates).toHaveBeenCalled()
+    expect(templateStore.templates).toHaveLength(1)
+  })
+
+  it('should record errors and rethrow when deleting fails', async () => {
+    apiClient.deleteTemplate.mockRejectedValue(new Error('Template not found'))
+    const templateStore = useTemplateStore()
+    templateStore.templates = [{ _id: '1', name: 'Bug report' }]
+
+    await expect(templateStore.deleteTemplate('1')).rejects.toThrow(
+      'Template not found'
+    )
+    expect(templateStore.error).toBe('Template not found')
+    expect(templateStore.templates).toHaveLength(1)
+  })
+})
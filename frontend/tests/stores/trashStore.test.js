@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import apiClient from '../../src/api/client.js'
+import { useTrashStore } from '../../src/stores/trashStore.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getTrash: vi.fn(),
+    restoreTask: vi.fn(),
+    purgeTask: vi.fn()
+  }
+}))
+
+const trashPage = (tasks) => ({
+  data: {
+    tasks,
+    pagination: { page: 1, limit: 20, total: tasks.length, pages: 1 },
+    retentionDays: 30
+  }
+})
+
+describe('Trash Store', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    setActivePinia(createPinia())
+  })
+
+  it('should load trashed tasks and the retention period', async () => {
+    apiClient.getTrash.mockResolvedValue(
+      trashPage([{ _id: 't1', title: 'Old task' }])
+    )
+    const trashStore = useTrashStore()
+
+    await trashStore.fetchTrash()
+
+    expect(apiClient.getTrash).toHaveBeenCalledWith({ page: 1, limit: 20 })
+    expect(trashStore.tasks).toHaveLength(1)
+    expect(trashStore.retentionDays).toBe(30)
+  })
+
+  it('should drop restored and purged tasks from the list', async () => {
+    apiClient.getTrash.mockResolvedValue(
+      trashPage([{ _id: 't1' }, { _id: 't2' }, { _id: 't3' }])
+    )
+    apiClient.restoreTask.mockResolvedValue({ data: { _id: 't1' } })
+    apiClient.purgeTask.mockResolvedValue({ success: true })
+    const trashStore = useTrashStore()
+    await trashStore.fetchTrash()
+
+    await trashStore.restoreTask('t1')
+    await trashStore.purgeTask('t2')
+
+    expect(trashStore.tasks.map((task) => task._id)).toEqual(['t3'])
+    expect(trashStore.pagination.total).toBe(1)
+  })
+
+  it('should keep the task listed when restoring fails', async () => {
+    apiClient.getTrash.mockResolvedValue(trashPage([{ _id: 't1' }]))
+    apiClient.restoreTask.mockRejectedValue(
+      new Error('Task not found in trash')
+    )
+    const trashStore = useTrashStore()
+    await trashStore.fetchTrash()
+
+    await expect(trashStore.restoreTask('t1')).rejects.toThrow()
+
+    expect(trashStore.tasks).toHaveLength(1)
+    expect(trashStore.error).toBe('Task not found in trash')
+  })
+})
@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import apiClient from '../../src/api/client.js'
+import { useUserStore } from '../../src/stores/userStore.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getUsers: vi.fn()
+  }
+}))
+
+describe('User Store', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+  })
+
+  it('should load users and look them up by ID', async () => {
+    apiClient.getUsers.mockResolvedValue({
+      data: [
+        { _id: 'u1', name: 'Ada Lovelace', email: 'ada@example.com' },
+        { _id: 'u2', name: 'grace', email: 'grace@example.com' }
+      ]
+    })
+    const userStore = useUserStore()
+
+    await userStore.fetchUsers()
+
+    expect(userStore.getUser('u1').email).toBe('ada@example.com')
+    expect(userStore.getInitials('u1')).toBe('AL')
+    expect(userStore.getInitials('u2')).toBe('G')
+  })
+
+  it('should use a placeholder for unknown users', () => {
+    const userStore = useUserStore()
+
+    expect(userStore.getUser('missing')).toBeUndefined()
+    expect(userStore.getInitials('missing')).toBe('?')
+  })
+
+  it('should expose the error when loading fails', async () => {
+    apiClient.getUsers.mockRejectedValue(new Error('Forbidden'))
+    const userStore = useUserStore()
+
+    await userStore.fetchUsers()
+
+    expect(userStore.error).toBe('Forbidden')
+    expect(userStore.users).toEqual([])
+  })
+})
@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { setActivePinia, createPinia } from 'pinia'
+import apiClient from '../../src/api/client.js'
+import { useWorkspaceStore } from '../../src/stores/workspaceStore.js'
+
+// Mock the API client
+vi.mock('../../src/api/client.js', () => ({
+  default: {
+    getWorkspaceId: vi.fn(),
+    setWorkspaceId: vi.fn(),
+    getWorkspaces: vi.fn(),
+    createWorkspace: vi.fn(),
+    updateWorkspace: vi.fn(),
+    getWorkspaceMembers: vi.fn(),
+    addWorkspaceMember: vi.fn(),
+    removeWorkspaceMember: vi.fn()
+  }
+}))
+
+describe('Workspace Store', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    apiClient.getWorkspaceId.mockReturnValue(null)
+    setActivePinia(createPinia())
+  })
+
+  it('should start from the workspace the API client remembers', () => {
+    apiClient.getWorkspaceId.mockReturnValue('w2')
+
+    expect(useWorkspaceStore().currentWorkspaceId).toBe('w2')
+  })
+
+  it('should keep a remembered workspace the user still belongs to', async () => {
+    apiClient.getWorkspaceId.mockReturnValue('w2')
+    apiClient.getWorkspaces.mockResolvedValue({
+      data: [
+        { _id: 'w1', name: 'Design', memberCount: 2 },
+        { _id: 'w2', name: 'Engineering', memberCount: 5 }
+      ]
+    })
+    const workspaceStore = useWorkspaceStore()
+
+    await workspaceStore.fetchWorkspaces()
+
+    expect(workspaceStore.currentWorkspace.name).toBe('Engineering')
+    expect(apiClient.setWorkspaceId).not.toHaveBeenCalled()
+  })
+
+  it('should fall back to the first workspace when the remembered one is gone', async () => {
+    apiClient.getWorkspaceId.mockReturnValue('gone')
+    apiClient.getWorkspaces.mockResolvedValue({
+      data: [{ _id: 'w1', name: 'Design', memberCount: 2 }]
+    })
+    const workspaceStore = useWorkspaceStore()
+
+    await workspaceStore.fetchWorkspaces()
+
+    expect(workspaceStore.currentWorkspaceId).toBe('w1')
+    expect(apiClient.setWorkspaceId).toHaveBeenCalledWith('w1')
+  })
+
+  it('should clear the selection when the user has no workspaces', async () => {
+    apiClient.getWorkspaceId.mockReturnValue('gone')
+    apiClient.getWorkspaces.mockResolvedValue({ data: [] })
+    const workspaceStore = useWorkspaceStore()
+
+    await workspaceStore.fetchWorkspaces()
+
+    expect(workspaceStore.currentWorkspaceId).toBe('')
+    expect(apiClient.setWorkspaceId).toHaveBeenCalledWith('')
+  })
+
+  it('should keep member counts in step when members change', async () => {
+    apiClient.getWorkspaceId.mockReturnValue('w1')
+    apiClient.getWorkspaces.mockResolvedValue({
+      data: [{ _id: 'w1', name: 'Design', memberCount: 1 }]
+    })
+    apiClient.getWorkspaceMembers.mockResolvedValue({
+      data: [{ _id: 'u1', name: 'Zoe' }]
+    })
+    apiClient.addWorkspaceMember.mockResolvedValue({
+      data: { _id: 'u2', name: 'Adam' }
+    })
+    const workspaceStore = useWorkspaceStore()
+    await workspaceStore.fetchWorkspaces()
+    await workspaceStore.fetchMembers()
+
+    await workspaceStore.addMember('adam@example.com')
+
+    expect(apiClient.addWorkspaceMember).toHaveBeenCalledWith(
+      'w1',
+      'adam@example.com'
+    )
+    expect(workspaceStore.members.map((member) => member.name)).toEqual([
+      'Adam',
+      'Zoe'
+    ])
+    expect(workspaceStore.currentWorkspace.memberCount).toBe(2)
+
+    await workspaceStore.removeMember('u1')
+
+    expect(workspaceStore.currentWorkspace.memberCount).toBe(1)
+  })
+
+  it('should surface errors when a member cannot be removed', async () => {
+    apiClient.removeWorkspaceMember.mockRejectedValue(
+      new Error('A workspace must keep at least one member')
+    )
+    const workspaceStore = useWorkspaceStore()
+
+    await expect(workspaceStore.removeMember('u1')).rejects.toThrow()
+    expect(workspaceStore.error).toBe(
+      'A workspace must keep at least one member'
+    )
+  })
+})